@@ -0,0 +1,1931 @@
+-- =============================================================================
+-- Migration 001: initial schema
+-- Tables, indexes, triggers, RLS policies and functions as of the first
+-- versioned release. Safe to run on a database that already has them: nothing
+-- is dropped except triggers and policies, which are recreated right away.
+-- A database set up with the old complete_setup_final.sql script is brought up
+-- to date in STEP 1b (new columns, the category key, its old policies and the
+-- functions whose results changed). Sample data lives in database/seed.sql.
+-- =============================================================================
+
+-- =============================================================================
+-- STEP 1: CREATE TABLES (with TEXT user_id for anonymous users)
+-- =============================================================================
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+-- Trigram similarity for duplicate detection
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Managed in the admin panel; the public category dropdowns list these in sort_order
+CREATE TABLE IF NOT EXISTS categories (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT UNIQUE NOT NULL CHECK (length(trim(name)) > 0),
+  description TEXT,
+  color TEXT CHECK (color ~ '^#[0-9a-fA-F]{6}$'),
+  icon TEXT CHECK (char_length(icon) <= 8),
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  -- Same limit as MAX_CATEGORY_NAME_LENGTH in categories.js
+  CONSTRAINT categories_name_length CHECK (char_length(name) <= 50)
+);
+
+CREATE TABLE IF NOT EXISTS quotes (
+  id BIGSERIAL PRIMARY KEY,
+  text TEXT NOT NULL CHECK (length(text) > 0),
+  author TEXT NOT NULL CHECK (length(author) > 0),
+  -- Renaming a category renames it on its quotes too
+  category TEXT NOT NULL CHECK (length(category) > 0) REFERENCES categories(name) ON UPDATE CASCADE,
+  tags TEXT[] DEFAULT '{}',
+  date_added TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_modified TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  views INTEGER DEFAULT 0,
+  likes INTEGER DEFAULT 0,
+  is_favorite BOOLEAN DEFAULT FALSE,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  rejection_reason TEXT,
+  -- Letters and digits only, for exact duplicate checks (see duplicate-detection.js)
+  fingerprint TEXT GENERATED ALWAYS AS (regexp_replace(lower(text), '[^[:alnum:]]+', '', 'g')) STORED,
+  -- Set by import_quotes() so a resumed import can't add a row twice
+  import_key TEXT
+);
+
+-- Use TEXT for user_id to support anonymous users
+CREATE TABLE IF NOT EXISTS user_favorites (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  quote_id BIGINT NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(user_id, quote_id)
+);
+
+-- =============================================================================
+-- Collections (Organize Favorites)
+-- =============================================================================
+-- Users can organize quotes into custom collections (e.g., "Morning Motivation",
+-- "Work Quotes", "Personal Growth"). Used by src/collections.js.
+
+-- Use TEXT for user_id to support anonymous users
+CREATE TABLE IF NOT EXISTS collections (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  name TEXT NOT NULL CHECK (length(name) > 0 AND length(name) <= 100),
+  description TEXT,
+  color TEXT DEFAULT '#667eea',
+  icon TEXT DEFAULT '📁',
+  is_default BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS collection_quotes (
+  id BIGSERIAL PRIMARY KEY,
+  collection_id BIGINT NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+  quote_id BIGINT NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+  added_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(collection_id, quote_id)
+);
+
+-- Quote of the Day: one row per UTC day. Automatic picks are recorded the first
+-- time a day is requested so past days stay stable; admins can schedule overrides.
+CREATE TABLE IF NOT EXISTS daily_quotes (
+  day DATE PRIMARY KEY,
+  quote_id BIGINT NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+  is_scheduled BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Public likes (separate from private favorites): one row per user per quote,
+-- so quotes.likes can't be inflated by liking twice
+CREATE TABLE IF NOT EXISTS quote_likes (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  quote_id BIGINT NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(user_id, quote_id)
+);
+
+-- Last counted view per user per quote, used to debounce quotes.views
+CREATE TABLE IF NOT EXISTS quote_views (
+  user_id TEXT NOT NULL,
+  quote_id BIGINT NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+  last_viewed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (user_id, quote_id)
+);
+
+-- Short-lived codes for moving an anonymous user's favorites and collections
+-- to another browser. Only accessed through the transfer code functions.
+CREATE TABLE IF NOT EXISTS transfer_codes (
+  code TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Managed tag vocabulary, edited in the admin panel's tag manager. Quotes can
+-- still use tags that aren't listed here.
+--   themes:       groups for keyword tag suggestions (TAG_DATABASE in tag-suggestions.js)
+--   ai_candidate: offered to the AI tagger (AI_TAG_CANDIDATES in ai-tagging.js)
+--   alias_of:     replaced by that tag whenever a quote is saved
+--   is_blocked:   dropped whenever a quote is saved, and never suggested
+CREATE TABLE IF NOT EXISTS tag_vocabulary (
+  name TEXT PRIMARY KEY CHECK (length(name) > 0 AND name = lower(trim(name))),
+  themes TEXT[] NOT NULL DEFAULT '{}',
+  ai_candidate BOOLEAN NOT NULL DEFAULT FALSE,
+  alias_of TEXT REFERENCES tag_vocabulary(name) ON UPDATE CASCADE ON DELETE CASCADE,
+  is_blocked BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (alias_of IS NULL OR alias_of <> name),
+  CHECK (NOT (is_blocked AND alias_of IS NOT NULL))
+);
+
+-- Who can use the admin panel. Each role includes the ones before it:
+--   moderator: review submissions (approve/reject) and see moderation stats
+--   editor:    also edit quotes and tags, add quotes and schedule the Quote of the Day
+--   owner:     also delete quotes and manage admin_users
+-- Add the first owner from the SQL editor once they've signed up:
+--   INSERT INTO admin_users (user_id, role)
+--   SELECT id, 'owner' FROM auth.users WHERE email = 'you@example.com';
+CREATE TABLE IF NOT EXISTS admin_users (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('moderator', 'editor', 'owner')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Append-only history of quote changes, written by the log_quote_changes trigger.
+-- quote_id has no foreign key so history outlives deleted quotes.
+--   action: created, status (incl. rejection reason), tags, edit (text/author/category), deleted
+--   source: manual, ai or import (set per transaction with app.audit_source)
+CREATE TABLE IF NOT EXISTS quote_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  quote_id BIGINT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('created', 'status', 'tags', 'edit', 'deleted')),
+  source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'ai', 'import')),
+  changed_by UUID,
+  changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  old_values JSONB,
+  new_values JSONB
+);
+
+-- =============================================================================
+-- STEP 1b: UPGRADE A DATABASE BUILT WITH complete_setup_final.sql
+-- =============================================================================
+-- Its categories and quotes tables already exist, so the CREATE TABLE statements
+-- above skip them. Add what they're missing; on a new database this does nothing.
+
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS color TEXT CHECK (color ~ '^#[0-9a-fA-F]{6}$');
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS icon TEXT CHECK (char_length(icon) <= 8);
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS sort_order INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS fingerprint TEXT
+  GENERATED ALWAYS AS (regexp_replace(lower(text), '[^[:alnum:]]+', '', 'g')) STORED;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS import_key TEXT;
+
+-- quotes.category only became a reference to categories(name) later: add the
+-- categories quotes use, matching existing ones case-insensitively, then the key
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conrelid = 'quotes'::regclass AND conname = 'quotes_category_fkey'
+  ) THEN
+    INSERT INTO categories (name)
+    SELECT DISTINCT ON (lower(q.category)) q.category FROM quotes q
+    WHERE NOT EXISTS (SELECT 1 FROM categories c WHERE lower(c.name) = lower(q.category))
+    ORDER BY lower(q.category), q.category;
+
+    UPDATE quotes q SET category = c.name
+    FROM categories c
+    WHERE lower(c.name) = lower(q.category) AND c.name <> q.category;
+
+    ALTER TABLE quotes ADD CONSTRAINT quotes_category_fkey
+      FOREIGN KEY (category) REFERENCES categories(name) ON UPDATE CASCADE;
+  END IF;
+END $$;
+
+-- Category names had no length limit. NOT VALID keeps longer names that are
+-- already there, including ones just added for quotes above (a row holding one
+-- has to be renamed before it can be changed), and checks every name written
+-- from now on.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conrelid = 'categories'::regclass AND conname = 'categories_name_length'
+  ) THEN
+    ALTER TABLE categories ADD CONSTRAINT categories_name_length CHECK (char_length(name) <= 50) NOT VALID;
+  END IF;
+END $$;
+
+-- The old search index left out the category that search_quotes() matches on
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM pg_indexes
+    WHERE indexname = 'idx_quotes_text_search' AND indexdef NOT LIKE '%category%'
+  ) THEN
+    DROP INDEX idx_quotes_text_search;
+  END IF;
+END $$;
+
+-- Functions whose arguments or results changed. CREATE OR REPLACE can't change
+-- a result type, and an old no-argument version would make calls ambiguous.
+DROP FUNCTION IF EXISTS get_all_categories();
+DROP FUNCTION IF EXISTS get_user_favorites(TEXT);
+DROP FUNCTION IF EXISTS get_moderation_stats();
+DROP FUNCTION IF EXISTS get_admin_quotes(TEXT, TEXT, TEXT, TEXT, DATE, DATE, BOOLEAN, TEXT, INTEGER, INTEGER);
+-- These didn't check whose collection they were changing
+DROP FUNCTION IF EXISTS add_quote_to_collection(BIGINT, BIGINT);
+DROP FUNCTION IF EXISTS remove_quote_from_collection(BIGINT, BIGINT);
+DROP FUNCTION IF EXISTS get_collection_quotes(BIGINT);
+DROP FUNCTION IF EXISTS delete_collection(BIGINT);
+
+-- Its policies let anyone read, add or change quotes and add categories. Policies
+-- are OR'ed together, so these would override the role checks in STEP 4.
+DROP POLICY IF EXISTS "Anyone can view all quotes (for admin panel)" ON quotes;
+DROP POLICY IF EXISTS "Anyone can insert quotes" ON quotes;
+DROP POLICY IF EXISTS "Users can update own quotes" ON quotes;
+DROP POLICY IF EXISTS "Users can delete own quotes" ON quotes;
+DROP POLICY IF EXISTS "Authenticated users can insert categories" ON categories;
+
+-- =============================================================================
+-- STEP 2: CREATE INDEXES
+-- =============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_quotes_category ON quotes(category);
+-- "Motivation" and "motivation" are the same category
+CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_name_lower ON categories(lower(name));
+CREATE INDEX IF NOT EXISTS idx_quotes_author ON quotes(author);
+CREATE INDEX IF NOT EXISTS idx_quotes_user_id ON quotes(user_id);
+CREATE INDEX IF NOT EXISTS idx_quotes_date_added ON quotes(date_added);
+CREATE INDEX IF NOT EXISTS idx_quotes_is_favorite ON quotes(is_favorite);
+CREATE INDEX IF NOT EXISTS idx_quotes_status ON quotes(status);
+-- Same expression as search_quotes() so the planner can use it
+CREATE INDEX IF NOT EXISTS idx_quotes_text_search ON quotes USING gin(to_tsvector('english', text || ' ' || author || ' ' || category));
+-- Duplicate detection: exact fingerprint matches and trigram similarity
+CREATE INDEX IF NOT EXISTS idx_quotes_fingerprint ON quotes(fingerprint);
+CREATE INDEX IF NOT EXISTS idx_quotes_text_trgm ON quotes USING gin(text gin_trgm_ops);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quotes_import_key ON quotes(import_key) WHERE import_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_user_favorites_user_id ON user_favorites(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_favorites_quote_id ON user_favorites(quote_id);
+CREATE INDEX IF NOT EXISTS idx_user_favorites_created_at ON user_favorites(created_at);
+CREATE INDEX IF NOT EXISTS idx_user_favorites_user_created ON user_favorites(user_id, created_at DESC);
+-- Collections indexes
+CREATE INDEX IF NOT EXISTS idx_collections_user_id ON collections(user_id);
+CREATE INDEX IF NOT EXISTS idx_collection_quotes_collection_id ON collection_quotes(collection_id);
+CREATE INDEX IF NOT EXISTS idx_collection_quotes_quote_id ON collection_quotes(quote_id);
+-- Engagement indexes
+CREATE INDEX IF NOT EXISTS idx_quote_likes_quote_id ON quote_likes(quote_id);
+CREATE INDEX IF NOT EXISTS idx_quote_likes_created_at ON quote_likes(created_at);
+
+-- Audit log indexes
+CREATE INDEX IF NOT EXISTS idx_quote_audit_log_quote_id ON quote_audit_log(quote_id, changed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_quote_audit_log_changed_at ON quote_audit_log(changed_at DESC);
+
+-- =============================================================================
+-- STEP 3: CREATE TRIGGERS
+-- =============================================================================
+
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- View/like counter updates aren't edits to the quote, and restore_backup()
+  -- keeps the timestamps from the backup
+  IF to_jsonb(NEW) - 'views' - 'likes' = to_jsonb(OLD) - 'views' - 'likes'
+    OR current_setting('app.restoring', true) = 'on' THEN
+    RETURN NEW;
+  END IF;
+
+  NEW.updated_at = NOW();
+  NEW.last_modified = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_quotes_updated_at ON quotes;
+CREATE TRIGGER update_quotes_updated_at 
+  BEFORE UPDATE ON quotes 
+  FOR EACH ROW 
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Lowercase and trim tags, replace aliases, drop blocked tags (and aliases of
+-- blocked tags) and duplicates, keeping the first occurrence.
+-- normalizeTags() in tag-suggestions.js does the same in the browser.
+CREATE OR REPLACE FUNCTION normalize_tags(p_tags TEXT[])
+RETURNS TEXT[] AS $$
+  SELECT ARRAY(
+    SELECT n.tag FROM (
+      SELECT COALESCE(v.alias_of, lower(trim(t.tag))) AS tag, t.position
+      FROM unnest(p_tags) WITH ORDINALITY AS t(tag, position)
+      LEFT JOIN tag_vocabulary v ON v.name = lower(trim(t.tag))
+      LEFT JOIN tag_vocabulary target ON target.name = v.alias_of
+      WHERE trim(t.tag) <> ''
+        AND NOT COALESCE(v.is_blocked, FALSE)
+        AND NOT COALESCE(target.is_blocked, FALSE)
+    ) n
+    GROUP BY n.tag
+    ORDER BY MIN(n.position)
+  );
+$$ LANGUAGE sql STABLE;
+
+-- Runs before update_quotes_updated_at (triggers fire in name order)
+CREATE OR REPLACE FUNCTION normalize_quote_tags()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.tags = normalize_tags(COALESCE(NEW.tags, '{}'));
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS normalize_quote_tags ON quotes;
+CREATE TRIGGER normalize_quote_tags 
+  BEFORE INSERT OR UPDATE OF tags ON quotes 
+  FOR EACH ROW 
+  EXECUTE FUNCTION normalize_quote_tags();
+
+-- collections has no last_modified column, so it needs its own trigger function
+CREATE OR REPLACE FUNCTION update_collections_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF current_setting('app.restoring', true) IS DISTINCT FROM 'on' THEN
+    NEW.updated_at = NOW();
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_collections_updated_at ON collections;
+CREATE TRIGGER update_collections_updated_at 
+  BEFORE UPDATE ON collections 
+  FOR EACH ROW 
+  EXECUTE FUNCTION update_collections_updated_at_column();
+
+-- Writes quote_audit_log. Callers set the source for their transaction with
+-- set_config('app.audit_source', 'ai', true); it defaults to 'manual'.
+-- View/like counter updates change none of the tracked columns, so they aren't logged.
+CREATE OR REPLACE FUNCTION log_quote_changes()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_source TEXT := COALESCE(NULLIF(current_setting('app.audit_source', true), ''), 'manual');
+  v_old JSONB := '{}'::JSONB;
+  v_new JSONB := '{}'::JSONB;
+  v_field TEXT;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO quote_audit_log (quote_id, action, source, changed_by, new_values)
+    VALUES (NEW.id, 'created', v_source, auth.uid(),
+      jsonb_build_object('text', NEW.text, 'author', NEW.author, 'category', NEW.category, 'tags', NEW.tags, 'status', NEW.status));
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    INSERT INTO quote_audit_log (quote_id, action, source, changed_by, old_values)
+    VALUES (OLD.id, 'deleted', v_source, auth.uid(),
+      jsonb_build_object('text', OLD.text, 'author', OLD.author, 'category', OLD.category, 'tags', OLD.tags, 'status', OLD.status));
+    RETURN OLD;
+  END IF;
+
+  IF NEW.status IS DISTINCT FROM OLD.status OR NEW.rejection_reason IS DISTINCT FROM OLD.rejection_reason THEN
+    INSERT INTO quote_audit_log (quote_id, action, source, changed_by, old_values, new_values)
+    VALUES (NEW.id, 'status', v_source, auth.uid(),
+      jsonb_build_object('status', OLD.status, 'rejection_reason', OLD.rejection_reason),
+      jsonb_build_object('status', NEW.status, 'rejection_reason', NEW.rejection_reason));
+  END IF;
+
+  IF NEW.tags IS DISTINCT FROM OLD.tags THEN
+    INSERT INTO quote_audit_log (quote_id, action, source, changed_by, old_values, new_values)
+    VALUES (NEW.id, 'tags', v_source, auth.uid(),
+      jsonb_build_object('tags', OLD.tags), jsonb_build_object('tags', NEW.tags));
+  END IF;
+
+  -- One 'edit' entry holding just the fields that changed
+  FOREACH v_field IN ARRAY ARRAY['text', 'author', 'category'] LOOP
+    IF to_jsonb(OLD) -> v_field IS DISTINCT FROM to_jsonb(NEW) -> v_field THEN
+      v_old := v_old || jsonb_build_object(v_field, to_jsonb(OLD) -> v_field);
+      v_new := v_new || jsonb_build_object(v_field, to_jsonb(NEW) -> v_field);
+    END IF;
+  END LOOP;
+
+  IF v_new <> '{}'::JSONB THEN
+    INSERT INTO quote_audit_log (quote_id, action, source, changed_by, old_values, new_values)
+    VALUES (NEW.id, 'edit', v_source, auth.uid(), v_old, v_new);
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS log_quote_changes ON quotes;
+CREATE TRIGGER log_quote_changes 
+  AFTER INSERT OR UPDATE OR DELETE ON quotes 
+  FOR EACH ROW 
+  EXECUTE FUNCTION log_quote_changes();
+
+-- The audit log is append-only, even for the table owner
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'quote_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_audit_log_changes ON quote_audit_log;
+CREATE TRIGGER prevent_audit_log_changes 
+  BEFORE UPDATE OR DELETE ON quote_audit_log 
+  FOR EACH ROW 
+  EXECUTE FUNCTION prevent_audit_log_changes();
+
+-- =============================================================================
+-- STEP 4: ENABLE RLS WITH ROLE-BASED ADMIN POLICIES
+-- =============================================================================
+
+ALTER TABLE quotes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_favorites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE collections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE collection_quotes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE daily_quotes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE quote_likes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE quote_views ENABLE ROW LEVEL SECURITY;
+ALTER TABLE transfer_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tag_vocabulary ENABLE ROW LEVEL SECURITY;
+ALTER TABLE admin_users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE quote_audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Admin role checks, used by the policies below and the moderation functions.
+-- SECURITY DEFINER so checking a role doesn't run into admin_users' own policies.
+CREATE OR REPLACE FUNCTION has_admin_role(p_min_role TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+  RETURN EXISTS (
+    SELECT 1 FROM admin_users au
+    WHERE au.user_id = auth.uid()
+      AND array_position(ARRAY['moderator', 'editor', 'owner'], au.role)
+          >= array_position(ARRAY['moderator', 'editor', 'owner'], p_min_role)
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION require_admin_role(p_min_role TEXT)
+RETURNS VOID AS $$
+BEGIN
+  IF NOT has_admin_role(p_min_role) THEN
+    RAISE EXCEPTION 'Unauthorized: % access required', p_min_role USING ERRCODE = '42501';
+  END IF;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Favorites, collections and likes are stored under a TEXT user ID: the browser's
+-- anonymous user_... ID, or a signed-in account's auth.uid(). The functions that
+-- take one check it first, so an account's data can only be used by that account.
+CREATE OR REPLACE FUNCTION require_own_user_id(p_user_id TEXT)
+RETURNS VOID AS $$
+BEGIN
+  IF NOT COALESCE(p_user_id LIKE 'user\_%' OR p_user_id = auth.uid()::TEXT, FALSE) THEN
+    RAISE EXCEPTION 'You can only use your own favorites and collections' USING ERRCODE = '42501';
+  END IF;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- The signed-in user's admin role, or NULL (used by the admin panel)
+CREATE OR REPLACE FUNCTION get_my_admin_role()
+RETURNS TEXT AS $$
+BEGIN
+  RETURN (SELECT au.role FROM admin_users au WHERE au.user_id = auth.uid());
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Quotes policies (only admins see submissions that aren't approved yet)
+DROP POLICY IF EXISTS "Approved quotes are viewable by everyone; admins see all" ON quotes;
+CREATE POLICY "Approved quotes are viewable by everyone; admins see all" 
+  ON quotes FOR SELECT 
+  USING (status = 'approved' OR has_admin_role('moderator'));
+
+DROP POLICY IF EXISTS "Anyone can submit quotes for review; editors can add approved quotes" ON quotes;
+CREATE POLICY "Anyone can submit quotes for review; editors can add approved quotes" 
+  ON quotes FOR INSERT 
+  WITH CHECK (status = 'pending' OR has_admin_role('editor'));
+
+-- Moderators approve and reject through approve_quote/reject_quote instead
+DROP POLICY IF EXISTS "Editors can update quotes" ON quotes;
+CREATE POLICY "Editors can update quotes" 
+  ON quotes FOR UPDATE 
+  USING (has_admin_role('editor'))
+  WITH CHECK (has_admin_role('editor'));
+
+DROP POLICY IF EXISTS "Owners can delete quotes" ON quotes;
+CREATE POLICY "Owners can delete quotes" 
+  ON quotes FOR DELETE 
+  USING (has_admin_role('owner'));
+
+-- Categories policies
+DROP POLICY IF EXISTS "Categories are viewable by everyone" ON categories;
+CREATE POLICY "Categories are viewable by everyone" 
+  ON categories FOR SELECT 
+  USING (true);
+
+-- Regular users can have accounts too, so being signed in isn't enough
+DROP POLICY IF EXISTS "Editors can insert categories" ON categories;
+CREATE POLICY "Editors can insert categories" 
+  ON categories FOR INSERT 
+  WITH CHECK (has_admin_role('editor'));
+
+-- Everyone loads the vocabulary for tag suggestions; changes go through merge_tags() and save_tag()
+DROP POLICY IF EXISTS "Tag vocabulary is viewable by everyone" ON tag_vocabulary;
+CREATE POLICY "Tag vocabulary is viewable by everyone" 
+  ON tag_vocabulary FOR SELECT 
+  USING (true);
+
+-- Deleting and merging go through delete_category(), which moves the quotes first
+DROP POLICY IF EXISTS "Editors can update categories" ON categories;
+CREATE POLICY "Editors can update categories" 
+  ON categories FOR UPDATE 
+  USING (has_admin_role('editor'))
+  WITH CHECK (has_admin_role('editor'));
+
+-- Admin users policies
+DROP POLICY IF EXISTS "Admins can view their own role; owners see everyone" ON admin_users;
+CREATE POLICY "Admins can view their own role; owners see everyone" 
+  ON admin_users FOR SELECT 
+  USING (user_id = auth.uid() OR has_admin_role('owner'));
+
+DROP POLICY IF EXISTS "Owners can manage admin roles" ON admin_users;
+CREATE POLICY "Owners can manage admin roles" 
+  ON admin_users FOR ALL 
+  USING (has_admin_role('owner'))
+  WITH CHECK (has_admin_role('owner'));
+
+-- Audit log: readable by admins, written only by the log_quote_changes trigger
+DROP POLICY IF EXISTS "Admins can view the audit log" ON quote_audit_log;
+CREATE POLICY "Admins can view the audit log" 
+  ON quote_audit_log FOR SELECT 
+  USING (has_admin_role('moderator'));
+
+-- Favorites and collections have no policies: they're only read and written
+-- through the SECURITY DEFINER functions below. An anonymous user's ID is all it
+-- takes to move their data (see the transfer code and account functions), so
+-- no query may list the user_id column. These drop the policies that used to
+-- let anyone read and change every row.
+DROP POLICY IF EXISTS "Users can view own favorites" ON user_favorites;
+DROP POLICY IF EXISTS "Users can insert own favorites" ON user_favorites;
+DROP POLICY IF EXISTS "Users can delete own favorites" ON user_favorites;
+DROP POLICY IF EXISTS "Users can view own collections" ON collections;
+DROP POLICY IF EXISTS "Users can insert own collections" ON collections;
+DROP POLICY IF EXISTS "Users can update own collections" ON collections;
+DROP POLICY IF EXISTS "Users can delete own collections" ON collections;
+DROP POLICY IF EXISTS "Users can view quotes in collections" ON collection_quotes;
+DROP POLICY IF EXISTS "Users can add quotes to collections" ON collection_quotes;
+DROP POLICY IF EXISTS "Users can remove quotes from collections" ON collection_quotes;
+
+-- Daily quotes policies (writes go through the SECURITY DEFINER functions)
+DROP POLICY IF EXISTS "Daily quotes are viewable by everyone" ON daily_quotes;
+CREATE POLICY "Daily quotes are viewable by everyone" 
+  ON daily_quotes FOR SELECT 
+  USING (true);
+
+-- Likes and views are only read and written through the engagement functions,
+-- since their rows hold user IDs too
+DROP POLICY IF EXISTS "Likes are viewable by everyone" ON quote_likes;
+
+-- =============================================================================
+-- STEP 5: CREATE FUNCTIONS (with TEXT user_id support)
+-- =============================================================================
+
+CREATE OR REPLACE FUNCTION search_quotes(search_term TEXT)
+RETURNS TABLE (
+  id BIGINT, text TEXT, author TEXT, category TEXT, tags TEXT[],
+  date_added TIMESTAMP WITH TIME ZONE, last_modified TIMESTAMP WITH TIME ZONE,
+  views INTEGER, likes INTEGER, is_favorite BOOLEAN, user_id UUID, rank REAL
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT q.id, q.text, q.author, q.category, q.tags, q.date_added, q.last_modified,
+    q.views, q.likes, q.is_favorite, q.user_id,
+    ts_rank(to_tsvector('english', q.text || ' ' || q.author || ' ' || q.category), plainto_tsquery('english', search_term)) as rank
+  FROM quotes q
+  WHERE q.status = 'approved' AND (
+    to_tsvector('english', q.text || ' ' || q.author || ' ' || q.category) @@ plainto_tsquery('english', search_term)
+    OR q.text ILIKE '%' || search_term || '%'
+    OR q.author ILIKE '%' || search_term || '%'
+    OR q.category ILIKE '%' || search_term || '%'
+    OR search_term = ANY(q.tags)
+  )
+  ORDER BY rank DESC, q.date_added DESC;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION get_quote_stats()
+RETURNS JSON AS $$
+DECLARE result JSON;
+BEGIN
+  SELECT json_build_object(
+    'totalQuotes', (SELECT COUNT(*) FROM quotes WHERE status = 'approved'),
+    'totalCategories', (SELECT COUNT(*) FROM categories),
+    'totalFavorites', (SELECT COUNT(*) FROM user_favorites),
+    'totalViews', (SELECT COALESCE(SUM(views), 0) FROM quotes),
+    'totalLikes', (SELECT COALESCE(SUM(likes), 0) FROM quotes),
+    'lastUpdated', (SELECT MAX(last_modified) FROM quotes)
+  ) INTO result;
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Every category, including ones without approved quotes yet.
+-- quote_count counts approved quotes only.
+CREATE OR REPLACE FUNCTION get_all_categories()
+RETURNS TABLE(id BIGINT, name TEXT, description TEXT, color TEXT, icon TEXT, sort_order INTEGER, quote_count BIGINT) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT c.id, c.name, c.description, c.color, c.icon, c.sort_order,
+    (SELECT COUNT(*) FROM quotes q WHERE q.category = c.name AND q.status = 'approved')
+  FROM categories c
+  ORDER BY c.sort_order, c.name;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Delete a category, moving its quotes (of every status) to p_reassign_to first.
+-- This is also how one category is merged into another. Without p_reassign_to,
+-- only a category that no quote uses can be deleted.
+CREATE OR REPLACE FUNCTION delete_category(p_category_id BIGINT, p_reassign_to BIGINT DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+  v_name TEXT;
+  v_target TEXT;
+  v_moved INTEGER := 0;
+BEGIN
+  PERFORM require_admin_role('editor');
+
+  SELECT c.name INTO v_name FROM categories c WHERE c.id = p_category_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Category not found: %', p_category_id;
+  END IF;
+
+  IF p_reassign_to IS NOT NULL THEN
+    IF p_reassign_to = p_category_id THEN
+      RAISE EXCEPTION 'A category cannot be merged into itself';
+    END IF;
+    SELECT c.name INTO v_target FROM categories c WHERE c.id = p_reassign_to;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Category not found: %', p_reassign_to;
+    END IF;
+
+    UPDATE quotes q SET category = v_target WHERE q.category = v_name;
+    GET DIAGNOSTICS v_moved = ROW_COUNT;
+  ELSIF EXISTS (SELECT 1 FROM quotes q WHERE q.category = v_name) THEN
+    RAISE EXCEPTION 'Category "%" still has quotes; choose a category to move them to', v_name;
+  END IF;
+
+  DELETE FROM categories c WHERE c.id = p_category_id;
+  RETURN v_moved;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Save the order of the category dropdowns: p_category_ids from first to last
+CREATE OR REPLACE FUNCTION reorder_categories(p_category_ids BIGINT[])
+RETURNS VOID AS $$
+BEGIN
+  PERFORM require_admin_role('editor');
+
+  UPDATE categories c SET sort_order = o.position
+  FROM unnest(p_category_ids) WITH ORDINALITY AS o(id, position)
+  WHERE c.id = o.id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_pending_quotes()
+RETURNS TABLE(id BIGINT, text TEXT, author TEXT, category TEXT, created_at TIMESTAMP WITH TIME ZONE) AS $$
+BEGIN
+  -- SECURITY DEFINER bypasses RLS, so check the caller's role first
+  PERFORM require_admin_role('moderator');
+
+  RETURN QUERY SELECT q.id, q.text, q.author, q.category, q.created_at FROM quotes q WHERE q.status = 'pending' ORDER BY q.created_at ASC;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION approve_quote(quote_id BIGINT)
+RETURNS VOID AS $$
+BEGIN
+  -- SECURITY DEFINER bypasses RLS, so check the caller's role first
+  PERFORM require_admin_role('moderator');
+
+  UPDATE quotes SET status = 'approved', reviewed_at = NOW(), reviewed_by = auth.uid() WHERE id = quote_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION reject_quote(quote_id BIGINT, reason TEXT DEFAULT NULL)
+RETURNS VOID AS $$
+BEGIN
+  -- SECURITY DEFINER bypasses RLS, so check the caller's role first
+  PERFORM require_admin_role('moderator');
+
+  UPDATE quotes SET status = 'rejected', reviewed_at = NOW(), reviewed_by = auth.uid(), rejection_reason = reason WHERE id = quote_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Undo for the admin review mode: put an approved or rejected quote back in the queue
+CREATE OR REPLACE FUNCTION return_quote_to_pending(p_quote_id BIGINT)
+RETURNS VOID AS $$
+BEGIN
+  -- SECURITY DEFINER bypasses RLS, so check the caller's role first
+  PERFORM require_admin_role('moderator');
+
+  UPDATE quotes SET status = 'pending', reviewed_at = NULL, reviewed_by = NULL, rejection_reason = NULL WHERE id = p_quote_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Bulk moderation: one UPDATE for the whole selection, with a result row per
+-- requested quote so the admin panel can report what happened to each
+CREATE OR REPLACE FUNCTION approve_quotes(p_quote_ids BIGINT[])
+RETURNS TABLE(quote_id BIGINT, success BOOLEAN, message TEXT) AS $$
+BEGIN
+  PERFORM require_admin_role('moderator');
+
+  RETURN QUERY
+  WITH requested AS (
+    SELECT DISTINCT unnest(p_quote_ids) AS id
+  ),
+  updated AS (
+    UPDATE quotes q SET status = 'approved', reviewed_at = NOW(), reviewed_by = auth.uid()
+    FROM requested r
+    WHERE q.id = r.id AND q.status <> 'approved'
+    RETURNING q.id
+  )
+  SELECT r.id, u.id IS NOT NULL,
+    CASE
+      WHEN u.id IS NOT NULL THEN 'Approved'
+      WHEN EXISTS (SELECT 1 FROM quotes q WHERE q.id = r.id) THEN 'Already approved'
+      ELSE 'Quote not found'
+    END
+  FROM requested r LEFT JOIN updated u ON u.id = r.id
+  ORDER BY r.id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION reject_quotes(p_quote_ids BIGINT[], p_reason TEXT DEFAULT NULL)
+RETURNS TABLE(quote_id BIGINT, success BOOLEAN, message TEXT) AS $$
+BEGIN
+  PERFORM require_admin_role('moderator');
+
+  RETURN QUERY
+  WITH requested AS (
+    SELECT DISTINCT unnest(p_quote_ids) AS id
+  ),
+  updated AS (
+    UPDATE quotes q SET status = 'rejected', reviewed_at = NOW(), reviewed_by = auth.uid(), rejection_reason = p_reason
+    FROM requested r
+    WHERE q.id = r.id AND q.status <> 'rejected'
+    RETURNING q.id
+  )
+  SELECT r.id, u.id IS NOT NULL,
+    CASE
+      WHEN u.id IS NOT NULL THEN 'Rejected'
+      WHEN EXISTS (SELECT 1 FROM quotes q WHERE q.id = r.id) THEN 'Already rejected'
+      ELSE 'Quote not found'
+    END
+  FROM requested r LEFT JOIN updated u ON u.id = r.id
+  ORDER BY r.id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Filters of the admin quotes list, shared by get_admin_quotes and
+-- get_moderation_stats so the tab counts always match the list.
+-- NULL filters match everything; the search matches text or author.
+CREATE OR REPLACE FUNCTION filter_admin_quotes(
+  p_search TEXT,
+  p_category TEXT,
+  p_tag TEXT,
+  p_from DATE,
+  p_to DATE,
+  p_untagged BOOLEAN
+)
+RETURNS SETOF quotes AS $$
+  SELECT q.* FROM quotes q
+  WHERE (p_search IS NULL
+      OR q.text ILIKE '%' || p_search || '%'
+      OR q.author ILIKE '%' || p_search || '%')
+    AND (p_category IS NULL OR q.category = p_category)
+    AND (p_tag IS NULL OR p_tag = ANY(q.tags))
+    AND (p_from IS NULL OR q.created_at >= p_from)
+    AND (p_to IS NULL OR q.created_at < p_to + 1)
+    AND (NOT COALESCE(p_untagged, FALSE) OR COALESCE(cardinality(q.tags), 0) = 0);
+$$ LANGUAGE sql STABLE;
+
+-- Only for the admin RPCs below, which check the caller's role first
+REVOKE EXECUTE ON FUNCTION filter_admin_quotes(TEXT, TEXT, TEXT, DATE, DATE, BOOLEAN) FROM PUBLIC, anon, authenticated;
+
+-- One page of the admin quotes list: { total, quotes }. total is the number of
+-- matching quotes across all pages, so it's there even when a page is empty.
+-- Pending quotes carry the quote they most likely duplicate (an approved one, or
+-- a pending one submitted earlier), if any.
+CREATE OR REPLACE FUNCTION get_admin_quotes(
+  p_status TEXT DEFAULT NULL,
+  p_search TEXT DEFAULT NULL,
+  p_category TEXT DEFAULT NULL,
+  p_tag TEXT DEFAULT NULL,
+  p_from DATE DEFAULT NULL,
+  p_to DATE DEFAULT NULL,
+  p_untagged BOOLEAN DEFAULT FALSE,
+  p_sort TEXT DEFAULT 'created_desc',
+  p_limit INTEGER DEFAULT 25,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_result JSONB;
+BEGIN
+  PERFORM require_admin_role('moderator');
+
+  WITH matching AS (
+    SELECT f.*,
+      ROW_NUMBER() OVER (ORDER BY
+        CASE WHEN p_sort = 'created_asc' THEN f.created_at END ASC,
+        CASE WHEN p_sort = 'reviewed_desc' THEN f.reviewed_at END DESC NULLS LAST,
+        CASE WHEN p_sort = 'views_desc' THEN f.views END DESC NULLS LAST,
+        CASE WHEN p_sort = 'likes_desc' THEN f.likes END DESC NULLS LAST,
+        f.created_at DESC, f.id DESC) AS position
+    FROM filter_admin_quotes(p_search, p_category, p_tag, p_from, p_to, p_untagged) f
+    WHERE p_status IS NULL OR f.status = p_status
+  ), page AS (
+    SELECT m.position, m.id, m.text, m.author, m.category, m.tags, m.views, m.likes, m.created_at, m.status,
+      m.reviewed_at, m.rejection_reason, d.id AS duplicate_of_id, d.similarity AS duplicate_similarity
+    FROM matching m
+    LEFT JOIN LATERAL (
+      SELECT c.id, similarity(c.text, m.text) AS similarity
+      FROM quotes c
+      WHERE m.status = 'pending'
+        AND c.id <> m.id
+        AND (c.status = 'approved' OR (c.status = 'pending' AND c.id < m.id))
+        AND (c.fingerprint = m.fingerprint OR similarity(c.text, m.text) >= 0.6)
+      ORDER BY (c.fingerprint = m.fingerprint) DESC, similarity(c.text, m.text) DESC
+      LIMIT 1
+    ) d ON TRUE
+    WHERE m.position > GREATEST(p_offset, 0)
+      AND m.position <= GREATEST(p_offset, 0) + LEAST(GREATEST(p_limit, 1), 100)
+  )
+  SELECT jsonb_build_object(
+    'total', (SELECT COUNT(*) FROM matching),
+    'quotes', COALESCE((SELECT jsonb_agg(to_jsonb(p) - 'position' ORDER BY p.position) FROM page p), '[]')
+  ) INTO v_result;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Existing quotes that a text repeats: the same fingerprint, or trigram
+-- similarity of at least 0.6. Submitters only see approved quotes;
+-- moderators also see pending ones.
+CREATE OR REPLACE FUNCTION find_similar_quotes(p_text TEXT, p_exclude_id BIGINT DEFAULT NULL, p_limit INTEGER DEFAULT 3)
+RETURNS TABLE(id BIGINT, text TEXT, author TEXT, status TEXT, similarity REAL, exact BOOLEAN) AS $$
+DECLARE
+  v_fingerprint TEXT := regexp_replace(lower(COALESCE(p_text, '')), '[^[:alnum:]]+', '', 'g');
+  v_include_pending BOOLEAN := has_admin_role('moderator');
+BEGIN
+  -- Shorter texts match too much by chance
+  IF length(v_fingerprint) < 10 THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  SELECT q.id, q.text, q.author, q.status, similarity(q.text, p_text), q.fingerprint = v_fingerprint
+  FROM quotes q
+  WHERE (q.status = 'approved' OR (v_include_pending AND q.status = 'pending'))
+    AND (p_exclude_id IS NULL OR q.id <> p_exclude_id)
+    AND (q.fingerprint = v_fingerprint OR similarity(q.text, p_text) >= 0.6)
+  ORDER BY (q.fingerprint = v_fingerprint) DESC, similarity(q.text, p_text) DESC
+  LIMIT LEAST(GREATEST(p_limit, 1), 10);
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Merge & reject: add the duplicate's tags to the original (up to 10), then
+-- reject the duplicate with a reason pointing at the original
+CREATE OR REPLACE FUNCTION merge_duplicate_quote(p_duplicate_id BIGINT, p_original_id BIGINT)
+RETURNS VOID AS $$
+DECLARE
+  v_duplicate_tags TEXT[];
+BEGIN
+  PERFORM require_admin_role('moderator');
+
+  IF p_duplicate_id = p_original_id THEN
+    RAISE EXCEPTION 'A quote cannot be merged into itself';
+  END IF;
+
+  SELECT q.tags INTO v_duplicate_tags FROM quotes q WHERE q.id = p_duplicate_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Quote not found: %', p_duplicate_id;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM quotes q WHERE q.id = p_original_id) THEN
+    RAISE EXCEPTION 'Quote not found: %', p_original_id;
+  END IF;
+
+  UPDATE quotes q SET tags = ARRAY(
+    SELECT t.tag
+    FROM unnest(COALESCE(q.tags, '{}') || COALESCE(v_duplicate_tags, '{}')) WITH ORDINALITY AS t(tag, n)
+    GROUP BY t.tag
+    ORDER BY MIN(t.n)
+    LIMIT 10
+  )
+  WHERE q.id = p_original_id;
+
+  UPDATE quotes q SET status = 'rejected', reviewed_at = NOW(), reviewed_by = auth.uid(),
+    rejection_reason = 'Duplicate of #' || p_original_id
+  WHERE q.id = p_duplicate_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Counts for the stats cards and status tabs, with the same filters as get_admin_quotes
+CREATE OR REPLACE FUNCTION get_moderation_stats(
+  p_search TEXT DEFAULT NULL,
+  p_category TEXT DEFAULT NULL,
+  p_tag TEXT DEFAULT NULL,
+  p_from DATE DEFAULT NULL,
+  p_to DATE DEFAULT NULL,
+  p_untagged BOOLEAN DEFAULT FALSE
+)
+RETURNS JSON AS $$
+DECLARE result JSON;
+BEGIN
+  -- SECURITY DEFINER bypasses RLS, so check the caller's role first
+  PERFORM require_admin_role('moderator');
+
+  SELECT json_build_object(
+    'pending', COUNT(*) FILTER (WHERE f.status = 'pending'),
+    'approved', COUNT(*) FILTER (WHERE f.status = 'approved'),
+    'rejected', COUNT(*) FILTER (WHERE f.status = 'rejected'),
+    'total', COUNT(*),
+    'views', COALESCE(SUM(f.views), 0),
+    'likes', COALESCE(SUM(f.likes), 0)
+  ) INTO result
+  FROM filter_admin_quotes(p_search, p_category, p_tag, p_from, p_to, p_untagged) f;
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Add quotes from the admin importer (quote-import.js), recorded in the audit
+-- log with the source 'import'. p_quotes is a JSON array of
+-- {"text": "...", "author": "...", "category": "...", "tags": [...], "status": "...", "import_key": "..."}.
+-- A row that can't be inserted (e.g. an unknown category) is reported without
+-- stopping the others; row_index is its position in p_quotes, from 0.
+-- import_key is unique to each row of an import job: a row whose key is already
+-- on a quote was imported by an earlier call (e.g. one whose response was lost)
+-- and returns that quote instead of adding another.
+CREATE OR REPLACE FUNCTION import_quotes(p_quotes JSONB)
+RETURNS TABLE(row_index INTEGER, quote_id BIGINT, success BOOLEAN, message TEXT) AS $$
+DECLARE
+  v_row RECORD;
+  v_status TEXT;
+  v_import_key TEXT;
+BEGIN
+  PERFORM require_admin_role('editor');
+
+  PERFORM set_config('app.audit_source', 'import', true);
+
+  FOR v_row IN
+    SELECT e.value, (e.position - 1)::INTEGER AS position
+    FROM jsonb_array_elements(p_quotes) WITH ORDINALITY AS e(value, position)
+  LOOP
+    row_index := v_row.position;
+    v_status := COALESCE(NULLIF(v_row.value ->> 'status', ''), 'pending');
+    v_import_key := NULLIF(v_row.value ->> 'import_key', '');
+
+    SELECT q.id INTO quote_id FROM quotes q WHERE q.import_key = v_import_key;
+    IF FOUND THEN
+      success := TRUE;
+      message := 'Already imported';
+      RETURN NEXT;
+      CONTINUE;
+    END IF;
+
+    BEGIN
+      INSERT INTO quotes (text, author, category, tags, status, reviewed_by, reviewed_at, import_key)
+      VALUES (
+        trim(v_row.value ->> 'text'),
+        trim(v_row.value ->> 'author'),
+        v_row.value ->> 'category',
+        ARRAY(SELECT jsonb_array_elements_text(COALESCE(v_row.value -> 'tags', '[]'::JSONB))),
+        v_status,
+        CASE WHEN v_status <> 'pending' THEN auth.uid() END,
+        CASE WHEN v_status <> 'pending' THEN NOW() END,
+        v_import_key
+      )
+      RETURNING quotes.id INTO quote_id;
+
+      success := TRUE;
+      message := 'Imported';
+    EXCEPTION WHEN OTHERS THEN
+      quote_id := NULL;
+      success := FALSE;
+      message := SQLERRM;
+    END;
+
+    RETURN NEXT;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =============================================================================
+-- Backup and Restore RPC Functions
+-- =============================================================================
+
+-- Everything needed to rebuild the content elsewhere, as one versioned JSON
+-- bundle (see backup.js). Favorites are private to each visitor, so only the
+-- number of favorites per quote is included. The generated fingerprint column,
+-- import keys, the audit log and the like/view history stay behind.
+CREATE OR REPLACE FUNCTION export_backup()
+RETURNS JSONB AS $$
+BEGIN
+  PERFORM require_admin_role('owner');
+
+  RETURN jsonb_build_object(
+    'format', 'inspireme-backup',
+    'version', 1,
+    'exported_at', NOW(),
+    'categories', COALESCE((SELECT jsonb_agg(to_jsonb(c) ORDER BY c.id) FROM categories c), '[]'),
+    'tag_vocabulary', COALESCE((SELECT jsonb_agg(to_jsonb(v) ORDER BY v.name) FROM tag_vocabulary v), '[]'),
+    'quotes', COALESCE((SELECT jsonb_agg(to_jsonb(q) - 'fingerprint' - 'import_key' ORDER BY q.id) FROM quotes q), '[]'),
+    'collections', COALESCE((
+      SELECT jsonb_agg(to_jsonb(c) || jsonb_build_object('quote_ids', COALESCE((
+        SELECT jsonb_agg(cq.quote_id ORDER BY cq.added_at, cq.id)
+        FROM collection_quotes cq WHERE cq.collection_id = c.id
+      ), '[]')) ORDER BY c.id)
+      FROM collections c
+    ), '[]'),
+    'favorite_counts', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('quote_id', f.quote_id, 'count', f.count) ORDER BY f.quote_id)
+      FROM (SELECT uf.quote_id, COUNT(*) AS count FROM user_favorites uf GROUP BY uf.quote_id) f
+    ), '[]')
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Restore a bundle from export_backup(). Categories, quotes and collections are
+-- upserted by ID and tags by name, in that order so references resolve; nothing
+-- is deleted. Favorite counts are informational and aren't restored. With
+-- p_dry_run everything is written and then rolled back, so the counts and any
+-- errors are exactly what a real restore would give.
+CREATE OR REPLACE FUNCTION restore_backup(p_bundle JSONB, p_dry_run BOOLEAN DEFAULT TRUE)
+RETURNS TABLE(entity TEXT, inserted INTEGER, updated INTEGER) AS $$
+DECLARE
+  v_entities TEXT[] := '{}';
+  v_inserted INTEGER[] := '{}';
+  v_updated INTEGER[] := '{}';
+  v_new INTEGER;
+  v_changed INTEGER;
+BEGIN
+  PERFORM require_admin_role('owner');
+
+  IF p_bundle ->> 'format' IS DISTINCT FROM 'inspireme-backup' THEN
+    RAISE EXCEPTION 'This file is not an InspireMe backup';
+  END IF;
+  IF p_bundle ->> 'version' IS DISTINCT FROM '1' THEN
+    RAISE EXCEPTION 'Unsupported backup version: %', p_bundle ->> 'version';
+  END IF;
+
+  -- Restored quotes keep their timestamps and show up in the audit log as imports
+  PERFORM set_config('app.restoring', 'on', true);
+  PERFORM set_config('app.audit_source', 'import', true);
+
+  BEGIN
+    -- xmax = 0 on a returned row means it was inserted rather than updated
+    WITH upserted AS (
+      INSERT INTO categories (id, name, description, color, icon, sort_order, created_at)
+      SELECT r.id, r.name, r.description, r.color, r.icon, COALESCE(r.sort_order, 0), COALESCE(r.created_at, NOW())
+      FROM jsonb_to_recordset(COALESCE(p_bundle -> 'categories', '[]')) AS r(
+        id BIGINT, name TEXT, description TEXT, color TEXT, icon TEXT, sort_order INTEGER, created_at TIMESTAMPTZ)
+      ON CONFLICT (id) DO UPDATE SET
+        name = EXCLUDED.name, description = EXCLUDED.description, color = EXCLUDED.color,
+        icon = EXCLUDED.icon, sort_order = EXCLUDED.sort_order
+      RETURNING (xmax = 0) AS is_new
+    )
+    SELECT COUNT(*) FILTER (WHERE u.is_new), COUNT(*) FILTER (WHERE NOT u.is_new) INTO v_new, v_changed FROM upserted u;
+    v_entities := v_entities || 'categories'::TEXT;
+    v_inserted := v_inserted || v_new;
+    v_updated := v_updated || v_changed;
+
+    -- Aliases point at other rows, so they're linked once every tag exists
+    WITH upserted AS (
+      INSERT INTO tag_vocabulary (name, themes, ai_candidate, is_blocked, created_at)
+      SELECT r.name, COALESCE(r.themes, '{}'), COALESCE(r.ai_candidate, FALSE), COALESCE(r.is_blocked, FALSE), COALESCE(r.created_at, NOW())
+      FROM jsonb_to_recordset(COALESCE(p_bundle -> 'tag_vocabulary', '[]')) AS r(
+        name TEXT, themes TEXT[], ai_candidate BOOLEAN, is_blocked BOOLEAN, created_at TIMESTAMPTZ)
+      ON CONFLICT (name) DO UPDATE SET
+        themes = EXCLUDED.themes, ai_candidate = EXCLUDED.ai_candidate,
+        is_blocked = EXCLUDED.is_blocked, alias_of = NULL
+      RETURNING (xmax = 0) AS is_new
+    )
+    SELECT COUNT(*) FILTER (WHERE u.is_new), COUNT(*) FILTER (WHERE NOT u.is_new) INTO v_new, v_changed FROM upserted u;
+
+    UPDATE tag_vocabulary v SET alias_of = r.alias_of
+    FROM jsonb_to_recordset(COALESCE(p_bundle -> 'tag_vocabulary', '[]')) AS r(name TEXT, alias_of TEXT)
+    WHERE v.name = r.name AND r.alias_of IS NOT NULL;
+
+    v_entities := v_entities || 'tag_vocabulary'::TEXT;
+    v_inserted := v_inserted || v_new;
+    v_updated := v_updated || v_changed;
+
+    -- Submitters and reviewers from another project don't exist here
+    WITH upserted AS (
+      INSERT INTO quotes (id, text, author, category, tags, status, date_added, last_modified, views, likes,
+        is_favorite, user_id, created_at, updated_at, reviewed_by, reviewed_at, rejection_reason)
+      SELECT r.id, r.text, r.author, r.category, COALESCE(r.tags, '{}'), COALESCE(r.status, 'pending'),
+        COALESCE(r.date_added, NOW()), COALESCE(r.last_modified, NOW()), COALESCE(r.views, 0), COALESCE(r.likes, 0),
+        COALESCE(r.is_favorite, FALSE),
+        (SELECT au.id FROM auth.users au WHERE au.id = r.user_id),
+        COALESCE(r.created_at, NOW()), COALESCE(r.updated_at, NOW()),
+        (SELECT au.id FROM auth.users au WHERE au.id = r.reviewed_by),
+        r.reviewed_at, r.rejection_reason
+      FROM jsonb_to_recordset(COALESCE(p_bundle -> 'quotes', '[]')) AS r(
+        id BIGINT, text TEXT, author TEXT, category TEXT, tags TEXT[], status TEXT,
+        date_added TIMESTAMPTZ, last_modified TIMESTAMPTZ, views INTEGER, likes INTEGER,
+        is_favorite BOOLEAN, user_id UUID, created_at TIMESTAMPTZ, updated_at TIMESTAMPTZ,
+        reviewed_by UUID, reviewed_at TIMESTAMPTZ, rejection_reason TEXT)
+      ON CONFLICT (id) DO UPDATE SET
+        text = EXCLUDED.text, author = EXCLUDED.author, category = EXCLUDED.category, tags = EXCLUDED.tags,
+        status = EXCLUDED.status, date_added = EXCLUDED.date_added, last_modified = EXCLUDED.last_modified,
+        views = EXCLUDED.views, likes = EXCLUDED.likes, is_favorite = EXCLUDED.is_favorite,
+        user_id = EXCLUDED.user_id, updated_at = EXCLUDED.updated_at, reviewed_by = EXCLUDED.reviewed_by,
+        reviewed_at = EXCLUDED.reviewed_at, rejection_reason = EXCLUDED.rejection_reason
+      RETURNING (xmax = 0) AS is_new
+    )
+    SELECT COUNT(*) FILTER (WHERE u.is_new), COUNT(*) FILTER (WHERE NOT u.is_new) INTO v_new, v_changed FROM upserted u;
+    v_entities := v_entities || 'quotes'::TEXT;
+    v_inserted := v_inserted || v_new;
+    v_updated := v_updated || v_changed;
+
+    WITH upserted AS (
+      INSERT INTO collections (id, user_id, name, description, color, icon, is_default, created_at, updated_at)
+      SELECT r.id, r.user_id, r.name, r.description, COALESCE(r.color, '#667eea'), COALESCE(r.icon, '📁'),
+        COALESCE(r.is_default, FALSE), COALESCE(r.created_at, NOW()), COALESCE(r.updated_at, NOW())
+      FROM jsonb_to_recordset(COALESCE(p_bundle -> 'collections', '[]')) AS r(
+        id BIGINT, user_id TEXT, name TEXT, description TEXT, color TEXT, icon TEXT, is_default BOOLEAN,
+        created_at TIMESTAMPTZ, updated_at TIMESTAMPTZ)
+      ON CONFLICT (id) DO UPDATE SET
+        user_id = EXCLUDED.user_id, name = EXCLUDED.name, description = EXCLUDED.description,
+        color = EXCLUDED.color, icon = EXCLUDED.icon, is_default = EXCLUDED.is_default,
+        updated_at = EXCLUDED.updated_at
+      RETURNING (xmax = 0) AS is_new
+    )
+    SELECT COUNT(*) FILTER (WHERE u.is_new), COUNT(*) FILTER (WHERE NOT u.is_new) INTO v_new, v_changed FROM upserted u;
+    v_entities := v_entities || 'collections'::TEXT;
+    v_inserted := v_inserted || v_new;
+    v_updated := v_updated || v_changed;
+
+    -- Quotes already in a collection stay; missing ones are added back
+    INSERT INTO collection_quotes (collection_id, quote_id)
+    SELECT (c.value ->> 'id')::BIGINT, cq.quote_id::BIGINT
+    FROM jsonb_array_elements(COALESCE(p_bundle -> 'collections', '[]')) AS c,
+      jsonb_array_elements_text(COALESCE(c.value -> 'quote_ids', '[]')) AS cq(quote_id)
+    WHERE EXISTS (SELECT 1 FROM quotes q WHERE q.id = cq.quote_id::BIGINT)
+    ON CONFLICT (collection_id, quote_id) DO NOTHING;
+
+    GET DIAGNOSTICS v_new = ROW_COUNT;
+    v_entities := v_entities || 'collection_quotes'::TEXT;
+    v_inserted := v_inserted || v_new;
+    v_updated := v_updated || 0;
+
+    IF p_dry_run THEN
+      -- Undo everything above; the counts are kept in the variables
+      RAISE EXCEPTION 'dry run' USING ERRCODE = 'DRYRN';
+    END IF;
+  EXCEPTION WHEN SQLSTATE 'DRYRN' THEN
+    NULL;
+  END;
+
+  -- New IDs continue after the restored ones (sequences aren't rolled back, so not on a dry run)
+  IF NOT p_dry_run THEN
+    PERFORM setval(pg_get_serial_sequence('categories', 'id'), GREATEST((SELECT MAX(c.id) FROM categories c), 1));
+    PERFORM setval(pg_get_serial_sequence('quotes', 'id'), GREATEST((SELECT MAX(q.id) FROM quotes q), 1));
+    PERFORM setval(pg_get_serial_sequence('collections', 'id'), GREATEST((SELECT MAX(c.id) FROM collections c), 1));
+  END IF;
+
+  RETURN QUERY SELECT e.entity, e.inserted, e.updated
+  FROM unnest(v_entities, v_inserted, v_updated) AS e(entity, inserted, updated);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =============================================================================
+-- Tag Vocabulary RPC Functions
+-- =============================================================================
+
+-- Every tag that quotes use or the vocabulary lists, with how many quotes
+-- (of any status) use it
+CREATE OR REPLACE FUNCTION get_tag_usage()
+RETURNS TABLE(tag TEXT, quote_count BIGINT, themes TEXT[], ai_candidate BOOLEAN, alias_of TEXT, is_blocked BOOLEAN) AS $$
+BEGIN
+  PERFORM require_admin_role('editor');
+
+  RETURN QUERY
+  WITH usage AS (
+    SELECT t.tag, COUNT(*) AS quote_count
+    FROM quotes q, unnest(q.tags) AS t(tag)
+    GROUP BY t.tag
+  )
+  SELECT COALESCE(u.tag, v.name), COALESCE(u.quote_count, 0), COALESCE(v.themes, '{}'),
+    COALESCE(v.ai_candidate, FALSE), v.alias_of, COALESCE(v.is_blocked, FALSE)
+  FROM usage u
+  FULL JOIN tag_vocabulary v ON v.name = u.tag
+  ORDER BY 2 DESC, 1;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Merge tags into one; renaming a tag is merging it into a new name.
+-- Quotes get p_into in place of the old tags. With p_keep_aliases the old
+-- names become aliases of p_into, so they're replaced on later saves too.
+CREATE OR REPLACE FUNCTION merge_tags(p_tags TEXT[], p_into TEXT, p_keep_aliases BOOLEAN DEFAULT TRUE)
+RETURNS INTEGER AS $$
+DECLARE
+  v_into TEXT := lower(trim(p_into));
+  v_from TEXT[];
+  v_updated INTEGER;
+BEGIN
+  PERFORM require_admin_role('editor');
+
+  IF COALESCE(v_into, '') = '' THEN
+    RAISE EXCEPTION 'Choose a tag to merge into';
+  END IF;
+
+  v_from := ARRAY(
+    SELECT DISTINCT lower(trim(t.tag)) FROM unnest(p_tags) AS t(tag)
+    WHERE lower(trim(t.tag)) NOT IN ('', v_into)
+  );
+  IF cardinality(v_from) = 0 THEN
+    RETURN 0;
+  END IF;
+
+  -- The target is a regular tag from now on
+  INSERT INTO tag_vocabulary (name) VALUES (v_into)
+  ON CONFLICT (name) DO UPDATE SET alias_of = NULL, is_blocked = FALSE;
+
+  -- Aliases of the merged tags move to the target
+  UPDATE tag_vocabulary v SET alias_of = v_into WHERE v.alias_of = ANY(v_from);
+
+  IF p_keep_aliases THEN
+    INSERT INTO tag_vocabulary (name, alias_of)
+    SELECT f.tag, v_into FROM unnest(v_from) AS f(tag)
+    ON CONFLICT (name) DO UPDATE SET alias_of = EXCLUDED.alias_of, is_blocked = FALSE,
+      ai_candidate = FALSE, themes = '{}';
+  ELSE
+    DELETE FROM tag_vocabulary v WHERE v.name = ANY(v_from);
+  END IF;
+
+  -- normalize_quote_tags drops the duplicates this can create
+  UPDATE quotes q SET tags = ARRAY(
+    SELECT CASE WHEN t.tag = ANY(v_from) THEN v_into ELSE t.tag END
+    FROM unnest(q.tags) WITH ORDINALITY AS t(tag, position)
+    ORDER BY t.position
+  )
+  WHERE q.tags && v_from;
+
+  GET DIAGNOSTICS v_updated = ROW_COUNT;
+  RETURN v_updated;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Make a tag an alias of another (p_alias_of NULL for none), block or unblock
+-- it, and offer it to the AI tagger or not (p_ai_candidate NULL leaves that as
+-- is). Quotes using a tag that becomes an alias or blocked are re-saved so the
+-- change applies to them as well. Returns the number of quotes changed.
+CREATE OR REPLACE FUNCTION save_tag(p_tag TEXT, p_alias_of TEXT DEFAULT NULL, p_is_blocked BOOLEAN DEFAULT FALSE, p_ai_candidate BOOLEAN DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+  v_tag TEXT := lower(trim(p_tag));
+  v_alias_of TEXT := NULLIF(lower(trim(p_alias_of)), '');
+  v_plain BOOLEAN := v_alias_of IS NULL AND NOT COALESCE(p_is_blocked, FALSE);
+  v_updated INTEGER := 0;
+BEGIN
+  PERFORM require_admin_role('editor');
+
+  IF COALESCE(v_tag, '') = '' THEN
+    RAISE EXCEPTION 'Tag name is required';
+  END IF;
+
+  IF v_alias_of IS NOT NULL THEN
+    IF v_alias_of = v_tag THEN
+      RAISE EXCEPTION 'A tag cannot be an alias of itself';
+    END IF;
+    IF p_is_blocked THEN
+      RAISE EXCEPTION 'A blocked tag cannot also be an alias';
+    END IF;
+    IF EXISTS (SELECT 1 FROM tag_vocabulary v WHERE v.name = v_alias_of AND (v.alias_of IS NOT NULL OR v.is_blocked)) THEN
+      RAISE EXCEPTION '"%" is an alias or blocked; choose a regular tag', v_alias_of;
+    END IF;
+    IF EXISTS (SELECT 1 FROM tag_vocabulary v WHERE v.alias_of = v_tag) THEN
+      RAISE EXCEPTION '"%" has aliases of its own; merge it into "%" instead', v_tag, v_alias_of;
+    END IF;
+
+    INSERT INTO tag_vocabulary (name) VALUES (v_alias_of) ON CONFLICT (name) DO NOTHING;
+  END IF;
+
+  -- Aliases and blocked tags are never suggested, so they leave the suggestion lists
+  INSERT INTO tag_vocabulary (name, alias_of, is_blocked, ai_candidate)
+  VALUES (v_tag, v_alias_of, COALESCE(p_is_blocked, FALSE), v_plain AND COALESCE(p_ai_candidate, FALSE))
+  ON CONFLICT (name) DO UPDATE SET
+    alias_of = EXCLUDED.alias_of,
+    is_blocked = EXCLUDED.is_blocked,
+    ai_candidate = v_plain AND COALESCE(p_ai_candidate, tag_vocabulary.ai_candidate),
+    themes = CASE WHEN v_plain THEN tag_vocabulary.themes ELSE '{}' END;
+
+  IF NOT v_plain THEN
+    -- Assigning the tags again runs normalize_quote_tags
+    UPDATE quotes q SET tags = q.tags WHERE v_tag = ANY(q.tags);
+    GET DIAGNOSTICS v_updated = ROW_COUNT;
+  END IF;
+
+  RETURN v_updated;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =============================================================================
+-- Audit Log RPC Functions
+-- =============================================================================
+
+-- Replace a quote's tags, recording where the change came from (manual, ai, import)
+CREATE OR REPLACE FUNCTION update_quote_tags(p_quote_id BIGINT, p_tags TEXT[], p_source TEXT DEFAULT 'manual')
+RETURNS VOID AS $$
+BEGIN
+  PERFORM require_admin_role('editor');
+
+  PERFORM set_config('app.audit_source', p_source, true);
+  UPDATE quotes q SET tags = COALESCE(p_tags, '{}') WHERE q.id = p_quote_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Replace the tags of several quotes at once.
+-- p_updates is a JSON array of {"id": 1, "tags": ["wisdom", "life"]}.
+CREATE OR REPLACE FUNCTION update_quotes_tags(p_updates JSONB, p_source TEXT DEFAULT 'manual')
+RETURNS TABLE(quote_id BIGINT, success BOOLEAN, message TEXT) AS $$
+BEGIN
+  PERFORM require_admin_role('editor');
+
+  PERFORM set_config('app.audit_source', p_source, true);
+
+  RETURN QUERY
+  WITH requested AS (
+    SELECT (e.value ->> 'id')::BIGINT AS id,
+      ARRAY(SELECT jsonb_array_elements_text(e.value -> 'tags')) AS tags
+    FROM jsonb_array_elements(p_updates) e
+  ),
+  updated AS (
+    UPDATE quotes q SET tags = r.tags
+    FROM requested r
+    WHERE q.id = r.id
+    RETURNING q.id
+  )
+  SELECT r.id, u.id IS NOT NULL,
+    CASE WHEN u.id IS NOT NULL THEN 'Tags updated' ELSE 'Quote not found' END
+  FROM requested r LEFT JOIN updated u ON u.id = r.id
+  ORDER BY r.id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Admin quote editor. NULL arguments leave a field unchanged. The update only
+-- goes through if last_modified still matches what the editor loaded, so two
+-- admins editing the same quote can't silently overwrite each other.
+CREATE OR REPLACE FUNCTION edit_quote(
+  p_quote_id BIGINT,
+  p_expected_last_modified TIMESTAMP WITH TIME ZONE,
+  p_text TEXT DEFAULT NULL,
+  p_author TEXT DEFAULT NULL,
+  p_category TEXT DEFAULT NULL,
+  p_tags TEXT[] DEFAULT NULL,
+  p_status TEXT DEFAULT NULL
+)
+RETURNS TABLE(success BOOLEAN, message TEXT, last_modified TIMESTAMP WITH TIME ZONE) AS $$
+DECLARE
+  v_current TIMESTAMP WITH TIME ZONE;
+BEGIN
+  PERFORM require_admin_role('editor');
+
+  SELECT q.last_modified INTO v_current FROM quotes q WHERE q.id = p_quote_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT FALSE, 'Quote not found'::TEXT, NULL::TIMESTAMP WITH TIME ZONE;
+    RETURN;
+  END IF;
+
+  IF v_current IS DISTINCT FROM p_expected_last_modified THEN
+    RETURN QUERY SELECT FALSE, 'Changed by someone else'::TEXT, v_current;
+    RETURN;
+  END IF;
+
+  UPDATE quotes q SET
+    text = COALESCE(p_text, q.text),
+    author = COALESCE(p_author, q.author),
+    category = COALESCE(p_category, q.category),
+    tags = COALESCE(p_tags, q.tags),
+    status = COALESCE(p_status, q.status),
+    -- A status change counts as a review, like approve_quote/reject_quote
+    reviewed_at = CASE WHEN p_status IS NULL OR p_status = q.status THEN q.reviewed_at
+      WHEN p_status = 'pending' THEN NULL ELSE NOW() END,
+    reviewed_by = CASE WHEN p_status IS NULL OR p_status = q.status THEN q.reviewed_by
+      WHEN p_status = 'pending' THEN NULL ELSE auth.uid() END,
+    rejection_reason = CASE WHEN p_status = 'pending' THEN NULL ELSE q.rejection_reason END
+  WHERE q.id = p_quote_id
+  RETURNING q.last_modified INTO v_current;
+
+  RETURN QUERY SELECT TRUE, 'Saved'::TEXT, v_current;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- A quote's history, newest first
+CREATE OR REPLACE FUNCTION get_quote_history(p_quote_id BIGINT)
+RETURNS TABLE(id BIGINT, quote_id BIGINT, action TEXT, source TEXT, changed_by_email TEXT,
+  changed_at TIMESTAMP WITH TIME ZONE, old_values JSONB, new_values JSONB) AS $$
+BEGIN
+  PERFORM require_admin_role('moderator');
+
+  RETURN QUERY
+  SELECT l.id, l.quote_id, l.action, l.source, u.email::TEXT, l.changed_at, l.old_values, l.new_values
+  FROM quote_audit_log l LEFT JOIN auth.users u ON u.id = l.changed_by
+  WHERE l.quote_id = p_quote_id
+  ORDER BY l.changed_at DESC, l.id DESC;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Activity across all quotes, newest first. NULL filters match everything;
+-- p_actor matches part of the admin's email.
+CREATE OR REPLACE FUNCTION get_audit_log(
+  p_action TEXT DEFAULT NULL,
+  p_source TEXT DEFAULT NULL,
+  p_actor TEXT DEFAULT NULL,
+  p_limit INTEGER DEFAULT 50,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE(id BIGINT, quote_id BIGINT, quote_text TEXT, action TEXT, source TEXT, changed_by_email TEXT,
+  changed_at TIMESTAMP WITH TIME ZONE, old_values JSONB, new_values JSONB) AS $$
+BEGIN
+  PERFORM require_admin_role('moderator');
+
+  RETURN QUERY
+  SELECT l.id, l.quote_id, COALESCE(q.text, l.old_values ->> 'text'), l.action, l.source, u.email::TEXT,
+    l.changed_at, l.old_values, l.new_values
+  FROM quote_audit_log l
+  LEFT JOIN quotes q ON q.id = l.quote_id
+  LEFT JOIN auth.users u ON u.id = l.changed_by
+  WHERE (p_action IS NULL OR l.action = p_action)
+    AND (p_source IS NULL OR l.source = p_source)
+    AND (p_actor IS NULL OR u.email ILIKE '%' || p_actor || '%')
+  ORDER BY l.changed_at DESC, l.id DESC
+  LIMIT LEAST(GREATEST(p_limit, 1), 200) OFFSET GREATEST(p_offset, 0);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Favorites functions with TEXT user_id. SECURITY DEFINER, like the collections
+-- functions below, because user_favorites and collections have no policies;
+-- require_own_user_id() stands in for them.
+CREATE OR REPLACE FUNCTION add_favorite(p_user_id TEXT, p_quote_id BIGINT)
+RETURNS VOID AS $$
+BEGIN
+  PERFORM require_own_user_id(p_user_id);
+  INSERT INTO user_favorites (user_id, quote_id) VALUES (p_user_id, p_quote_id) ON CONFLICT (user_id, quote_id) DO NOTHING;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION remove_favorite(p_user_id TEXT, p_quote_id BIGINT)
+RETURNS VOID AS $$
+BEGIN
+  PERFORM require_own_user_id(p_user_id);
+  DELETE FROM user_favorites WHERE user_id = p_user_id AND quote_id = p_quote_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_user_favorites(p_user_id TEXT)
+RETURNS TABLE(id BIGINT, text TEXT, author TEXT, category TEXT, tags TEXT[], created_at TIMESTAMP WITH TIME ZONE, favorited_at TIMESTAMP WITH TIME ZONE) AS $$
+BEGIN
+  PERFORM require_own_user_id(p_user_id);
+  RETURN QUERY
+  SELECT q.id, q.text, q.author, q.category, q.tags, q.created_at, uf.created_at as favorited_at
+  FROM quotes q INNER JOIN user_favorites uf ON q.id = uf.quote_id
+  WHERE uf.user_id = p_user_id AND q.status = 'approved' ORDER BY uf.created_at DESC;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION is_quote_favorited(p_user_id TEXT, p_quote_id BIGINT)
+RETURNS BOOLEAN AS $$
+DECLARE result BOOLEAN;
+BEGIN
+  PERFORM require_own_user_id(p_user_id);
+  SELECT EXISTS(SELECT 1 FROM user_favorites WHERE user_id = p_user_id AND quote_id = p_quote_id) INTO result;
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =============================================================================
+-- Collections RPC Functions
+-- =============================================================================
+-- These functions support the Collections feature (organizing favorites
+-- into custom groups).
+
+-- Collections functions with TEXT user_id
+CREATE OR REPLACE FUNCTION create_collection(p_user_id TEXT, p_name TEXT, p_description TEXT DEFAULT NULL, p_color TEXT DEFAULT '#667eea', p_icon TEXT DEFAULT '📁')
+RETURNS BIGINT AS $$
+DECLARE collection_id BIGINT;
+BEGIN
+  PERFORM require_own_user_id(p_user_id);
+  INSERT INTO collections (user_id, name, description, color, icon) VALUES (p_user_id, p_name, p_description, p_color, p_icon) RETURNING id INTO collection_id;
+  RETURN collection_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_user_collections(p_user_id TEXT)
+RETURNS TABLE(id BIGINT, name TEXT, description TEXT, color TEXT, icon TEXT, quote_count BIGINT, created_at TIMESTAMP WITH TIME ZONE, updated_at TIMESTAMP WITH TIME ZONE) AS $$
+BEGIN
+  PERFORM require_own_user_id(p_user_id);
+  RETURN QUERY
+  SELECT c.id, c.name, c.description, c.color, c.icon, COUNT(cq.quote_id) as quote_count, c.created_at, c.updated_at
+  FROM collections c LEFT JOIN collection_quotes cq ON c.id = cq.collection_id
+  WHERE c.user_id = p_user_id GROUP BY c.id, c.name, c.description, c.color, c.icon, c.created_at, c.updated_at
+  ORDER BY c.created_at DESC;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION add_quote_to_collection(p_user_id TEXT, p_collection_id BIGINT, p_quote_id BIGINT)
+RETURNS VOID AS $$
+BEGIN
+  PERFORM require_own_user_id(p_user_id);
+  INSERT INTO collection_quotes (collection_id, quote_id)
+  SELECT c.id, p_quote_id FROM collections c WHERE c.id = p_collection_id AND c.user_id = p_user_id
+  ON CONFLICT (collection_id, quote_id) DO NOTHING;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION remove_quote_from_collection(p_user_id TEXT, p_collection_id BIGINT, p_quote_id BIGINT)
+RETURNS VOID AS $$
+BEGIN
+  PERFORM require_own_user_id(p_user_id);
+  DELETE FROM collection_quotes cq USING collections c
+  WHERE cq.collection_id = c.id AND c.id = p_collection_id AND c.user_id = p_user_id AND cq.quote_id = p_quote_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_collection_quotes(p_user_id TEXT, p_collection_id BIGINT)
+RETURNS TABLE(id BIGINT, text TEXT, author TEXT, category TEXT, added_at TIMESTAMP WITH TIME ZONE) AS $$
+BEGIN
+  PERFORM require_own_user_id(p_user_id);
+  RETURN QUERY
+  SELECT q.id, q.text, q.author, q.category, cq.added_at
+  FROM quotes q
+  INNER JOIN collection_quotes cq ON q.id = cq.quote_id
+  INNER JOIN collections c ON c.id = cq.collection_id
+  WHERE cq.collection_id = p_collection_id AND c.user_id = p_user_id AND q.status = 'approved'
+  ORDER BY cq.added_at DESC;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION delete_collection(p_user_id TEXT, p_collection_id BIGINT)
+RETURNS VOID AS $$
+BEGIN
+  PERFORM require_own_user_id(p_user_id);
+  DELETE FROM collections WHERE id = p_collection_id AND user_id = p_user_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Rename/recolor a collection; NULL parameters keep the current value
+CREATE OR REPLACE FUNCTION update_collection(p_user_id TEXT, p_collection_id BIGINT, p_name TEXT DEFAULT NULL, p_description TEXT DEFAULT NULL, p_color TEXT DEFAULT NULL, p_icon TEXT DEFAULT NULL)
+RETURNS VOID AS $$
+BEGIN
+  PERFORM require_own_user_id(p_user_id);
+  UPDATE collections SET
+    name = COALESCE(p_name, name),
+    description = COALESCE(p_description, description),
+    color = COALESCE(p_color, color),
+    icon = COALESCE(p_icon, icon)
+  WHERE id = p_collection_id AND user_id = p_user_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_quote_collection_ids(p_user_id TEXT, p_quote_id BIGINT)
+RETURNS SETOF BIGINT AS $$
+BEGIN
+  PERFORM require_own_user_id(p_user_id);
+  RETURN QUERY
+  SELECT c.id FROM collections c INNER JOIN collection_quotes cq ON c.id = cq.collection_id
+  WHERE c.user_id = p_user_id AND cq.quote_id = p_quote_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =============================================================================
+-- Quote of the Day RPC Functions
+-- =============================================================================
+-- Days are UTC dates so every visitor sees the same quote. Without a scheduled
+-- override, the quote is picked deterministically from approved quotes by hashing
+-- the date, then recorded in daily_quotes so the archive doesn't shift as new
+-- quotes are approved. Only the last 60 days (the archive) and today can be
+-- looked up, so anonymous callers can't fill daily_quotes with arbitrary dates.
+
+CREATE OR REPLACE FUNCTION get_quote_of_the_day(p_day DATE DEFAULT (NOW() AT TIME ZONE 'UTC')::DATE)
+RETURNS TABLE(quote_day DATE, id BIGINT, text TEXT, author TEXT, category TEXT, is_scheduled BOOLEAN) AS $$
+DECLARE
+  v_quote_id BIGINT;
+  v_count INTEGER;
+BEGIN
+  -- Don't reveal scheduled picks for future days, or record picks older than the archive
+  IF p_day > (NOW() AT TIME ZONE 'UTC')::DATE OR p_day < (NOW() AT TIME ZONE 'UTC')::DATE - 60 THEN
+    RETURN;
+  END IF;
+
+  SELECT dq.quote_id INTO v_quote_id
+  FROM daily_quotes dq INNER JOIN quotes q ON q.id = dq.quote_id
+  WHERE dq.day = p_day AND q.status = 'approved';
+
+  IF v_quote_id IS NULL THEN
+    SELECT COUNT(*) INTO v_count FROM quotes q WHERE q.status = 'approved';
+    IF v_count = 0 THEN
+      RETURN;
+    END IF;
+
+    SELECT q.id INTO v_quote_id FROM quotes q WHERE q.status = 'approved'
+    ORDER BY q.id OFFSET (abs(hashtext(p_day::TEXT)) % v_count) LIMIT 1;
+
+    -- Replaces a recorded pick whose quote is no longer approved
+    INSERT INTO daily_quotes (day, quote_id, is_scheduled) VALUES (p_day, v_quote_id, FALSE)
+    ON CONFLICT ON CONSTRAINT daily_quotes_pkey DO UPDATE SET quote_id = EXCLUDED.quote_id, is_scheduled = FALSE;
+  END IF;
+
+  RETURN QUERY
+  SELECT dq.day, q.id, q.text, q.author, q.category, dq.is_scheduled
+  FROM daily_quotes dq INNER JOIN quotes q ON q.id = dq.quote_id
+  WHERE dq.day = p_day;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Previous days' quotes, most recent first (capped at 60 days)
+CREATE OR REPLACE FUNCTION get_quote_of_the_day_archive(p_days INTEGER DEFAULT 7)
+RETURNS TABLE(quote_day DATE, id BIGINT, text TEXT, author TEXT, category TEXT, is_scheduled BOOLEAN) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT qotd.quote_day, qotd.id, qotd.text, qotd.author, qotd.category, qotd.is_scheduled
+  FROM generate_series(1, LEAST(GREATEST(p_days, 1), 60)) AS offsets(n)
+  CROSS JOIN LATERAL get_quote_of_the_day((NOW() AT TIME ZONE 'UTC')::DATE - offsets.n) AS qotd
+  ORDER BY qotd.quote_day DESC;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION schedule_quote_of_the_day(p_day DATE, p_quote_id BIGINT)
+RETURNS VOID AS $$
+BEGIN
+  PERFORM require_admin_role('editor');
+
+  IF NOT EXISTS (SELECT 1 FROM quotes q WHERE q.id = p_quote_id AND q.status = 'approved') THEN
+    RAISE EXCEPTION 'Only approved quotes can be scheduled';
+  END IF;
+
+  INSERT INTO daily_quotes (day, quote_id, is_scheduled) VALUES (p_day, p_quote_id, TRUE)
+  ON CONFLICT ON CONSTRAINT daily_quotes_pkey DO UPDATE SET quote_id = EXCLUDED.quote_id, is_scheduled = TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION unschedule_quote_of_the_day(p_day DATE)
+RETURNS VOID AS $$
+BEGIN
+  PERFORM require_admin_role('editor');
+
+  DELETE FROM daily_quotes dq WHERE dq.day = p_day AND dq.is_scheduled;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Upcoming admin overrides (today onwards)
+CREATE OR REPLACE FUNCTION get_scheduled_quotes_of_the_day()
+RETURNS TABLE(quote_day DATE, id BIGINT, text TEXT, author TEXT) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT dq.day, q.id, q.text, q.author
+  FROM daily_quotes dq INNER JOIN quotes q ON q.id = dq.quote_id
+  WHERE dq.is_scheduled AND dq.day >= (NOW() AT TIME ZONE 'UTC')::DATE
+  ORDER BY dq.day;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================================================
+-- Engagement RPC Functions (views and likes)
+-- =============================================================================
+-- SECURITY DEFINER so anonymous users can bump the counters without being
+-- allowed to update quotes directly.
+
+-- Counts a view unless this user already viewed the quote in the last 30 minutes.
+-- Returns the current view count either way.
+CREATE OR REPLACE FUNCTION record_quote_view(p_user_id TEXT, p_quote_id BIGINT)
+RETURNS INTEGER AS $$
+DECLARE
+  v_views INTEGER;
+BEGIN
+  INSERT INTO quote_views (user_id, quote_id, last_viewed_at) VALUES (p_user_id, p_quote_id, NOW())
+  ON CONFLICT ON CONSTRAINT quote_views_pkey DO UPDATE SET last_viewed_at = NOW()
+  WHERE quote_views.last_viewed_at < NOW() - INTERVAL '30 minutes';
+
+  IF FOUND THEN
+    UPDATE quotes SET views = COALESCE(views, 0) + 1
+    WHERE id = p_quote_id AND status = 'approved';
+  END IF;
+
+  SELECT COALESCE(q.views, 0) INTO v_views FROM quotes q WHERE q.id = p_quote_id;
+  RETURN COALESCE(v_views, 0);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Liking twice is a no-op. Returns the current like count.
+CREATE OR REPLACE FUNCTION like_quote(p_user_id TEXT, p_quote_id BIGINT)
+RETURNS INTEGER AS $$
+DECLARE
+  v_likes INTEGER;
+BEGIN
+  PERFORM require_own_user_id(p_user_id);
+  IF NOT EXISTS (SELECT 1 FROM quotes q WHERE q.id = p_quote_id AND q.status = 'approved') THEN
+    RAISE EXCEPTION 'Quote % not found', p_quote_id;
+  END IF;
+
+  INSERT INTO quote_likes (user_id, quote_id) VALUES (p_user_id, p_quote_id)
+  ON CONFLICT ON CONSTRAINT quote_likes_user_id_quote_id_key DO NOTHING;
+
+  IF FOUND THEN
+    UPDATE quotes SET likes = COALESCE(likes, 0) + 1 WHERE id = p_quote_id;
+  END IF;
+
+  SELECT COALESCE(q.likes, 0) INTO v_likes FROM quotes q WHERE q.id = p_quote_id;
+  RETURN v_likes;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Removing a like that doesn't exist is a no-op. Returns the current like count.
+CREATE OR REPLACE FUNCTION unlike_quote(p_user_id TEXT, p_quote_id BIGINT)
+RETURNS INTEGER AS $$
+DECLARE
+  v_likes INTEGER;
+BEGIN
+  PERFORM require_own_user_id(p_user_id);
+  DELETE FROM quote_likes WHERE user_id = p_user_id AND quote_id = p_quote_id;
+
+  IF FOUND THEN
+    UPDATE quotes SET likes = GREATEST(COALESCE(likes, 0) - 1, 0) WHERE id = p_quote_id;
+  END IF;
+
+  SELECT COALESCE(q.likes, 0) INTO v_likes FROM quotes q WHERE q.id = p_quote_id;
+  RETURN COALESCE(v_likes, 0);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_quote_engagement(p_user_id TEXT, p_quote_id BIGINT)
+RETURNS TABLE(views INTEGER, likes INTEGER, liked BOOLEAN) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT COALESCE(q.views, 0), COALESCE(q.likes, 0),
+    EXISTS(SELECT 1 FROM quote_likes ql WHERE ql.user_id = p_user_id AND ql.quote_id = q.id)
+  FROM quotes q WHERE q.id = p_quote_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Quotes favorited or liked most in the last p_days days (limit capped at 100)
+CREATE OR REPLACE FUNCTION get_trending_quotes(p_days INTEGER DEFAULT 7, p_limit INTEGER DEFAULT 20)
+RETURNS TABLE(id BIGINT, text TEXT, author TEXT, category TEXT, tags TEXT[], favorites BIGINT, likes BIGINT, score BIGINT) AS $$
+BEGIN
+  RETURN QUERY
+  WITH recent_favorites AS (
+    SELECT uf.quote_id, COUNT(*) AS n FROM user_favorites uf
+    WHERE uf.created_at >= NOW() - make_interval(days => GREATEST(p_days, 1))
+    GROUP BY uf.quote_id
+  ), recent_likes AS (
+    SELECT ql.quote_id, COUNT(*) AS n FROM quote_likes ql
+    WHERE ql.created_at >= NOW() - make_interval(days => GREATEST(p_days, 1))
+    GROUP BY ql.quote_id
+  )
+  SELECT q.id, q.text, q.author, q.category, q.tags,
+    COALESCE(rf.n, 0), COALESCE(rl.n, 0), COALESCE(rf.n, 0) + COALESCE(rl.n, 0)
+  FROM quotes q
+  LEFT JOIN recent_favorites rf ON rf.quote_id = q.id
+  LEFT JOIN recent_likes rl ON rl.quote_id = q.id
+  WHERE q.status = 'approved' AND (rf.n IS NOT NULL OR rl.n IS NOT NULL)
+  ORDER BY COALESCE(rf.n, 0) + COALESCE(rl.n, 0) DESC, q.id DESC
+  LIMIT LEAST(GREATEST(p_limit, 1), 100);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- All-time favorites plus likes (limit capped at 100)
+CREATE OR REPLACE FUNCTION get_most_loved_quotes(p_limit INTEGER DEFAULT 20)
+RETURNS TABLE(id BIGINT, text TEXT, author TEXT, category TEXT, tags TEXT[], favorites BIGINT, likes BIGINT, score BIGINT) AS $$
+BEGIN
+  RETURN QUERY
+  WITH favorite_counts AS (
+    SELECT uf.quote_id, COUNT(*) AS n FROM user_favorites uf GROUP BY uf.quote_id
+  )
+  SELECT q.id, q.text, q.author, q.category, q.tags,
+    COALESCE(fc.n, 0), COALESCE(q.likes, 0)::BIGINT, COALESCE(fc.n, 0) + COALESCE(q.likes, 0)
+  FROM quotes q
+  LEFT JOIN favorite_counts fc ON fc.quote_id = q.id
+  WHERE q.status = 'approved' AND (fc.n IS NOT NULL OR COALESCE(q.likes, 0) > 0)
+  ORDER BY COALESCE(fc.n, 0) + COALESCE(q.likes, 0) DESC, q.id DESC
+  LIMIT LEAST(GREATEST(p_limit, 1), 100);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =============================================================================
+-- Moving Data Between User IDs
+-- =============================================================================
+-- Moves favorites (keeping their original dates; ones the target already saved
+-- are skipped) and collections from one user ID to another. Used by transfer
+-- codes and account sign-in; not callable through the API.
+
+CREATE OR REPLACE FUNCTION move_user_data(p_from_user_id TEXT, p_to_user_id TEXT)
+RETURNS TABLE(favorites_moved INTEGER, collections_moved INTEGER) AS $$
+DECLARE
+  v_favorites INTEGER;
+  v_collections INTEGER;
+BEGIN
+  INSERT INTO user_favorites (user_id, quote_id, created_at)
+  SELECT p_to_user_id, uf.quote_id, uf.created_at FROM user_favorites uf WHERE uf.user_id = p_from_user_id
+  ON CONFLICT ON CONSTRAINT user_favorites_user_id_quote_id_key DO NOTHING;
+  GET DIAGNOSTICS v_favorites = ROW_COUNT;
+
+  DELETE FROM user_favorites uf WHERE uf.user_id = p_from_user_id;
+
+  UPDATE collections c SET user_id = p_to_user_id WHERE c.user_id = p_from_user_id;
+  GET DIAGNOSTICS v_collections = ROW_COUNT;
+
+  RETURN QUERY SELECT v_favorites, v_collections;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION move_user_data(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- =============================================================================
+-- Transfer Code RPC Functions
+-- =============================================================================
+-- A code stands in for the (secret) anonymous user ID for one hour, so it can be
+-- typed on another device. transfer_codes has no RLS policies: these SECURITY
+-- DEFINER functions are the only way in. Like the favorites functions, they only
+-- accept an anonymous ID or the caller's own account ID, so a code can't be
+-- created for, or redeemed into, someone else's account.
+
+CREATE OR REPLACE FUNCTION create_transfer_code(p_user_id TEXT)
+RETURNS TABLE(code TEXT, expires_at TIMESTAMP WITH TIME ZONE) AS $$
+DECLARE
+  v_code TEXT;
+BEGIN
+  PERFORM require_own_user_id(p_user_id);
+
+  DELETE FROM transfer_codes tc WHERE tc.user_id = p_user_id OR tc.expires_at < NOW();
+
+  -- XXXX-XXXX from an alphabet without look-alike characters (0/O, 1/I/L)
+  LOOP
+    SELECT string_agg(substr('ABCDEFGHJKMNPQRSTUVWXYZ23456789', floor(random() * 31)::INTEGER + 1, 1), '')
+    INTO v_code FROM generate_series(1, 8);
+    v_code := substr(v_code, 1, 4) || '-' || substr(v_code, 5, 4);
+    EXIT WHEN NOT EXISTS (SELECT 1 FROM transfer_codes tc WHERE tc.code = v_code);
+  END LOOP;
+
+  INSERT INTO transfer_codes (code, user_id, expires_at) VALUES (v_code, p_user_id, NOW() + INTERVAL '1 hour');
+
+  RETURN QUERY SELECT tc.code, tc.expires_at FROM transfer_codes tc WHERE tc.code = v_code;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Moves the code owner's favorites and collections to p_user_id. Codes are single-use.
+CREATE OR REPLACE FUNCTION redeem_transfer_code(p_code TEXT, p_user_id TEXT)
+RETURNS TABLE(favorites_moved INTEGER, collections_moved INTEGER) AS $$
+DECLARE
+  v_source_user_id TEXT;
+BEGIN
+  PERFORM require_own_user_id(p_user_id);
+
+  SELECT tc.user_id INTO v_source_user_id FROM transfer_codes tc
+  WHERE tc.code = upper(trim(p_code)) AND tc.expires_at >= NOW();
+
+  IF v_source_user_id IS NULL THEN
+    RAISE EXCEPTION 'Invalid or expired transfer code';
+  END IF;
+
+  IF v_source_user_id = p_user_id THEN
+    RAISE EXCEPTION 'This code was created on this browser. Enter it on the other one.';
+  END IF;
+
+  DELETE FROM transfer_codes tc WHERE tc.code = upper(trim(p_code));
+
+  RETURN QUERY SELECT m.favorites_moved, m.collections_moved FROM move_user_data(v_source_user_id, p_user_id) m;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =============================================================================
+-- Account RPC Functions
+-- =============================================================================
+-- Signed-in users store favorites and collections under their auth user ID (as
+-- TEXT) instead of the anonymous ID. On sign-in, the browser's anonymous data is
+-- merged into the account. The target always comes from auth.uid(), and only
+-- anonymous IDs can be merged, so one account can't take over another.
+
+CREATE OR REPLACE FUNCTION merge_anonymous_data(p_anonymous_id TEXT)
+RETURNS TABLE(favorites_moved INTEGER, collections_moved INTEGER) AS $$
+DECLARE
+  v_account_id TEXT := auth.uid()::TEXT;
+BEGIN
+  IF v_account_id IS NULL THEN
+    RAISE EXCEPTION 'Sign in to merge favorites into an account';
+  END IF;
+
+  IF p_anonymous_id NOT LIKE 'user\_%' THEN
+    RAISE EXCEPTION 'Only anonymous favorites can be merged into an account';
+  END IF;
+
+  RETURN QUERY SELECT m.favorites_moved, m.collections_moved FROM move_user_data(p_anonymous_id, v_account_id) m;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
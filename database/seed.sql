@@ -0,0 +1,136 @@
+-- =============================================================================
+-- Sample data: the tag vocabulary, categories and a few approved quotes
+-- Run after the migrations (npm run db:seed). Safe to run again: rows that are
+-- already there are left alone.
+-- =============================================================================
+
+-- The built-in suggestion vocabulary from tag-suggestions.js and ai-tagging.js
+INSERT INTO tag_vocabulary (name, themes, ai_candidate) VALUES
+  ('happiness', ARRAY['emotions'], TRUE),
+  ('joy', ARRAY['emotions'], TRUE),
+  ('sadness', ARRAY['emotions'], FALSE),
+  ('anger', ARRAY['emotions'], FALSE),
+  ('fear', ARRAY['emotions'], FALSE),
+  ('love', ARRAY['emotions'], TRUE),
+  ('hope', ARRAY['emotions'], TRUE),
+  ('peace', ARRAY['emotions'], TRUE),
+  ('gratitude', ARRAY['emotions'], TRUE),
+  ('compassion', ARRAY['emotions'], TRUE),
+  ('change', ARRAY['actions'], TRUE),
+  ('growth', ARRAY['actions', 'development'], TRUE),
+  ('learning', ARRAY['actions'], TRUE),
+  ('achievement', ARRAY['actions', 'motivation'], FALSE),
+  ('perseverance', ARRAY['actions'], TRUE),
+  ('courage', ARRAY['actions'], TRUE),
+  ('action', ARRAY['actions'], FALSE),
+  ('effort', ARRAY['actions'], FALSE),
+  ('practice', ARRAY['actions'], FALSE),
+  ('motivation', ARRAY['motivation'], TRUE),
+  ('inspiration', ARRAY['motivation'], TRUE),
+  ('success', ARRAY['motivation'], TRUE),
+  ('goals', ARRAY['motivation'], FALSE),
+  ('determination', ARRAY['motivation'], TRUE),
+  ('ambition', ARRAY['motivation'], FALSE),
+  ('drive', ARRAY['motivation'], FALSE),
+  ('excellence', ARRAY['motivation'], FALSE),
+  ('winning', ARRAY['motivation'], FALSE),
+  ('self-improvement', ARRAY['development'], TRUE),
+  ('mindfulness', ARRAY['development'], TRUE),
+  ('wisdom', ARRAY['development'], TRUE),
+  ('knowledge', ARRAY['development'], FALSE),
+  ('education', ARRAY['development'], FALSE),
+  ('development', ARRAY['development'], FALSE),
+  ('potential', ARRAY['development'], FALSE),
+  ('transformation', ARRAY['development'], FALSE),
+  ('life', ARRAY['philosophy'], TRUE),
+  ('philosophy', ARRAY['philosophy'], TRUE),
+  ('meaning', ARRAY['philosophy'], TRUE),
+  ('purpose', ARRAY['philosophy'], TRUE),
+  ('existence', ARRAY['philosophy'], FALSE),
+  ('truth', ARRAY['philosophy'], TRUE),
+  ('reality', ARRAY['philosophy'], FALSE),
+  ('perspective', ARRAY['philosophy'], TRUE),
+  ('mindset', ARRAY['philosophy'], FALSE),
+  ('career', ARRAY['career'], TRUE),
+  ('work', ARRAY['career'], FALSE),
+  ('leadership', ARRAY['career'], TRUE),
+  ('teamwork', ARRAY['career'], FALSE),
+  ('innovation', ARRAY['career'], TRUE),
+  ('entrepreneurship', ARRAY['career'], FALSE),
+  ('business', ARRAY['career'], TRUE),
+  ('productivity', ARRAY['career'], TRUE),
+  ('efficiency', ARRAY['career'], FALSE),
+  ('friendship', ARRAY['relationships'], TRUE),
+  ('family', ARRAY['relationships'], TRUE),
+  ('relationships', ARRAY['relationships'], TRUE),
+  ('connection', ARRAY['relationships'], FALSE),
+  ('trust', ARRAY['relationships'], FALSE),
+  ('communication', ARRAY['relationships'], FALSE),
+  ('empathy', ARRAY['relationships'], FALSE),
+  ('understanding', ARRAY['relationships'], FALSE),
+  ('future', ARRAY['time'], FALSE),
+  ('present', ARRAY['time'], FALSE),
+  ('past', ARRAY['time'], FALSE),
+  ('time', ARRAY['time'], FALSE),
+  ('now', ARRAY['time'], FALSE),
+  ('moment', ARRAY['time'], FALSE),
+  ('tomorrow', ARRAY['time'], FALSE),
+  ('today', ARRAY['time'], FALSE),
+  ('forever', ARRAY['time'], FALSE),
+  ('adversity', ARRAY['challenges'], TRUE),
+  ('struggle', ARRAY['challenges'], FALSE),
+  ('failure', ARRAY['challenges'], TRUE),
+  ('obstacles', ARRAY['challenges'], FALSE),
+  ('challenge', ARRAY['challenges'], FALSE),
+  ('difficulty', ARRAY['challenges'], FALSE),
+  ('hardship', ARRAY['challenges'], FALSE),
+  ('resilience', ARRAY['challenges'], TRUE),
+  ('overcoming', ARRAY['challenges'], TRUE),
+  ('confidence', '{}', TRUE),
+  ('creativity', '{}', TRUE),
+  ('strength', '{}', TRUE)
+ON CONFLICT DO NOTHING;
+
+-- Common variants and junk tags from the keyword suggester
+INSERT INTO tag_vocabulary (name) VALUES ('dreams')
+ON CONFLICT DO NOTHING;
+
+INSERT INTO tag_vocabulary (name, alias_of) VALUES
+  ('dream', 'dreams'),
+  ('persistence', 'perseverance')
+ON CONFLICT DO NOTHING;
+
+INSERT INTO tag_vocabulary (name, is_blocked) VALUES
+  ('short', TRUE),
+  ('concise', TRUE)
+ON CONFLICT DO NOTHING;
+
+INSERT INTO categories (name, description, color, icon, sort_order) VALUES
+  ('Motivation', 'Get going and keep going', '#f97316', '🔥', 1),
+  ('Success', 'Winning, failing and trying again', '#eab308', '🏆', 2),
+  ('Inspiration', 'Dreams and possibilities', '#8b5cf6', '✨', 3),
+  ('Life', 'Living well', '#10b981', '🌱', 4),
+  ('Wisdom', 'Lessons worth keeping', '#6366f1', '🦉', 5),
+  ('Happiness', 'Joy and contentment', '#f59e0b', '☀️', 6),
+  ('Love', 'Love and relationships', '#ec4899', '❤️', 7),
+  ('Innovation', 'Ideas and leadership', '#0ea5e9', '💡', 8),
+  ('Humor', 'Quotes that make you smile', '#14b8a6', '😄', 9)
+ON CONFLICT DO NOTHING;
+
+-- Quotes have no natural key, so skip the ones whose text is already there
+INSERT INTO quotes (text, author, category, tags, status)
+SELECT v.text, v.author, v.category, v.tags, v.status
+FROM (VALUES
+  ('The only way to do great work is to love what you do.', 'Steve Jobs', 'Motivation', ARRAY['work', 'passion', 'success'], 'approved'),
+  ('Innovation distinguishes between a leader and a follower.', 'Steve Jobs', 'Innovation', ARRAY['leadership', 'innovation', 'business'], 'approved'),
+  ('Life is what happens to you while you''re busy making other plans.', 'John Lennon', 'Life', ARRAY['life', 'planning', 'wisdom'], 'approved'),
+  ('The future belongs to those who believe in the beauty of their dreams.', 'Eleanor Roosevelt', 'Inspiration', ARRAY['dreams', 'future', 'belief'], 'approved'),
+  ('Success is not final, failure is not fatal: it is the courage to continue that counts.', 'Winston Churchill', 'Success', ARRAY['success', 'failure', 'courage'], 'approved'),
+  ('The only impossible journey is the one you never begin.', 'Tony Robbins', 'Motivation', ARRAY['journey', 'beginning', 'action'], 'approved'),
+  ('Happiness is not something ready made. It comes from your own actions.', 'Dalai Lama', 'Happiness', ARRAY['happiness', 'action', 'wisdom'], 'approved'),
+  ('It''s not whether you get knocked down, it''s whether you get up.', 'Vince Lombardi', 'Motivation', ARRAY['resilience', 'perseverance'], 'approved'),
+  ('Don''t watch the clock; do what it does. Keep going.', 'Sam Levenson', 'Success', ARRAY['persistence', 'time'], 'approved'),
+  ('Love all, trust a few, do wrong to none.', 'William Shakespeare', 'Wisdom', ARRAY['love', 'trust', 'wisdom'], 'approved'),
+  ('The best and most beautiful things in the world cannot be seen or even touched - they must be felt with the heart.', 'Audrey Hepburn', 'Love', ARRAY['love', 'relationships', 'life'], 'approved')
+) AS v(text, author, category, tags, status)
+WHERE NOT EXISTS (SELECT 1 FROM quotes q WHERE q.text = v.text);
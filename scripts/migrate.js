@@ -0,0 +1,175 @@
+/**
+ * Database Migrations
+ * Applies the numbered SQL files in database/migrations that haven't run yet, in
+ * order, each in its own transaction, and records them in schema_migrations so
+ * they only run once. Nothing is dropped, so existing quotes, favorites and
+ * collections are kept.
+ *
+ * Usage (DATABASE_URL comes from the environment or .env):
+ *   node scripts/migrate.js           Apply pending migrations
+ *   node scripts/migrate.js --status  List migrations and whether they've run (read-only)
+ *   node scripts/migrate.js --seed    Apply pending migrations, then database/seed.sql
+ *
+ * Needs Node.js 20.12 or later for process.loadEnvFile.
+ */
+
+import { createHash } from 'node:crypto';
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import pg from 'pg';
+
+const MIGRATIONS_DIR = new URL('../database/migrations/', import.meta.url);
+const SEED_FILE = new URL('../database/seed.sql', import.meta.url);
+const MIGRATION_FILE_PATTERN = /^(\d{3,})_[a-z0-9_]+\.sql$/;
+
+// Any fixed number works; it keeps two runners from applying the same migration
+const MIGRATION_LOCK_ID = 7300194;
+
+/**
+ * Read the migration files, oldest first
+ * @returns {Array<{version: string, name: string, sql: string, checksum: string}>}
+ */
+function readMigrations() {
+  const migrations = readdirSync(MIGRATIONS_DIR)
+    .filter(name => name.endsWith('.sql'))
+    .map(name => {
+      const match = name.match(MIGRATION_FILE_PATTERN);
+      if (!match) {
+        throw new Error(`${name}: migration files are named like 002_add_something.sql`);
+      }
+      const sql = readFileSync(new URL(name, MIGRATIONS_DIR), 'utf8');
+      return {
+        version: match[1],
+        name,
+        sql,
+        checksum: createHash('sha256').update(sql).digest('hex')
+      };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && Number(migration.version) === Number(migrations[index - 1].version)) {
+      throw new Error(`${migrations[index - 1].name} and ${migration.name} have the same number`);
+    }
+  });
+  return migrations;
+}
+
+/**
+ * The migrations recorded as applied
+ * With `create` unset nothing is written: a database that has never been
+ * migrated has no schema_migrations table, and so no applied migrations.
+ * @param {pg.Client} client - The connection
+ * @param {{create?: boolean}} options - create makes the table if it's missing
+ * @returns {Promise<Array<{version: string, name: string, checksum: string, applied_at: Date}>>}
+ */
+async function readAppliedMigrations(client, { create = true } = {}) {
+  if (create) {
+    await ensureMigrationsTable(client);
+  } else {
+    const { rows: [{ exists }] } = await client.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS exists");
+    if (!exists) return [];
+  }
+
+  const { rows } = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations');
+  return rows;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    -- No policies: only the migration runner's own connection reads it
+    ALTER TABLE schema_migrations ENABLE ROW LEVEL SECURITY;
+  `);
+}
+
+/**
+ * Run SQL in a transaction, rolling it back if any statement fails
+ * @param {pg.Client} client - The connection
+ * @param {string} label - File name for the error message
+ * @param {(client: pg.Client) => Promise<void>} work - The statements
+ */
+async function inTransaction(client, label, work) {
+  await client.query('BEGIN');
+  try {
+    await work(client);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`${label} failed, nothing from it was applied: ${error.message}`);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const showStatus = args.includes('--status');
+  const seed = args.includes('--seed');
+
+  if (existsSync('.env')) process.loadEnvFile('.env');
+  const connectionString = process.env.DATABASE_URL;
+  if (!connectionString) {
+    throw new Error('Set DATABASE_URL to the Postgres connection string (in the environment or .env).');
+  }
+
+  const migrations = readMigrations();
+  const client = new pg.Client({ connectionString });
+  await client.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+
+    const rows = await readAppliedMigrations(client, { create: !showStatus });
+    const applied = new Map(rows.map(row => [row.version, row]));
+
+    migrations.forEach(migration => {
+      const row = applied.get(migration.version);
+      if (row && row.checksum !== migration.checksum) {
+        console.warn(`⚠️  ${migration.name} changed after it was applied; add a new migration instead of editing it.`);
+      }
+    });
+
+    if (showStatus) {
+      migrations.forEach(migration => {
+        const row = applied.get(migration.version);
+        console.log(row
+          ? `✅ ${migration.name} (applied ${row.applied_at.toISOString()})`
+          : `⏳ ${migration.name} (pending)`);
+      });
+      rows
+        .filter(row => !migrations.some(migration => migration.version === row.version))
+        .forEach(row => console.log(`❓ ${row.name} (applied, but the file is missing)`));
+      return;
+    }
+
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+    for (const migration of pending) {
+      await inTransaction(client, migration.name, async () => {
+        await client.query(migration.sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+      });
+      console.log(`✅ Applied ${migration.name}`);
+    }
+    console.log(pending.length ? `📊 ${pending.length} migration(s) applied` : '📊 The database is up to date');
+
+    if (seed) {
+      await inTransaction(client, 'seed.sql', async () => {
+        await client.query(readFileSync(SEED_FILE, 'utf8'));
+      });
+      console.log('📝 Sample data added');
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
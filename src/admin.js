@@ -1,6 +1,9 @@
-import supabase from "./supabase-client.js";
+import { useMockData } from "./supabase-client.js";
+import repository from "./data-repository.js";
+import { getDayKey } from "./daily-quote.js";
 import { 
   generateTagSuggestions, 
+  normalizeTag,
   renderTagSuggestions,
   renderSelectedTags 
 } from "./tag-suggestions.js";
@@ -10,60 +13,123 @@ import {
   generateAITagsWithRetry,
   getHybridTagSuggestions 
 } from "./ai-tagging.js";
+import { formatEngagementCount } from "./quote-engagement.js";
+import {
+  ACTIVITY_PAGE_SIZE,
+  fetchQuoteHistory,
+  fetchActivityLog,
+  renderAuditEntries
+} from "./audit-log.js";
+import {
+  findSimilarQuotes,
+  renderDuplicateWarning,
+  renderTextDiff
+} from "./duplicate-detection.js";
+import {
+  fetchCategories,
+  appendCategoryOptions,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  reorderCategories
+} from "./categories.js";
+import {
+  loadTagVocabulary,
+  fetchTagUsage,
+  mergeTags,
+  saveTag
+} from "./tag-vocabulary.js";
+import {
+  IMPORT_FIELDS,
+  MAX_QUOTE_IMPORT_FILE_SIZE,
+  readImportFile,
+  guessColumnMapping,
+  prepareImportRows,
+  checkImportDuplicates,
+  createImportJob,
+  loadUnfinishedImportJob,
+  clearImportJob,
+  summarizeImportJob,
+  runImportJob
+} from "./quote-import.js";
+import {
+  BACKUP_ENTITIES,
+  MAX_BACKUP_FILE_SIZE,
+  exportBackup,
+  downloadBackup,
+  readBackupFile,
+  describeBackup,
+  restoreBackup
+} from "./backup.js";
+import { escapeHtml } from "./html-utils.js";
 
-// ===== ADMIN AUTHENTICATION USING SUPABASE AUTH =====
+// ===== ADMIN AUTHENTICATION =====
+// Supabase Auth, or the mock sign-in of the local backend in mock mode
 
-// Check if user is already authenticated via Supabase Auth
+// Check if user is already signed in
 async function isAuthenticated() {
-  if (!supabase) {
-    // If Supabase is not configured, deny access
-    console.warn('Supabase Auth not configured. Admin access denied.');
-    return false;
-  }
-  
   try {
-    const { data: { session }, error } = await supabase.auth.getSession();
-    if (error) {
-      console.error('Error checking auth session:', error);
-      return false;
-    }
-    return session !== null;
+    return (await repository.getSession()) !== null;
   } catch (error) {
     console.error('Error checking authentication:', error);
     return false;
   }
 }
 
-// Sign in with Supabase Auth
-async function signIn(email, password) {
-  if (!supabase) {
-    throw new Error('Authentication service not available. Please configure Supabase.');
-  }
-  
-  const { data, error } = await supabase.auth.signInWithPassword({
-    email,
-    password
-  });
-  
-  if (error) {
-    throw error;
+// Sign out, logging failures (the page reloads either way)
+async function signOut() {
+  try {
+    await repository.signOut();
+  } catch (error) {
+    console.error('Error signing out:', error);
   }
-  
-  return data;
 }
 
-// Sign out with Supabase Auth
-async function signOut() {
-  if (!supabase) {
-    console.warn('Cannot sign out: Supabase Auth not configured.');
-    return;
+// ===== ADMIN ROLES =====
+// Lowest to highest; each role can do everything the ones before it can.
+// Must match the roles in the admin_users table.
+const ADMIN_ROLES = ['moderator', 'editor', 'owner'];
+
+// The signed-in user's role from admin_users, set once access has been checked
+let adminRole = null;
+
+function hasAdminRole(minRole) {
+  return adminRole !== null && ADMIN_ROLES.indexOf(adminRole) >= ADMIN_ROLES.indexOf(minRole);
+}
+
+// Keep the overlay up, but swap the login form for a "not authorized" notice
+function showNotAuthorized(message) {
+  document.getElementById('loginForm').classList.add('hidden');
+  document.getElementById('notAuthorizedMessage').textContent = message;
+  document.getElementById('notAuthorized').classList.remove('hidden');
+  document.getElementById('loginOverlay').classList.remove('hidden');
+  document.getElementById('adminContainer').classList.add('hidden');
+}
+
+// Signed in: show the panel to admins and a "not authorized" notice to everyone else
+async function showPanelIfAuthorized() {
+  try {
+    adminRole = await repository.fetchAdminRole();
+  } catch (error) {
+    console.error('Error checking admin role:', error);
+    adminRole = null;
+    showNotAuthorized("Your admin access couldn't be checked. Please try again later.");
+    return false;
   }
-  
-  const { error } = await supabase.auth.signOut();
-  if (error) {
-    console.error('Error signing out:', error);
-    throw error;
+
+  if (!adminRole) {
+    const email = (await repository.getSession())?.email;
+    showNotAuthorized(`${email ? `You're signed in as ${email}, but this` : 'This'} account doesn't have access to the admin panel.`);
+    return false;
   }
+
+  const roleBadge = document.getElementById('adminRoleBadge');
+  roleBadge.textContent = adminRole;
+  roleBadge.title = `Signed in as ${adminRole}`;
+
+  document.getElementById('loginOverlay').classList.add('hidden');
+  document.getElementById('adminContainer').classList.remove('hidden');
+  return true;
 }
 
 // Initialize authentication
@@ -72,23 +138,20 @@ async function initAuth() {
   const adminContainer = document.getElementById('adminContainer');
   const loginForm = document.getElementById('loginForm');
   const loginFeedback = document.getElementById('loginFeedback');
-  
-  // Check if Supabase is configured
-  if (!supabase) {
-    loginFeedback.textContent = 'Authentication service not configured. Please set up Supabase.';
-    loginFeedback.classList.remove('hidden');
-    loginFeedback.classList.add('error');
-    loginOverlay.classList.remove('hidden');
-    adminContainer.classList.add('hidden');
-    return false;
-  }
-  
+  const switchAccountBtn = document.getElementById('switchAccountBtn');
+
+  switchAccountBtn.addEventListener('click', async () => {
+    await signOut();
+    window.location.reload();
+  });
+
+  // Mock mode: explain the sample accounts
+  document.getElementById('mockLoginHint').classList.toggle('hidden', !useMockData);
+
   // Check if already authenticated
   const authenticated = await isAuthenticated();
   if (authenticated) {
-    loginOverlay.classList.add('hidden');
-    adminContainer.classList.remove('hidden');
-    return true;
+    return showPanelIfAuthorized();
   }
   
   // Show login form
@@ -109,12 +172,12 @@ async function initAuth() {
     loginFeedback.classList.add('hidden');
     
     try {
-      await signIn(email, password);
-      loginOverlay.classList.add('hidden');
-      adminContainer.classList.remove('hidden');
-      
-      // Initialize admin panel after successful login
-      initAdminPanel();
+      await repository.signIn(email, password);
+
+      // Initialize admin panel after successful login, if the account is an admin
+      if (await showPanelIfAuthorized()) {
+        initAdminPanel();
+      }
     } catch (error) {
       console.error('Login error:', error);
       loginFeedback.textContent = error.message || 'Invalid email or password';
@@ -135,72 +198,22 @@ async function initAuth() {
   return false;
 }
 
-// Mock data for testing without Supabase
-const MOCK_ALL_QUOTES = [
-  // Pending quotes
-  { id: 101, text: "Be yourself; everyone else is already taken.", author: "Oscar Wilde", category: "Wisdom", created_at: new Date().toISOString(), status: "pending" },
-  { id: 102, text: "Two things are infinite: the universe and human stupidity.", author: "Albert Einstein", category: "Humor", created_at: new Date(Date.now() - 3600000).toISOString(), status: "pending" },
-  { id: 103, text: "The journey of a thousand miles begins with one step.", author: "Lao Tzu", category: "Motivation", created_at: new Date(Date.now() - 7200000).toISOString(), status: "pending" },
-  { id: 104, text: "Life is really simple, but we insist on making it complicated.", author: "Confucius", category: "Life", created_at: new Date(Date.now() - 10800000).toISOString(), status: "pending" },
-  
-  // Approved quotes
-  { id: 1, text: "The only way to do great work is to love what you do.", author: "Steve Jobs", category: "Motivation", created_at: new Date(Date.now() - 86400000).toISOString(), status: "approved", reviewed_at: new Date(Date.now() - 43200000).toISOString() },
-  { id: 2, text: "Innovation distinguishes between a leader and a follower.", author: "Steve Jobs", category: "Innovation", created_at: new Date(Date.now() - 172800000).toISOString(), status: "approved", reviewed_at: new Date(Date.now() - 129600000).toISOString() },
-  { id: 3, text: "Life is what happens to you while you're busy making other plans.", author: "John Lennon", category: "Life", created_at: new Date(Date.now() - 259200000).toISOString(), status: "approved", reviewed_at: new Date(Date.now() - 216000000).toISOString() },
-  { id: 4, text: "The future belongs to those who believe in the beauty of their dreams.", author: "Eleanor Roosevelt", category: "Inspiration", created_at: new Date(Date.now() - 345600000).toISOString(), status: "approved", reviewed_at: new Date(Date.now() - 302400000).toISOString() },
-  { id: 5, text: "Success is not final, failure is not fatal: it is the courage to continue that counts.", author: "Winston Churchill", category: "Success", created_at: new Date(Date.now() - 432000000).toISOString(), status: "approved", reviewed_at: new Date(Date.now() - 388800000).toISOString() },
-  { id: 6, text: "The only impossible journey is the one you never begin.", author: "Tony Robbins", category: "Motivation", created_at: new Date(Date.now() - 518400000).toISOString(), status: "approved", reviewed_at: new Date(Date.now() - 475200000).toISOString() },
-  { id: 7, text: "The best and most beautiful things in the world cannot be seen or even touched - they must be felt with the heart.", author: "Audrey Hepburn", category: "Love", created_at: new Date(Date.now() - 604800000).toISOString(), status: "approved", reviewed_at: new Date(Date.now() - 561600000).toISOString() },
-  
-  // Rejected quotes
-  { id: 105, text: "This is a test quote.", author: "Test Author", category: "Test", created_at: new Date(Date.now() - 604800000).toISOString(), status: "rejected", reviewed_at: new Date(Date.now() - 561600000).toISOString(), rejection_reason: "Not inspirational enough" },
-  { id: 106, text: "Spam content here.", author: "Spammer", category: "Spam", created_at: new Date(Date.now() - 691200000).toISOString(), status: "rejected", reviewed_at: new Date(Date.now() - 648000000).toISOString(), rejection_reason: "Inappropriate content" },
-  { id: 107, text: "Buy now for 50% off!", author: "Marketing Bot", category: "Sales", created_at: new Date(Date.now() - 777600000).toISOString(), status: "rejected", reviewed_at: new Date(Date.now() - 734400000).toISOString(), rejection_reason: "Commercial spam" },
-];
-
-const MOCK_STATS = {
-  pending: 4,
-  approved: 6,
-  rejected: 3,
-  total: 13
-};
-
-// Check if Supabase is configured - declare early to avoid hoisting issues
-const hasSupabaseConfig = import.meta.env.VITE_SUPABASE_URL && import.meta.env.VITE_SUPABASE_ANON_KEY;
-const useMockData = !hasSupabaseConfig;
-
-// Fetch and populate category dropdown for admin add quote form
+// Fill the category dropdowns (add and edit forms, list filter) from the categories table.
+// Can be called again after categories change; keeps each dropdown's first option and selection.
 async function populateAdminCategoryDropdown() {
   try {
-    const adminCategory = document.getElementById('adminCategory');
-    if (!adminCategory) return;
-    
-    let categories;
-    
-    if (useMockData || !supabase) {
-      // Get categories from mock data
-      categories = [...new Set(MOCK_ALL_QUOTES.map(q => q.category))];
-    } else {
-      // Fetch from database
-      const { data, error } = await supabase
-        .from("quotes")
-        .select("category")
-        .eq("status", "approved")
-        .neq("category", null);
-      
-      if (error) throw error;
-      categories = [...new Set(data.map(q => q.category))];
-    }
-    
-    // Sort alphabetically
-    const sortedCategories = categories.filter(cat => cat && cat.trim() !== "").sort((a, b) => a.localeCompare(b));
-    
-    // Populate dropdown
-    sortedCategories.forEach((category) => {
-      const option = document.createElement('option');
-      option.value = category;
-      option.textContent = category;
-      adminCategory.appendChild(option);
+    const categorySelects = ['adminCategory', 'editQuoteCategory', 'quoteCategoryFilter']
+      .map(id => document.getElementById(id))
+      .filter(Boolean);
+    if (categorySelects.length === 0) return;
+
+    const categories = await fetchCategories();
+
+    categorySelects.forEach(select => {
+      const selected = select.value;
+      [...select.options].slice(1).forEach(option => option.remove());
+      appendCategoryOptions(select, categories);
+      select.value = selected;
     });
   } catch (error) {
     console.error('Error populating categories:', error);
@@ -219,26 +232,13 @@ async function populateAdminCategoryDropdown() {
 // Current filter status
 let currentFilter = 'pending';
 
-if (useMockData) {
-  console.log("🎭 Running in MOCK MODE - Admin Panel");
-}
-
-// Load stats
+// Load stats (for the same filters as the list)
 async function loadStats() {
   try {
-    if (useMockData || !supabase) {
-      displayStats(MOCK_STATS);
-      return;
-    }
-
-    const { data, error } = await supabase.rpc('get_moderation_stats');
-    
-    if (error) throw error;
-    
-    displayStats(data);
+    displayStats(await repository.fetchModerationStats(quoteFilters));
   } catch (error) {
     console.error("Error loading stats:", error);
-    displayStats(MOCK_STATS);
+    showToast('Failed to load stats', 'error');
   }
 }
 
@@ -247,6 +247,14 @@ function displayStats(stats) {
   document.getElementById('approvedCount').textContent = stats.approved;
   document.getElementById('rejectedCount').textContent = stats.rejected;
   document.getElementById('totalCount').textContent = stats.total;
+  document.getElementById('viewsCount').textContent = formatEngagementCount(stats.views);
+  document.getElementById('likesCount').textContent = formatEngagementCount(stats.likes);
+
+  // Tab counts come from the same filtered stats as the list
+  document.querySelectorAll('.tab-count').forEach(badge => {
+    badge.textContent = stats[badge.dataset.count] ?? '';
+  });
+  document.getElementById('statsFilteredNote').classList.toggle('hidden', !hasActiveQuoteFilters());
 }
 
 // Helper function to run an async operation with loading state
@@ -275,122 +283,173 @@ async function refreshData() {
   await withLoadingState(async () => {
     await Promise.all([
       loadStats(),
-      loadQuotes(currentFilter)
+      loadQuotes(currentFilter),
+      loadActivityLog()
     ]);
   });
 }
 
-// Load pending quotes
-async function loadQuotes(status = 'pending') {
+// ===== QUOTES LIST: FILTERS, SORTING AND PAGINATION =====
+const QUOTES_PAGE_SIZE = 25;
+
+// Filters and sort order of the quotes list; the stats and tab counts use the same filters
+const quoteFilters = {
+  search: '',
+  category: '',
+  tag: '',
+  from: '',
+  to: '',
+  untagged: false,
+  sort: 'created_desc'
+};
+
+// Quotes rendered so far, for "Load more"
+let quotesOffset = 0;
+// Bumped by every new list (tab or filter change); "Load more" keeps the list's number
+let latestQuotesRequest = 0;
+
+function hasActiveQuoteFilters() {
+  return Boolean(quoteFilters.search.trim() || quoteFilters.category || quoteFilters.tag.trim()
+    || quoteFilters.from || quoteFilters.to || quoteFilters.untagged);
+}
+
+/**
+ * Fetch one page of the quotes list
+ * @param {string} status - 'pending', 'approved', 'rejected' or 'all'
+ * @param {number} offset - Quotes to skip
+ * @returns {Promise<{quotes: Array, total: number}>} The page, and how many quotes match in total
+ */
+async function fetchQuotesPage(status, offset) {
+  return repository.fetchAdminQuotes(status, quoteFilters, {
+    sort: quoteFilters.sort,
+    limit: QUOTES_PAGE_SIZE,
+    offset
+  });
+}
+
+function renderQuoteCard(quote) {
+  return `
+    <div class="quote-card has-select ${quote.status}" data-quote-id="${quote.id}">
+      <label class="quote-select-label">
+        <input type="checkbox" class="quote-select" aria-label="Select this quote">
+      </label>
+      <div class="quote-status-badge ${quote.status}">${quote.status}</div>
+      <div class="quote-content">
+        ${quote.duplicate_of_id ? `
+          <button class="duplicate-badge" data-action="duplicate" data-duplicate-of="${quote.duplicate_of_id}" title="Compare with quote #${quote.duplicate_of_id}">
+            ⚠ Possible duplicate of #${quote.duplicate_of_id}
+            <span class="duplicate-score">${Math.round((quote.duplicate_similarity || 0) * 100)}% similar</span>
+          </button>
+        ` : ''}
+        <p class="quote-text">"${escapeHtml(quote.text)}"</p>
+        <p class="quote-author">— ${escapeHtml(quote.author)}</p>
+        <p class="quote-meta">
+          Category: ${escapeHtml(quote.category)} | 
+          Submitted: ${new Date(quote.created_at).toLocaleDateString()}
+          ${quote.reviewed_at ? `| Reviewed: ${new Date(quote.reviewed_at).toLocaleDateString()}` : ''}
+        </p>
+        ${quote.status === 'approved' ? `
+          <p class="quote-engagement-meta">
+            <span title="Views">👁 ${formatEngagementCount(quote.views)} views</span>
+            <span title="Likes">👍 ${formatEngagementCount(quote.likes)} likes</span>
+          </p>
+        ` : ''}
+        <div class="quote-tags-section">
+          <span class="tags-label">Tags:</span>
+          <div class="quote-tags" data-quote-id="${quote.id}">
+            ${renderQuoteTags(quote.id, quote.tags)}
+          </div>
+          ${hasAdminRole('editor') ? `
+          <button class="btn btn-ai-tag" data-action="ai-tag" data-quote-id="${quote.id}" title="Generate tags with AI">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">
+              <path d="M12 2L2 7l10 5 10-5-10-5z"/>
+              <path d="M2 17l10 5 10-5"/>
+              <path d="M2 12l10 5 10-5"/>
+            </svg>
+            AI Tag
+          </button>
+          ` : ''}
+        </div>
+        ${quote.rejection_reason ? `<p class="rejection-reason">Rejection reason: ${escapeHtml(quote.rejection_reason)}</p>` : ''}
+        <button class="history-toggle" data-action="history" aria-expanded="false" aria-controls="history-${quote.id}">🕘 History</button>
+        <ol class="quote-history hidden" id="history-${quote.id}" aria-live="polite"></ol>
+      </div>
+      <div class="quote-actions">
+        ${hasAdminRole('editor') ? '<button class="btn btn-edit" data-action="edit" title="Edit text, author, category, tags or status">✎ Edit</button>' : ''}
+        ${quote.status === 'pending' ? `
+          <button class="btn btn-approve" data-action="approve">✓ Approve</button>
+          <button class="btn btn-reject" data-action="reject">✗ Reject</button>
+        ` : quote.status === 'rejected' ? `
+          <button class="btn btn-approve" data-action="approve">✓ Approve</button>
+        ` : `
+          ${hasAdminRole('editor') ? '<button class="btn btn-schedule" data-action="schedule" title="Schedule as Quote of the Day">📅 Schedule</button>' : ''}
+          <button class="btn btn-reject" data-action="reject">✗ Reject</button>
+        `}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Load the quotes list for a status tab
+ * @param {string} status - 'pending', 'approved', 'rejected' or 'all'
+ * @param {boolean} append - Add the next page instead of starting over
+ */
+async function loadQuotes(status = 'pending', append = false) {
   const container = document.getElementById('quotesContainer');
+  const loadMoreBtn = document.getElementById('quotesLoadMore');
+  const resultCount = document.getElementById('quotesResultCount');
   currentFilter = status;
-  
-  console.log('Loading quotes with status:', status);
-  console.log('useMockData:', useMockData);
-  console.log('MOCK_ALL_QUOTES length:', MOCK_ALL_QUOTES.length);
-  
+  const requestId = append ? latestQuotesRequest : ++latestQuotesRequest;
+  const offset = append ? quotesOffset : 0;
+
   try {
-    let quotes;
-    
-    if (useMockData || !supabase) {
-      // Filter mock data by status
-      quotes = status === 'all' 
-        ? MOCK_ALL_QUOTES 
-        : MOCK_ALL_QUOTES.filter(q => q.status === status);
-      
-      console.log('Filtered quotes:', quotes.length);
-      console.log('Quotes:', quotes);
-    } else {
-      // Fetch from Supabase
-      let query = supabase
-        .from("quotes")
-        .select("id, text, author, category, created_at, status, reviewed_at, rejection_reason")
-        .order('created_at', { ascending: false });
-      
-      // Apply status filter if not 'all'
-      if (status !== 'all') {
-        query = query.eq('status', status);
-      }
-      
-      const { data, error } = await query;
-      
-      if (error) throw error;
-      
-      quotes = data;
-    }
+    const { quotes, total } = await fetchQuotesPage(status, offset);
+    // A newer list, or a page loaded in the meantime, replaced this one
+    if (requestId !== latestQuotesRequest || (append && offset !== quotesOffset)) return;
 
-    if (quotes.length === 0) {
-      container.innerHTML = `<p class="no-quotes">📭 No ${status === 'all' ? '' : status} quotes found.</p>`;
+    if (!append && quotes.length === 0) {
+      const label = status === 'all' ? '' : `${status} `;
+      container.innerHTML = hasActiveQuoteFilters()
+        ? `<p class="no-quotes">🔍 No ${label}quotes match these filters.</p>`
+        : `<p class="no-quotes">📭 No ${label}quotes found.</p>`;
+      quotesOffset = 0;
+      resultCount.textContent = '';
+      loadMoreBtn.classList.add('hidden');
+      clearSelection();
       return;
     }
 
-    container.innerHTML = quotes.map(quote => `
-      <div class="quote-card ${quote.status}" data-quote-id="${quote.id}">
-        <div class="quote-status-badge ${quote.status}">${quote.status}</div>
-        <div class="quote-content">
-          <p class="quote-text">"${quote.text}"</p>
-          <p class="quote-author">— ${quote.author}</p>
-          <p class="quote-meta">
-            Category: ${quote.category} | 
-            Submitted: ${new Date(quote.created_at).toLocaleDateString()}
-            ${quote.reviewed_at ? `| Reviewed: ${new Date(quote.reviewed_at).toLocaleDateString()}` : ''}
-          </p>
-          <div class="quote-tags-section">
-            <span class="tags-label">Tags:</span>
-            <div class="quote-tags" data-quote-id="${quote.id}">
-              ${(quote.tags && quote.tags.length > 0) 
-                ? quote.tags.map(tag => `<span class="tag-pill">${tag}<button class="remove-quote-tag" data-tag="${tag}" data-quote-id="${quote.id}">×</button></span>`).join('')
-                : '<span class="no-tags">No tags</span>'}
-            </div>
-            <button class="btn btn-ai-tag" data-action="ai-tag" data-quote-id="${quote.id}" title="Generate tags with AI">
-              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">
-                <path d="M12 2L2 7l10 5 10-5-10-5z"/>
-                <path d="M2 17l10 5 10-5"/>
-                <path d="M2 12l10 5 10-5"/>
-              </svg>
-              AI Tag
-            </button>
-          </div>
-          ${quote.rejection_reason ? `<p class="rejection-reason">Rejection reason: ${quote.rejection_reason}</p>` : ''}
-        </div>
-        <div class="quote-actions">
-          ${quote.status === 'pending' ? `
-            <button class="btn btn-approve" data-action="approve">✓ Approve</button>
-            <button class="btn btn-reject" data-action="reject">✗ Reject</button>
-          ` : quote.status === 'rejected' ? `
-            <button class="btn btn-approve" data-action="approve">✓ Approve</button>
-          ` : `
-            <button class="btn btn-reject" data-action="reject">✗ Reject</button>
-          `}
-        </div>
-      </div>
-    `).join('');
+    const html = quotes.map(renderQuoteCard).join('');
+    if (append) {
+      container.insertAdjacentHTML('beforeend', html);
+      updateBulkToolbar();
+    } else {
+      container.innerHTML = html;
+      clearSelection();
+    }
+
+    quotesOffset = offset + quotes.length;
+    resultCount.textContent = `Showing ${quotesOffset} of ${total}`;
+    loadMoreBtn.classList.toggle('hidden', quotesOffset >= total);
   } catch (error) {
+    if (requestId !== latestQuotesRequest) return;
     console.error("Error loading quotes:", error);
+    if (append) {
+      showToast('Failed to load more quotes', 'error');
+      return;
+    }
     container.innerHTML = '<p class="error">Failed to load quotes.</p>';
+    resultCount.textContent = '';
+    loadMoreBtn.classList.add('hidden');
+    clearSelection();
   }
 }
 
 // Approve quote
 async function approveQuote(quoteId) {
   try {
-    if (useMockData || !supabase) {
-      // Mock mode - update mock data
-      const quote = MOCK_ALL_QUOTES.find(q => q.id === quoteId);
-      if (quote) {
-        quote.status = 'approved';
-        quote.reviewed_at = new Date().toISOString();
-      }
-      
-      showToast('Quote approved! (Mock mode - not saved)', 'success');
-      await refreshData();
-      return;
-    }
-
-    const { error } = await supabase.rpc('approve_quote', { quote_id: quoteId });
-    
-    if (error) throw error;
-    
+    await repository.setQuoteStatus(quoteId, 'approved');
     showToast('Quote approved successfully!', 'success');
     await refreshData();
   } catch (error) {
@@ -399,13 +458,27 @@ async function approveQuote(quoteId) {
   }
 }
 
-// Reject quote
-let pendingRejectQuoteId = null;
+// Reject quote (one, or several with a shared reason)
+let pendingRejectQuoteIds = [];
+// Set by review mode, which handles the rejection itself
+let pendingRejectHandler = null;
 
-function showRejectModal(quoteId) {
-  pendingRejectQuoteId = quoteId;
+/**
+ * Ask for a rejection reason
+ * @param {number|number[]} quoteIds - The quote(s) to reject
+ * @param {Function|null} onSubmit - Called with the reason instead of rejecting right away
+ */
+function showRejectModal(quoteIds, onSubmit = null) {
+  pendingRejectQuoteIds = [].concat(quoteIds);
+  pendingRejectHandler = onSubmit;
   const rejectModal = document.getElementById('rejectModal');
   const rejectionReason = document.getElementById('rejectionReason');
+  const isBulk = pendingRejectQuoteIds.length > 1;
+
+  document.getElementById('rejectModalTitle').textContent = isBulk
+    ? `Reject ${pendingRejectQuoteIds.length} Quotes`
+    : 'Reject Quote';
+  rejectModal.querySelector('button[type="submit"]').textContent = isBulk ? 'Reject All' : 'Reject Quote';
   
   rejectModal.classList.add('show');
   rejectModal.setAttribute('aria-hidden', 'false');
@@ -413,30 +486,21 @@ function showRejectModal(quoteId) {
 }
 
 async function submitReject(reason) {
-  const quoteId = pendingRejectQuoteId;
+  if (pendingRejectHandler) {
+    await pendingRejectHandler(reason || null);
+    return;
+  }
+
+  if (pendingRejectQuoteIds.length > 1) {
+    const quoteIds = pendingRejectQuoteIds;
+    await runBulkAction('Reject', () => repository.rejectQuotes(quoteIds, reason || null));
+    return;
+  }
+
+  const quoteId = pendingRejectQuoteIds[0];
   
   try {
-    if (useMockData || !supabase) {
-      // Mock mode - update mock data
-      const quote = MOCK_ALL_QUOTES.find(q => q.id === quoteId);
-      if (quote) {
-        quote.status = 'rejected';
-        quote.reviewed_at = new Date().toISOString();
-        quote.rejection_reason = reason;
-      }
-      
-      showToast('Quote rejected! (Mock mode - not saved)', 'success');
-      await refreshData();
-      return;
-    }
-
-    const { error } = await supabase.rpc('reject_quote', { 
-      quote_id: quoteId,
-      reason: reason || null
-    });
-    
-    if (error) throw error;
-    
+    await repository.setQuoteStatus(quoteId, 'rejected', reason || null);
     showToast('Quote rejected!', 'success');
     await refreshData();
   } catch (error) {
@@ -445,240 +509,2065 @@ async function submitReject(reason) {
   }
 }
 
-// Show toast notification
-function showToast(message, type) {
-  const toast = document.createElement('div');
-  toast.className = `toast toast-${type}`;
-  toast.textContent = message;
-  document.body.appendChild(toast);
-  
-  setTimeout(() => toast.classList.add('show'), 100);
-  
-  setTimeout(() => {
-    toast.classList.remove('show');
-    setTimeout(() => toast.remove(), 300);
-  }, 3000);
+// ===== BULK MODERATION =====
+// Selected quote IDs; cleared whenever the queue is re-rendered
+const selectedQuoteIds = new Set();
+// Last checkbox clicked, the anchor for Shift+click range selection
+let lastSelectedQuoteId = null;
+
+function getRenderedQuoteIds() {
+  return [...document.querySelectorAll('#quotesContainer .quote-card')]
+    .map(card => parseInt(card.dataset.quoteId, 10));
 }
 
-// AI Tag a quote from the moderation queue
-async function aiTagQuote(quoteId, button) {
-  // Show loading state
-  const originalHTML = button.innerHTML;
-  button.disabled = true;
-  button.innerHTML = `
-    <svg class="spinner" viewBox="0 0 24 24" width="14" height="14">
-      <circle cx="12" cy="12" r="10" stroke="currentColor" stroke-width="2" fill="none" stroke-dasharray="40 60"/>
-    </svg>
-    Analyzing...
-  `;
-  
-  try {
-    let quote;
-    
-    // Get quote data
-    if (useMockData || !supabase) {
-      quote = MOCK_ALL_QUOTES.find(q => q.id === quoteId);
+function updateBulkToolbar() {
+  const renderedIds = getRenderedQuoteIds();
+  const count = selectedQuoteIds.size;
+
+  const selectAll = document.getElementById('selectAllQuotes');
+  selectAll.disabled = renderedIds.length === 0;
+  selectAll.checked = renderedIds.length > 0 && count === renderedIds.length;
+  selectAll.indeterminate = count > 0 && count < renderedIds.length;
+
+  document.getElementById('bulkSelectionCount').textContent = count
+    ? `${count} selected`
+    : 'No quotes selected';
+
+  ['bulkApproveBtn', 'bulkRejectBtn', 'bulkAiTagBtn'].forEach(id => {
+    document.getElementById(id).disabled = count === 0;
+  });
+  document.getElementById('bulkAiTagBtn').classList.toggle('hidden', !hasAdminRole('editor'));
+
+  document.querySelectorAll('#quotesContainer .quote-card').forEach(card => {
+    const selected = selectedQuoteIds.has(parseInt(card.dataset.quoteId, 10));
+    card.classList.toggle('selected', selected);
+    const checkbox = card.querySelector('.quote-select');
+    if (checkbox) checkbox.checked = selected;
+  });
+}
+
+function clearSelection() {
+  selectedQuoteIds.clear();
+  lastSelectedQuoteId = null;
+  updateBulkToolbar();
+}
+
+/**
+ * Handle a quote's checkbox; with Shift held, every quote between it and the
+ * previously clicked one gets the same state
+ * @param {number} quoteId - The quote that was clicked
+ * @param {boolean} selected - The checkbox's new state
+ * @param {boolean} extendRange - Whether Shift was held
+ */
+function toggleQuoteSelection(quoteId, selected, extendRange) {
+  let quoteIds = [quoteId];
+
+  if (extendRange && lastSelectedQuoteId !== null) {
+    const renderedIds = getRenderedQuoteIds();
+    const from = renderedIds.indexOf(lastSelectedQuoteId);
+    const to = renderedIds.indexOf(quoteId);
+    if (from !== -1 && to !== -1) {
+      quoteIds = renderedIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+    }
+  }
+
+  quoteIds.forEach(id => {
+    if (selected) {
+      selectedQuoteIds.add(id);
     } else {
-      const { data, error } = await supabase
-        .from('quotes')
-        .select('*')
-        .eq('id', quoteId)
-        .single();
-      
-      if (error) throw error;
-      quote = data;
+      selectedQuoteIds.delete(id);
     }
-    
+  });
+  lastSelectedQuoteId = quoteId;
+  updateBulkToolbar();
+}
+
+/**
+ * Generate AI tags for several quotes, then save all the new tags in one call
+ * Quotes are tagged one after another to stay within the AI rate limit; a
+ * failure only skips that quote.
+ * @param {number[]} quoteIds - Quote IDs
+ * @param {Function} onProgress - Called with (done, total) after each quote
+ * @returns {Promise<Array<{quote_id: number, success: boolean, message: string}>>} One result per quote
+ */
+async function bulkAiTagQuotes(quoteIds, onProgress) {
+  const quotes = await repository.fetchQuotes(quoteIds);
+  const quotesById = new Map(quotes.map(quote => [quote.id, quote]));
+  const results = new Map();
+  const updates = [];
+
+  for (const [index, quoteId] of quoteIds.entries()) {
+    const quote = quotesById.get(quoteId);
+
     if (!quote) {
-      showToast('Quote not found', 'error');
-      return;
-    }
-    
-    const result = await generateAITagsWithRetry(quote.text);
-    
-    if (result.error) {
-      showToast(result.error, 'error');
-      return;
-    }
-    
-    if (result.tags.length === 0) {
-      showToast('No relevant tags found', 'error');
-      return;
-    }
-    
-    // Merge new tags with existing tags
-    const existingTags = quote.tags || [];
-    const newTags = result.tags.filter(tag => !existingTags.includes(tag));
-    
-    if (newTags.length === 0) {
-      showToast('Quote already has these tags', 'error');
-      return;
-    }
-    
-    const updatedTags = [...existingTags, ...newTags].slice(0, 10);
-    
-    // Update in database or mock
-    if (useMockData || !supabase) {
-      quote.tags = updatedTags;
-      showToast(`Added ${newTags.length} AI tags!`, 'success');
+      results.set(quoteId, { quote_id: quoteId, success: false, message: 'Quote not found' });
     } else {
-      const { error } = await supabase
-        .from('quotes')
-        .update({ tags: updatedTags })
-        .eq('id', quoteId);
-      
-      if (error) throw error;
-      showToast(`Added ${newTags.length} AI tags!`, 'success');
+      const result = await generateAITagsWithRetry(quote.text);
+      const existingTags = quote.tags || [];
+      const newTags = (result.tags || []).filter(tag => !existingTags.includes(tag));
+
+      if (result.error) {
+        results.set(quoteId, { quote_id: quoteId, success: false, message: result.error });
+      } else if (newTags.length === 0) {
+        results.set(quoteId, { quote_id: quoteId, success: false, message: 'No new tags found' });
+      } else {
+        updates.push({ quote, tags: [...existingTags, ...newTags].slice(0, 10), added: newTags.length });
+      }
     }
-    
-    // Update the UI
-    updateQuoteTagsUI(quoteId, updatedTags);
-    
+
+    onProgress(index + 1, quoteIds.length);
+  }
+
+  if (updates.length > 0) {
+    const saved = await repository.updateQuotesTags(updates.map(({ quote, tags }) => ({ id: quote.id, tags })), 'ai');
+    saved.filter(row => !row.success).forEach(row => results.set(row.quote_id, row));
+
+    updates.forEach(({ quote, added }) => {
+      if (!results.has(quote.id)) {
+        results.set(quote.id, { quote_id: quote.id, success: true, message: `Added ${added} tags` });
+      }
+    });
+  }
+
+  return quoteIds.map(quoteId => results.get(quoteId));
+}
+
+/**
+ * Show what a bulk action did to each quote
+ * @param {string} actionLabel - e.g. 'Approve'
+ * @param {Array<{quote_id: number, success: boolean, message: string}>} results - One per quote
+ * @param {Map<number, string>} quoteTexts - Quote text by ID, for the list
+ */
+function showBulkReport(actionLabel, results, quoteTexts) {
+  const succeeded = results.filter(result => result.success).length;
+  const failed = results.length - succeeded;
+
+  document.getElementById('bulkReportTitle').textContent = `Bulk ${actionLabel} Results`;
+  document.getElementById('bulkReportSummary').textContent =
+    `${succeeded} succeeded, ${failed} failed.`;
+  document.getElementById('bulkReportList').innerHTML = results.map(result => `
+    <li class="bulk-report-item ${result.success ? '' : 'failed'}">
+      <span class="bulk-report-text">#${result.quote_id} “${escapeHtml(quoteTexts.get(result.quote_id) || '')}”</span>
+      <span class="bulk-report-message">${result.success ? '✓' : '✗'} ${escapeHtml(result.message)}</span>
+    </li>
+  `).join('');
+
+  const modal = document.getElementById('bulkReportModal');
+  modal.classList.add('show');
+  modal.setAttribute('aria-hidden', 'false');
+  document.getElementById('doneBulkReportBtn').focus();
+}
+
+/**
+ * Run a bulk action on the selection, report the per-quote results and reload the queue
+ * @param {string} actionLabel - e.g. 'Approve'
+ * @param {Function} operation - Resolves to one result per quote
+ */
+async function runBulkAction(actionLabel, operation) {
+  // Read the texts now; refreshData() re-renders the cards
+  const quoteTexts = new Map(
+    [...document.querySelectorAll('#quotesContainer .quote-card')].map(card => [
+      parseInt(card.dataset.quoteId, 10),
+      card.querySelector('.quote-text').textContent.replace(/^"|"$/g, '')
+    ])
+  );
+  const bulkButtons = document.querySelectorAll('.bulk-actions .btn');
+  bulkButtons.forEach(button => { button.disabled = true; });
+
+  try {
+    const results = await operation();
+    showBulkReport(actionLabel, results, quoteTexts);
+    await refreshData();
   } catch (error) {
-    console.error('AI tagging error:', error);
-    showToast('Failed to generate tags', 'error');
-  } finally {
-    button.disabled = false;
-    button.innerHTML = originalHTML;
+    console.error(`Bulk ${actionLabel.toLowerCase()} failed:`, error);
+    showToast(`Bulk ${actionLabel.toLowerCase()} failed`, 'error');
+    updateBulkToolbar();
   }
 }
 
-// Remove a tag from a quote
-async function removeTagFromQuote(quoteId, tagToRemove) {
+// ===== DUPLICATES =====
+
+// The pending quote and the quote it may duplicate, while the compare modal is open
+let duplicatePair = null;
+
+function renderDuplicateSide(quote, label, diffHtml) {
+  return `
+    <h3 class="duplicate-side-title">${label} #${quote.id} <span class="quote-status-badge ${quote.status}">${quote.status}</span></h3>
+    <p class="duplicate-text">“${diffHtml}”</p>
+    <p class="quote-author">— ${escapeHtml(quote.author)}</p>
+    <p class="duplicate-tags">Tags: ${(quote.tags || []).length ? (quote.tags || []).map(escapeHtml).join(', ') : '—'}</p>
+  `;
+}
+
+/**
+ * Compare a pending quote with the quote it may duplicate, side by side
+ * @param {number} quoteId - The pending quote
+ * @param {number} originalId - The quote it may duplicate
+ */
+async function showDuplicateModal(quoteId, originalId) {
+  let duplicate;
+  let original;
   try {
-    let quote;
-    
-    if (useMockData || !supabase) {
-      quote = MOCK_ALL_QUOTES.find(q => q.id === quoteId);
-    } else {
-      const { data, error } = await supabase
-        .from('quotes')
-        .select('tags')
-        .eq('id', quoteId)
-        .single();
-      
-      if (error) throw error;
-      quote = data;
-    }
-    
-    if (!quote) return;
-    
-    const updatedTags = (quote.tags || []).filter(tag => tag !== tagToRemove);
-    
-    if (useMockData || !supabase) {
-      const mockQuote = MOCK_ALL_QUOTES.find(q => q.id === quoteId);
-      if (mockQuote) mockQuote.tags = updatedTags;
-      showToast('Tag removed', 'success');
+    [duplicate, original] = await Promise.all([repository.fetchQuote(quoteId), repository.fetchQuote(originalId)]);
+  } catch (error) {
+    console.error('Error loading quotes to compare:', error);
+    showToast('Failed to load the quotes to compare', 'error');
+    return;
+  }
+
+  if (!duplicate || !original) {
+    showToast('One of these quotes no longer exists', 'error');
+    await refreshData();
+    return;
+  }
+
+  duplicatePair = { duplicate, original };
+  const diff = renderTextDiff(duplicate.text, original.text);
+  document.getElementById('duplicateSubmission').innerHTML = renderDuplicateSide(duplicate, 'Submission', diff.left);
+  document.getElementById('duplicateOriginal').innerHTML = renderDuplicateSide(original, 'Existing', diff.right);
+
+  const newTags = (duplicate.tags || []).filter(tag => !(original.tags || []).includes(tag));
+  document.getElementById('duplicateMergeNote').textContent = newTags.length
+    ? `Merge & reject adds ${newTags.join(', ')} to #${original.id} (up to 10 tags) and rejects #${duplicate.id} as a duplicate.`
+    : `Merge & reject rejects #${duplicate.id} as a duplicate of #${original.id}.`;
+
+  const modal = document.getElementById('duplicateModal');
+  modal.classList.add('show');
+  modal.setAttribute('aria-hidden', 'false');
+  document.getElementById('mergeDuplicateBtn').focus();
+}
+
+// ===== EDIT QUOTE =====
+const EDITABLE_QUOTE_FIELDS = ['text', 'author', 'category', 'tags', 'status'];
+
+// The version of the quote loaded into the edit form (with its last_modified)
+let editingQuote = null;
+let editSavedHandler = null;
+let editTags = [];
+// Newer version saved by someone else while the form was open
+let editConflictVersion = null;
+
+function isSameFieldValue(a, b) {
+  return Array.isArray(a) || Array.isArray(b)
+    ? JSON.stringify(a || []) === JSON.stringify(b || [])
+    : a === b;
+}
+
+/**
+ * Fields whose values differ between two versions of a quote
+ * @returns {string[]} Field names from EDITABLE_QUOTE_FIELDS
+ */
+function getChangedFields(before, after) {
+  return EDITABLE_QUOTE_FIELDS.filter(field => field in after && !isSameFieldValue(before[field], after[field]));
+}
+
+function renderEditTags() {
+  renderSelectedTags(editTags, document.getElementById('editSelectedTags'));
+
+  const suggestions = generateTagSuggestions(
+    document.getElementById('editQuoteText').value.trim(),
+    document.getElementById('editQuoteAuthor').value.trim(),
+    document.getElementById('editQuoteCategory').value,
+    editTags
+  );
+  const suggestedTags = document.getElementById('editSuggestedTags');
+  renderTagSuggestions(suggestions, suggestedTags.querySelector('.tag-suggestions'));
+  suggestedTags.classList.toggle('hidden', suggestions.length === 0);
+}
+
+function addEditTag(tag) {
+  const normalizedTag = normalizeTag(tag);
+  if (!normalizedTag) {
+    if (tag.trim()) showToast(`"${tag.trim()}" is a blocked tag`, 'error');
+    document.getElementById('editQuoteTags').value = '';
+    return;
+  }
+  if (editTags.includes(normalizedTag)) return;
+
+  if (editTags.length >= 10) {
+    showToast('Maximum 10 tags allowed', 'error');
+    return;
+  }
+
+  editTags = [...editTags, normalizedTag];
+  document.getElementById('editQuoteTags').value = '';
+  renderEditTags();
+}
+
+function removeEditTag(tag) {
+  editTags = editTags.filter(t => t !== tag);
+  renderEditTags();
+}
+
+// Put a version of the quote into the edit form
+function fillEditForm(quote) {
+  editingQuote = quote;
+  editConflictVersion = null;
+  editTags = [...(quote.tags || [])];
+
+  const categorySelect = document.getElementById('editQuoteCategory');
+  if (quote.category && ![...categorySelect.options].some(option => option.value === quote.category)) {
+    const option = document.createElement('option');
+    option.value = quote.category;
+    option.textContent = quote.category;
+    categorySelect.appendChild(option);
+  }
+
+  document.getElementById('editQuoteText').value = quote.text;
+  document.getElementById('editQuoteAuthor').value = quote.author;
+  categorySelect.value = quote.category || '';
+  document.getElementById('editQuoteStatus').value = quote.status;
+  document.querySelector('#editQuoteModal .char-count').textContent = `${quote.text.length}/500`;
+  document.getElementById('editConflict').classList.add('hidden');
+  renderEditTags();
+}
+
+// Values currently in the edit form
+function readEditForm() {
+  const values = {
+    text: document.getElementById('editQuoteText').value.trim(),
+    author: document.getElementById('editQuoteAuthor').value.trim(),
+    category: document.getElementById('editQuoteCategory').value,
+    tags: editTags
+  };
+  if (!document.getElementById('editStatusGroup').classList.contains('hidden')) {
+    values.status = document.getElementById('editQuoteStatus').value;
+  }
+  return values;
+}
+
+/**
+ * Open the edit form with the latest version of a quote
+ * @param {number} quoteId - The quote ID
+ * @param {Function} onSaved - Called with (changes, previousValues, lastModified) after saving
+ * @param {{allowStatus?: boolean}} options - Whether the status can be changed here
+ */
+async function showEditModal(quoteId, onSaved, { allowStatus = true } = {}) {
+  let quote;
+  try {
+    quote = await repository.fetchQuote(quoteId);
+  } catch (error) {
+    console.error('Error loading quote for editing:', error);
+    showToast('Failed to load quote', 'error');
+    return;
+  }
+
+  if (!quote) {
+    showToast('Quote not found', 'error');
+    return;
+  }
+
+  editSavedHandler = onSaved;
+  document.getElementById('editStatusGroup').classList.toggle('hidden', !allowStatus);
+  fillEditForm(quote);
+
+  const editModal = document.getElementById('editQuoteModal');
+  editModal.classList.add('show');
+  editModal.setAttribute('aria-hidden', 'false');
+  document.getElementById('editQuoteText').focus();
+}
+
+/**
+ * Someone else saved the quote while it was open: show what they changed and let
+ * the admin load their version or save over it
+ * @param {Object} latest - The quote as it is now
+ */
+function showEditConflict(latest) {
+  const theirChanges = getChangedFields(editingQuote, latest);
+  const fields = theirChanges.length ? theirChanges.join(', ') : 'the quote';
+
+  document.getElementById('editConflictMessage').textContent =
+    `Someone else changed ${fields} while you were editing. Load their version, or save yours over it.`;
+  document.getElementById('editConflict').classList.remove('hidden');
+  editConflictVersion = latest;
+}
+
+// ===== KEYBOARD REVIEW MODE =====
+// Pending quotes are fetched oldest first in batches; the next batch is
+// requested while the reviewer is still a few quotes from the end
+const REVIEW_BATCH_SIZE = 20;
+const REVIEW_PREFETCH_THRESHOLD = 5;
+
+const reviewState = {
+  queue: [],        // Pending quotes in review order
+  index: 0,         // Position of the quote on screen
+  total: 0,         // Pending quotes when review mode was opened
+  reviewed: 0,      // Approved or rejected this session
+  hasMore: true,    // Whether the database may hold more pending quotes
+  loading: null,    // In-flight batch request
+  busy: false,      // An action is running; further keys are ignored
+  history: []       // Undo stack of { type, quote, previous }
+};
+
+function loadNextReviewBatch() {
+  if (!reviewState.hasMore) return Promise.resolve();
+
+  if (!reviewState.loading) {
+    const last = reviewState.queue[reviewState.queue.length - 1] || null;
+    reviewState.loading = repository.fetchPendingQuotes(last, REVIEW_BATCH_SIZE)
+      .then(quotes => {
+        const queuedIds = new Set(reviewState.queue.map(q => q.id));
+        reviewState.queue.push(...quotes.filter(q => !queuedIds.has(q.id)));
+        reviewState.hasMore = quotes.length === REVIEW_BATCH_SIZE;
+      })
+      .finally(() => {
+        reviewState.loading = null;
+      });
+  }
+
+  return reviewState.loading;
+}
+
+function isReviewModeOpen() {
+  return document.getElementById('reviewMode').classList.contains('show');
+}
+
+function getCurrentReviewQuote() {
+  return reviewState.queue[reviewState.index] || null;
+}
+
+function updateReviewProgress() {
+  const total = Math.max(reviewState.total, reviewState.queue.length);
+  const left = Math.max(total - reviewState.index, 0);
+
+  document.getElementById('reviewProgressText').textContent =
+    `${left} left · ${reviewState.reviewed} reviewed`;
+  document.getElementById('reviewProgressBar').style.width =
+    `${total ? Math.min(reviewState.index / total, 1) * 100 : 100}%`;
+}
+
+async function renderReviewQuote() {
+  const container = document.getElementById('reviewQuote');
+
+  // Keep the next quotes ready so moving on never waits for the network
+  if (reviewState.queue.length - reviewState.index <= REVIEW_PREFETCH_THRESHOLD) {
+    const batch = loadNextReviewBatch();
+    if (reviewState.index >= reviewState.queue.length) {
+      container.innerHTML = '<p class="loading">Loading quotes...</p>';
+      try {
+        await batch;
+      } catch (error) {
+        console.error('Error loading review queue:', error);
+        container.innerHTML = '<p class="error">Failed to load quotes.</p>';
+        return;
+      }
+    } else {
+      batch.catch(error => console.error('Error prefetching review queue:', error));
+    }
+  }
+
+  updateReviewProgress();
+
+  const quote = getCurrentReviewQuote();
+  if (!quote) {
+    container.innerHTML = '<p class="no-quotes">🎉 All caught up! No pending quotes left.</p>';
+    return;
+  }
+
+  const tags = quote.tags && quote.tags.length
+    ? quote.tags.map(tag => `<span class="tag-pill">${escapeHtml(tag)}</span>`).join('')
+    : '<span class="no-tags">No tags</span>';
+
+  container.innerHTML = `
+    <p class="review-quote-text">"${escapeHtml(quote.text)}"</p>
+    <p class="quote-author">— ${escapeHtml(quote.author)}</p>
+    <p class="quote-meta">
+      Category: ${escapeHtml(quote.category)} |
+      Submitted: ${new Date(quote.created_at).toLocaleDateString()}
+    </p>
+    <div class="quote-tags">${tags}</div>
+  `;
+}
+
+/**
+ * Run a review action, ignoring keys until it finishes
+ * @param {string} errorMessage - Toast shown if the action fails
+ * @param {Function} action - The action
+ */
+async function runReviewAction(errorMessage, action) {
+  if (reviewState.busy) return;
+  reviewState.busy = true;
+
+  try {
+    await action();
+  } catch (error) {
+    console.error(`${errorMessage}:`, error);
+    showToast(errorMessage, 'error');
+  } finally {
+    reviewState.busy = false;
+  }
+}
+
+function advanceReview(entry) {
+  reviewState.history.push(entry);
+  reviewState.index++;
+  renderReviewQuote();
+}
+
+function reviewApprove() {
+  const quote = getCurrentReviewQuote();
+  if (!quote) return;
+
+  runReviewAction('Failed to approve quote', async () => {
+    await repository.setQuoteStatus(quote.id, 'approved');
+    reviewState.reviewed++;
+    advanceReview({ type: 'status', quote });
+  });
+}
+
+function reviewReject() {
+  const quote = getCurrentReviewQuote();
+  if (!quote || reviewState.busy) return;
+
+  showRejectModal(quote.id, reason => runReviewAction('Failed to reject quote', async () => {
+    await repository.setQuoteStatus(quote.id, 'rejected', reason);
+    reviewState.reviewed++;
+    advanceReview({ type: 'status', quote });
+  }));
+}
+
+function reviewSkip() {
+  const quote = getCurrentReviewQuote();
+  if (!quote || reviewState.busy) return;
+
+  advanceReview({ type: 'skip', quote });
+}
+
+function reviewAiTag() {
+  const quote = getCurrentReviewQuote();
+  if (!quote || !hasAdminRole('editor')) return;
+
+  runReviewAction('Failed to generate tags', async () => {
+    showToast('Generating tags...', 'success');
+    const result = await generateAITagsWithRetry(quote.text);
+
+    if (result.error) {
+      showToast(result.error, 'error');
+      return;
+    }
+
+    const previousTags = quote.tags || [];
+    const newTags = result.tags.filter(tag => !previousTags.includes(tag));
+    if (newTags.length === 0) {
+      showToast('No new tags found', 'error');
+      return;
+    }
+
+    const updatedTags = [...previousTags, ...newTags].slice(0, 10);
+    await saveQuoteTags(quote, updatedTags, 'ai');
+    quote.tags = updatedTags;
+    reviewState.history.push({ type: 'tags', quote, previous: previousTags });
+    showToast(`Added ${newTags.length} AI tags!`, 'success');
+    renderReviewQuote();
+  });
+}
+
+function reviewEdit() {
+  const quote = getCurrentReviewQuote();
+  if (!quote || reviewState.busy || !hasAdminRole('editor')) return;
+
+  // Status changes go through the approve/reject keys instead
+  showEditModal(quote.id, (changes, previous, lastModified) => {
+    Object.assign(quote, changes);
+    reviewState.history.push({ type: 'edit', quote, previous, lastModified });
+    renderReviewQuote();
+  }, { allowStatus: false });
+}
+
+// Undo the most recent action and show that quote again
+function reviewUndo() {
+  const entry = reviewState.history[reviewState.history.length - 1];
+  if (!entry) {
+    showToast('Nothing to undo', 'error');
+    return;
+  }
+
+  runReviewAction('Failed to undo', async () => {
+    if (entry.type === 'status') {
+      await repository.setQuoteStatus(entry.quote.id, 'pending');
+      reviewState.reviewed--;
+    } else if (entry.type === 'tags') {
+      await saveQuoteTags(entry.quote, entry.previous, 'manual');
+      entry.quote.tags = entry.previous;
+    } else if (entry.type === 'edit') {
+      const result = await repository.editQuote(entry.quote.id, entry.lastModified, entry.previous);
+      if (!result.saved) {
+        // Drop it so earlier actions can still be undone
+        reviewState.history.pop();
+        showToast('Someone else has changed this quote since, so the edit can\'t be undone', 'error');
+        return;
+      }
+      Object.assign(entry.quote, entry.previous);
+    }
+
+    reviewState.history.pop();
+    reviewState.index = reviewState.queue.indexOf(entry.quote);
+    showToast('Undone', 'success');
+    renderReviewQuote();
+  });
+}
+
+const REVIEW_KEYS = {
+  a: reviewApprove,
+  r: reviewReject,
+  s: reviewSkip,
+  arrowright: reviewSkip,
+  u: reviewUndo,
+  t: reviewAiTag,
+  e: reviewEdit
+};
+
+function handleReviewKeydown(e) {
+  if (!isReviewModeOpen() || e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+  // Keys belong to the reject/edit forms while they're open
+  if (e.target.closest('input, textarea, select')) return;
+  if (document.querySelector('.modal.show:not(#reviewMode)')) return;
+
+  const action = REVIEW_KEYS[e.key.toLowerCase()];
+  if (!action) return;
+
+  e.preventDefault();
+  action();
+}
+
+async function openReviewMode() {
+  Object.assign(reviewState, {
+    queue: [],
+    index: 0,
+    total: 0,
+    reviewed: 0,
+    hasMore: true,
+    loading: null,
+    busy: false,
+    history: []
+  });
+
+  document.querySelectorAll('.review-editor-key').forEach(item => {
+    item.classList.toggle('hidden', !hasAdminRole('editor'));
+  });
+
+  const reviewModal = document.getElementById('reviewMode');
+  reviewModal.classList.add('show');
+  reviewModal.setAttribute('aria-hidden', 'false');
+  document.getElementById('reviewQuote').innerHTML = '<p class="loading">Loading quotes...</p>';
+  document.getElementById('exitReviewMode').focus();
+
+  try {
+    reviewState.total = await repository.countPendingQuotes();
+  } catch (error) {
+    console.error('Error counting pending quotes:', error);
+  }
+  await renderReviewQuote();
+}
+
+async function closeReviewMode() {
+  const reviewModal = document.getElementById('reviewMode');
+  reviewModal.classList.remove('show');
+  reviewModal.setAttribute('aria-hidden', 'true');
+  document.getElementById('reviewModeBtn').focus();
+
+  if (reviewState.history.length > 0) {
+    await refreshData();
+  }
+}
+
+// ===== QUOTE OF THE DAY SCHEDULING =====
+let pendingScheduleQuoteId = null;
+
+// Render the upcoming schedule inside the schedule modal
+async function renderScheduledList() {
+  const scheduledList = document.getElementById('scheduledList');
+
+  try {
+    const scheduled = await repository.fetchScheduledDailyQuotes();
+
+    if (scheduled.length === 0) {
+      scheduledList.innerHTML = '<li class="no-scheduled">Nothing scheduled. Visitors get the automatic pick.</li>';
+      return;
+    }
+
+    scheduledList.innerHTML = scheduled.map(entry => `
+      <li class="scheduled-item">
+        <span class="scheduled-date">${entry.quote_day}</span>
+        <span class="scheduled-text" title="${escapeHtml(entry.text)}">"${escapeHtml(entry.text)}" — ${escapeHtml(entry.author)}</span>
+        <button type="button" class="unschedule-btn" data-day="${entry.quote_day}" aria-label="Remove scheduled quote for ${entry.quote_day}" title="Remove">×</button>
+      </li>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading scheduled quotes:', error);
+    scheduledList.innerHTML = '<li class="no-scheduled">Failed to load schedule.</li>';
+  }
+}
+
+async function showScheduleModal(quoteId) {
+  pendingScheduleQuoteId = quoteId;
+  const scheduleModal = document.getElementById('scheduleModal');
+  const scheduleDate = document.getElementById('scheduleDate');
+  const preview = document.getElementById('scheduleQuotePreview');
+
+  const card = document.querySelector(`.quote-card[data-quote-id="${quoteId}"]`);
+  preview.textContent = card?.querySelector('.quote-text')?.textContent || '';
+
+  // Quote of the Day days are UTC dates
+  scheduleDate.min = getDayKey();
+  scheduleDate.value = getDayKey();
+
+  scheduleModal.classList.add('show');
+  scheduleModal.setAttribute('aria-hidden', 'false');
+  scheduleDate.focus();
+
+  await renderScheduledList();
+}
+
+// Show toast notification
+function showToast(message, type) {
+  const toast = document.createElement('div');
+  toast.className = `toast toast-${type}`;
+  toast.textContent = message;
+  document.body.appendChild(toast);
+  
+  setTimeout(() => toast.classList.add('show'), 100);
+  
+  setTimeout(() => {
+    toast.classList.remove('show');
+    setTimeout(() => toast.remove(), 300);
+  }, 3000);
+}
+
+// AI Tag a quote from the moderation queue
+async function aiTagQuote(quoteId, button) {
+  // Show loading state
+  const originalHTML = button.innerHTML;
+  button.disabled = true;
+  button.innerHTML = `
+    <svg class="spinner" viewBox="0 0 24 24" width="14" height="14">
+      <circle cx="12" cy="12" r="10" stroke="currentColor" stroke-width="2" fill="none" stroke-dasharray="40 60"/>
+    </svg>
+    Analyzing...
+  `;
+  
+  try {
+    const quote = await repository.fetchQuote(quoteId);
+    
+    if (!quote) {
+      showToast('Quote not found', 'error');
+      return;
+    }
+    
+    const result = await generateAITagsWithRetry(quote.text);
+    
+    if (result.error) {
+      showToast(result.error, 'error');
+      return;
+    }
+    
+    if (result.tags.length === 0) {
+      showToast('No relevant tags found', 'error');
+      return;
+    }
+    
+    // Merge new tags with existing tags
+    const existingTags = quote.tags || [];
+    const newTags = result.tags.filter(tag => !existingTags.includes(tag));
+    
+    if (newTags.length === 0) {
+      showToast('Quote already has these tags', 'error');
+      return;
+    }
+    
+    const updatedTags = [...existingTags, ...newTags].slice(0, 10);
+    
+    // Update in database or mock
+    await saveQuoteTags(quote, updatedTags, 'ai');
+    showToast(`Added ${newTags.length} AI tags!`, 'success');
+    
+    // Update the UI
+    updateQuoteTagsUI(quoteId, updatedTags);
+    
+  } catch (error) {
+    console.error('AI tagging error:', error);
+    showToast('Failed to generate tags', 'error');
+  } finally {
+    button.disabled = false;
+    button.innerHTML = originalHTML;
+  }
+}
+
+// Remove a tag from a quote
+async function removeTagFromQuote(quoteId, tagToRemove) {
+  try {
+    const quote = await repository.fetchQuote(quoteId);
+    
+    if (!quote) return;
+    
+    const updatedTags = (quote.tags || []).filter(tag => tag !== tagToRemove);
+    
+    await saveQuoteTags(quote, updatedTags, 'manual');
+    showToast('Tag removed', 'success');
+    
+    // Update the UI
+    updateQuoteTagsUI(quoteId, updatedTags);
+    
+  } catch (error) {
+    console.error('Error removing tag:', error);
+    showToast('Failed to remove tag', 'error');
+  }
+}
+
+/**
+ * Save a quote's tags, recording the change in the audit log
+ * @param {Object} quote - The quote
+ * @param {string[]} tags - The new tags
+ * @param {string} source - Where the change came from: 'manual', 'ai' or 'import'
+ */
+async function saveQuoteTags(quote, tags, source) {
+  await repository.updateQuoteTags(quote.id, tags, source);
+  await refreshQuoteHistory(quote.id);
+  await loadActivityLog();
+}
+
+// ===== CATEGORIES =====
+
+// Categories as shown in the Categories section, in dropdown order
+let adminCategories = [];
+// The category in the edit form (null while creating one)
+let editingCategory = null;
+// The category being merged or deleted, and which of the two
+let removingCategory = null;
+
+function renderCategoryRow(category, index) {
+  const name = escapeHtml(category.name);
+  return `
+    <li class="category-row" data-category-id="${category.id}">
+      <span class="category-swatch" style="background: ${escapeHtml(category.color || '#e5e7eb')}" aria-hidden="true">${escapeHtml(category.icon || '')}</span>
+      <div class="category-info">
+        <span class="category-name">${name}</span>
+        ${category.description ? `<span class="category-description">${escapeHtml(category.description)}</span>` : ''}
+      </div>
+      <span class="category-count">${category.quote_count} approved</span>
+      <div class="category-actions">
+        <button type="button" class="category-move" data-action="up" aria-label="Move ${name} up" ${index === 0 ? 'disabled' : ''}>↑</button>
+        <button type="button" class="category-move" data-action="down" aria-label="Move ${name} down" ${index === adminCategories.length - 1 ? 'disabled' : ''}>↓</button>
+        <button type="button" class="btn btn-secondary" data-action="edit">Edit</button>
+        <button type="button" class="btn btn-secondary" data-action="merge" ${adminCategories.length < 2 ? 'disabled' : ''}>Merge…</button>
+        <button type="button" class="btn btn-reject" data-action="delete">Delete</button>
+      </div>
+    </li>
+  `;
+}
+
+function renderCategoryList() {
+  document.getElementById('categoryList').innerHTML = adminCategories.length
+    ? adminCategories.map(renderCategoryRow).join('')
+    : '<li class="category-empty">No categories yet.</li>';
+}
+
+// Load the Categories section (editors only)
+async function loadCategories() {
+  if (!hasAdminRole('editor')) return;
+
+  try {
+    adminCategories = await fetchCategories();
+    renderCategoryList();
+  } catch (error) {
+    console.error('Error loading categories:', error);
+    document.getElementById('categoryList').innerHTML = '<li class="category-empty error">Failed to load categories.</li>';
+  }
+}
+
+/**
+ * Reload everything that shows categories
+ * @param {boolean} quotesChanged - Quotes were renamed or moved, so reload the list and activity too
+ */
+async function refreshCategories(quotesChanged = false) {
+  await Promise.all([loadCategories(), populateAdminCategoryDropdown()]);
+  if (quotesChanged) {
+    // A renamed or merged category drops out of the list filter
+    quoteFilters.category = document.getElementById('quoteCategoryFilter').value;
+    await refreshData();
+  }
+}
+
+// Move a category one place up or down and save the new order
+async function moveCategory(categoryId, offset) {
+  const index = adminCategories.findIndex(c => c.id === categoryId);
+  const target = index + offset;
+  if (index === -1 || target < 0 || target >= adminCategories.length) return;
+
+  [adminCategories[index], adminCategories[target]] = [adminCategories[target], adminCategories[index]];
+  renderCategoryList();
+  document.querySelector(`.category-row[data-category-id="${categoryId}"] [data-action="${offset < 0 ? 'up' : 'down'}"]`)?.focus();
+
+  try {
+    await reorderCategories(adminCategories.map(c => c.id));
+    await populateAdminCategoryDropdown();
+  } catch (error) {
+    console.error('Error reordering categories:', error);
+    showToast('Failed to save the category order', 'error');
+    await loadCategories();
+  }
+}
+
+/**
+ * Open the category form
+ * @param {Object|null} category - The category to edit, or null for a new one
+ */
+function showCategoryModal(category = null) {
+  editingCategory = category;
+
+  document.getElementById('categoryModalTitle').textContent = category ? `Edit “${category.name}”` : 'New Category';
+  document.getElementById('saveCategoryBtn').textContent = category ? 'Save Changes' : 'Create';
+  document.getElementById('categoryName').value = category?.name || '';
+  document.getElementById('categoryDescription').value = category?.description || '';
+  document.getElementById('categoryIcon').value = category?.icon || '';
+  document.getElementById('categoryUseColor').checked = !!category?.color;
+  document.getElementById('categoryColor').value = category?.color || '#667eea';
+  document.getElementById('categoryRenameHint').classList.toggle('hidden', !category?.quote_count);
+  document.getElementById('categoryFeedback').classList.add('hidden');
+
+  const modal = document.getElementById('categoryModal');
+  modal.classList.add('show');
+  modal.setAttribute('aria-hidden', 'false');
+  document.getElementById('categoryName').focus();
+}
+
+/**
+ * Ask where a category's quotes should go before merging or deleting it
+ * @param {Object} category - The category
+ * @param {string} mode - 'merge' (a target is required) or 'delete'
+ */
+function showCategoryRemoveModal(category, mode) {
+  removingCategory = { category, mode };
+  const merge = mode === 'merge';
+
+  document.getElementById('categoryRemoveTitle').textContent = merge ? `Merge “${category.name}”` : `Delete “${category.name}”`;
+  document.getElementById('categoryRemoveText').textContent = merge
+    ? `All quotes in “${category.name}” move to the category you choose, then “${category.name}” is deleted.`
+    : `Quotes of every status in “${category.name}” move to the category you choose. A category that no quote uses can be deleted without moving anything.`;
+  document.getElementById('confirmCategoryRemoveBtn').textContent = merge ? 'Merge' : 'Delete';
+
+  const select = document.getElementById('categoryReassign');
+  select.innerHTML = merge
+    ? '<option value="">Choose a category</option>'
+    : '<option value="">Don\'t move (no quotes use it)</option>';
+  adminCategories.filter(c => c.id !== category.id).forEach(c => {
+    const option = document.createElement('option');
+    option.value = c.id;
+    option.textContent = c.name;
+    select.appendChild(option);
+  });
+  select.required = merge;
+  document.getElementById('categoryRemoveFeedback').classList.add('hidden');
+
+  const modal = document.getElementById('categoryRemoveModal');
+  modal.classList.add('show');
+  modal.setAttribute('aria-hidden', 'false');
+  select.focus();
+}
+
+// ===== TAGS =====
+
+// Every tag with its usage and vocabulary settings, most used first
+let adminTags = [];
+// Tags ticked for merging
+const selectedManagerTags = new Set();
+// The open tag dialog: { mode: 'rename'|'merge'|'alias', tags: string[] }
+let tagAction = null;
+
+function renderTagRow(entry, index) {
+  const tag = escapeHtml(entry.tag);
+  const plain = !entry.alias_of && !entry.is_blocked;
+  const details = [
+    entry.is_blocked ? '<span class="tag-status blocked">Blocked</span>' : '',
+    entry.alias_of ? `<span class="tag-status alias">Alias of ${escapeHtml(entry.alias_of)}</span>` : '',
+    entry.ai_candidate ? '<span class="tag-status ai">AI</span>' : '',
+    entry.themes.length ? `<span class="tag-themes">${escapeHtml(entry.themes.join(', '))}</span>` : ''
+  ].join('');
+
+  return `
+    <li class="tag-row${entry.is_blocked ? ' blocked' : ''}" data-tag-index="${index}">
+      <input type="checkbox" class="tag-select" aria-label="Select ${tag}" ${selectedManagerTags.has(entry.tag) ? 'checked' : ''} />
+      <div class="tag-info">
+        <span class="tag-name">${tag}</span>
+        ${details ? `<span class="tag-details">${details}</span>` : ''}
+      </div>
+      <span class="tag-count">${entry.quote_count} ${entry.quote_count === 1 ? 'quote' : 'quotes'}</span>
+      <div class="tag-actions">
+        <button type="button" class="btn btn-secondary" data-action="rename">Rename…</button>
+        <button type="button" class="btn btn-secondary" data-action="alias" ${entry.is_blocked ? 'disabled' : ''}>${entry.alias_of ? 'Edit alias…' : 'Alias…'}</button>
+        <button type="button" class="btn btn-secondary" data-action="ai" aria-pressed="${entry.ai_candidate}" ${plain ? '' : 'disabled'}
+          title="Offer this tag to the AI tagger">${entry.ai_candidate ? 'AI: on' : 'AI: off'}</button>
+        <button type="button" class="btn ${entry.is_blocked ? 'btn-secondary' : 'btn-reject'}" data-action="block">${entry.is_blocked ? 'Unblock' : 'Block'}</button>
+      </div>
+    </li>
+  `;
+}
+
+function renderTagList() {
+  const search = document.getElementById('tagSearch').value.trim().toLowerCase();
+  const rows = adminTags
+    .map((entry, index) => ({ entry, index }))
+    .filter(({ entry }) => !search || entry.tag.includes(search) || (entry.alias_of || '').includes(search));
+
+  document.getElementById('tagList').innerHTML = rows.length
+    ? rows.map(({ entry, index }) => renderTagRow(entry, index)).join('')
+    : `<li class="tag-manager-empty">${search ? 'No tags match your search.' : 'No tags yet.'}</li>`;
+
+  const mergeBtn = document.getElementById('mergeTagsBtn');
+  mergeBtn.disabled = selectedManagerTags.size === 0;
+  mergeBtn.textContent = selectedManagerTags.size ? `Merge ${selectedManagerTags.size} selected…` : 'Merge selected…';
+
+  // Suggestions for the rename / merge / alias target
+  document.getElementById('tagNameOptions').innerHTML = adminTags
+    .filter(entry => !entry.alias_of && !entry.is_blocked)
+    .map(entry => `<option value="${escapeHtml(entry.tag)}"></option>`)
+    .join('');
+}
+
+// Load the Tags section (editors only)
+async function loadTags() {
+  if (!hasAdminRole('editor')) return;
+
+  try {
+    adminTags = await fetchTagUsage();
+    const known = new Set(adminTags.map(entry => entry.tag));
+    [...selectedManagerTags].forEach(tag => {
+      if (!known.has(tag)) selectedManagerTags.delete(tag);
+    });
+    renderTagList();
+  } catch (error) {
+    console.error('Error loading tags:', error);
+    document.getElementById('tagList').innerHTML = '<li class="tag-manager-empty error">Failed to load tags.</li>';
+  }
+}
+
+/**
+ * Reload the Tags section, and the quotes and activity if quotes changed
+ * @param {number} quotesChanged - Number of quotes whose tags changed
+ */
+async function refreshTags(quotesChanged = 0) {
+  await loadTags();
+  if (quotesChanged > 0) {
+    await refreshData();
+  }
+}
+
+// Block/unblock a tag or switch it for the AI tagger, straight from its row
+async function updateTagSetting(entry, action) {
+  const settings = action === 'block'
+    ? { aliasOf: null, isBlocked: !entry.is_blocked }
+    : { aliasOf: entry.alias_of, isBlocked: entry.is_blocked, aiCandidate: !entry.ai_candidate };
+
+  try {
+    const updated = await saveTag(entry.tag, settings);
+    if (action === 'block') {
+      showToast(entry.is_blocked
+        ? `Unblocked “${entry.tag}”`
+        : `Blocked “${entry.tag}”${updated ? ` and removed it from ${updated} quotes` : ''}`, 'success');
+    }
+    await refreshTags(updated);
+  } catch (error) {
+    console.error('Error updating tag:', error);
+    showToast(error.message || 'Failed to update tag', 'error');
+  }
+}
+
+/**
+ * Open the tag dialog
+ * @param {string} mode - 'rename' (one tag), 'merge' (the selected tags) or 'alias' (one tag)
+ * @param {string[]} tags - The tags it applies to
+ */
+function showTagActionModal(mode, tags) {
+  tagAction = { mode, tags };
+  const names = tags.map(tag => `“${tag}”`).join(', ');
+  const entry = adminTags.find(e => e.tag === tags[0]);
+  const target = document.getElementById('tagActionTarget');
+
+  const copy = {
+    rename: {
+      title: `Rename “${tags[0]}”`,
+      text: 'The tag is renamed on every quote. If the new name is already a tag, the two are merged.',
+      label: 'New name',
+      confirm: 'Rename'
+    },
+    merge: {
+      title: 'Merge Tags',
+      text: `${names} are replaced by the tag you choose on every quote. It can be one of them or a new tag.`,
+      label: 'Merge into',
+      confirm: 'Merge'
+    },
+    alias: {
+      title: `Alias “${tags[0]}”`,
+      text: `“${tags[0]}” is replaced by this tag whenever a quote is saved, including the quotes that use it now. Leave it empty to make “${tags[0]}” a regular tag again.`,
+      label: 'Stands for',
+      confirm: 'Save'
+    }
+  }[mode];
+
+  document.getElementById('tagActionTitle').textContent = copy.title;
+  document.getElementById('tagActionText').textContent = copy.text;
+  document.getElementById('tagActionTargetLabel').textContent = copy.label;
+  document.getElementById('confirmTagActionBtn').textContent = copy.confirm;
+  document.getElementById('tagKeepAliasesField').classList.toggle('hidden', mode === 'alias');
+  document.getElementById('tagKeepAliases').checked = true;
+  document.getElementById('tagActionFeedback').classList.add('hidden');
+  target.value = mode === 'alias' ? entry?.alias_of || '' : mode === 'rename' ? tags[0] : '';
+  target.required = mode !== 'alias';
+
+  const modal = document.getElementById('tagActionModal');
+  modal.classList.add('show');
+  modal.setAttribute('aria-hidden', 'false');
+  target.focus();
+  target.select();
+}
+
+// ===== IMPORT =====
+
+// The file being imported: { fileName, columns, records }
+let importFile = null;
+// Its rows, checked by prepareImportRows() and checkImportDuplicates()
+let importRows = [];
+// The running or interrupted import job
+let importJob = null;
+let isImportRunning = false;
+
+function showImportStep(stepId) {
+  document.querySelectorAll('#importModal .import-step').forEach(step => {
+    step.classList.toggle('hidden', step.id !== stepId);
+  });
+}
+
+function showImportFeedback(elementId, message) {
+  const feedback = document.getElementById(elementId);
+  feedback.textContent = message;
+  feedback.className = message ? 'feedback error' : 'feedback hidden';
+}
+
+function formatImportSummary({ imported, skipped, failed, remaining }) {
+  return `${imported} imported, ${skipped} skipped, ${failed} failed${remaining ? `, ${remaining} left` : ''}.`;
+}
+
+// Offer to resume an import that stopped part-way (error, closed tab)
+function renderImportResume() {
+  const job = isImportRunning ? null : loadUnfinishedImportJob();
+  document.getElementById('importResume').classList.toggle('hidden', !job);
+  if (job) {
+    document.getElementById('importResumeText').textContent =
+      `The import of ${job.fileName || 'a file'} started ${new Date(job.createdAt).toLocaleString()} stopped early: ${formatImportSummary(summarizeImportJob(job))}`;
+  }
+}
+
+function showImportModal() {
+  importFile = null;
+  importRows = [];
+  document.getElementById('importFile').value = '';
+  showImportFeedback('importFileFeedback', '');
+
+  if (isImportRunning) {
+    showImportStep('importRunStep');
+  } else {
+    renderImportResume();
+    showImportStep('importFileStep');
+  }
+
+  const modal = document.getElementById('importModal');
+  modal.classList.add('show');
+  modal.setAttribute('aria-hidden', 'false');
+  modal.querySelector('.import-step:not(.hidden) input, .import-step:not(.hidden) button')?.focus();
+}
+
+// One column dropdown per quote field, plus the defaults for missing values
+function renderImportMapping() {
+  const mapping = guessColumnMapping(importFile.columns);
+
+  document.getElementById('importFileSummary').textContent =
+    `${importFile.fileName}: ${importFile.records.length} ${importFile.records.length === 1 ? 'row' : 'rows'}. Choose the column for each field.`;
+  document.getElementById('importMapping').innerHTML = Object.entries(IMPORT_FIELDS).map(([field, { label, required }]) => `
+    <div class="form-group">
+      <label for="importColumn-${field}">${label}${required ? ' *' : ''}</label>
+      <select id="importColumn-${field}" data-field="${field}">
+        <option value="">${required ? 'Choose a column' : 'Not in the file'}</option>
+        ${importFile.columns.map(column => `
+          <option value="${escapeHtml(column)}" ${mapping[field] === column ? 'selected' : ''}>${escapeHtml(column)}</option>
+        `).join('')}
+      </select>
+    </div>
+  `).join('');
+
+  const categorySelect = document.getElementById('importDefaultCategory');
+  const selectedCategory = categorySelect.value;
+  categorySelect.innerHTML = '<option value="">None (rows without one are skipped)</option>';
+  appendCategoryOptions(categorySelect, adminCategories);
+  categorySelect.value = adminCategories.some(c => c.name === selectedCategory) ? selectedCategory : '';
+
+  const aiTag = document.getElementById('importAiTag');
+  aiTag.disabled = !isAITaggingAvailable();
+  aiTag.checked = aiTag.checked && !aiTag.disabled;
+  document.getElementById('importAiTagField').title = aiTag.disabled ? 'AI tagging is not configured' : '';
+
+  showImportFeedback('importMappingFeedback', '');
+  showImportStep('importMappingForm');
+}
+
+function describeImportRow(row) {
+  if (row.errors.length > 0) {
+    return { className: 'failed', message: `✗ ${row.errors.join('; ')}` };
+  }
+  if (row.duplicate) {
+    const match = row.duplicate.id
+      ? `#${row.duplicate.id}${row.duplicate.exact ? '' : ` (${Math.round(row.duplicate.similarity * 100)}% similar)`}`
+      : `row ${row.duplicate.row}`;
+    return { className: 'warning', message: `⚠ Duplicate of ${match}` };
+  }
+  return { className: '', message: '✓ Ready' };
+}
+
+function renderImportPreview() {
+  const skipDuplicates = document.getElementById('importSkipDuplicates').checked;
+  const invalid = importRows.filter(row => row.errors.length > 0).length;
+  const duplicates = importRows.filter(row => row.errors.length === 0 && row.duplicate).length;
+  const toImport = importRows.length - invalid - (skipDuplicates ? duplicates : 0);
+
+  document.getElementById('importPreviewSummary').textContent =
+    `${toImport} of ${importRows.length} rows will be imported. ${invalid} have errors and ${duplicates} look like duplicates${duplicates ? (skipDuplicates ? ' (skipped)' : ' (imported anyway)') : ''}.`;
+  document.getElementById('importPreviewList').innerHTML = importRows.map(row => {
+    const { className, message } = describeImportRow(row);
+    return `
+      <li class="bulk-report-item import-row ${className}">
+        <span class="bulk-report-text">Row ${row.row}: “${escapeHtml(row.text)}” — ${escapeHtml(row.author)}</span>
+        <span class="bulk-report-message">${escapeHtml(message)}</span>
+      </li>
+    `;
+  }).join('');
+
+  const startBtn = document.getElementById('startImportBtn');
+  startBtn.disabled = toImport === 0;
+  startBtn.textContent = `Import ${toImport} ${toImport === 1 ? 'quote' : 'quotes'}`;
+  showImportStep('importPreviewStep');
+}
+
+function renderImportReport(job) {
+  document.getElementById('importReportList').innerHTML = job.rows.map(row => `
+    <li class="bulk-report-item import-row ${!row.result || row.result.success ? '' : row.result.skipped ? 'warning' : 'failed'}">
+      <span class="bulk-report-text">Row ${row.row}${row.result?.quoteId ? ` → #${row.result.quoteId}` : ''}: “${escapeHtml(row.text)}”</span>
+      <span class="bulk-report-message">${row.result ? `${row.result.success ? '✓' : '✗'} ${escapeHtml(row.result.message)}` : 'Not imported yet'}</span>
+    </li>
+  `).join('');
+  document.getElementById('importReportList').classList.remove('hidden');
+}
+
+/**
+ * Run (or resume) an import job in the import modal, then show its report
+ * @param {Object} job - From createImportJob() or loadUnfinishedImportJob()
+ */
+async function runImport(job) {
+  importJob = job;
+  isImportRunning = true;
+  const progress = document.getElementById('importProgress');
+  const retryBtn = document.getElementById('retryImportBtn');
+  const doneBtn = document.getElementById('doneImportBtn');
+
+  showImportStep('importRunStep');
+  showImportFeedback('importRunFeedback', '');
+  document.getElementById('importReportList').classList.add('hidden');
+  retryBtn.classList.add('hidden');
+  doneBtn.classList.add('hidden');
+  progress.textContent = `Importing… ${formatImportSummary(summarizeImportJob(job))}`;
+
+  try {
+    await runImportJob(job, {
+      onProgress: summary => {
+        progress.textContent = `Importing… ${formatImportSummary(summary)}`;
+      }
+    });
+    const summary = summarizeImportJob(job);
+    progress.textContent = `Import finished: ${formatImportSummary(summary)}`;
+    showToast(`Imported ${summary.imported} quotes from ${job.fileName || 'the file'}`, 'success');
+    importJob = null;
+    doneBtn.classList.remove('hidden');
+    doneBtn.focus();
+  } catch (error) {
+    console.error('Error importing quotes:', error);
+    progress.textContent = `Import stopped: ${formatImportSummary(summarizeImportJob(job))}`;
+    showImportFeedback('importRunFeedback', `${error.message || 'Something went wrong.'} Your progress is saved; resume when you're ready.`);
+    retryBtn.classList.remove('hidden');
+    retryBtn.focus();
+  } finally {
+    isImportRunning = false;
+  }
+
+  renderImportReport(job);
+  // Category and tag counts include the new quotes
+  await refreshData();
+  await Promise.all([loadCategories(), loadTags()]);
+}
+
+// ===== BACKUP & RESTORE =====
+
+// The backup chosen for restoring, and whether a dry run of it has passed
+let restoreBundle = null;
+let restoreChecked = false;
+
+function showBackupFeedback(message, type) {
+  const feedback = document.getElementById('backupFeedback');
+  feedback.textContent = message;
+  feedback.className = message ? `feedback ${type}` : 'feedback hidden';
+}
+
+function updateRestoreButtons() {
+  document.getElementById('dryRunBackupBtn').disabled = !restoreBundle;
+  document.getElementById('restoreBackupBtn').disabled = !restoreBundle || !restoreChecked;
+}
+
+/**
+ * Show what a restore did, or would do on a dry run
+ * @param {Array<{entity: string, inserted: number, updated: number}>} results - From restoreBackup()
+ * @param {boolean} dryRun - The results are from a dry run
+ */
+function renderRestoreResults(results, dryRun) {
+  const table = document.getElementById('backupResults');
+  table.innerHTML = `
+    <caption>${dryRun ? 'Dry run: nothing was changed' : 'Restored'}</caption>
+    <thead><tr><th scope="col"></th><th scope="col">${dryRun ? 'Would add' : 'Added'}</th><th scope="col">${dryRun ? 'Would overwrite' : 'Overwritten'}</th></tr></thead>
+    <tbody>
+      ${results.map(row => `
+        <tr><th scope="row">${escapeHtml(BACKUP_ENTITIES[row.entity] || row.entity)}</th><td>${row.inserted}</td><td>${row.updated}</td></tr>
+      `).join('')}
+    </tbody>
+  `;
+  table.classList.remove('hidden');
+}
+
+// ===== AUDIT LOG =====
+
+/**
+ * Show or hide the History panel on a quote card
+ * @param {HTMLElement} button - The card's History button
+ * @param {number} quoteId - The quote ID
+ */
+async function toggleQuoteHistory(button, quoteId) {
+  const panel = document.getElementById(`history-${quoteId}`);
+  if (!panel) return;
+
+  const expanded = button.getAttribute('aria-expanded') === 'true';
+  button.setAttribute('aria-expanded', String(!expanded));
+  panel.classList.toggle('hidden', expanded);
+
+  if (!expanded) {
+    await refreshQuoteHistory(quoteId, true);
+  }
+}
+
+// Reload an open History panel (force loads a panel that is being opened)
+async function refreshQuoteHistory(quoteId, force = false) {
+  const panel = document.getElementById(`history-${quoteId}`);
+  if (!panel || (!force && panel.classList.contains('hidden'))) return;
+
+  panel.innerHTML = '<li class="audit-empty">Loading history...</li>';
+  try {
+    const entries = await fetchQuoteHistory(quoteId);
+    panel.innerHTML = entries.length
+      ? renderAuditEntries(entries)
+      : '<li class="audit-empty">No changes recorded yet.</li>';
+  } catch (error) {
+    console.error('Error loading quote history:', error);
+    panel.innerHTML = '<li class="audit-empty error">Failed to load history.</li>';
+  }
+}
+
+// Number of activity log entries currently shown
+let activityOffset = 0;
+
+function getActivityFilters() {
+  return {
+    action: document.getElementById('activityActionFilter').value,
+    source: document.getElementById('activitySourceFilter').value,
+    actor: document.getElementById('activityActorFilter').value
+  };
+}
+
+/**
+ * Load the global activity log with the current filters
+ * @param {boolean} append - Add the next page instead of starting over
+ */
+async function loadActivityLog(append = false) {
+  const list = document.getElementById('activityLog');
+  const loadMoreBtn = document.getElementById('activityLoadMore');
+  if (!list) return;
+
+  if (!append) activityOffset = 0;
+
+  try {
+    const entries = await fetchActivityLog({ ...getActivityFilters(), offset: activityOffset });
+    const html = renderAuditEntries(entries, { showQuote: true });
+
+    if (append) {
+      list.insertAdjacentHTML('beforeend', html);
+    } else {
+      list.innerHTML = html || '<li class="audit-empty">No activity matches these filters.</li>';
+    }
+
+    activityOffset += entries.length;
+    loadMoreBtn.classList.toggle('hidden', entries.length < ACTIVITY_PAGE_SIZE);
+  } catch (error) {
+    console.error('Error loading activity log:', error);
+    if (!append) list.innerHTML = '<li class="audit-empty error">Failed to load activity.</li>';
+  }
+}
+
+// Update the tags display in the UI without full reload
+function updateQuoteTagsUI(quoteId, tags) {
+  const tagsContainer = document.querySelector(`.quote-tags[data-quote-id="${quoteId}"]`);
+  if (!tagsContainer) return;
+  
+  tagsContainer.innerHTML = renderQuoteTags(quoteId, tags);
+}
+
+// Tag pills for a quote card; only editors get the remove buttons
+function renderQuoteTags(quoteId, tags) {
+  if (!tags || tags.length === 0) {
+    return '<span class="no-tags">No tags</span>';
+  }
+
+  return tags.map(escapeHtml).map(tag => hasAdminRole('editor')
+    ? `<span class="tag-pill">${tag}<button class="remove-quote-tag" data-tag="${tag}" data-quote-id="${quoteId}">×</button></span>`
+    : `<span class="tag-pill">${tag}</span>`
+  ).join('');
+}
+
+// Tab filtering
+document.addEventListener('DOMContentLoaded', async function() {
+  // Initialize authentication first
+  const isAlreadyAuthenticated = await initAuth();
+  
+  // If already authenticated, initialize admin panel immediately
+  if (isAlreadyAuthenticated) {
+    initAdminPanel();
+  }
+});
+
+// Initialize admin panel after authentication
+async function initAdminPanel() {
+  // Setup logout button
+  const logoutBtn = document.getElementById('logoutBtn');
+  if (logoutBtn) {
+    logoutBtn.addEventListener('click', async () => {
+      await signOut();
+      window.location.reload();
+    });
+  }
+  
+  const tabBtns = document.querySelectorAll('.tab-btn');
+  
+  tabBtns.forEach(btn => {
+    btn.addEventListener('click', async function() {
+      // Update active state
+      tabBtns.forEach(b => b.classList.remove('active'));
+      this.classList.add('active');
+      
+      // Load quotes for selected status with loading state
+      const status = this.dataset.status;
+      try {
+        await withLoadingState(() => loadQuotes(status));
+      } catch (error) {
+        console.error('Error loading quotes:', error);
+        // Error toast is already shown by withLoadingState
+      }
+    });
+  });
+
+  // Event delegation for approve/reject/ai-tag buttons
+  const quotesContainer = document.getElementById('quotesContainer');
+  quotesContainer.addEventListener('click', async function(e) {
+    // Handle selection checkbox (Shift+click selects a range)
+    const selectCheckbox = e.target.closest('.quote-select');
+    if (selectCheckbox) {
+      const quoteId = parseInt(selectCheckbox.closest('.quote-card').dataset.quoteId, 10);
+      toggleQuoteSelection(quoteId, selectCheckbox.checked, e.shiftKey);
+      return;
+    }
+
+    // Handle remove tag button
+    const removeTagBtn = e.target.closest('.remove-quote-tag');
+    if (removeTagBtn) {
+      const tag = removeTagBtn.dataset.tag;
+      const quoteId = parseInt(removeTagBtn.dataset.quoteId, 10);
+      await removeTagFromQuote(quoteId, tag);
+      return;
+    }
+    
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const quoteCard = button.closest('.quote-card');
+    if (!quoteCard) return;
+
+    const quoteId = parseInt(quoteCard.dataset.quoteId, 10);
+    if (isNaN(quoteId)) {
+      console.error('Invalid quote ID');
+      return;
+    }
+
+    const action = button.dataset.action;
+    
+    if (action === 'history') {
+      await toggleQuoteHistory(button, quoteId);
+    } else if (action === 'approve') {
+      approveQuote(quoteId);
+    } else if (action === 'reject') {
+      showRejectModal(quoteId);
+    } else if (action === 'ai-tag') {
+      await aiTagQuote(quoteId, button);
+    } else if (action === 'schedule') {
+      await showScheduleModal(quoteId);
+    } else if (action === 'edit') {
+      await showEditModal(quoteId, () => refreshData());
+    } else if (action === 'duplicate') {
+      await showDuplicateModal(quoteId, parseInt(button.dataset.duplicateOf, 10));
+    }
+  });
+
+  // Bulk moderation toolbar
+  document.getElementById('selectAllQuotes').addEventListener('change', function() {
+    if (this.checked) {
+      getRenderedQuoteIds().forEach(id => selectedQuoteIds.add(id));
+    } else {
+      selectedQuoteIds.clear();
+    }
+    lastSelectedQuoteId = null;
+    updateBulkToolbar();
+  });
+
+  document.getElementById('bulkApproveBtn').addEventListener('click', () => {
+    const quoteIds = [...selectedQuoteIds];
+    runBulkAction('Approve', () => repository.approveQuotes(quoteIds));
+  });
+
+  document.getElementById('bulkRejectBtn').addEventListener('click', () => {
+    showRejectModal([...selectedQuoteIds]);
+  });
+
+  const bulkAiTagBtn = document.getElementById('bulkAiTagBtn');
+  bulkAiTagBtn.addEventListener('click', async () => {
+    const quoteIds = [...selectedQuoteIds];
+    const originalText = bulkAiTagBtn.textContent;
+
+    await runBulkAction('AI Tag', () => bulkAiTagQuotes(quoteIds, (done, total) => {
+      bulkAiTagBtn.textContent = `Tagging ${done}/${total}...`;
+    }));
+    bulkAiTagBtn.textContent = originalText;
+  });
+
+  const bulkReportModal = document.getElementById('bulkReportModal');
+
+  function closeBulkReportModal() {
+    bulkReportModal.classList.remove('show');
+    bulkReportModal.setAttribute('aria-hidden', 'true');
+  }
+
+  document.getElementById('closeBulkReportModal').addEventListener('click', closeBulkReportModal);
+  document.getElementById('doneBulkReportBtn').addEventListener('click', closeBulkReportModal);
+
+  bulkReportModal.addEventListener('click', function(e) {
+    if (e.target === bulkReportModal) {
+      closeBulkReportModal();
+    }
+  });
+
+  // Duplicate compare modal
+  const duplicateModal = document.getElementById('duplicateModal');
+  const mergeDuplicateBtn = document.getElementById('mergeDuplicateBtn');
+
+  function closeDuplicateModal() {
+    duplicateModal.classList.remove('show');
+    duplicateModal.setAttribute('aria-hidden', 'true');
+    duplicatePair = null;
+  }
+
+  document.getElementById('closeDuplicateModal').addEventListener('click', closeDuplicateModal);
+  document.getElementById('notDuplicateBtn').addEventListener('click', closeDuplicateModal);
+
+  duplicateModal.addEventListener('click', function(e) {
+    if (e.target === duplicateModal) {
+      closeDuplicateModal();
+    }
+  });
+
+  mergeDuplicateBtn.addEventListener('click', async () => {
+    if (!duplicatePair) return;
+    const { duplicate, original } = duplicatePair;
+    mergeDuplicateBtn.disabled = true;
+
+    try {
+      await repository.mergeDuplicateQuote(duplicate.id, original.id);
+      closeDuplicateModal();
+      showToast(`Merged into #${original.id} and rejected`, 'success');
+      await refreshData();
+    } catch (error) {
+      console.error('Error merging duplicate quote:', error);
+      showToast('Failed to merge the duplicate', 'error');
+    } finally {
+      mergeDuplicateBtn.disabled = false;
+    }
+  });
+
+  // Categories section and its modals (editors only)
+  document.getElementById('categoriesSection').classList.toggle('hidden', !hasAdminRole('editor'));
+
+  const categoryModal = document.getElementById('categoryModal');
+  const categoryForm = document.getElementById('categoryForm');
+  const categoryFeedback = document.getElementById('categoryFeedback');
+  const categoryRemoveModal = document.getElementById('categoryRemoveModal');
+  const categoryRemoveForm = document.getElementById('categoryRemoveForm');
+  const categoryRemoveFeedback = document.getElementById('categoryRemoveFeedback');
+
+  function closeCategoryModal() {
+    categoryModal.classList.remove('show');
+    categoryModal.setAttribute('aria-hidden', 'true');
+    categoryForm.reset();
+    editingCategory = null;
+  }
+
+  function closeCategoryRemoveModal() {
+    categoryRemoveModal.classList.remove('show');
+    categoryRemoveModal.setAttribute('aria-hidden', 'true');
+    removingCategory = null;
+  }
+
+  document.getElementById('addCategoryBtn').addEventListener('click', () => showCategoryModal());
+  document.getElementById('closeCategoryModal').addEventListener('click', closeCategoryModal);
+  document.getElementById('cancelCategoryBtn').addEventListener('click', closeCategoryModal);
+  document.getElementById('closeCategoryRemoveModal').addEventListener('click', closeCategoryRemoveModal);
+  document.getElementById('cancelCategoryRemoveBtn').addEventListener('click', closeCategoryRemoveModal);
+
+  categoryModal.addEventListener('click', function(e) {
+    if (e.target === categoryModal) {
+      closeCategoryModal();
+    }
+  });
+
+  categoryRemoveModal.addEventListener('click', function(e) {
+    if (e.target === categoryRemoveModal) {
+      closeCategoryRemoveModal();
+    }
+  });
+
+  document.getElementById('categoryList').addEventListener('click', async function(e) {
+    const button = e.target.closest('button[data-action]');
+    const row = button?.closest('.category-row');
+    if (!row) return;
+
+    const category = adminCategories.find(c => c.id === parseInt(row.dataset.categoryId, 10));
+    if (!category) return;
+
+    const action = button.dataset.action;
+    if (action === 'up' || action === 'down') {
+      await moveCategory(category.id, action === 'up' ? -1 : 1);
+    } else if (action === 'edit') {
+      showCategoryModal(category);
+    } else if (action === 'merge' || action === 'delete') {
+      showCategoryRemoveModal(category, action);
+    }
+  });
+
+  categoryForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    const submitBtn = document.getElementById('saveCategoryBtn');
+    const fields = {
+      name: document.getElementById('categoryName').value,
+      description: document.getElementById('categoryDescription').value,
+      icon: document.getElementById('categoryIcon').value,
+      color: document.getElementById('categoryUseColor').checked ? document.getElementById('categoryColor').value : ''
+    };
+    const renamed = editingCategory && fields.name.trim() !== editingCategory.name;
+    submitBtn.disabled = true;
+
+    try {
+      if (editingCategory) {
+        await updateCategory(editingCategory.id, fields);
+        showToast('Category saved', 'success');
+      } else {
+        await createCategory(fields);
+        showToast('Category created', 'success');
+      }
+      closeCategoryModal();
+      await refreshCategories(renamed);
+    } catch (error) {
+      console.error('Error saving category:', error);
+      categoryFeedback.textContent = error.message || 'Failed to save category.';
+      categoryFeedback.className = 'feedback error';
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+
+  categoryRemoveForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    if (!removingCategory) return;
+
+    const { category, mode } = removingCategory;
+    const reassignValue = document.getElementById('categoryReassign').value;
+    const reassignToId = reassignValue ? parseInt(reassignValue, 10) : null;
+    const submitBtn = document.getElementById('confirmCategoryRemoveBtn');
+    submitBtn.disabled = true;
+
+    try {
+      const moved = await deleteCategory(category.id, reassignToId);
+      const target = adminCategories.find(c => c.id === reassignToId);
+      showToast(mode === 'merge'
+        ? `Merged “${category.name}” into “${target.name}” (${moved} quotes moved)`
+        : `Deleted “${category.name}”${moved ? ` and moved ${moved} quotes to “${target.name}”` : ''}`, 'success');
+      closeCategoryRemoveModal();
+      await refreshCategories(moved > 0);
+    } catch (error) {
+      console.error(`Error trying to ${mode} category:`, error);
+      categoryRemoveFeedback.textContent = error.message || `Failed to ${mode} category.`;
+      categoryRemoveFeedback.className = 'feedback error';
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+
+  // Tags section and its modal (editors only)
+  document.getElementById('tagsSection').classList.toggle('hidden', !hasAdminRole('editor'));
+
+  const tagActionModal = document.getElementById('tagActionModal');
+  const tagActionForm = document.getElementById('tagActionForm');
+  const tagActionFeedback = document.getElementById('tagActionFeedback');
+
+  function closeTagActionModal() {
+    tagActionModal.classList.remove('show');
+    tagActionModal.setAttribute('aria-hidden', 'true');
+    tagActionForm.reset();
+    tagAction = null;
+  }
+
+  document.getElementById('closeTagActionModal').addEventListener('click', closeTagActionModal);
+  document.getElementById('cancelTagActionBtn').addEventListener('click', closeTagActionModal);
+
+  tagActionModal.addEventListener('click', function(e) {
+    if (e.target === tagActionModal) {
+      closeTagActionModal();
+    }
+  });
+
+  document.getElementById('tagSearch').addEventListener('input', renderTagList);
+  document.getElementById('mergeTagsBtn').addEventListener('click', () => {
+    showTagActionModal('merge', [...selectedManagerTags]);
+  });
+
+  document.getElementById('tagList').addEventListener('change', function(e) {
+    if (!e.target.classList.contains('tag-select')) return;
+    const entry = adminTags[parseInt(e.target.closest('.tag-row').dataset.tagIndex, 10)];
+    if (!entry) return;
+
+    if (e.target.checked) {
+      selectedManagerTags.add(entry.tag);
+    } else {
+      selectedManagerTags.delete(entry.tag);
+    }
+    renderTagList();
+    document.querySelector(`.tag-row[data-tag-index="${adminTags.indexOf(entry)}"] .tag-select`)?.focus();
+  });
+
+  document.getElementById('tagList').addEventListener('click', async function(e) {
+    const button = e.target.closest('button[data-action]');
+    const row = button?.closest('.tag-row');
+    if (!row) return;
+
+    const entry = adminTags[parseInt(row.dataset.tagIndex, 10)];
+    if (!entry) return;
+
+    const action = button.dataset.action;
+    if (action === 'rename' || action === 'alias') {
+      showTagActionModal(action, [entry.tag]);
     } else {
-      const { error } = await supabase
-        .from('quotes')
-        .update({ tags: updatedTags })
-        .eq('id', quoteId);
-      
-      if (error) throw error;
-      showToast('Tag removed', 'success');
+      button.disabled = true;
+      await updateTagSetting(entry, action);
     }
-    
-    // Update the UI
-    updateQuoteTagsUI(quoteId, updatedTags);
-    
-  } catch (error) {
-    console.error('Error removing tag:', error);
-    showToast('Failed to remove tag', 'error');
-  }
-}
+  });
 
-// Update the tags display in the UI without full reload
-function updateQuoteTagsUI(quoteId, tags) {
-  const tagsContainer = document.querySelector(`.quote-tags[data-quote-id="${quoteId}"]`);
-  if (!tagsContainer) return;
-  
-  if (tags && tags.length > 0) {
-    tagsContainer.innerHTML = tags.map(tag => 
-      `<span class="tag-pill">${tag}<button class="remove-quote-tag" data-tag="${tag}" data-quote-id="${quoteId}">×</button></span>`
-    ).join('');
-  } else {
-    tagsContainer.innerHTML = '<span class="no-tags">No tags</span>';
-  }
-}
+  tagActionForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    if (!tagAction) return;
 
-// Tab filtering
-document.addEventListener('DOMContentLoaded', async function() {
-  // Initialize authentication first
-  const isAlreadyAuthenticated = await initAuth();
-  
-  // If already authenticated, initialize admin panel immediately
-  if (isAlreadyAuthenticated) {
-    initAdminPanel();
-  }
-});
+    const { mode, tags } = tagAction;
+    const target = document.getElementById('tagActionTarget').value.trim().toLowerCase();
+    const submitBtn = document.getElementById('confirmTagActionBtn');
+    submitBtn.disabled = true;
 
-// Initialize admin panel after authentication
-async function initAdminPanel() {
-  // Setup logout button
-  const logoutBtn = document.getElementById('logoutBtn');
-  if (logoutBtn) {
-    logoutBtn.addEventListener('click', async () => {
-      try {
-        await signOut();
-      } catch (error) {
-        console.error('Logout error:', error);
+    try {
+      let updated;
+      if (mode === 'alias') {
+        updated = await saveTag(tags[0], { aliasOf: target || null });
+        showToast(target ? `“${tags[0]}” is now an alias of “${target}”` : `“${tags[0]}” is a regular tag again`, 'success');
+      } else {
+        updated = await mergeTags(tags, target, {
+          keepAliases: document.getElementById('tagKeepAliases').checked
+        });
+        showToast(mode === 'rename'
+          ? `Renamed “${tags[0]}” to “${target}” (${updated} quotes updated)`
+          : `Merged into “${target}” (${updated} quotes updated)`, 'success');
+        tags.forEach(tag => selectedManagerTags.delete(tag));
       }
-      window.location.reload();
-    });
+      closeTagActionModal();
+      await refreshTags(updated);
+    } catch (error) {
+      console.error(`Error trying to ${mode} tags:`, error);
+      tagActionFeedback.textContent = error.message || `Failed to ${mode} tags.`;
+      tagActionFeedback.className = 'feedback error';
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+
+  // Import modal (editors only)
+  const importModal = document.getElementById('importModal');
+  const importQuotesBtn = document.getElementById('importQuotesBtn');
+  importQuotesBtn.classList.toggle('hidden', !hasAdminRole('editor'));
+
+  // An import keeps running while the modal is closed; reopening it shows the progress
+  function closeImportModal() {
+    importModal.classList.remove('show');
+    importModal.setAttribute('aria-hidden', 'true');
+    importQuotesBtn.focus();
   }
-  
-  const tabBtns = document.querySelectorAll('.tab-btn');
-  
-  tabBtns.forEach(btn => {
-    btn.addEventListener('click', async function() {
-      // Update active state
-      tabBtns.forEach(b => b.classList.remove('active'));
-      this.classList.add('active');
-      
-      // Load quotes for selected status with loading state
-      const status = this.dataset.status;
+
+  importQuotesBtn.addEventListener('click', showImportModal);
+  document.getElementById('closeImportModal').addEventListener('click', closeImportModal);
+  document.getElementById('doneImportBtn').addEventListener('click', closeImportModal);
+  document.getElementById('importBackBtn').addEventListener('click', () => showImportModal());
+  document.getElementById('importEditMappingBtn').addEventListener('click', () => showImportStep('importMappingForm'));
+
+  importModal.addEventListener('click', function(e) {
+    if (e.target === importModal) {
+      closeImportModal();
+    }
+  });
+
+  document.getElementById('importFile').addEventListener('change', async function() {
+    const file = this.files[0];
+    if (!file) return;
+
+    try {
+      if (file.size > MAX_QUOTE_IMPORT_FILE_SIZE) {
+        throw new Error('This file is too large. Import files can be up to 2 MB.');
+      }
+      importFile = { fileName: file.name, ...readImportFile(await file.text(), file.name) };
+      renderImportMapping();
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      showImportFeedback('importFileFeedback', error instanceof SyntaxError
+        ? 'This file is not valid JSON.'
+        : error.message || 'Could not read this file.');
+    }
+  });
+
+  document.getElementById('importMappingForm').addEventListener('submit', async function(e) {
+    e.preventDefault();
+    const mapping = Object.fromEntries([...document.querySelectorAll('#importMapping select')]
+      .map(select => [select.dataset.field, select.value]));
+
+    const missing = Object.entries(IMPORT_FIELDS).filter(([field, { required }]) => required && !mapping[field]);
+    if (missing.length > 0) {
+      showImportFeedback('importMappingFeedback', `Choose a column for ${missing.map(([, { label }]) => label).join(' and ')}.`);
+      return;
+    }
+
+    const checkBtn = document.getElementById('checkImportBtn');
+    checkBtn.disabled = true;
+
+    try {
+      importRows = prepareImportRows(importFile.records, mapping, {
+        defaultStatus: document.getElementById('importDefaultStatus').value,
+        defaultCategory: document.getElementById('importDefaultCategory').value,
+        categories: adminCategories.map(c => c.name)
+      });
+      await checkImportDuplicates(importRows, {
+        onProgress: (done, total) => {
+          checkBtn.textContent = `Checking for duplicates… ${done}/${total}`;
+        }
+      });
+      renderImportPreview();
+      document.getElementById('startImportBtn').focus();
+    } catch (error) {
+      console.error('Error checking import rows:', error);
+      showImportFeedback('importMappingFeedback', error.message || 'Failed to check the rows.');
+    } finally {
+      checkBtn.disabled = false;
+      checkBtn.textContent = 'Check rows';
+    }
+  });
+
+  document.getElementById('startImportBtn').addEventListener('click', () => {
+    runImport(createImportJob(importRows, {
+      fileName: importFile.fileName,
+      aiTag: document.getElementById('importAiTag').checked,
+      skipDuplicates: document.getElementById('importSkipDuplicates').checked
+    }));
+  });
+
+  document.getElementById('retryImportBtn').addEventListener('click', () => {
+    if (importJob) runImport(importJob);
+  });
+
+  document.getElementById('resumeImportBtn').addEventListener('click', () => {
+    const job = loadUnfinishedImportJob();
+    if (job) runImport(job);
+  });
+
+  document.getElementById('discardImportBtn').addEventListener('click', () => {
+    clearImportJob();
+    renderImportResume();
+    document.getElementById('importFile').focus();
+  });
+
+  // Backup & Restore section (owners only)
+  document.getElementById('backupSection').classList.toggle('hidden', !hasAdminRole('owner'));
+  const exportBackupBtn = document.getElementById('exportBackupBtn');
+  const backupFileInput = document.getElementById('backupFile');
+
+  exportBackupBtn.addEventListener('click', async function() {
+    exportBackupBtn.disabled = true;
+    exportBackupBtn.textContent = 'Exporting…';
+
+    try {
+      const bundle = await exportBackup();
+      downloadBackup(bundle);
+      const { quotes, categories, collections } = describeBackup(bundle);
+      showToast(`Exported ${quotes} quotes, ${categories} categories and ${collections} collections`, 'success');
+    } catch (error) {
+      console.error('Error exporting backup:', error);
+      showToast(error.message || 'Failed to export backup', 'error');
+    } finally {
+      exportBackupBtn.disabled = false;
+      exportBackupBtn.textContent = 'Export everything';
+    }
+  });
+
+  backupFileInput.addEventListener('change', async function() {
+    const file = this.files[0];
+    restoreBundle = null;
+    restoreChecked = false;
+    showBackupFeedback('', '');
+    document.getElementById('backupResults').classList.add('hidden');
+    document.getElementById('backupFileSummary').classList.add('hidden');
+
+    if (file) {
       try {
-        await withLoadingState(() => loadQuotes(status));
+        if (file.size > MAX_BACKUP_FILE_SIZE) {
+          throw new Error('This file is too large. Backups can be up to 50 MB.');
+        }
+        restoreBundle = readBackupFile(await file.text());
+        const summary = describeBackup(restoreBundle);
+        const summaryText = document.getElementById('backupFileSummary');
+        summaryText.textContent = `Backup from ${summary.exportedAt ? new Date(summary.exportedAt).toLocaleString() : 'an unknown date'}: ` +
+          `${summary.quotes} quotes, ${summary.categories} categories, ${summary.tags} tags and ${summary.collections} collections ` +
+          `(${summary.favorites} favorites, which are counted but not restored).`;
+        summaryText.classList.remove('hidden');
       } catch (error) {
-        console.error('Error loading quotes:', error);
-        // Error toast is already shown by withLoadingState
+        console.error('Error reading backup file:', error);
+        showBackupFeedback(error.message || 'Could not read this file.', 'error');
       }
-    });
+    }
+    updateRestoreButtons();
   });
 
-  // Event delegation for approve/reject/ai-tag buttons
-  const quotesContainer = document.getElementById('quotesContainer');
-  quotesContainer.addEventListener('click', async function(e) {
-    // Handle remove tag button
-    const removeTagBtn = e.target.closest('.remove-quote-tag');
-    if (removeTagBtn) {
-      const tag = removeTagBtn.dataset.tag;
-      const quoteId = parseInt(removeTagBtn.dataset.quoteId, 10);
-      await removeTagFromQuote(quoteId, tag);
-      return;
+  document.getElementById('dryRunBackupBtn').addEventListener('click', async function() {
+    if (!restoreBundle) return;
+    this.disabled = true;
+    showBackupFeedback('', '');
+
+    try {
+      renderRestoreResults(await restoreBackup(restoreBundle, { dryRun: true }), true);
+      restoreChecked = true;
+      showBackupFeedback('The dry run passed. Restore to apply these changes.', 'success');
+    } catch (error) {
+      console.error('Error in restore dry run:', error);
+      restoreChecked = false;
+      showBackupFeedback(`The dry run failed: ${error.message || 'unknown error'}`, 'error');
+    } finally {
+      updateRestoreButtons();
     }
-    
-    const button = e.target.closest('button[data-action]');
-    if (!button) return;
+  });
 
-    const quoteCard = button.closest('.quote-card');
-    if (!quoteCard) return;
+  document.getElementById('restoreBackupBtn').addEventListener('click', async function() {
+    if (!restoreBundle || !restoreChecked) return;
+    this.disabled = true;
+    showBackupFeedback('', '');
 
-    const quoteId = parseInt(quoteCard.dataset.quoteId, 10);
-    if (isNaN(quoteId)) {
-      console.error('Invalid quote ID');
-      return;
+    try {
+      renderRestoreResults(await restoreBackup(restoreBundle, { dryRun: false }), false);
+      showToast('Backup restored', 'success');
+      restoreBundle = null;
+      restoreChecked = false;
+      backupFileInput.value = '';
+      await Promise.all([refreshCategories(true), loadTagVocabulary()]);
+      await loadTags();
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      showBackupFeedback(`The restore failed and nothing was changed: ${error.message || 'unknown error'}`, 'error');
+    } finally {
+      updateRestoreButtons();
     }
+  });
 
-    const action = button.dataset.action;
-    
-    if (action === 'approve') {
-      approveQuote(quoteId);
-    } else if (action === 'reject') {
-      showRejectModal(quoteId);
-    } else if (action === 'ai-tag') {
-      await aiTagQuote(quoteId, button);
+  // Schedule Quote of the Day modal handlers
+  const scheduleModal = document.getElementById('scheduleModal');
+  const scheduleQuoteForm = document.getElementById('scheduleQuoteForm');
+  const scheduleFeedback = document.getElementById('scheduleFeedback');
+  const scheduledList = document.getElementById('scheduledList');
+
+  function closeScheduleModal() {
+    scheduleModal.classList.remove('show');
+    scheduleModal.setAttribute('aria-hidden', 'true');
+    scheduleQuoteForm.reset();
+    scheduleFeedback.classList.add('hidden');
+    pendingScheduleQuoteId = null;
+  }
+
+  document.getElementById('closeScheduleModal').addEventListener('click', closeScheduleModal);
+  document.getElementById('cancelScheduleBtn').addEventListener('click', closeScheduleModal);
+
+  scheduleModal.addEventListener('click', function(e) {
+    if (e.target === scheduleModal) {
+      closeScheduleModal();
+    }
+  });
+
+  scheduledList.addEventListener('click', async function(e) {
+    const unscheduleBtn = e.target.closest('.unschedule-btn');
+    if (!unscheduleBtn) return;
+
+    try {
+      await repository.unscheduleDailyQuote(unscheduleBtn.dataset.day);
+      showToast('Scheduled quote removed', 'success');
+      await renderScheduledList();
+    } catch (error) {
+      console.error('Error removing scheduled quote:', error);
+      showToast('Failed to remove scheduled quote', 'error');
+    }
+  });
+
+  scheduleQuoteForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+
+    const day = document.getElementById('scheduleDate').value;
+    if (!day || !pendingScheduleQuoteId) return;
+
+    const submitBtn = scheduleQuoteForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+      await repository.scheduleDailyQuote(pendingScheduleQuoteId, day);
+      showToast(`Scheduled as Quote of the Day for ${day}`, 'success');
+      closeScheduleModal();
+    } catch (error) {
+      console.error('Error scheduling quote:', error);
+      scheduleFeedback.textContent = error.message || 'Failed to schedule quote.';
+      scheduleFeedback.className = 'feedback error';
+    } finally {
+      submitBtn.disabled = false;
     }
   });
 
@@ -698,7 +2587,8 @@ async function initAdminPanel() {
     rejectQuoteForm.reset();
     rejectFeedback.classList.add('hidden');
     rejectCharCount.textContent = '0/500';
-    pendingRejectQuoteId = null;
+    pendingRejectQuoteIds = [];
+    pendingRejectHandler = null;
   }
 
   closeRejectModal.addEventListener('click', closeRejectQuoteModal);
@@ -717,6 +2607,16 @@ async function initAdminPanel() {
     rejectCharCount.textContent = `${length}/500`;
   });
 
+  // Reason templates fill in the textarea, which can still be edited
+  document.querySelector('#rejectModal .reason-templates').addEventListener('click', function(e) {
+    const template = e.target.closest('.reason-template');
+    if (!template) return;
+
+    rejectionReason.value = template.dataset.reason;
+    rejectCharCount.textContent = `${rejectionReason.value.length}/500`;
+    rejectionReason.focus();
+  });
+
   // Submit rejection
   rejectQuoteForm.addEventListener('submit', async function(e) {
     e.preventDefault();
@@ -740,13 +2640,150 @@ async function initAdminPanel() {
     }
   });
 
-  // Update Escape key handler to handle both modals
+  // Edit Quote Modal handlers
+  const editQuoteModal = document.getElementById('editQuoteModal');
+  const editQuoteForm = document.getElementById('editQuoteForm');
+  const editQuoteText = document.getElementById('editQuoteText');
+  const editQuoteTags = document.getElementById('editQuoteTags');
+  const editCharCount = document.querySelector('#editQuoteModal .char-count');
+  const editQuoteFeedback = document.getElementById('editQuoteFeedback');
+
+  function closeEditQuoteModal() {
+    editQuoteModal.classList.remove('show');
+    editQuoteModal.setAttribute('aria-hidden', 'true');
+    editQuoteForm.reset();
+    editQuoteFeedback.classList.add('hidden');
+    document.getElementById('editConflict').classList.add('hidden');
+    editingQuote = null;
+    editConflictVersion = null;
+    editSavedHandler = null;
+  }
+
+  document.getElementById('closeEditModal').addEventListener('click', closeEditQuoteModal);
+  document.getElementById('cancelEditBtn').addEventListener('click', closeEditQuoteModal);
+
+  editQuoteModal.addEventListener('click', function(e) {
+    if (e.target === editQuoteModal) {
+      closeEditQuoteModal();
+    }
+  });
+
+  editQuoteText.addEventListener('input', function() {
+    editCharCount.textContent = `${this.value.length}/500`;
+  });
+
+  let editSuggestionTimeout;
+  [editQuoteText, document.getElementById('editQuoteAuthor')].forEach(input => {
+    input.addEventListener('input', () => {
+      clearTimeout(editSuggestionTimeout);
+      editSuggestionTimeout = setTimeout(renderEditTags, 300);
+    });
+  });
+  document.getElementById('editQuoteCategory').addEventListener('change', renderEditTags);
+
+  editQuoteTags.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addEditTag(editQuoteTags.value.replace(/,$/g, ''));
+    }
+  });
+
+  document.getElementById('editSuggestedTags').addEventListener('click', (e) => {
+    const suggestedTag = e.target.closest('.suggested-tag');
+    if (suggestedTag) addEditTag(suggestedTag.dataset.tag);
+  });
+
+  document.getElementById('editSelectedTags').addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('.remove-tag');
+    if (removeBtn) removeEditTag(removeBtn.dataset.tag);
+  });
+
+  document.getElementById('editConflictReload').addEventListener('click', () => {
+    if (editConflictVersion) fillEditForm(editConflictVersion);
+  });
+
+  // Keep the form as it is, but save it against the newer version
+  document.getElementById('editConflictOverwrite').addEventListener('click', () => {
+    if (!editConflictVersion) return;
+    editingQuote = editConflictVersion;
+    editConflictVersion = null;
+    document.getElementById('editConflict').classList.add('hidden');
+    editQuoteForm.requestSubmit();
+  });
+
+  editQuoteForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+
+    const quote = editingQuote;
+    const onSaved = editSavedHandler;
+    if (!quote) return;
+
+    const values = readEditForm();
+    const changedFields = getChangedFields(quote, values);
+    if (changedFields.length === 0) {
+      closeEditQuoteModal();
+      return;
+    }
+
+    const changes = Object.fromEntries(changedFields.map(field => [field, values[field]]));
+    const previous = Object.fromEntries(changedFields.map(field => [field, quote[field]]));
+
+    const submitBtn = editQuoteForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    editQuoteFeedback.classList.add('hidden');
+
+    try {
+      const result = await repository.editQuote(quote.id, quote.last_modified, changes);
+
+      if (!result.saved) {
+        const latest = await repository.fetchQuote(quote.id);
+        if (!latest) throw new Error('This quote was deleted while you were editing.');
+        showEditConflict(latest);
+        return;
+      }
+
+      showToast('Quote updated!', 'success');
+      closeEditQuoteModal();
+      if (onSaved) await onSaved(changes, previous, result.lastModified);
+    } catch (error) {
+      console.error('Error editing quote:', error);
+      editQuoteFeedback.textContent = error.message || 'Failed to save changes.';
+      editQuoteFeedback.className = 'feedback error';
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+
+  // Keyboard review mode
+  document.getElementById('reviewModeBtn').addEventListener('click', openReviewMode);
+  document.getElementById('exitReviewMode').addEventListener('click', closeReviewMode);
+  document.addEventListener('keydown', handleReviewKeydown);
+
+  // Escape closes the topmost modal; review mode sits underneath the others
   document.addEventListener('keydown', function(e) {
     if (e.key === 'Escape') {
       if (addQuoteModal.classList.contains('show')) {
         closeAddQuoteModal();
       } else if (rejectModal.classList.contains('show')) {
         closeRejectQuoteModal();
+      } else if (editQuoteModal.classList.contains('show')) {
+        closeEditQuoteModal();
+      } else if (scheduleModal.classList.contains('show')) {
+        closeScheduleModal();
+      } else if (bulkReportModal.classList.contains('show')) {
+        closeBulkReportModal();
+      } else if (duplicateModal.classList.contains('show')) {
+        closeDuplicateModal();
+      } else if (categoryModal.classList.contains('show')) {
+        closeCategoryModal();
+      } else if (categoryRemoveModal.classList.contains('show')) {
+        closeCategoryRemoveModal();
+      } else if (tagActionModal.classList.contains('show')) {
+        closeTagActionModal();
+      } else if (importModal.classList.contains('show')) {
+        closeImportModal();
+      } else if (isReviewModeOpen()) {
+        closeReviewMode();
       }
     }
   });
@@ -760,6 +2797,10 @@ async function initAdminPanel() {
   const adminQuoteText = document.getElementById('adminQuoteText');
   const charCount = document.querySelector('#addQuoteModal .char-count');
   const addQuoteFeedback = document.getElementById('addQuoteFeedback');
+  const adminDuplicateWarning = document.getElementById('adminDuplicateWarning');
+
+  // Adding quotes needs editor access
+  addQuoteBtn.classList.toggle('hidden', !hasAdminRole('editor'));
 
   // Open add quote modal
   addQuoteBtn.addEventListener('click', function() {
@@ -775,6 +2816,7 @@ async function initAdminPanel() {
     addQuoteForm.reset();
     addQuoteFeedback.classList.add('hidden');
     charCount.textContent = '0/500';
+    renderDuplicateWarning(adminDuplicateWarning, []);
     // Clear selected tags
     adminSelectedTags = [];
     renderAdminSelectedTags();
@@ -887,9 +2929,14 @@ async function initAdminPanel() {
   }
   
   function addAdminTag(tag) {
-    const normalizedTag = tag.toLowerCase().trim();
+    const normalizedTag = normalizeTag(tag);
     
-    if (!normalizedTag || adminSelectedTags.includes(normalizedTag)) {
+    if (!normalizedTag) {
+      if (tag.trim()) showAdminToast(`"${tag.trim()}" is a blocked tag`);
+      adminTagsInput.value = '';
+      return;
+    }
+    if (adminSelectedTags.includes(normalizedTag)) {
       return;
     }
     
@@ -932,11 +2979,29 @@ async function initAdminPanel() {
     });
   }
   
+  // Warn about quotes that are already in the collection or the queue
+  let duplicateCheckId = 0;
+  async function updateAdminDuplicateWarning() {
+    const checkId = ++duplicateCheckId;
+    try {
+      const matches = await findSimilarQuotes(adminQuoteText.value);
+      // Ignore answers to text that has changed since
+      if (checkId === duplicateCheckId) {
+        renderDuplicateWarning(adminDuplicateWarning, matches);
+      }
+    } catch (error) {
+      console.error('Duplicate check failed:', error);
+    }
+  }
+
   if (adminQuoteText) {
     let adminQuoteTimeout;
     adminQuoteText.addEventListener('input', () => {
       clearTimeout(adminQuoteTimeout);
-      adminQuoteTimeout = setTimeout(updateAdminTagSuggestions, 500);
+      adminQuoteTimeout = setTimeout(() => {
+        updateAdminTagSuggestions();
+        updateAdminDuplicateWarning();
+      }, 500);
     });
   }
   
@@ -1086,41 +3151,15 @@ async function initAdminPanel() {
     submitBtn.textContent = 'Adding...';
 
     try {
-      if (useMockData || !supabase) {
-        // Mock mode - add to mock data
-        await new Promise(resolve => setTimeout(resolve, 800));
-        
-        const newQuote = {
-          id: MOCK_ALL_QUOTES.length + 100,
-          ...formData,
-          created_at: new Date().toISOString(),
-          reviewed_at: formData.status === 'approved' ? new Date().toISOString() : null,
-        };
-        MOCK_ALL_QUOTES.unshift(newQuote);
-        
-        showAddQuoteFeedback('Quote added successfully! (Mock mode)', 'success');
-        
-        // Refresh stats and quotes with proper await
-        await refreshData();
-        
-        setTimeout(() => {
-          closeAddQuoteModal();
-        }, 1500);
-      } else {
-        // Real Supabase insertion
-        const { error } = await supabase.from('quotes').insert([formData]);
+      await repository.addQuote(formData);
+      showAddQuoteFeedback('Quote added successfully!', 'success');
 
-        if (error) throw error;
-
-        showAddQuoteFeedback('Quote added successfully!', 'success');
-        
-        // Refresh stats and quotes with proper await
-        await refreshData();
+      // Refresh stats and quotes with proper await
+      await refreshData();
 
-        setTimeout(() => {
-          closeAddQuoteModal();
-        }, 1500);
-      }
+      setTimeout(() => {
+        closeAddQuoteModal();
+      }, 1500);
     } catch (error) {
       console.error('Error adding quote:', error);
       showAddQuoteFeedback('Failed to add quote. Please try again.', 'error');
@@ -1137,10 +3176,69 @@ async function initAdminPanel() {
     addQuoteFeedback.classList.remove('hidden');
   }
 
+  // Activity log filters
+  let activityActorTimeout = null;
+  document.getElementById('activityActionFilter').addEventListener('change', () => loadActivityLog());
+  document.getElementById('activitySourceFilter').addEventListener('change', () => loadActivityLog());
+  document.getElementById('activityActorFilter').addEventListener('input', () => {
+    clearTimeout(activityActorTimeout);
+    activityActorTimeout = setTimeout(() => loadActivityLog(), 300);
+  });
+  document.getElementById('activityLoadMore').addEventListener('click', () => loadActivityLog(true));
+
+  // Quotes list filters; each change reloads the list and the counts
+  const reloadFilteredQuotes = () => withLoadingState(() => Promise.all([
+    loadStats(),
+    loadQuotes(currentFilter)
+  ])).catch(() => {});
+
+  const quoteFilterInputs = {
+    search: document.getElementById('quoteSearch'),
+    category: document.getElementById('quoteCategoryFilter'),
+    tag: document.getElementById('quoteTagFilter'),
+    from: document.getElementById('quoteDateFrom'),
+    to: document.getElementById('quoteDateTo'),
+    untagged: document.getElementById('quoteUntaggedFilter'),
+    sort: document.getElementById('quoteSort')
+  };
+
+  let quoteFilterTimeout;
+  Object.entries(quoteFilterInputs).forEach(([key, input]) => {
+    const isCheckbox = input.type === 'checkbox';
+    const isTyped = input.type === 'search' || input.type === 'text';
+
+    input.addEventListener(isTyped ? 'input' : 'change', () => {
+      quoteFilters[key] = isCheckbox ? input.checked : input.value;
+      clearTimeout(quoteFilterTimeout);
+      quoteFilterTimeout = setTimeout(reloadFilteredQuotes, isTyped ? 300 : 0);
+    });
+  });
+
+  document.getElementById('clearQuoteFilters').addEventListener('click', () => {
+    Object.entries(quoteFilterInputs).forEach(([key, input]) => {
+      if (key === 'sort') return;
+      if (input.type === 'checkbox') {
+        input.checked = false;
+        quoteFilters[key] = false;
+      } else {
+        input.value = '';
+        quoteFilters[key] = '';
+      }
+    });
+    reloadFilteredQuotes();
+  });
+
+  document.getElementById('quotesLoadMore').addEventListener('click', () => loadQuotes(currentFilter, true));
+
   // Initialize - load data after DOM is ready
   await loadStats();
   await loadQuotes('pending');
+  await loadActivityLog();
   
-  // Populate category dropdown
-  await populateAdminCategoryDropdown();
+  // Populate category dropdowns and the Categories section
+  await refreshCategories();
+
+  // Tag suggestions use the managed vocabulary, which the Tags section edits
+  await loadTagVocabulary();
+  await loadTags();
 }
@@ -10,6 +10,7 @@ const CLASSIFICATION_MODEL = 'facebook/bart-large-mnli';
 const API_URL = `https://router.huggingface.co/hf-inference/models/${CLASSIFICATION_MODEL}`;
 
 // All possible tags for classification (these match your existing tag database)
+// loadTagVocabulary() in tag-vocabulary.js replaces them with the managed vocabulary
 export const AI_TAG_CANDIDATES = [
   // Core themes
   'motivation', 'inspiration', 'success', 'wisdom', 'happiness',
@@ -0,0 +1,118 @@
+/**
+ * Audit Log
+ * Reads the moderation history recorded in quote_audit_log (status changes, tag
+ * changes, edits, with who/when/source) through the data repository and formats
+ * it for the admin panel. In mock mode the local backend records the same
+ * entries in its auditLog table.
+ */
+
+import repository from "./data-repository.js";
+import { escapeHtml } from "./html-utils.js";
+
+export const AUDIT_ACTIONS = {
+  created: 'Created',
+  status: 'Status change',
+  tags: 'Tag change',
+  edit: 'Edit',
+  deleted: 'Deleted'
+};
+
+export const AUDIT_SOURCES = {
+  manual: 'Manual',
+  ai: 'AI',
+  import: 'Import'
+};
+
+export const ACTIVITY_PAGE_SIZE = 50;
+
+/**
+ * Fetch one quote's history, newest first
+ * @param {number} quoteId - The quote ID
+ * @returns {Promise<Array>} Audit entries
+ */
+export async function fetchQuoteHistory(quoteId) {
+  return repository.fetchQuoteHistory(quoteId);
+}
+
+/**
+ * Fetch a page of activity across all quotes, newest first
+ * @param {{action?: string, source?: string, actor?: string, offset?: number}} filters - Empty filters match everything
+ * @returns {Promise<Array>} Audit entries, with the quote's text
+ */
+export async function fetchActivityLog({ action = '', source = '', actor = '', offset = 0 } = {}) {
+  return repository.fetchActivityLog(
+    { action, source, actor: actor.trim() },
+    { limit: ACTIVITY_PAGE_SIZE, offset }
+  );
+}
+
+// ===== FORMATTING =====
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  return String(value);
+}
+
+function describeTagChange(oldTags = [], newTags = []) {
+  const added = (newTags || []).filter(tag => !(oldTags || []).includes(tag));
+  const removed = (oldTags || []).filter(tag => !(newTags || []).includes(tag));
+  const parts = [
+    ...added.map(tag => `<span class="audit-tag added">+${escapeHtml(tag)}</span>`),
+    ...removed.map(tag => `<span class="audit-tag removed">−${escapeHtml(tag)}</span>`)
+  ];
+  return parts.length ? parts.join(' ') : 'Tags reordered';
+}
+
+/**
+ * Describe what an audit entry changed, as HTML
+ * @param {Object} entry - An audit entry
+ * @returns {string} HTML description
+ */
+export function describeAuditChange(entry) {
+  const oldValues = entry.old_values || {};
+  const newValues = entry.new_values || {};
+
+  switch (entry.action) {
+    case 'created':
+      return `Created as <strong>${escapeHtml(newValues.status)}</strong>`;
+    case 'deleted':
+      return `Deleted (was <strong>${escapeHtml(oldValues.status)}</strong>)`;
+    case 'status': {
+      const reason = newValues.rejection_reason
+        ? ` <span class="audit-reason">“${escapeHtml(newValues.rejection_reason)}”</span>`
+        : '';
+      return `Status <strong>${escapeHtml(formatValue(oldValues.status))}</strong> → <strong>${escapeHtml(formatValue(newValues.status))}</strong>${reason}`;
+    }
+    case 'tags':
+      return describeTagChange(oldValues.tags, newValues.tags);
+    case 'edit':
+      return Object.keys(newValues).map(field =>
+        `<span class="audit-field">${escapeHtml(field)}:</span> <del>${escapeHtml(formatValue(oldValues[field]))}</del> → <ins>${escapeHtml(formatValue(newValues[field]))}</ins>`
+      ).join('<br>');
+    default:
+      return escapeHtml(entry.action);
+  }
+}
+
+/**
+ * Render audit entries as list items
+ * @param {Array} entries - Audit entries
+ * @param {{showQuote?: boolean}} options - Include the quote each entry belongs to (activity log)
+ * @returns {string} HTML
+ */
+export function renderAuditEntries(entries, { showQuote = false } = {}) {
+  return entries.map(entry => `
+    <li class="audit-entry audit-${escapeHtml(entry.action)}">
+      <div class="audit-entry-header">
+        <span class="audit-action">${escapeHtml(AUDIT_ACTIONS[entry.action] || entry.action)}</span>
+        <span class="audit-source audit-source-${escapeHtml(entry.source)}">${escapeHtml(AUDIT_SOURCES[entry.source] || entry.source)}</span>
+        <span class="audit-meta">
+          ${escapeHtml(entry.changed_by_email || 'Anonymous')} ·
+          <time datetime="${escapeHtml(entry.changed_at)}">${new Date(entry.changed_at).toLocaleString()}</time>
+        </span>
+      </div>
+      ${showQuote ? `<p class="audit-quote">#${entry.quote_id} “${escapeHtml(entry.quote_text || '')}”</p>` : ''}
+      <p class="audit-change">${describeAuditChange(entry)}</p>
+    </li>
+  `).join('');
+}
@@ -0,0 +1,100 @@
+/**
+ * Backup & Restore
+ * Exports the content (quotes with their tags, status and review details,
+ * categories, the tag vocabulary, collections and favorite counts) as one
+ * versioned JSON bundle, and restores such a bundle by upserting rows by ID.
+ * A restore can be run as a dry run first to see what it would change.
+ * Both go through the data repository and are for owners only.
+ */
+
+import repository from "./data-repository.js";
+
+// Must match export_backup() / restore_backup() in the database migrations
+export const BACKUP_FORMAT = 'inspireme-backup';
+export const BACKUP_VERSION = 1;
+export const MAX_BACKUP_FILE_SIZE = 50 * 1024 * 1024; // 50 MB
+
+// What a bundle holds, in restore order
+export const BACKUP_ENTITIES = {
+  categories: 'Categories',
+  tag_vocabulary: 'Tags',
+  quotes: 'Quotes',
+  collections: 'Collections',
+  collection_quotes: 'Quotes in collections'
+};
+
+/**
+ * Export everything as a backup bundle
+ * @returns {Promise<Object>} The bundle
+ */
+export async function exportBackup() {
+  return repository.exportBackup();
+}
+
+/**
+ * Download a backup bundle as a JSON file
+ * @param {Object} bundle - From exportBackup()
+ */
+export function downloadBackup(bundle) {
+  const date = (bundle.exported_at || new Date().toISOString()).slice(0, 10);
+  const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${BACKUP_FORMAT}-${date}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Read and check a backup file
+ * @param {string} contents - File contents
+ * @returns {Object} The bundle
+ */
+export function readBackupFile(contents) {
+  let bundle;
+  try {
+    bundle = JSON.parse(contents.replace(/^\uFEFF/, ''));
+  } catch {
+    throw new Error('This file is not valid JSON.');
+  }
+
+  if (bundle?.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not an InspireMe backup.');
+  }
+  if (bundle.version !== BACKUP_VERSION) {
+    throw new Error(`This backup has version ${bundle.version}; this app reads version ${BACKUP_VERSION}.`);
+  }
+  return bundle;
+}
+
+/**
+ * Count what a bundle holds
+ * @param {Object} bundle - A backup bundle
+ * @returns {{exportedAt: string|null, quotes: number, categories: number, tags: number, collections: number, favorites: number}}
+ *   `favorites` is the total of the favorite counts
+ */
+export function describeBackup(bundle) {
+  const count = key => (Array.isArray(bundle[key]) ? bundle[key].length : 0);
+  return {
+    exportedAt: bundle.exported_at || null,
+    quotes: count('quotes'),
+    categories: count('categories'),
+    tags: count('tag_vocabulary'),
+    collections: count('collections'),
+    favorites: (bundle.favorite_counts || []).reduce((total, row) => total + (Number(row.count) || 0), 0)
+  };
+}
+
+/**
+ * Restore a backup bundle, upserting by ID; nothing is deleted
+ * @param {Object} bundle - From readBackupFile()
+ * @param {{dryRun?: boolean}} options - dryRun (the default) reports the changes
+ *   without keeping them
+ * @returns {Promise<Array<{entity: string, inserted: number, updated: number}>>} One row per BACKUP_ENTITIES key
+ */
+export async function restoreBackup(bundle, { dryRun = true } = {}) {
+  return repository.restoreBackup(bundle, dryRun);
+}
@@ -0,0 +1,121 @@
+/**
+ * Categories
+ * Reads and manages the categories table: name, optional description, color and
+ * icon, and the order the category dropdowns list them in. Renaming a category
+ * renames it on its quotes too; deleting one moves its quotes to another category
+ * first, which is also how two categories are merged.
+ * Storage is the data repository's; this module checks and tidies the fields.
+ */
+
+import repository from "./data-repository.js";
+
+export const MAX_CATEGORY_NAME_LENGTH = 50; // Like the check on categories.name
+const MAX_ICON_LENGTH = 8; // Enough for an emoji with modifiers, like categories.icon
+
+/**
+ * Fetch every category in dropdown order
+ * @returns {Promise<Array<{id: number, name: string, description: string|null, color: string|null, icon: string|null, sort_order: number, quote_count: number}>>}
+ *   quote_count is the number of approved quotes
+ */
+export async function fetchCategories() {
+  return repository.fetchCategories();
+}
+
+/**
+ * Dropdown label for a category, with its icon
+ * @param {{name: string, icon?: string|null}} category
+ * @returns {string}
+ */
+export function formatCategoryLabel(category) {
+  return category.icon ? `${category.icon} ${category.name}` : category.name;
+}
+
+/**
+ * Fill a <select> with categories, after the options already in it (e.g. "All categories")
+ * @param {HTMLSelectElement} select - The dropdown
+ * @param {Array} categories - From fetchCategories()
+ */
+export function appendCategoryOptions(select, categories) {
+  categories.forEach(category => {
+    const option = document.createElement('option');
+    option.value = category.name;
+    option.textContent = formatCategoryLabel(category);
+    if (category.description) option.title = category.description;
+    select.appendChild(option);
+  });
+}
+
+// ===== MANAGEMENT (editors) =====
+
+/**
+ * Check and tidy the editable fields of a category
+ * @param {{name?: string, description?: string, color?: string, icon?: string}} fields
+ * @returns {Object} The fields, trimmed, with empty optional fields as null
+ */
+function normalizeCategoryFields(fields) {
+  const normalized = {};
+
+  if ('name' in fields) {
+    normalized.name = (fields.name || '').trim().replace(/\s+/g, ' ');
+    if (!normalized.name) {
+      throw new Error('Please enter a category name.');
+    }
+    if (normalized.name.length > MAX_CATEGORY_NAME_LENGTH) {
+      throw new Error(`Category names can be at most ${MAX_CATEGORY_NAME_LENGTH} characters.`);
+    }
+  }
+  if ('description' in fields) {
+    normalized.description = (fields.description || '').trim() || null;
+  }
+  if ('color' in fields) {
+    normalized.color = fields.color || null;
+    if (normalized.color && !/^#[0-9a-f]{6}$/i.test(normalized.color)) {
+      throw new Error('Colors must look like #1a2b3c.');
+    }
+  }
+  if ('icon' in fields) {
+    normalized.icon = (fields.icon || '').trim() || null;
+    if (normalized.icon && [...normalized.icon].length > MAX_ICON_LENGTH) {
+      throw new Error('The icon should be a single emoji.');
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Create a category at the end of the list
+ * @param {{name: string, description?: string, color?: string, icon?: string}} fields
+ * @returns {Promise<Object>} The new category
+ */
+export async function createCategory(fields) {
+  return repository.createCategory(normalizeCategoryFields({ description: '', color: '', icon: '', ...fields }));
+}
+
+/**
+ * Change a category's name, description, color or icon
+ * A new name is applied to the category's quotes as well.
+ * @param {number} categoryId - The category ID
+ * @param {Object} changes - Fields to change
+ */
+export async function updateCategory(categoryId, changes) {
+  await repository.updateCategory(categoryId, normalizeCategoryFields(changes));
+}
+
+/**
+ * Delete a category, moving its quotes to another one first (merging the two)
+ * @param {number} categoryId - The category to delete
+ * @param {number|null} reassignToId - Where its quotes go; can be left out if no quote uses it
+ * @returns {Promise<number>} Number of quotes moved
+ */
+export async function deleteCategory(categoryId, reassignToId = null) {
+  return repository.deleteCategory(categoryId, reassignToId);
+}
+
+/**
+ * Save the dropdown order
+ * @param {number[]} categoryIds - Every category ID, first to last
+ */
+export async function reorderCategories(categoryIds) {
+  await repository.reorderCategories(categoryIds);
+}
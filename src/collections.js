@@ -0,0 +1,124 @@
+/**
+ * Collections
+ * Shared helpers for organizing quotes into user-defined collections.
+ * Storage is the data repository's: the collections RPCs in Supabase, or
+ * IndexedDB in mock mode.
+ */
+
+import repository from "./data-repository.js";
+
+// Palette offered when creating or recoloring a collection (first entry matches the DB default)
+export const COLLECTION_COLORS = [
+  '#667eea', '#764ba2', '#ef4444', '#f59e0b', '#10b981', '#06b6d4', '#ec4899', '#6b7280'
+];
+
+export const DEFAULT_COLLECTION_ICON = '📁';
+
+// Maximum collection name length (matches the CHECK constraint on collections.name)
+export const MAX_COLLECTION_NAME_LENGTH = 100;
+
+/**
+ * Validate and trim a collection name
+ * @param {string} name - The raw name
+ * @returns {string} The trimmed name
+ */
+function normalizeCollectionName(name) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    throw new Error('Collection name is required.');
+  }
+  if (trimmed.length > MAX_COLLECTION_NAME_LENGTH) {
+    throw new Error(`Collection name must be ${MAX_COLLECTION_NAME_LENGTH} characters or fewer.`);
+  }
+  return trimmed;
+}
+
+// ===== COLLECTIONS API =====
+
+/**
+ * Fetch the current user's collections
+ * @returns {Promise<Array<{id: number, name: string, description: string|null, color: string, icon: string, quote_count: number, created_at: string, updated_at: string}>>}
+ */
+export async function fetchCollections() {
+  try {
+    return await repository.fetchCollections();
+  } catch (error) {
+    console.error('Error fetching collections:', error);
+    return [];
+  }
+}
+
+/**
+ * Create a new collection
+ * @param {{name: string, description?: string, color?: string, icon?: string}} details - Collection details
+ * @returns {Promise<number>} The new collection ID
+ */
+export async function createCollection({ name, description = null, color = COLLECTION_COLORS[0], icon = DEFAULT_COLLECTION_ICON }) {
+  return repository.createCollection({ name: normalizeCollectionName(name), description, color, icon });
+}
+
+/**
+ * Rename, recolor or re-describe a collection
+ * @param {number} collectionId - The collection ID
+ * @param {{name?: string, description?: string, color?: string, icon?: string}} changes - Fields to update
+ */
+export async function updateCollection(collectionId, changes) {
+  await repository.updateCollection(collectionId, {
+    ...changes,
+    name: changes.name !== undefined ? normalizeCollectionName(changes.name) : null
+  });
+}
+
+/**
+ * Delete a collection (quotes themselves are not affected)
+ * @param {number} collectionId - The collection ID
+ */
+export async function deleteCollection(collectionId) {
+  await repository.deleteCollection(collectionId);
+}
+
+/**
+ * Add a quote to a collection
+ * @param {number} collectionId - The collection ID
+ * @param {{id: number}} quote - The quote to add
+ */
+export async function addQuoteToCollection(collectionId, quote) {
+  await repository.addQuoteToCollection(collectionId, quote.id);
+}
+
+/**
+ * Remove a quote from a collection
+ * @param {number} collectionId - The collection ID
+ * @param {number} quoteId - The quote ID
+ */
+export async function removeQuoteFromCollection(collectionId, quoteId) {
+  await repository.removeQuoteFromCollection(collectionId, quoteId);
+}
+
+/**
+ * Fetch the quotes in a collection, most recently added first
+ * @param {number} collectionId - The collection ID
+ * @returns {Promise<Array<{id: number, text: string, author: string, category: string, added_at: string}>>}
+ */
+export async function fetchCollectionQuotes(collectionId) {
+  try {
+    return await repository.fetchCollectionQuotes(collectionId);
+  } catch (error) {
+    console.error('Error fetching collection quotes:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the IDs of the current user's collections that contain a quote
+ * @param {number} quoteId - The quote ID
+ * @returns {Promise<number[]>} Collection IDs
+ */
+export async function fetchQuoteCollectionIds(quoteId) {
+  try {
+    return await repository.fetchQuoteCollectionIds(quoteId);
+  } catch (error) {
+    console.error('Error fetching quote collections:', error);
+    return [];
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Quote of the Day
+ * Day keys and the automatic daily pick, shared by the main page (which falls
+ * back to it when the RPC is unavailable) and the in-browser backend. Like
+ * get_quote_of_the_day, the pick only depends on the day and the approved quotes.
+ */
+
+/**
+ * Get the UTC day key (YYYY-MM-DD) for a date
+ * @param {Date} date - The date (defaults to now)
+ * @returns {string} Day key
+ */
+export function getDayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Shift a day key by a number of days
+ * @param {string} dayKey - Day key (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative for the past)
+ * @returns {string} Shifted day key
+ */
+export function shiftDayKey(dayKey, days) {
+  const date = new Date(`${dayKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return getDayKey(date);
+}
+
+// FNV-1a hash of the day key so the pick is stable for a given day
+function hashDayKey(dayKey) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < dayKey.length; i++) {
+    hash ^= dayKey.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Deterministically pick the quote for a day from a pool of quotes
+ * @param {Array} pool - Candidate quotes
+ * @param {string} dayKey - Day key (YYYY-MM-DD)
+ * @returns {Object|null} The picked quote, as a daily quote (with quote_day and is_scheduled)
+ */
+export function pickDailyQuote(pool, dayKey) {
+  if (pool.length === 0) return null;
+  const sorted = [...pool].sort((a, b) => a.id - b.id);
+  return { ...sorted[hashDayKey(dayKey) % sorted.length], quote_day: dayKey, is_scheduled: false };
+}
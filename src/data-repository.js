@@ -0,0 +1,100 @@
+/**
+ * Data Repository
+ * One API for quotes, favorites, collections, categories, moderation and the
+ * admin tools, used by every page. With Supabase configured it is supabase-backend.js; without it
+ * (mock mode) it is local-backend.js, which keeps the same data in IndexedDB
+ * and follows the same rules, so a quote submitted on the main page waits in the
+ * admin queue and only shows up once it's approved, even after a reload.
+ *
+ * Both backends export the same functions:
+ *
+ * Quotes
+ *   fetchApprovedQuotes()                 Every approved quote: id, text, author, category, tags
+ *   fetchApprovedQuote(id)                One approved quote, or null
+ *   searchQuotes(query, limit)            Best matches first, like search_quotes
+ *   addQuote(fields)                      text, author, category, tags and optionally status (default pending)
+ *   fetchQuoteOfTheDay(day)               The quote for a day key, scheduled or picked
+ *   fetchQuoteOfTheDayArchive(days)       Earlier days' quotes, most recent first
+ *
+ * Favorites
+ *   isFavorite(id), setFavorite(quote, favorite), addFavorites(ids), fetchFavorites()
+ *   fetchStoredFavorites(), removeFavorites(ids)   For favorites-sync.js: straight to the
+ *                                         database, never the offline fallback
+ *
+ * Engagement (for the current user ID)
+ *   recordQuoteView(id), fetchQuoteEngagement(id) ({views, likes, liked}),
+ *   setQuoteLiked(id, like), fetchQuoteFeed(days, limit) (days null for most loved)
+ *
+ * Transfer codes (move this user ID's favorites and collections between browsers)
+ *   createTransferCode(), redeemTransferCode(code)
+ *
+ * Collections
+ *   fetchCollections(), createCollection(fields), updateCollection(id, fields),
+ *   deleteCollection(id), addQuoteToCollection(id, quoteId),
+ *   removeQuoteFromCollection(id, quoteId), fetchCollectionQuotes(id),
+ *   fetchQuoteCollectionIds(quoteId)
+ *
+ * Categories
+ *   fetchCategories(), createCategory(fields), updateCategory(id, fields),
+ *   deleteCategory(id, reassignToId), reorderCategories(ids)
+ *
+ * Moderation (admin panel)
+ *   fetchModerationStats(filters), fetchAdminQuotes(status, filters, {sort, limit, offset}),
+ *   setQuoteStatus(id, status, reason), approveQuotes(ids), rejectQuotes(ids, reason),
+ *   fetchQuote(id), fetchQuotes(ids), editQuote(id, expectedLastModified, changes),
+ *   updateQuoteTags(id, tags, source), updateQuotesTags(updates, source),
+ *   mergeDuplicateQuote(duplicateId, originalId), countPendingQuotes(),
+ *   fetchPendingQuotes(after, limit), fetchScheduledDailyQuotes(),
+ *   scheduleDailyQuote(id, day), unscheduleDailyQuote(day),
+ *   fetchQuoteHistory(id), fetchActivityLog({action, source, actor}, {limit, offset}),
+ *   findSimilarQuotes(text, excludeId), importQuotes(quotes)
+ *
+ * Tag vocabulary
+ *   fetchTagVocabulary(), fetchTagUsage(), mergeTags(tags, into, keepAliases),
+ *   saveTag(tag, {aliasOf, isBlocked, aiCandidate})
+ *
+ * Backup (owners)
+ *   exportBackup(), restoreBackup(bundle, dryRun)
+ *
+ * Admin sign-in
+ *   getSession() ({email} or null), signIn(email, password), signOut(),
+ *   fetchAdminRole() (moderator, editor, owner or null)
+ *
+ * Validation and defaults stay in the feature modules (collections.js,
+ * categories.js, tag-vocabulary.js, quote-import.js, ...); the backends only
+ * store and read. Both backends enforce the
+ * admin roles, so moderation functions fail for anyone who isn't signed in with one.
+ */
+
+import { useMockData } from "./supabase-client.js";
+import * as supabaseBackend from "./supabase-backend.js";
+import * as localBackend from "./local-backend.js";
+
+if (useMockData) {
+  console.log("🎭 Running in MOCK MODE - No Supabase configuration found");
+  console.log("To use real database, add VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY to .env file");
+}
+
+let backend = useMockData ? localBackend : supabaseBackend;
+
+/**
+ * Switch to the in-browser data for the rest of the visit
+ * For pages that can't reach the database on load. Every module's calls go to
+ * the local backend from then on, so nothing keeps writing to the database.
+ */
+export function useLocalBackend() {
+  backend = localBackend;
+}
+
+/**
+ * Whether calls go to the in-browser data (mock mode, or after useLocalBackend())
+ * @returns {boolean}
+ */
+export function isLocalBackend() {
+  return backend === localBackend;
+}
+
+// Looks each function up on the current backend, so switching reaches modules that already imported it
+export default new Proxy({}, {
+  get: (target, name) => backend[name]
+});
@@ -0,0 +1,165 @@
+/**
+ * Duplicate Detection
+ * Finds existing quotes that a new or pending quote repeats, either exactly (same
+ * fingerprint: the text with everything but letters and digits removed) or nearly
+ * (trigram similarity, like pg_trgm). find_similar_quotes() does this in the
+ * database; the functions here mirror it for the local backend and render the
+ * submit-form warning and the moderators' side-by-side diff.
+ */
+
+import repository from "./data-repository.js";
+import { escapeHtml } from "./html-utils.js";
+
+// Same threshold as find_similar_quotes() and get_admin_quotes()
+export const DUPLICATE_SIMILARITY_THRESHOLD = 0.6;
+
+// Shorter texts match too much by chance
+const MIN_FINGERPRINT_LENGTH = 10;
+
+/**
+ * Normalized text used for exact duplicate checks, like quotes.fingerprint
+ * @param {string} text - Quote text
+ * @returns {string} Lowercase letters and digits only
+ */
+export function getQuoteFingerprint(text) {
+  return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+// Trigrams of each word padded with two spaces in front and one behind, as pg_trgm does
+function getTrigrams(text) {
+  const trigrams = new Set();
+  (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean).forEach(word => {
+    const padded = `  ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      trigrams.add(padded.slice(i, i + 3));
+    }
+  });
+  return trigrams;
+}
+
+/**
+ * Trigram similarity of two texts, like pg_trgm's similarity()
+ * @returns {number} 0 (nothing shared) to 1 (same trigrams)
+ */
+export function trigramSimilarity(a, b) {
+  const trigramsA = getTrigrams(a);
+  const trigramsB = getTrigrams(b);
+  if (trigramsA.size === 0 || trigramsB.size === 0) return 0;
+
+  let shared = 0;
+  trigramsA.forEach(trigram => {
+    if (trigramsB.has(trigram)) shared++;
+  });
+  return shared / (trigramsA.size + trigramsB.size - shared);
+}
+
+/**
+ * Find quotes in a list that repeat a text, exact matches first, then most similar
+ * @param {string} text - The text to check
+ * @param {Array<{id: number, text: string}>} quotes - Quotes to check against
+ * @param {{excludeId?: number|null, limit?: number}} options - A quote to skip (the one being checked)
+ * @returns {Array} Matching quotes with `similarity` and `exact`
+ */
+export function findSimilarInList(text, quotes, { excludeId = null, limit = 3 } = {}) {
+  const fingerprint = getQuoteFingerprint(text);
+  if (fingerprint.length < MIN_FINGERPRINT_LENGTH) return [];
+
+  return quotes
+    .filter(quote => quote.id !== excludeId)
+    .map(quote => ({
+      ...quote,
+      similarity: trigramSimilarity(quote.text, text),
+      exact: getQuoteFingerprint(quote.text) === fingerprint
+    }))
+    .filter(match => match.exact || match.similarity >= DUPLICATE_SIMILARITY_THRESHOLD)
+    .sort((a, b) => Number(b.exact) - Number(a.exact) || b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+/**
+ * Find existing quotes that a text may duplicate
+ * Submitters are only matched against approved quotes; moderators also see pending ones.
+ * @param {string} text - The quote text
+ * @param {{excludeId?: number|null}} options - A quote to skip
+ * @returns {Promise<Array<{id: number, text: string, author: string, status: string, similarity: number, exact: boolean}>>}
+ */
+export async function findSimilarQuotes(text, { excludeId = null } = {}) {
+  if (getQuoteFingerprint(text).length < MIN_FINGERPRINT_LENGTH) return [];
+
+  return repository.findSimilarQuotes(text, excludeId);
+}
+
+// ===== RENDERING =====
+
+function formatMatch(match) {
+  return match.exact ? 'Exact match' : `${Math.round(match.similarity * 100)}% similar`;
+}
+
+/**
+ * Show or hide the "this quote may already exist" warning in a submit form
+ * @param {HTMLElement} container - The warning element
+ * @param {Array} matches - From findSimilarQuotes()
+ */
+export function renderDuplicateWarning(container, matches) {
+  if (!container) return;
+
+  if (!matches || matches.length === 0) {
+    container.classList.add('hidden');
+    container.innerHTML = '';
+    return;
+  }
+
+  container.innerHTML = `
+    <p class="duplicate-warning-title">This quote may already be in the collection:</p>
+    <ul class="duplicate-warning-list">
+      ${matches.map(match => `
+        <li>
+          “${escapeHtml(match.text)}” — ${escapeHtml(match.author)}
+          <span class="duplicate-score">${formatMatch(match)}${match.status && match.status !== 'approved' ? ` · ${escapeHtml(match.status)}` : ''}</span>
+        </li>
+      `).join('')}
+    </ul>
+    <p class="duplicate-warning-hint">You can still submit it if it's a different quote.</p>
+  `;
+  container.classList.remove('hidden');
+}
+
+/**
+ * Word-level diff of two texts, for showing them side by side
+ * Words that only appear on one side are wrapped in <del> (left) or <ins> (right).
+ * @param {string} left - The first text
+ * @param {string} right - The second text
+ * @returns {{left: string, right: string}} HTML for each side
+ */
+export function renderTextDiff(left, right) {
+  const a = (left || '').split(/\s+/).filter(Boolean);
+  const b = (right || '').split(/\s+/).filter(Boolean);
+
+  // Longest common subsequence of words, compared case-insensitively
+  const same = (x, y) => x.toLowerCase() === y.toLowerCase();
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = same(a[i], b[j])
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const leftParts = [];
+  const rightParts = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && same(a[i], b[j])) {
+      leftParts.push(escapeHtml(a[i++]));
+      rightParts.push(escapeHtml(b[j++]));
+    } else if (j >= b.length || (i < a.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      leftParts.push(`<del>${escapeHtml(a[i++])}</del>`);
+    } else {
+      rightParts.push(`<ins>${escapeHtml(b[j++])}</ins>`);
+    }
+  }
+
+  return { left: leftParts.join(' '), right: rightParts.join(' ') };
+}
@@ -0,0 +1,129 @@
+/**
+ * Favorites Export
+ * Formats a list of favorite quotes as JSON, CSV, Markdown or plain text and
+ * downloads it as a file.
+ */
+
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  text: { label: 'Plain text', extension: 'txt', mimeType: 'text/plain' }
+};
+
+const CSV_COLUMNS = ['id', 'text', 'author', 'category', 'tags', 'saved_at', 'link'];
+
+function getQuoteLink(quoteId) {
+  const url = new URL('/', window.location.origin);
+  url.searchParams.set('quote', quoteId);
+  return url.toString();
+}
+
+// Favorites carry favorited_at, collection quotes carry added_at
+function getSavedAt(quote) {
+  return quote.favorited_at || quote.added_at || null;
+}
+
+/**
+ * Escape a value for a CSV cell
+ * Cells starting with a formula character are prefixed so spreadsheets show them as text.
+ * @param {*} value - The cell value
+ * @returns {string} Escaped cell
+ */
+function toCsvCell(value) {
+  let cell = value == null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(cell)) {
+    cell = `'${cell}`;
+  }
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+function formatJson(quotes, title) {
+  return JSON.stringify({
+    title,
+    exported_at: new Date().toISOString(),
+    count: quotes.length,
+    quotes: quotes.map(quote => ({
+      id: quote.id,
+      text: quote.text,
+      author: quote.author,
+      category: quote.category || null,
+      tags: quote.tags || [],
+      created_at: quote.created_at || null,
+      saved_at: getSavedAt(quote),
+      link: getQuoteLink(quote.id)
+    }))
+  }, null, 2);
+}
+
+function formatCsv(quotes) {
+  const rows = quotes.map(quote => [
+    quote.id,
+    quote.text,
+    quote.author,
+    quote.category,
+    (quote.tags || []).join('; '),
+    getSavedAt(quote),
+    getQuoteLink(quote.id)
+  ].map(toCsvCell).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+function formatMarkdown(quotes, title) {
+  const blocks = quotes.map(quote => {
+    const lines = quote.text.split('\n').map(line => `> ${line}`);
+    const meta = quote.category ? ` · _${quote.category}_` : '';
+    return [...lines, '>', `> — **${quote.author}**${meta}`].join('\n');
+  });
+
+  return [`# ${title}`, ...blocks].join('\n\n') + '\n';
+}
+
+function formatText(quotes) {
+  return quotes.map(quote => `"${quote.text}"\n— ${quote.author}`).join('\n\n') + '\n';
+}
+
+/**
+ * Format quotes for export
+ * @param {Array} quotes - Favorites or collection quotes
+ * @param {string} format - A key of EXPORT_FORMATS
+ * @param {string} title - Heading for formats that have one
+ * @returns {string} File contents
+ */
+export function formatFavorites(quotes, format, title = 'My Favorites') {
+  switch (format) {
+    case 'json': return formatJson(quotes, title);
+    case 'csv': return formatCsv(quotes);
+    case 'markdown': return formatMarkdown(quotes, title);
+    case 'text': return formatText(quotes);
+    default: throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Download quotes as a file
+ * @param {Array} quotes - Favorites or collection quotes
+ * @param {string} format - A key of EXPORT_FORMATS
+ * @param {string} title - Used for the heading and the file name
+ */
+export function downloadFavorites(quotes, format, title = 'My Favorites') {
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  let contents = formatFavorites(quotes, format, title);
+
+  // Byte order mark so Excel opens the CSV as UTF-8
+  if (format === 'csv') contents = `\uFEFF${contents}`;
+
+  const slug = title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'favorites';
+  const date = new Date().toISOString().slice(0, 10);
+
+  const blob = new Blob([contents], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${slug}-${date}.${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,367 @@
+/**
+ * Favorites Sync
+ * Offline fallback for favorites, shared by the main page and the favorites page.
+ *
+ * When favorites RPCs fail, changes are applied to a local copy and written to a
+ * durable outbox in localStorage (one timestamped action per change). Fallback mode
+ * itself is persisted too, so a reload keeps working offline. Reconnection happens
+ * automatically on the browser's `online` event and by polling with backoff; the
+ * banner's Retry button triggers the same sync manually.
+ */
+
+import repository, { isLocalBackend } from "./data-repository.js";
+import { getUserId } from "./user-utils.js";
+
+const FALLBACK_MODE_KEY = 'favorites_fallback_mode';
+
+// Reconnect polling starts fast and backs off to once every five minutes
+const RECONNECT_INITIAL_DELAY_MS = 5000;
+const RECONNECT_MAX_DELAY_MS = 5 * 60 * 1000;
+
+let syncInProgress = false;
+let reconnectTimeout = null;
+let reconnectDelay = RECONNECT_INITIAL_DELAY_MS;
+const syncListeners = new Set();
+
+function getOutboxKey(userId) {
+  return `favorites_outbox_${userId}`;
+}
+
+function getCacheKey(userId) {
+  return `favorites_cache_${userId}`;
+}
+
+// ===== LOCALSTORAGE HELPER FUNCTIONS =====
+/**
+ * Get favorites from localStorage for a given user
+ * @param {string} userId - The user ID
+ * @returns {number[]} Array of favorite quote IDs
+ */
+export function getLocalFavorites(userId) {
+  const key = `favorites_${userId}`;
+  return JSON.parse(localStorage.getItem(key) || '[]');
+}
+
+/**
+ * Set favorites in localStorage for a given user
+ * @param {string} userId - The user ID
+ * @param {number[]} favorites - Array of favorite quote IDs
+ */
+export function setLocalFavorites(userId, favorites) {
+  const key = `favorites_${userId}`;
+  localStorage.setItem(key, JSON.stringify(favorites));
+}
+
+/**
+ * Add a quote to localStorage favorites
+ * @param {string} userId - The user ID
+ * @param {number} quoteId - The quote ID to add
+ * @returns {boolean} True if added, false if already existed
+ */
+export function addLocalFavorite(userId, quoteId) {
+  const favorites = getLocalFavorites(userId);
+  if (!favorites.includes(quoteId)) {
+    favorites.push(quoteId);
+    setLocalFavorites(userId, favorites);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Remove a quote from localStorage favorites
+ * @param {string} userId - The user ID
+ * @param {number} quoteId - The quote ID to remove
+ * @returns {boolean} True if removed, false if didn't exist
+ */
+export function removeLocalFavorite(userId, quoteId) {
+  const favorites = getLocalFavorites(userId);
+  const index = favorites.indexOf(quoteId);
+  if (index > -1) {
+    favorites.splice(index, 1);
+    setLocalFavorites(userId, favorites);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Check if a quote is in localStorage favorites
+ * @param {string} userId - The user ID
+ * @param {number} quoteId - The quote ID to check
+ * @returns {boolean} True if favorited
+ */
+export function isLocalFavorite(userId, quoteId) {
+  const favorites = getLocalFavorites(userId);
+  return favorites.includes(quoteId);
+}
+
+// ===== OUTBOX =====
+
+/**
+ * Read the pending favorite actions for a user, oldest first
+ * @param {string} userId - The user ID
+ * @returns {Array<{quoteId: number, action: 'add'|'remove', timestamp: string, quote: Object|null}>}
+ */
+export function getPendingActions(userId = getUserId()) {
+  return JSON.parse(localStorage.getItem(getOutboxKey(userId)) || '[]');
+}
+
+function setPendingActions(userId, actions) {
+  if (actions.length === 0) {
+    localStorage.removeItem(getOutboxKey(userId));
+  } else {
+    localStorage.setItem(getOutboxKey(userId), JSON.stringify(actions));
+  }
+}
+
+/**
+ * Collapse the outbox to the latest action per quote
+ * Toggling a quote several times offline only needs its final state replayed.
+ * @param {Array} actions - Outbox entries
+ * @returns {Array} One entry per quote
+ */
+function getLatestActions(actions) {
+  const latest = new Map();
+  actions.forEach(entry => {
+    const existing = latest.get(entry.quoteId);
+    if (!existing || entry.timestamp >= existing.timestamp) {
+      latest.set(entry.quoteId, entry);
+    }
+  });
+  return [...latest.values()];
+}
+
+/**
+ * Apply a favorite change locally and queue it for sync
+ * @param {number} quoteId - The quote ID
+ * @param {boolean} favorite - True to add, false to remove
+ * @param {{id: number, text: string, author: string, category: string}|null} quote - Quote details,
+ *   kept so the favorites page can show offline additions
+ */
+export function queueFavoriteAction(quoteId, favorite, quote = null) {
+  const userId = getUserId();
+
+  if (favorite) {
+    addLocalFavorite(userId, quoteId);
+  } else {
+    removeLocalFavorite(userId, quoteId);
+  }
+
+  const snapshot = quote ? { id: quote.id, text: quote.text, author: quote.author, category: quote.category } : null;
+  setPendingActions(userId, [
+    ...getPendingActions(userId),
+    { quoteId, action: favorite ? 'add' : 'remove', timestamp: new Date().toISOString(), quote: snapshot }
+  ]);
+}
+
+// ===== OFFLINE CACHE FOR THE FAVORITES PAGE =====
+
+/**
+ * Remember the last favorites list fetched from the database
+ * Also refreshes the local ID list used by the main page's heart button.
+ * @param {Array} favorites - Favorites as returned by get_user_favorites
+ */
+export function cacheFavorites(favorites) {
+  const userId = getUserId();
+  localStorage.setItem(getCacheKey(userId), JSON.stringify(favorites));
+  setLocalFavorites(userId, favorites.map(f => f.id));
+}
+
+/**
+ * Favorites to show while offline: the cached list with pending actions applied
+ * @returns {Array} Favorites, most recently favorited first
+ */
+export function getOfflineFavorites() {
+  const userId = getUserId();
+  const cached = JSON.parse(localStorage.getItem(getCacheKey(userId)) || '[]');
+  const favorites = new Map(cached.map(f => [f.id, f]));
+
+  getLatestActions(getPendingActions(userId)).forEach(({ quoteId, action, timestamp, quote }) => {
+    if (action === 'remove') {
+      favorites.delete(quoteId);
+    } else if (quote && !favorites.has(quoteId)) {
+      favorites.set(quoteId, { ...quote, favorited_at: timestamp });
+    }
+  });
+
+  return [...favorites.values()].sort((a, b) => new Date(b.favorited_at) - new Date(a.favorited_at));
+}
+
+// ===== FALLBACK MODE MANAGEMENT =====
+
+export function isFallbackMode() {
+  return !isLocalBackend() && localStorage.getItem(FALLBACK_MODE_KEY) === 'true';
+}
+
+/**
+ * Switch to local favorites until the database is reachable again
+ */
+export function enterFallbackMode() {
+  if (isLocalBackend()) return;
+
+  localStorage.setItem(FALLBACK_MODE_KEY, 'true');
+  showFallbackWarning();
+  scheduleReconnect();
+}
+
+function exitFallbackMode() {
+  localStorage.removeItem(FALLBACK_MODE_KEY);
+  clearTimeout(reconnectTimeout);
+  reconnectTimeout = null;
+  reconnectDelay = RECONNECT_INITIAL_DELAY_MS;
+  hideFallbackWarning();
+}
+
+/**
+ * Run a callback after pending actions are synced and fallback mode ends
+ * @param {Function} listener - Called with no arguments
+ */
+export function onFavoritesSynced(listener) {
+  syncListeners.add(listener);
+}
+
+// Show warning banner when in fallback mode
+function showFallbackWarning() {
+  let warningBanner = document.getElementById('fallbackWarning');
+
+  if (!warningBanner) {
+    warningBanner = document.createElement('div');
+    warningBanner.id = 'fallbackWarning';
+    warningBanner.className = 'fallback-warning';
+    warningBanner.innerHTML = `
+      <span>⚠️ Connection issue detected. Favorites are temporarily saved locally and will sync when connection is restored.</span>
+      <button id="retryConnection" aria-label="Retry connection">Retry</button>
+    `;
+    document.body.insertBefore(warningBanner, document.body.firstChild);
+
+    // Add retry button handler
+    document.getElementById('retryConnection').addEventListener('click', () => attemptReconnect({ manual: true }));
+  }
+
+  warningBanner.style.display = 'flex';
+}
+
+// Hide warning banner
+function hideFallbackWarning() {
+  const warningBanner = document.getElementById('fallbackWarning');
+  if (warningBanner) {
+    warningBanner.style.display = 'none';
+  }
+}
+
+function scheduleReconnect() {
+  if (reconnectTimeout) return;
+
+  reconnectTimeout = setTimeout(async () => {
+    reconnectTimeout = null;
+    const reconnected = await attemptReconnect();
+    if (!reconnected && isFallbackMode()) {
+      reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_DELAY_MS);
+      scheduleReconnect();
+    }
+  }, reconnectDelay);
+}
+
+/**
+ * Attempt to reconnect and sync pending actions
+ * @param {{manual?: boolean}} options - Manual retries report failures to the user
+ * @returns {Promise<boolean>} True if the connection is back and everything synced
+ */
+export async function attemptReconnect({ manual = false } = {}) {
+  if (isLocalBackend() || syncInProgress) return false;
+
+  syncInProgress = true;
+  const retryBtn = document.getElementById('retryConnection');
+  if (retryBtn) {
+    retryBtn.textContent = 'Syncing...';
+    retryBtn.disabled = true;
+  }
+
+  try {
+    // Test the connection with the favorites call that failed
+    await repository.fetchStoredFavorites();
+
+    console.log('✅ Connection restored, syncing pending actions...');
+    await syncPendingActions();
+    exitFallbackMode();
+    syncListeners.forEach(listener => listener());
+    return true;
+  } catch (error) {
+    console.error('Reconnection failed:', error);
+    if (manual) {
+      alert('Still unable to connect. Please check your internet connection.');
+    }
+    return false;
+  } finally {
+    syncInProgress = false;
+    if (retryBtn) {
+      retryBtn.textContent = 'Retry';
+      retryBtn.disabled = false;
+    }
+  }
+}
+
+/**
+ * Replay the outbox against the database's favorites
+ * Only the latest action per quote is replayed. A queued removal is skipped when
+ * the database has a newer favorite for that quote (e.g. added again on another
+ * device after this one went offline). Actions are dropped from the outbox as soon
+ * as they're applied, so a failure part-way through resumes where it stopped.
+ */
+export async function syncPendingActions() {
+  if (isLocalBackend()) return;
+
+  const userId = getUserId();
+  const actions = getLatestActions(getPendingActions(userId));
+  if (actions.length === 0) return;
+
+  const dbFavorites = await repository.fetchStoredFavorites();
+  const favoritedAt = new Map(dbFavorites.map(f => [Number(f.id), f.favorited_at]));
+
+  for (const { quoteId, action, timestamp } of actions) {
+    if (action === 'add' && !favoritedAt.has(quoteId)) {
+      await repository.addFavorites([quoteId]);
+      console.log(`Synced addition: quote ${quoteId}`);
+    } else if (action === 'remove' && favoritedAt.has(quoteId)) {
+      if (new Date(favoritedAt.get(quoteId)) > new Date(timestamp)) {
+        console.log(`Skipped removal of quote ${quoteId}: favorited again since`);
+        addLocalFavorite(userId, quoteId);
+      } else {
+        await repository.removeFavorites([quoteId]);
+        console.log(`Synced removal: quote ${quoteId}`);
+      }
+    }
+
+    // Keep actions queued after this one was read (e.g. a toggle during the sync)
+    setPendingActions(userId, getPendingActions(userId).filter(
+      entry => entry.quoteId !== quoteId || entry.timestamp > timestamp
+    ));
+  }
+
+  console.log('✅ All pending actions synced successfully');
+}
+
+/**
+ * Restore fallback mode after a reload and start listening for reconnection
+ * Call once per page.
+ */
+export function initFavoritesSync() {
+  if (isLocalBackend()) return;
+
+  window.addEventListener('online', () => {
+    if (isFallbackMode() || getPendingActions().length > 0) {
+      attemptReconnect();
+    }
+  });
+
+  if (isFallbackMode()) {
+    showFallbackWarning();
+    attemptReconnect().then(reconnected => {
+      if (!reconnected && isFallbackMode()) scheduleReconnect();
+    });
+  } else if (getPendingActions().length > 0) {
+    // Left over from a session that closed before it could sync
+    attemptReconnect();
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * Favorites Transfer
+ * Bring favorites back after clearing storage or switching browsers:
+ * - import a file written by favorites-export.js (JSON or CSV), matching each
+ *   quote by ID or, failing that, by fuzzy text + author
+ * - transfer codes, which move one anonymous ID's favorites and collections to another
+ */
+
+import repository from "./data-repository.js";
+
+// Minimum word overlap for a fuzzy text match
+const TEXT_MATCH_THRESHOLD = 0.8;
+// An ID match is trusted if the text is at least this close (exports from the same database)
+const ID_MATCH_THRESHOLD = 0.5;
+
+export const MAX_IMPORT_FILE_SIZE = 1024 * 1024; // 1 MB
+
+// ===== FILE PARSING =====
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting)
+ * Also used by the admin quote importer.
+ * @param {string} text - CSV contents
+ * @returns {string[][]} Rows
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Undo the formula guard added by favorites-export.js
+function unescapeCsvCell(value) {
+  return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+}
+
+/**
+ * Read quotes from an exported favorites file
+ * @param {string} contents - File contents
+ * @param {string} fileName - File name, used to pick the format
+ * @returns {Array<{id: number|null, text: string, author: string}>} Quotes in the file
+ */
+export function parseFavoritesFile(contents, fileName = '') {
+  const text = contents.replace(/^\uFEFF/, '');
+  const isJson = fileName.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text);
+
+  let entries;
+  if (isJson) {
+    const data = JSON.parse(text);
+    entries = Array.isArray(data) ? data : data.quotes;
+    if (!Array.isArray(entries)) {
+      throw new Error('This JSON file has no list of quotes.');
+    }
+  } else {
+    const [header, ...rows] = parseCsv(text);
+    const columns = (header || []).map(column => column.trim().toLowerCase());
+    if (!columns.includes('text') || !columns.includes('author')) {
+      throw new Error('The CSV file needs "text" and "author" columns.');
+    }
+    entries = rows.map(row => Object.fromEntries(
+      columns.map((column, index) => [column, unescapeCsvCell(row[index] || '')])
+    ));
+  }
+
+  return entries
+    .map(entry => ({
+      id: Number.isInteger(Number(entry.id)) && Number(entry.id) > 0 ? Number(entry.id) : null,
+      text: String(entry.text || '').trim(),
+      author: String(entry.author || '').trim()
+    }))
+    .filter(entry => entry.text);
+}
+
+// ===== MATCHING =====
+
+/**
+ * Lowercase and strip punctuation so "Don't stop!" and "dont stop" compare equal
+ * @param {string} value - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeForMatch(value) {
+  return (value || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['\u2019]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Word overlap between two strings (Jaccard similarity of their word sets)
+ * @returns {number} 0 (nothing shared) to 1 (same words)
+ */
+function textSimilarity(a, b) {
+  const wordsA = new Set(normalizeForMatch(a).split(' ').filter(Boolean));
+  const wordsB = new Set(normalizeForMatch(b).split(' ').filter(Boolean));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) shared++;
+  });
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+function authorsMatch(a, b) {
+  const authorA = normalizeForMatch(a);
+  const authorB = normalizeForMatch(b);
+  return !authorA || !authorB || authorA === authorB || textSimilarity(authorA, authorB) >= 0.5;
+}
+
+/**
+ * Find the catalogue quote for each imported entry
+ * @param {Array} entries - From parseFavoritesFile()
+ * @param {Array<{id: number, text: string, author: string}>} catalogue - Approved quotes
+ * @returns {{matched: Array, unmatched: Array}} Matched entries carry the catalogue `quote`
+ */
+export function matchImportedQuotes(entries, catalogue) {
+  const byId = new Map(catalogue.map(quote => [quote.id, quote]));
+  const matched = [];
+  const unmatched = [];
+
+  entries.forEach(entry => {
+    const idMatch = entry.id ? byId.get(entry.id) : null;
+    if (idMatch && textSimilarity(idMatch.text, entry.text) >= ID_MATCH_THRESHOLD) {
+      matched.push({ ...entry, quote: idMatch });
+      return;
+    }
+
+    let best = null;
+    let bestScore = 0;
+    catalogue.forEach(quote => {
+      if (!authorsMatch(quote.author, entry.author)) return;
+      const score = textSimilarity(quote.text, entry.text);
+      if (score > bestScore) {
+        best = quote;
+        bestScore = score;
+      }
+    });
+
+    if (best && bestScore >= TEXT_MATCH_THRESHOLD) {
+      matched.push({ ...entry, quote: best });
+    } else {
+      unmatched.push(entry);
+    }
+  });
+
+  return { matched, unmatched };
+}
+
+// ===== IMPORT =====
+
+/**
+ * Import favorites from an exported file
+ * @param {string} contents - File contents
+ * @param {string} fileName - File name
+ * @param {{existingIds?: number[]}} options - Current favorite IDs (so they're
+ *   reported as already saved)
+ * @returns {Promise<{added: number, alreadySaved: number, unmatched: Array}>} Import summary
+ */
+export async function importFavoritesFile(contents, fileName, { existingIds = [] } = {}) {
+  const entries = parseFavoritesFile(contents, fileName);
+  if (entries.length === 0) {
+    throw new Error('No quotes found in this file.');
+  }
+
+  const catalogue = await repository.fetchApprovedQuotes();
+  const { matched, unmatched } = matchImportedQuotes(entries, catalogue);
+
+  const existing = new Set(existingIds);
+  const toAdd = [...new Set(matched.map(m => m.quote.id))].filter(id => !existing.has(id));
+  const alreadySaved = new Set(matched.map(m => m.quote.id).filter(id => existing.has(id))).size;
+
+  await repository.addFavorites(toAdd);
+
+  return { added: toAdd.length, alreadySaved, unmatched };
+}
+
+// ===== TRANSFER CODES =====
+
+/**
+ * Create a short-lived code that lets another browser take over this ID's favorites and collections
+ * Creating a new code replaces any earlier one.
+ * @returns {Promise<{code: string, expires_at: string}>}
+ */
+export async function createTransferCode() {
+  return repository.createTransferCode();
+}
+
+/**
+ * Move the favorites and collections behind a transfer code to the current ID
+ * @param {string} code - Code from createTransferCode() on the other browser
+ * @returns {Promise<{favorites_moved: number, collections_moved: number}>}
+ */
+export async function redeemTransferCode(code) {
+  return repository.redeemTransferCode(code.trim().toUpperCase());
+}
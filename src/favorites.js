@@ -1,5 +1,24 @@
-import supabase from "./supabase-client.js";
-import { getUserId } from "./user-utils.js";
+import repository from "./data-repository.js";
+import {
+  COLLECTION_COLORS,
+  MAX_COLLECTION_NAME_LENGTH,
+  fetchCollections,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  fetchCollectionQuotes,
+  removeQuoteFromCollection
+} from "./collections.js";
+import { initFavoritesSync, onFavoritesSynced } from "./favorites-sync.js";
+import { EXPORT_FORMATS, downloadFavorites } from "./favorites-export.js";
+import {
+  MAX_IMPORT_FILE_SIZE,
+  importFavoritesFile,
+  createTransferCode,
+  redeemTransferCode
+} from "./favorites-transfer.js";
+import { initAccount, initAccountMenu, onAccountChanged } from "./user-account.js";
+import { escapeHtml } from "./html-utils.js";
 
 const favoritesContainer = document.getElementById('favoritesContainer');
 const emptyState = document.getElementById('emptyState');
@@ -12,6 +31,22 @@ const pagination = document.getElementById('pagination');
 const prevPageBtn = document.getElementById('prevPage');
 const nextPageBtn = document.getElementById('nextPage');
 const pageInfo = document.getElementById('pageInfo');
+const collectionTabs = document.getElementById('collectionTabs');
+const newCollectionBtn = document.getElementById('newCollectionBtn');
+const collectionHeader = document.getElementById('collectionHeader');
+const collectionHeaderSwatch = document.getElementById('collectionHeaderSwatch');
+const collectionHeaderName = document.getElementById('collectionHeaderName');
+const editCollectionBtn = document.getElementById('editCollectionBtn');
+const deleteCollectionBtn = document.getElementById('deleteCollectionBtn');
+const emptyTitle = document.getElementById('emptyTitle');
+const emptyMessage = document.getElementById('emptyMessage');
+const exportBtn = document.getElementById('exportBtn');
+const exportMenu = document.getElementById('exportMenu');
+const exportScope = document.getElementById('exportScope');
+const exportScopeAll = document.getElementById('exportScopeAll');
+const exportScopeFiltered = document.getElementById('exportScopeFiltered');
+const importBtn = document.getElementById('importBtn');
+const transferBtn = document.getElementById('transferBtn');
 
 // Pagination state
 let currentPage = 1;
@@ -19,84 +54,11 @@ const itemsPerPage = 12;
 let allFavorites = [];
 let filteredFavorites = [];
 
-// Swipe gesture constants
-
-// HTML escaping utility to prevent XSS attacks
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
-}
-
-// Check if Supabase is configured
-const hasSupabaseConfig = import.meta.env.VITE_SUPABASE_URL && import.meta.env.VITE_SUPABASE_ANON_KEY;
-const useMockData = !hasSupabaseConfig;
-
-// Mock data for testing
-const MOCK_QUOTES = [
-  { id: 1, text: "The only way to do great work is to love what you do.", author: "Steve Jobs", category: "Motivation" },
-  { id: 2, text: "Innovation distinguishes between a leader and a follower.", author: "Steve Jobs", category: "Innovation" },
-];
-
-// Fetch user's favorite quotes
-async function fetchFavorites() {
-  if (useMockData || !supabase) {
-    // Mock mode: get favorites from localStorage
-    const favoriteIds = JSON.parse(localStorage.getItem('mock_favorites') || '[]');
-    return MOCK_QUOTES.filter(q => favoriteIds.includes(q.id)).map(q => ({
-      ...q,
-      favorited_at: new Date().toISOString()
-    }));
-  }
-
-  try {
-    const userId = getUserId();
-    
-    // Try RPC function
-    const { data, error } = await supabase.rpc('get_user_favorites', {
-      p_user_id: userId
-    });
-
-    if (error) {
-      console.error('Error fetching favorites:', error);
-      return [];
-    }
-    
-    return data || [];
-  } catch (error) {
-    console.error('Error fetching favorites:', error);
-    return [];
-  }
-}
-
-// Remove a quote from favorites
-async function removeFavorite(quoteId) {
-  if (useMockData || !supabase) {
-    // Mock mode
-    const favorites = JSON.parse(localStorage.getItem('mock_favorites') || '[]');
-    const filtered = favorites.filter(id => id !== quoteId);
-    localStorage.setItem('mock_favorites', JSON.stringify(filtered));
-    return true;
-  }
-
-  try {
-    const userId = getUserId();
-    // Try RPC function
-    const { error } = await supabase.rpc('remove_favorite', {
-      p_user_id: userId,
-      p_quote_id: quoteId
-    });
+// Collections state (null = show all favorites)
+let collections = [];
+let activeCollectionId = null;
 
-    if (error) {
-      console.warn('RPC remove_favorite failed:', error);
-      return false;
-    }
-    return true;
-  } catch (error) {
-    console.error('Error removing favorite:', error);
-    throw error;
-  }
-}
+// Swipe gesture constants
 
 // Render favorites
 function renderFavorites(favorites, preservePage = false) {
@@ -108,6 +70,13 @@ function renderFavorites(favorites, preservePage = false) {
   
   if (favorites.length === 0) {
     favoritesContainer.innerHTML = '';
+    if (activeCollectionId) {
+      emptyTitle.textContent = 'This collection is empty';
+      emptyMessage.textContent = 'Save quotes to this collection from the home page.';
+    } else {
+      emptyTitle.textContent = 'No favorites yet';
+      emptyMessage.textContent = 'Start adding quotes to your favorites from the home page!';
+    }
     emptyState.classList.remove('hidden');
     favoritesControls.style.display = 'none';
     pagination.style.display = 'none';
@@ -118,24 +87,31 @@ function renderFavorites(favorites, preservePage = false) {
   favoritesControls.style.display = 'flex';
   
   // Update stats
-  favoritesStats.textContent = `${favorites.length} favorite${favorites.length !== 1 ? 's' : ''}`;
+  favoritesStats.textContent = formatCount(favorites.length);
   
   renderPage();
 }
 
+// Format an item count for the stats label ("3 favorites" / "1 quote")
+function formatCount(count) {
+  const noun = activeCollectionId ? 'quote' : 'favorite';
+  return `${count} ${noun}${count !== 1 ? 's' : ''}`;
+}
+
 // Render current page
 function renderPage() {
   const startIndex = (currentPage - 1) * itemsPerPage;
   const endIndex = startIndex + itemsPerPage;
   const pageItems = filteredFavorites.slice(startIndex, endIndex);
+  const removeLabel = activeCollectionId ? 'Remove from collection' : 'Remove from favorites';
   
   const html = pageItems.map(quote => `
     <div class="favorite-card" data-quote-id="${quote.id}">
       <button 
         class="remove-btn" 
         data-quote-id="${quote.id}"
-        aria-label="Remove from favorites"
-        title="Remove from favorites"
+        aria-label="${removeLabel}"
+        title="${removeLabel}"
       >
         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
           <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>
@@ -174,10 +150,13 @@ function updatePagination() {
 function showRemoveConfirmation(quoteId, cardElement) {
   const modal = document.createElement('div');
   modal.className = 'confirm-modal';
+  const collection = getActiveCollection();
   modal.innerHTML = `
     <div class="confirm-content">
-      <h3>Remove from Favorites?</h3>
-      <p>This quote will no longer appear in your favorites collection.</p>
+      <h3>${collection ? 'Remove from Collection?' : 'Remove from Favorites?'}</h3>
+      <p>${collection
+        ? `This quote will no longer appear in "${escapeHtml(collection.name)}".`
+        : 'This quote will no longer appear in your favorites collection.'}</p>
       <div class="confirm-actions">
         <button class="confirm-btn cancel">Cancel</button>
         <button class="confirm-btn delete">Remove</button>
@@ -214,13 +193,22 @@ async function handleRemoveFavorite(quoteId, cardElement) {
     cardElement.classList.add('removing');
     
     // Remove from database
-    const success = await removeFavorite(quoteId);
+    let success;
+    if (activeCollectionId) {
+      await removeQuoteFromCollection(activeCollectionId, quoteId);
+      success = true;
+    } else {
+      await repository.setFavorite({ id: quoteId }, false);
+      success = true;
+    }
     
     if (success) {
       // Wait for animation to complete, then refresh the list
       setTimeout(async () => {
-        const favorites = await fetchFavorites();
-        renderFavorites(favorites);
+        if (activeCollectionId) {
+          await loadCollections();
+        }
+        await loadActiveView();
       }, 400);
     } else {
       // If removal failed, revert animation
@@ -233,6 +221,376 @@ async function handleRemoveFavorite(quoteId, cardElement) {
   }
 }
 
+// ===== COLLECTIONS =====
+
+function getActiveCollection() {
+  return collections.find(c => c.id === activeCollectionId) || null;
+}
+
+// Fetch favorites or the active collection's quotes and render them
+async function loadActiveView(preservePage = false) {
+  const items = activeCollectionId
+    ? await fetchCollectionQuotes(activeCollectionId)
+    : await repository.fetchFavorites();
+  renderFavorites(items, preservePage);
+}
+
+// Refresh the collections list and tabs
+async function loadCollections() {
+  collections = await fetchCollections();
+
+  // Active collection was deleted elsewhere
+  if (activeCollectionId && !getActiveCollection()) {
+    activeCollectionId = null;
+  }
+
+  renderCollectionTabs();
+  renderCollectionHeader();
+}
+
+// Render "All Favorites" plus one tab per collection
+function renderCollectionTabs() {
+  const allTab = `
+    <button class="collection-tab ${activeCollectionId === null ? 'active' : ''}" role="tab" aria-selected="${activeCollectionId === null}" data-collection-id="">
+      ❤️ All Favorites
+    </button>
+  `;
+
+  const tabs = collections.map(collection => `
+    <button class="collection-tab ${collection.id === activeCollectionId ? 'active' : ''}" role="tab" aria-selected="${collection.id === activeCollectionId}" data-collection-id="${collection.id}">
+      <span class="collection-swatch" style="background: ${escapeHtml(collection.color)}"></span>
+      ${escapeHtml(collection.name)}
+      <span class="collection-count">${collection.quote_count}</span>
+    </button>
+  `).join('');
+
+  collectionTabs.innerHTML = allTab + tabs;
+}
+
+// Show the name and edit/delete actions for the active collection
+function renderCollectionHeader() {
+  const collection = getActiveCollection();
+
+  if (!collection) {
+    collectionHeader.classList.add('hidden');
+    return;
+  }
+
+  collectionHeaderSwatch.style.background = collection.color;
+  collectionHeaderName.textContent = collection.name;
+  collectionHeader.classList.remove('hidden');
+}
+
+// Switch between all favorites and a single collection
+async function selectCollection(collectionId) {
+  activeCollectionId = collectionId;
+  if (searchInput) searchInput.value = '';
+
+  renderCollectionTabs();
+  renderCollectionHeader();
+
+  favoritesContainer.innerHTML = '<div class="loading-spinner"></div>';
+  await loadActiveView();
+}
+
+// Show modal to create a collection, or rename/recolor an existing one
+function showCollectionEditor(collection = null) {
+  const selectedColor = collection?.color || COLLECTION_COLORS[0];
+  const modal = document.createElement('div');
+  modal.className = 'confirm-modal';
+  modal.innerHTML = `
+    <form class="confirm-content collection-editor">
+      <h3>${collection ? 'Edit Collection' : 'New Collection'}</h3>
+      <input
+        type="text"
+        class="search-input"
+        name="name"
+        placeholder="Collection name"
+        maxlength="${MAX_COLLECTION_NAME_LENGTH}"
+        aria-label="Collection name"
+        value="${collection ? escapeHtml(collection.name) : ''}"
+        required
+      />
+      <div class="color-options" role="radiogroup" aria-label="Collection color">
+        ${COLLECTION_COLORS.map(color => `
+          <label class="color-option">
+            <input type="radio" name="color" value="${color}" ${color === selectedColor ? 'checked' : ''} />
+            <span class="collection-swatch" style="background: ${color}"></span>
+          </label>
+        `).join('')}
+      </div>
+      <div class="confirm-actions">
+        <button type="button" class="confirm-btn cancel">Cancel</button>
+        <button type="submit" class="confirm-btn save">${collection ? 'Save' : 'Create'}</button>
+      </div>
+    </form>
+  `;
+
+  document.body.appendChild(modal);
+
+  const form = modal.querySelector('form');
+  const nameInput = form.querySelector('input[name="name"]');
+  nameInput.focus();
+
+  const closeModal = () => {
+    modal.style.animation = 'fadeOut 0.3s ease';
+    setTimeout(() => modal.remove(), 300);
+  };
+
+  modal.querySelector('.cancel').addEventListener('click', closeModal);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const name = nameInput.value;
+    const color = form.querySelector('input[name="color"]:checked')?.value;
+
+    try {
+      if (collection) {
+        await updateCollection(collection.id, { name, color });
+        closeModal();
+        await loadCollections();
+      } else {
+        const collectionId = await createCollection({ name, color });
+        closeModal();
+        await loadCollections();
+        await selectCollection(collectionId);
+      }
+    } catch (error) {
+      console.error('Error saving collection:', error);
+      showErrorMessage(error.message || 'Failed to save collection. Please try again.');
+    }
+  });
+}
+
+// Confirm and delete the active collection
+function showDeleteCollectionConfirmation(collection) {
+  const modal = document.createElement('div');
+  modal.className = 'confirm-modal';
+  modal.innerHTML = `
+    <div class="confirm-content">
+      <h3>Delete Collection?</h3>
+      <p>"${escapeHtml(collection.name)}" will be deleted. The quotes themselves stay in your favorites.</p>
+      <div class="confirm-actions">
+        <button class="confirm-btn cancel">Cancel</button>
+        <button class="confirm-btn delete">Delete</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  const closeModal = () => {
+    modal.style.animation = 'fadeOut 0.3s ease';
+    setTimeout(() => modal.remove(), 300);
+  };
+
+  modal.querySelector('.cancel').addEventListener('click', closeModal);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+
+  modal.querySelector('.delete').addEventListener('click', async () => {
+    closeModal();
+    try {
+      await deleteCollection(collection.id);
+      await loadCollections();
+      await selectCollection(null);
+    } catch (error) {
+      console.error('Error deleting collection:', error);
+      showErrorMessage('Failed to delete collection. Please try again.');
+    }
+  });
+}
+
+// ===== EXPORT =====
+
+function openExportMenu() {
+  // Offer the search results only when a search is narrowing the list
+  const isFiltered = filteredFavorites.length !== allFavorites.length;
+  exportScope.classList.toggle('hidden', !isFiltered);
+  exportScopeAll.textContent = `All (${allFavorites.length})`;
+  exportScopeFiltered.textContent = `Search results (${filteredFavorites.length})`;
+  exportScope.querySelector(`input[value="${isFiltered ? 'filtered' : 'all'}"]`).checked = true;
+
+  exportMenu.classList.remove('hidden');
+  exportBtn.setAttribute('aria-expanded', 'true');
+}
+
+function closeExportMenu() {
+  exportMenu.classList.add('hidden');
+  exportBtn.setAttribute('aria-expanded', 'false');
+}
+
+function exportQuotes(format) {
+  const scope = exportScope.querySelector('input[name="exportScope"]:checked')?.value;
+  const quotes = scope === 'filtered' && !exportScope.classList.contains('hidden')
+    ? filteredFavorites
+    : allFavorites;
+
+  if (quotes.length === 0) {
+    showErrorMessage('There are no quotes to export.');
+    return;
+  }
+
+  const title = getActiveCollection()?.name || 'My Favorites';
+  downloadFavorites(quotes, format, title);
+  closeExportMenu();
+}
+
+// ===== IMPORT & TRANSFER =====
+
+// Shared modal shell for the import and transfer dialogs
+function openDialog(html) {
+  const modal = document.createElement('div');
+  modal.className = 'confirm-modal';
+  modal.innerHTML = `<div class="confirm-content transfer-dialog">${html}</div>`;
+  document.body.appendChild(modal);
+
+  const closeModal = () => {
+    modal.style.animation = 'fadeOut 0.3s ease';
+    setTimeout(() => modal.remove(), 300);
+  };
+
+  modal.querySelectorAll('.cancel').forEach(btn => btn.addEventListener('click', closeModal));
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+
+  return { modal, closeModal };
+}
+
+function showImportDialog() {
+  const { modal } = openDialog(`
+    <h3>Import Favorites</h3>
+    <p>Choose a JSON or CSV file exported from InspireMe. Quotes are matched by ID, or by text and author.</p>
+    <input type="file" class="import-file" accept=".json,.csv,application/json,text/csv" aria-label="Favorites file" />
+    <div class="transfer-result hidden" aria-live="polite"></div>
+    <div class="confirm-actions">
+      <button type="button" class="confirm-btn cancel">Close</button>
+      <button type="button" class="confirm-btn save import-submit" disabled>Import</button>
+    </div>
+  `);
+
+  const fileInput = modal.querySelector('.import-file');
+  const submitBtn = modal.querySelector('.import-submit');
+  const result = modal.querySelector('.transfer-result');
+
+  fileInput.addEventListener('change', () => {
+    submitBtn.disabled = !fileInput.files.length;
+    result.classList.add('hidden');
+  });
+
+  submitBtn.addEventListener('click', async () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+
+    if (file.size > MAX_IMPORT_FILE_SIZE) {
+      showErrorMessage('That file is too large to import (1 MB max).');
+      return;
+    }
+
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Importing...';
+
+    try {
+      // Favorites are compared against the full list, not just the open collection
+      const favorites = activeCollectionId ? await repository.fetchFavorites() : allFavorites;
+      const summary = await importFavoritesFile(await file.text(), file.name, {
+        existingIds: favorites.map(f => f.id)
+      });
+
+      result.innerHTML = `
+        <p><strong>${summary.added}</strong> added, <strong>${summary.alreadySaved}</strong> already in your favorites${summary.unmatched.length ? `, <strong>${summary.unmatched.length}</strong> not found:` : '.'}</p>
+        ${summary.unmatched.length ? `
+          <ul class="unmatched-list">
+            ${summary.unmatched.map(entry => `<li>"${escapeHtml(entry.text)}" — ${escapeHtml(entry.author || 'Unknown')}</li>`).join('')}
+          </ul>
+        ` : ''}
+      `;
+      result.classList.remove('hidden');
+
+      if (summary.added > 0 && !activeCollectionId) {
+        await loadActiveView();
+      }
+    } catch (error) {
+      console.error('Error importing favorites:', error);
+      showErrorMessage(error instanceof SyntaxError
+        ? 'That file could not be read. Is it a favorites export?'
+        : error.message || 'Failed to import favorites. Please try again.');
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Import';
+    }
+  });
+}
+
+function showTransferDialog() {
+  const { modal } = openDialog(`
+    <h3>Transfer Favorites</h3>
+    <p>Your favorites are tied to this browser. To move them and your collections to another browser or device, create a code here and enter it there within an hour.</p>
+    <div class="transfer-code-row">
+      <button type="button" class="confirm-btn save create-code">Create transfer code</button>
+      <output class="transfer-code hidden" aria-live="polite"></output>
+    </div>
+    <form class="redeem-form">
+      <label for="redeemCodeInput">Have a code from another browser?</label>
+      <div class="transfer-code-row">
+        <input type="text" id="redeemCodeInput" class="search-input" placeholder="XXXX-XXXX" maxlength="9" autocomplete="off" required />
+        <button type="submit" class="confirm-btn save">Move here</button>
+      </div>
+    </form>
+    <div class="transfer-result hidden" aria-live="polite"></div>
+    <div class="confirm-actions">
+      <button type="button" class="confirm-btn cancel">Close</button>
+    </div>
+  `);
+
+  const createBtn = modal.querySelector('.create-code');
+  const codeOutput = modal.querySelector('.transfer-code');
+  const redeemForm = modal.querySelector('.redeem-form');
+  const redeemInput = modal.querySelector('#redeemCodeInput');
+  const result = modal.querySelector('.transfer-result');
+
+  createBtn.addEventListener('click', async () => {
+    createBtn.disabled = true;
+    try {
+      const { code, expires_at } = await createTransferCode();
+      codeOutput.textContent = code;
+      codeOutput.title = `Expires at ${new Date(expires_at).toLocaleTimeString()}`;
+      codeOutput.classList.remove('hidden');
+    } catch (error) {
+      console.error('Error creating transfer code:', error);
+      showErrorMessage(error.message || 'Failed to create a transfer code. Please try again.');
+    } finally {
+      createBtn.disabled = false;
+    }
+  });
+
+  redeemForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const submitBtn = redeemForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+      const moved = await redeemTransferCode(redeemInput.value);
+      result.innerHTML = `<p>Moved <strong>${moved.favorites_moved}</strong> favorite${moved.favorites_moved !== 1 ? 's' : ''} and <strong>${moved.collections_moved}</strong> collection${moved.collections_moved !== 1 ? 's' : ''} to this browser.</p>`;
+      result.classList.remove('hidden');
+      redeemInput.value = '';
+
+      await loadCollections();
+      await loadActiveView();
+    } catch (error) {
+      console.error('Error redeeming transfer code:', error);
+      showErrorMessage(error.message || 'Failed to use that code. Please try again.');
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+}
+
 // Show error message
 function showErrorMessage(message) {
   const toast = document.createElement('div');
@@ -251,15 +609,80 @@ function showErrorMessage(message) {
 async function init() {
   // Show loading state
   favoritesContainer.innerHTML = '<div class="loading-spinner"></div>';
+
+  // Resume fallback mode from a previous visit and reload once favorites sync
+  initFavoritesSync();
+  onFavoritesSynced(() => {
+    if (!activeCollectionId) loadActiveView(true);
+  });
+
+  // Signing in or out switches to a different set of favorites and collections
+  initAccountMenu(document.getElementById('accountBtn'));
+  onAccountChanged(async () => {
+    await loadCollections();
+    await loadActiveView();
+  });
+  initAccount();
   
-  const favorites = await fetchFavorites();
-  renderFavorites(favorites);
+  await loadCollections();
+  await loadActiveView();
   
   // Set copyright year
   if (yearElement) {
     yearElement.textContent = new Date().getFullYear();
   }
   
+  // Collection tabs
+  collectionTabs.addEventListener('click', (e) => {
+    const tab = e.target.closest('.collection-tab');
+    if (!tab) return;
+
+    const collectionId = tab.dataset.collectionId ? parseInt(tab.dataset.collectionId, 10) : null;
+    if (collectionId !== activeCollectionId) {
+      selectCollection(collectionId);
+    }
+  });
+
+  newCollectionBtn.addEventListener('click', () => showCollectionEditor());
+  importBtn.addEventListener('click', showImportDialog);
+  transferBtn.addEventListener('click', showTransferDialog);
+
+  // Export menu
+  exportBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (exportMenu.classList.contains('hidden')) {
+      openExportMenu();
+    } else {
+      closeExportMenu();
+    }
+  });
+
+  exportMenu.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const option = e.target.closest('.export-option');
+    if (option && EXPORT_FORMATS[option.dataset.format]) {
+      exportQuotes(option.dataset.format);
+    }
+  });
+
+  document.addEventListener('click', closeExportMenu);
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !exportMenu.classList.contains('hidden')) {
+      closeExportMenu();
+      exportBtn.focus();
+    }
+  });
+
+  editCollectionBtn.addEventListener('click', () => {
+    const collection = getActiveCollection();
+    if (collection) showCollectionEditor(collection);
+  });
+
+  deleteCollectionBtn.addEventListener('click', () => {
+    const collection = getActiveCollection();
+    if (collection) showDeleteCollectionConfirmation(collection);
+  });
+  
   // Event delegation for remove buttons
   favoritesContainer.addEventListener('click', (e) => {
     const removeBtn = e.target.closest('.remove-btn');
@@ -291,7 +714,7 @@ async function init() {
         }
         
         currentPage = 1;
-        favoritesStats.textContent = `${filteredFavorites.length} of ${allFavorites.length} favorite${allFavorites.length !== 1 ? 's' : ''}`;
+        favoritesStats.textContent = `${filteredFavorites.length} of ${formatCount(allFavorites.length)}`;
         renderPage();
       }, 300); // 300ms debounce
     });
@@ -0,0 +1,22 @@
+/**
+ * HTML Utilities
+ * Shared helpers for building markup with innerHTML
+ */
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute value
+ * Quotes are escaped too, so the result is safe inside value="..." or title='...'.
+ * @param {*} value - Text to escape; null and undefined become an empty string
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
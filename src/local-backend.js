@@ -0,0 +1,1244 @@
+/**
+ * Local Backend
+ * The in-browser implementation of the data repository, used in mock mode. It
+ * works on the tables in local-store.js and follows the RPCs it stands in for
+ * (noted on each function): the same filters, results, error messages and admin
+ * roles, and the audit entries the database triggers would write. Queries load
+ * the tables first; changes run in updateLocalDb(), one transaction each.
+ * Backups use the bundle format of export_backup(), so one made in mock mode
+ * can be restored into the database.
+ */
+
+import {
+  localDb,
+  nextLocalId,
+  loadLocalDb,
+  updateLocalDb,
+  getLocalSessionEmail,
+  setLocalSessionEmail,
+  getLocalAdminRole,
+  requireLocalAdminRole
+} from "./local-store.js";
+import { getUserId } from "./user-utils.js";
+import { findSimilarInList } from "./duplicate-detection.js";
+import { TAG_DATABASE } from "./tag-suggestions.js";
+import { AI_TAG_CANDIDATES } from "./ai-tagging.js";
+import { rankQuotes } from "./quote-search.js";
+import { getDayKey, shiftDayKey, pickDailyQuote } from "./daily-quote.js";
+import { VIEW_DEDUPE_WINDOW_MS } from "./quote-engagement.js";
+import { BACKUP_FORMAT, BACKUP_VERSION } from "./backup.js";
+
+const DAILY_ARCHIVE_MAX_DAYS = 60;
+const QUOTE_STATUSES = ['pending', 'approved', 'rejected'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function findQuote(quoteId) {
+  return localDb.quotes.find(q => q.id === quoteId) || null;
+}
+
+function getApprovedQuotes() {
+  return localDb.quotes.filter(q => q.status === 'approved');
+}
+
+// The columns the public pages read
+function toPublicQuote(quote) {
+  return {
+    id: quote.id,
+    text: quote.text,
+    author: quote.author,
+    category: quote.category || 'Uncategorized',
+    tags: [...(quote.tags || [])]
+  };
+}
+
+// Quotes only get last_modified once they're changed
+function getLastModified(quote) {
+  return quote.last_modified || quote.created_at;
+}
+
+// Like the log_quote_changes trigger: adds a row to auditLog
+function recordAuditEntry({ quoteId, quoteText = '', action, source = 'manual', oldValues = null, newValues = null }) {
+  localDb.auditLog.push({
+    id: nextLocalId(localDb.auditLog),
+    quote_id: quoteId,
+    quote_text: quoteText,
+    action,
+    source,
+    changed_by_email: getLocalSessionEmail(),
+    changed_at: new Date().toISOString(),
+    old_values: oldValues,
+    new_values: newValues
+  });
+}
+
+// The vocabulary rows by name. Starts from the built-in lists while the table is
+// empty, like the sample data in database/seed.sql.
+function getVocabulary() {
+  const vocabulary = new Map(localDb.tagVocabulary.map(entry => [entry.name, { ...entry, themes: [...entry.themes] }]));
+  if (vocabulary.size > 0) return vocabulary;
+
+  Object.entries(TAG_DATABASE).forEach(([theme, tags]) => {
+    tags.forEach(tag => getVocabularyEntry(vocabulary, tag).themes.push(theme));
+  });
+  AI_TAG_CANDIDATES.forEach(tag => {
+    getVocabularyEntry(vocabulary, tag).ai_candidate = true;
+  });
+  getVocabularyEntry(vocabulary, 'dreams');
+  getVocabularyEntry(vocabulary, 'dream').alias_of = 'dreams';
+  getVocabularyEntry(vocabulary, 'persistence').alias_of = 'perseverance';
+  getVocabularyEntry(vocabulary, 'short').is_blocked = true;
+  getVocabularyEntry(vocabulary, 'concise').is_blocked = true;
+  return vocabulary;
+}
+
+// The row for a tag, created as a regular tag if it isn't listed yet
+function getVocabularyEntry(vocabulary, name) {
+  if (!vocabulary.has(name)) {
+    vocabulary.set(name, { name, themes: [], ai_candidate: false, alias_of: null, is_blocked: false });
+  }
+  return vocabulary.get(name);
+}
+
+// Like normalize_tags: lowercase and trim, replace aliases, drop blocked tags
+// (and aliases of blocked tags) and duplicates
+function normalizeQuoteTags(tags) {
+  const vocabulary = getVocabulary();
+  return [...new Set((tags || []).map(tag => {
+    const cleaned = String(tag || '').trim().toLowerCase();
+    const entry = vocabulary.get(cleaned);
+    if (!cleaned || entry?.is_blocked || vocabulary.get(entry?.alias_of)?.is_blocked) return null;
+    return entry?.alias_of || cleaned;
+  }).filter(Boolean))];
+}
+
+// Like an insert into quotes, with the tag and audit triggers
+function insertQuote({ text, author, category, tags = [], status = 'pending' }, source = 'manual') {
+  const now = new Date().toISOString();
+  const quote = {
+    id: nextLocalId(localDb.quotes),
+    text,
+    author,
+    category,
+    tags: normalizeQuoteTags(tags),
+    status,
+    created_at: now,
+    reviewed_at: status === 'pending' ? null : now,
+    rejection_reason: null
+  };
+  localDb.quotes.push(quote);
+  recordQuoteChanges(null, quote, source);
+  return quote;
+}
+
+// Like log_quote_changes for a whole row: 'created' for a new quote, otherwise
+// one entry per kind of change (status, tags, other fields)
+function recordQuoteChanges(oldQuote, quote, source) {
+  const entry = { quoteId: quote.id, quoteText: quote.text, source };
+  if (!oldQuote) {
+    const { text, author, category, tags, status } = quote;
+    recordAuditEntry({ ...entry, action: 'created', newValues: { text, author, category, tags, status } });
+    return;
+  }
+
+  if (oldQuote.status !== quote.status || (oldQuote.rejection_reason || null) !== (quote.rejection_reason || null)) {
+    recordAuditEntry({
+      ...entry,
+      action: 'status',
+      oldValues: { status: oldQuote.status, rejection_reason: oldQuote.rejection_reason || null },
+      newValues: { status: quote.status, rejection_reason: quote.rejection_reason || null }
+    });
+  }
+
+  if ((oldQuote.tags || []).join(',') !== (quote.tags || []).join(',')) {
+    recordAuditEntry({ ...entry, action: 'tags', oldValues: { tags: oldQuote.tags || [] }, newValues: { tags: quote.tags || [] } });
+  }
+
+  const editedFields = ['text', 'author', 'category'].filter(field => oldQuote[field] !== quote[field]);
+  if (editedFields.length > 0) {
+    recordAuditEntry({
+      ...entry,
+      action: 'edit',
+      oldValues: Object.fromEntries(editedFields.map(field => [field, oldQuote[field]])),
+      newValues: Object.fromEntries(editedFields.map(field => [field, quote[field]]))
+    });
+  }
+}
+
+// ===== QUOTES =====
+
+export async function fetchApprovedQuotes() {
+  await loadLocalDb();
+  return getApprovedQuotes().map(toPublicQuote);
+}
+
+export async function fetchApprovedQuote(quoteId) {
+  await loadLocalDb();
+  const quote = findQuote(quoteId);
+  return quote?.status === 'approved' ? toPublicQuote(quote) : null;
+}
+
+// Like search_quotes
+export async function searchQuotes(query, limit) {
+  await loadLocalDb();
+  return rankQuotes(getApprovedQuotes().map(toPublicQuote), query).slice(0, limit);
+}
+
+// Only editors can add a quote that isn't pending
+export async function addQuote(fields) {
+  return updateLocalDb(() => {
+    if (fields.status && fields.status !== 'pending') requireLocalAdminRole('editor');
+    insertQuote(fields);
+  });
+}
+
+// Like get_quote_of_the_day: the first time a day is requested its pick is recorded, so past days stay stable
+function getDailyQuote(day) {
+  const today = getDayKey();
+  if (day > today || day < shiftDayKey(today, -DAILY_ARCHIVE_MAX_DAYS)) return null;
+
+  const entry = localDb.dailyQuotes.find(e => e.day === day);
+  const recorded = entry && findQuote(entry.quote_id);
+  if (recorded?.status === 'approved') {
+    return { ...toPublicQuote(recorded), quote_day: day, is_scheduled: entry.is_scheduled };
+  }
+
+  const quote = pickDailyQuote(getApprovedQuotes().map(toPublicQuote), day);
+  if (!quote) return null;
+
+  // Replaces a recorded pick whose quote is no longer approved
+  localDb.dailyQuotes = localDb.dailyQuotes.filter(e => e.day !== day);
+  localDb.dailyQuotes.push({ day, quote_id: quote.id, is_scheduled: false, created_at: new Date().toISOString() });
+  return quote;
+}
+
+export async function fetchQuoteOfTheDay(day = getDayKey()) {
+  return updateLocalDb(() => getDailyQuote(day));
+}
+
+// Like get_quote_of_the_day_archive
+export async function fetchQuoteOfTheDayArchive(days) {
+  return updateLocalDb(() => {
+    const today = getDayKey();
+    const archive = [];
+    for (let offset = 1; offset <= Math.min(Math.max(days, 1), DAILY_ARCHIVE_MAX_DAYS); offset++) {
+      const quote = getDailyQuote(shiftDayKey(today, -offset));
+      if (quote) archive.push(quote);
+    }
+    return archive;
+  });
+}
+
+// ===== FAVORITES =====
+// Favorites and collections belong to getUserId(), like the user_id the RPCs take
+
+function getUserFavorites(userId) {
+  return localDb.favorites.filter(f => f.user_id === userId);
+}
+
+export async function isFavorite(quoteId) {
+  await loadLocalDb();
+  return getUserFavorites(getUserId()).some(f => f.quote_id === quoteId);
+}
+
+// Like add_favorite/remove_favorite
+export async function setFavorite(quote, favorite) {
+  const userId = getUserId();
+  return updateLocalDb(() => {
+    const exists = getUserFavorites(userId).some(f => f.quote_id === quote.id);
+    if (favorite && !exists) {
+      localDb.favorites.push({ user_id: userId, quote_id: quote.id, created_at: new Date().toISOString() });
+    } else if (!favorite && exists) {
+      localDb.favorites = localDb.favorites.filter(f => f.user_id !== userId || f.quote_id !== quote.id);
+    }
+    return favorite;
+  });
+}
+
+export async function addFavorites(quoteIds) {
+  const userId = getUserId();
+  return updateLocalDb(() => {
+    const now = new Date().toISOString();
+    const favorites = getUserFavorites(userId);
+    quoteIds
+      .filter(quoteId => findQuote(quoteId) && !favorites.some(f => f.quote_id === quoteId))
+      .forEach(quoteId => localDb.favorites.push({ user_id: userId, quote_id: quoteId, created_at: now }));
+  });
+}
+
+export async function removeFavorites(quoteIds) {
+  const userId = getUserId();
+  return updateLocalDb(() => {
+    localDb.favorites = localDb.favorites.filter(f => f.user_id !== userId || !quoteIds.includes(f.quote_id));
+  });
+}
+
+// Like get_user_favorites: approved quotes, most recently favorited first
+export async function fetchFavorites() {
+  await loadLocalDb();
+  return getUserFavorites(getUserId())
+    .map(f => ({ quote: findQuote(f.quote_id), favorited_at: f.created_at }))
+    .filter(({ quote }) => quote?.status === 'approved')
+    .map(({ quote, favorited_at }) => ({ ...toPublicQuote(quote), created_at: quote.created_at, favorited_at }))
+    .sort((a, b) => b.favorited_at.localeCompare(a.favorited_at));
+}
+
+// There is no offline fallback in mock mode
+export async function fetchStoredFavorites() {
+  return fetchFavorites();
+}
+
+// ===== ENGAGEMENT =====
+// Counts are kept on the quotes, like the views and likes columns
+
+// View and like counts by quote ID
+function getEngagementCounts(quoteIds) {
+  return new Map(quoteIds.map(id => {
+    const quote = findQuote(id);
+    return [id, { views: quote?.views || 0, likes: quote?.likes || 0 }];
+  }));
+}
+
+// Like record_quote_view: counts a view unless this user viewed the quote within the dedupe window
+export async function recordQuoteView(quoteId) {
+  const userId = getUserId();
+  return updateLocalDb(() => {
+    const now = new Date();
+    const view = localDb.quoteViews.find(v => v.user_id === userId && v.quote_id === quoteId);
+    const quote = findQuote(quoteId);
+
+    if (!view || now - new Date(view.last_viewed_at) >= VIEW_DEDUPE_WINDOW_MS) {
+      if (view) {
+        view.last_viewed_at = now.toISOString();
+      } else {
+        localDb.quoteViews.push({ user_id: userId, quote_id: quoteId, last_viewed_at: now.toISOString() });
+      }
+      if (quote?.status === 'approved') quote.views = (quote.views || 0) + 1;
+    }
+
+    return quote?.views || 0;
+  });
+}
+
+// Like get_quote_engagement
+export async function fetchQuoteEngagement(quoteId) {
+  await loadLocalDb();
+  const userId = getUserId();
+  const quote = findQuote(quoteId);
+  return {
+    views: quote?.views || 0,
+    likes: quote?.likes || 0,
+    liked: localDb.quoteLikes.some(l => l.user_id === userId && l.quote_id === quoteId)
+  };
+}
+
+// Like like_quote/unlike_quote: once per user, and only approved quotes can be liked
+export async function setQuoteLiked(quoteId, like) {
+  const userId = getUserId();
+  return updateLocalDb(() => {
+    const quote = findQuote(quoteId);
+    const existing = localDb.quoteLikes.find(l => l.user_id === userId && l.quote_id === quoteId);
+
+    if (like) {
+      if (quote?.status !== 'approved') throw new Error(`Quote ${quoteId} not found`);
+      if (!existing) {
+        localDb.quoteLikes.push({
+          id: nextLocalId(localDb.quoteLikes),
+          user_id: userId,
+          quote_id: quoteId,
+          created_at: new Date().toISOString()
+        });
+        quote.likes = (quote.likes || 0) + 1;
+      }
+    } else if (existing) {
+      localDb.quoteLikes = localDb.quoteLikes.filter(l => l !== existing);
+      if (quote) quote.likes = Math.max((quote.likes || 0) - 1, 0);
+    }
+
+    return quote?.likes || 0;
+  });
+}
+
+// Like get_trending_quotes (favorites and likes in the last `days`) or, when days is null, get_most_loved_quotes
+export async function fetchQuoteFeed(days, limit) {
+  await loadLocalDb();
+  const since = days ? Date.now() - days * DAY_MS : 0;
+  const countSince = rows => {
+    const counts = new Map();
+    rows
+      .filter(row => new Date(row.created_at).getTime() >= since)
+      .forEach(row => counts.set(row.quote_id, (counts.get(row.quote_id) || 0) + 1));
+    return counts;
+  };
+  const favorites = countSince(localDb.favorites);
+  const recentLikes = countSince(localDb.quoteLikes);
+
+  return getApprovedQuotes()
+    .map(quote => {
+      const favoriteCount = favorites.get(quote.id) || 0;
+      const likeCount = days ? recentLikes.get(quote.id) || 0 : quote.likes || 0;
+      return { ...toPublicQuote(quote), favorites: favoriteCount, likes: likeCount, score: favoriteCount + likeCount };
+    })
+    .filter(quote => quote.score > 0)
+    .sort((a, b) => b.score - a.score || b.id - a.id)
+    .slice(0, limit);
+}
+
+// ===== TRANSFER CODES =====
+// Mock data belongs to this browser, so there is nothing to move to another one
+
+export async function createTransferCode() {
+  throw new Error('Transfer codes need a database connection.');
+}
+
+export async function redeemTransferCode() {
+  throw new Error('Transfer codes need a database connection.');
+}
+
+// ===== COLLECTIONS =====
+
+function getUserCollections(userId) {
+  return localDb.collections.filter(c => c.user_id === userId);
+}
+
+function ownsCollection(userId, collectionId) {
+  return getUserCollections(userId).some(c => c.id === collectionId);
+}
+
+// Only the user's own, like the `AND user_id = p_user_id` in the collection RPCs
+function findCollection(collectionId, userId) {
+  const collection = getUserCollections(userId).find(c => c.id === collectionId);
+  if (!collection) throw new Error('Collection not found.');
+  return collection;
+}
+
+export async function fetchCollections() {
+  await loadLocalDb();
+  return getUserCollections(getUserId())
+    .map(collection => ({
+      ...collection,
+      quote_count: localDb.collectionQuotes.filter(entry => entry.collection_id === collection.id).length
+    }))
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+export async function createCollection({ name, description, color, icon }) {
+  const userId = getUserId();
+  return updateLocalDb(() => {
+    const now = new Date().toISOString();
+    const id = nextLocalId(localDb.collections);
+    localDb.collections.push({
+      id, user_id: userId, name, description, color, icon, is_default: false, created_at: now, updated_at: now
+    });
+    return id;
+  });
+}
+
+// NULL (or missing) fields keep their value, like update_collection
+export async function updateCollection(collectionId, { name, description, color, icon }) {
+  const userId = getUserId();
+  return updateLocalDb(() => {
+    const collection = findCollection(collectionId, userId);
+    if (name) collection.name = name;
+    if (description !== undefined && description !== null) collection.description = description;
+    if (color) collection.color = color;
+    if (icon) collection.icon = icon;
+    collection.updated_at = new Date().toISOString();
+  });
+}
+
+// Its collection_quotes rows go with it (ON DELETE CASCADE)
+export async function deleteCollection(collectionId) {
+  const userId = getUserId();
+  return updateLocalDb(() => {
+    if (!ownsCollection(userId, collectionId)) return;
+    localDb.collections = localDb.collections.filter(c => c.id !== collectionId);
+    localDb.collectionQuotes = localDb.collectionQuotes.filter(entry => entry.collection_id !== collectionId);
+  });
+}
+
+export async function addQuoteToCollection(collectionId, quoteId) {
+  const userId = getUserId();
+  return updateLocalDb(() => {
+    findCollection(collectionId, userId);
+    if (!findQuote(quoteId)) throw new Error('Quote not found');
+
+    const exists = localDb.collectionQuotes.some(entry => entry.collection_id === collectionId && entry.quote_id === quoteId);
+    if (!exists) {
+      localDb.collectionQuotes.push({
+        id: nextLocalId(localDb.collectionQuotes),
+        collection_id: collectionId,
+        quote_id: quoteId,
+        added_at: new Date().toISOString()
+      });
+    }
+  });
+}
+
+export async function removeQuoteFromCollection(collectionId, quoteId) {
+  const userId = getUserId();
+  return updateLocalDb(() => {
+    if (!ownsCollection(userId, collectionId)) return;
+    localDb.collectionQuotes = localDb.collectionQuotes.filter(
+      entry => entry.collection_id !== collectionId || entry.quote_id !== quoteId
+    );
+  });
+}
+
+// Like get_collection_quotes: only approved quotes, most recently added first
+export async function fetchCollectionQuotes(collectionId) {
+  await loadLocalDb();
+  if (!ownsCollection(getUserId(), collectionId)) return [];
+  return localDb.collectionQuotes
+    .filter(entry => entry.collection_id === collectionId)
+    .map(entry => ({ quote: findQuote(entry.quote_id), added_at: entry.added_at }))
+    .filter(({ quote }) => quote?.status === 'approved')
+    .map(({ quote, added_at }) => ({ id: quote.id, text: quote.text, author: quote.author, category: quote.category, added_at }))
+    .sort((a, b) => new Date(b.added_at) - new Date(a.added_at));
+}
+
+export async function fetchQuoteCollectionIds(quoteId) {
+  await loadLocalDb();
+  const collectionIds = getUserCollections(getUserId()).map(c => c.id);
+  return localDb.collectionQuotes
+    .filter(entry => entry.quote_id === quoteId && collectionIds.includes(entry.collection_id))
+    .map(entry => entry.collection_id);
+}
+
+// ===== CATEGORIES =====
+
+function findCategory(categoryId) {
+  const category = localDb.categories.find(c => c.id === categoryId);
+  if (!category) throw new Error('Category not found.');
+  return category;
+}
+
+function assertUniqueCategoryName(name, exceptId = null) {
+  const taken = localDb.categories.some(c => c.id !== exceptId && c.name.toLowerCase() === name.toLowerCase());
+  if (taken) throw new Error('A category with this name already exists.');
+}
+
+// Move quotes from one category name to another, with the audit entries the trigger would write
+function moveQuotesToCategory(fromName, toName) {
+  const moved = localDb.quotes.filter(q => q.category === fromName);
+  moved.forEach(quote => {
+    recordAuditEntry({
+      quoteId: quote.id,
+      quoteText: quote.text,
+      action: 'edit',
+      oldValues: { category: fromName },
+      newValues: { category: toName }
+    });
+    quote.category = toName;
+    quote.last_modified = new Date().toISOString();
+  });
+  return moved.length;
+}
+
+// Like get_all_categories: quote_count is the number of approved quotes
+export async function fetchCategories() {
+  await loadLocalDb();
+  return [...localDb.categories]
+    .sort((a, b) => a.sort_order - b.sort_order || a.name.localeCompare(b.name))
+    .map(category => ({
+      ...category,
+      quote_count: localDb.quotes.filter(q => q.category === category.name && q.status === 'approved').length
+    }));
+}
+
+export async function createCategory(fields) {
+  return updateLocalDb(() => {
+    requireLocalAdminRole('editor');
+    assertUniqueCategoryName(fields.name);
+    const category = {
+      id: nextLocalId(localDb.categories),
+      ...fields,
+      sort_order: Math.max(0, ...localDb.categories.map(c => c.sort_order)) + 1,
+      created_at: new Date().toISOString()
+    };
+    localDb.categories.push(category);
+    return { ...category, quote_count: 0 };
+  });
+}
+
+export async function updateCategory(categoryId, fields) {
+  return updateLocalDb(() => {
+    requireLocalAdminRole('editor');
+    const category = findCategory(categoryId);
+    if (fields.name && fields.name !== category.name) {
+      assertUniqueCategoryName(fields.name, categoryId);
+      moveQuotesToCategory(category.name, fields.name);
+    }
+    Object.assign(category, fields);
+  });
+}
+
+// Like delete_category
+export async function deleteCategory(categoryId, reassignToId) {
+  return updateLocalDb(() => {
+    requireLocalAdminRole('editor');
+    const category = findCategory(categoryId);
+
+    let moved = 0;
+    if (reassignToId !== null) {
+      if (reassignToId === categoryId) throw new Error('A category cannot be merged into itself.');
+      moved = moveQuotesToCategory(category.name, findCategory(reassignToId).name);
+    } else if (localDb.quotes.some(q => q.category === category.name)) {
+      throw new Error(`Category "${category.name}" still has quotes; choose a category to move them to.`);
+    }
+
+    localDb.categories.splice(localDb.categories.indexOf(category), 1);
+    return moved;
+  });
+}
+
+export async function reorderCategories(categoryIds) {
+  return updateLocalDb(() => {
+    requireLocalAdminRole('editor');
+    categoryIds.forEach((id, index) => {
+      const category = localDb.categories.find(c => c.id === id);
+      if (category) category.sort_order = index + 1;
+    });
+  });
+}
+
+// ===== MODERATION =====
+
+const ADMIN_QUOTE_SORTS = {
+  created_desc: (a, b) => b.created_at.localeCompare(a.created_at),
+  created_asc: (a, b) => a.created_at.localeCompare(b.created_at),
+  reviewed_desc: (a, b) => (b.reviewed_at || '').localeCompare(a.reviewed_at || ''),
+  views_desc: (a, b) => (b.views || 0) - (a.views || 0),
+  likes_desc: (a, b) => (b.likes || 0) - (a.likes || 0)
+};
+
+const STATUS_CHANGE_MESSAGES = {
+  approved: 'Approved',
+  rejected: 'Rejected',
+  pending: 'Returned to pending'
+};
+
+// Like filter_admin_quotes
+function filterAdminQuotes({ search = '', category = '', tag = '', from = '', to = '', untagged = false }) {
+  const searchTerm = search.trim().toLowerCase();
+  const tagFilter = tag.trim().toLowerCase();
+
+  return localDb.quotes.filter(quote => {
+    const submitted = quote.created_at.slice(0, 10);
+    return (!searchTerm || quote.text.toLowerCase().includes(searchTerm) || quote.author.toLowerCase().includes(searchTerm))
+      && (!category || quote.category === category)
+      && (!tagFilter || (quote.tags || []).includes(tagFilter))
+      && (!from || submitted >= from)
+      && (!to || submitted <= to)
+      && (!untagged || !(quote.tags && quote.tags.length));
+  });
+}
+
+// Like get_admin_quotes: a pending quote can duplicate an approved quote or an earlier pending one
+function findDuplicateOf(quote) {
+  if (quote.status !== 'pending') return {};
+  const candidates = localDb.quotes.filter(q => q.status === 'approved' || (q.status === 'pending' && q.id < quote.id));
+  const [match] = findSimilarInList(quote.text, candidates, { excludeId: quote.id, limit: 1 });
+  return match ? { duplicate_of_id: match.id, duplicate_similarity: match.similarity } : {};
+}
+
+// Like get_moderation_stats
+export async function fetchModerationStats(filters) {
+  await loadLocalDb();
+  requireLocalAdminRole('moderator');
+  const quotes = filterAdminQuotes(filters);
+  const counts = [...getEngagementCounts(quotes.map(q => q.id)).values()];
+  return {
+    pending: quotes.filter(q => q.status === 'pending').length,
+    approved: quotes.filter(q => q.status === 'approved').length,
+    rejected: quotes.filter(q => q.status === 'rejected').length,
+    total: quotes.length,
+    views: counts.reduce((sum, c) => sum + c.views, 0),
+    likes: counts.reduce((sum, c) => sum + c.likes, 0)
+  };
+}
+
+// Like get_admin_quotes
+export async function fetchAdminQuotes(status, filters, { sort, limit, offset }) {
+  await loadLocalDb();
+  requireLocalAdminRole('moderator');
+  let quotes = filterAdminQuotes(filters).filter(q => status === 'all' || q.status === status);
+  const counts = getEngagementCounts(quotes.map(q => q.id));
+  quotes = quotes
+    .map(q => ({ ...q, tags: [...(q.tags || [])], ...counts.get(q.id), ...findDuplicateOf(q) }))
+    .sort(ADMIN_QUOTE_SORTS[sort] || ADMIN_QUOTE_SORTS.created_desc);
+
+  return { quotes: quotes.slice(offset, offset + limit), total: quotes.length };
+}
+
+// Like approve_quotes/reject_quotes: one result per quote
+function setQuotesStatus(quoteIds, status, reason = null) {
+  return quoteIds.map(quoteId => {
+    const quote = findQuote(quoteId);
+    if (!quote) {
+      return { quote_id: quoteId, success: false, message: 'Quote not found' };
+    }
+    if (quote.status === status) {
+      return { quote_id: quoteId, success: false, message: `Already ${status}` };
+    }
+
+    // Approving keeps an earlier rejection reason, like approve_quote
+    const rejectionReason = status === 'approved' ? (quote.rejection_reason || null)
+      : status === 'rejected' ? reason : null;
+    recordAuditEntry({
+      quoteId,
+      quoteText: quote.text,
+      action: 'status',
+      oldValues: { status: quote.status, rejection_reason: quote.rejection_reason || null },
+      newValues: { status, rejection_reason: rejectionReason }
+    });
+    quote.status = status;
+    quote.reviewed_at = status === 'pending' ? null : new Date().toISOString();
+    quote.rejection_reason = rejectionReason;
+    quote.last_modified = new Date().toISOString();
+    return { quote_id: quoteId, success: true, message: STATUS_CHANGE_MESSAGES[status] };
+  });
+}
+
+export async function setQuoteStatus(quoteId, status, reason = null) {
+  return updateLocalDb(() => {
+    requireLocalAdminRole('moderator');
+    const [result] = setQuotesStatus([quoteId], status, reason);
+    if (!result.success && result.message === 'Quote not found') throw new Error(result.message);
+  });
+}
+
+export async function approveQuotes(quoteIds) {
+  return updateLocalDb(() => {
+    requireLocalAdminRole('moderator');
+    return setQuotesStatus(quoteIds, 'approved');
+  });
+}
+
+export async function rejectQuotes(quoteIds, reason) {
+  return updateLocalDb(() => {
+    requireLocalAdminRole('moderator');
+    return setQuotesStatus(quoteIds, 'rejected', reason);
+  });
+}
+
+export async function fetchQuote(quoteId) {
+  await loadLocalDb();
+  requireLocalAdminRole('moderator');
+  const quote = findQuote(quoteId);
+  return quote
+    ? { ...quote, tags: [...(quote.tags || [])], last_modified: getLastModified(quote) }
+    : null;
+}
+
+export async function fetchQuotes(quoteIds) {
+  await loadLocalDb();
+  requireLocalAdminRole('moderator');
+  return localDb.quotes
+    .filter(q => quoteIds.includes(q.id))
+    .map(q => ({ id: q.id, text: q.text, tags: [...(q.tags || [])] }));
+}
+
+function setQuoteTags(quote, tags, source) {
+  const newTags = normalizeQuoteTags(tags);
+  if (newTags.join(',') !== (quote.tags || []).join(',')) {
+    recordAuditEntry({
+      quoteId: quote.id,
+      quoteText: quote.text,
+      action: 'tags',
+      source,
+      oldValues: { tags: quote.tags || [] },
+      newValues: { tags: newTags }
+    });
+  }
+  quote.tags = newTags;
+  quote.last_modified = new Date().toISOString();
+}
+
+// Like update_quote_tags
+export async function updateQuoteTags(quoteId, tags, source) {
+  return updateLocalDb(() => {
+    requireLocalAdminRole('editor');
+    const quote = findQuote(quoteId);
+    if (!quote) throw new Error('Quote not found');
+    setQuoteTags(quote, tags, source);
+  });
+}
+
+// Like update_quotes_tags: returns one result per quote
+export async function updateQuotesTags(updates, source) {
+  return updateLocalDb(() => {
+    requireLocalAdminRole('editor');
+    return updates.map(({ id, tags }) => {
+      const quote = findQuote(id);
+      if (!quote) return { quote_id: id, success: false, message: 'Quote not found' };
+      setQuoteTags(quote, tags, source);
+      return { quote_id: id, success: true, message: 'Tags updated' };
+    });
+  });
+}
+
+// Apply an edit, writing the same audit entries as the database trigger: only
+// fields whose value changes are recorded
+function applyQuoteEdit(quote, changes) {
+  if (changes.status) {
+    setQuotesStatus([quote.id], changes.status);
+  }
+
+  if (changes.tags) {
+    setQuoteTags(quote, changes.tags, 'manual');
+  }
+
+  const editedFields = ['text', 'author', 'category'].filter(field => field in changes && changes[field] !== quote[field]);
+  if (editedFields.length > 0) {
+    recordAuditEntry({
+      quoteId: quote.id,
+      quoteText: quote.text,
+      action: 'edit',
+      oldValues: Object.fromEntries(editedFields.map(field => [field, quote[field]])),
+      newValues: Object.fromEntries(editedFields.map(field => [field, changes[field]]))
+    });
+    editedFields.forEach(field => { quote[field] = changes[field]; });
+  }
+
+  quote.last_modified = new Date().toISOString();
+}
+
+// Like edit_quote
+export async function editQuote(quoteId, expectedLastModified, changes) {
+  return updateLocalDb(() => {
+    requireLocalAdminRole('editor');
+    const quote = findQuote(quoteId);
+    if (!quote) throw new Error('Quote not found');
+
+    if (getLastModified(quote) !== expectedLastModified) {
+      return { saved: false, lastModified: getLastModified(quote) };
+    }
+
+    applyQuoteEdit(quote, changes);
+    return { saved: true, lastModified: quote.last_modified };
+  });
+}
+
+// Like merge_duplicate_quote
+export async function mergeDuplicateQuote(duplicateId, originalId) {
+  return updateLocalDb(() => {
+    requireLocalAdminRole('moderator');
+    const duplicate = findQuote(duplicateId);
+    const original = findQuote(originalId);
+    if (!duplicate || !original) throw new Error('Quote not found');
+
+    const tags = [...new Set([...(original.tags || []), ...(duplicate.tags || [])])].slice(0, 10);
+    if (tags.length !== (original.tags || []).length) {
+      applyQuoteEdit(original, { tags });
+    }
+    setQuotesStatus([duplicateId], 'rejected', `Duplicate of #${originalId}`);
+  });
+}
+
+export async function countPendingQuotes() {
+  await loadLocalDb();
+  requireLocalAdminRole('moderator');
+  return localDb.quotes.filter(q => q.status === 'pending').length;
+}
+
+// Oldest first, after the given quote
+export async function fetchPendingQuotes(after, limit) {
+  await loadLocalDb();
+  requireLocalAdminRole('moderator');
+  const isAfter = quote => !after || quote.created_at > after.created_at
+    || (quote.created_at === after.created_at && quote.id > after.id);
+
+  return localDb.quotes
+    .filter(q => q.status === 'pending' && isAfter(q))
+    .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id - b.id)
+    .slice(0, limit)
+    .map(q => ({ ...q, tags: [...(q.tags || [])] }));
+}
+
+// Like get_scheduled_quotes_of_the_day
+export async function fetchScheduledDailyQuotes() {
+  await loadLocalDb();
+  const today = getDayKey();
+  return localDb.dailyQuotes
+    .filter(entry => entry.is_scheduled && entry.day >= today)
+    .map(entry => ({ entry, quote: findQuote(entry.quote_id) }))
+    .filter(({ quote }) => quote)
+    .map(({ entry, quote }) => ({ quote_day: entry.day, id: quote.id, text: quote.text, author: quote.author }))
+    .sort((a, b) => a.quote_day.localeCompare(b.quote_day));
+}
+
+// Like schedule_quote_of_the_day
+export async function scheduleDailyQuote(quoteId, day) {
+  return updateLocalDb(() => {
+    requireLocalAdminRole('editor');
+    if (findQuote(quoteId)?.status !== 'approved') {
+      throw new Error('Only approved quotes can be scheduled');
+    }
+    localDb.dailyQuotes = localDb.dailyQuotes.filter(entry => entry.day !== day);
+    localDb.dailyQuotes.push({ day, quote_id: quoteId, is_scheduled: true, created_at: new Date().toISOString() });
+  });
+}
+
+export async function unscheduleDailyQuote(day) {
+  return updateLocalDb(() => {
+    requireLocalAdminRole('editor');
+    localDb.dailyQuotes = localDb.dailyQuotes.filter(entry => entry.day !== day || !entry.is_scheduled);
+  });
+}
+
+// ===== QUOTE HISTORY =====
+
+// Newest first; moderators only, like get_quote_history and get_audit_log
+function getAuditLog() {
+  requireLocalAdminRole('moderator');
+  return [...localDb.auditLog].sort((a, b) => b.id - a.id);
+}
+
+export async function fetchQuoteHistory(quoteId) {
+  await loadLocalDb();
+  return getAuditLog().filter(entry => entry.quote_id === quoteId);
+}
+
+export async function fetchActivityLog({ action, source, actor }, { limit, offset }) {
+  await loadLocalDb();
+  const actorFilter = (actor || '').toLowerCase();
+  return getAuditLog()
+    .filter(entry => (!action || entry.action === action)
+      && (!source || entry.source === source)
+      && (!actorFilter || (entry.changed_by_email || '').toLowerCase().includes(actorFilter)))
+    .slice(offset, offset + limit);
+}
+
+// ===== DUPLICATES AND IMPORT =====
+
+// Like find_similar_quotes: moderators also see pending quotes
+export async function findSimilarQuotes(text, excludeId) {
+  await loadLocalDb();
+  const includePending = getLocalAdminRole() !== null;
+  const candidates = localDb.quotes.filter(q => q.status === 'approved' || (includePending && q.status === 'pending'));
+  return findSimilarInList(text, candidates, { excludeId });
+}
+
+// Like import_quotes: a row that can't be inserted is reported without stopping the others
+export async function importQuotes(quotes) {
+  return updateLocalDb(() => {
+    requireLocalAdminRole('editor');
+    return quotes.map(fields => {
+      // Imported by an earlier call whose response was lost (see import_quotes)
+      const imported = fields.import_key && localDb.quotes.find(q => q.import_key === fields.import_key);
+      if (imported) return { quote_id: imported.id, success: true, message: 'Already imported' };
+
+      const text = String(fields.text || '').trim();
+      const author = String(fields.author || '').trim();
+      const status = fields.status || 'pending';
+
+      let message = null;
+      if (!text || !author) {
+        message = 'Text and author are required';
+      } else if (!localDb.categories.some(c => c.name === fields.category)) {
+        message = `Unknown category "${fields.category}"`;
+      } else if (!QUOTE_STATUSES.includes(status)) {
+        message = `Invalid status "${status}"`;
+      }
+      if (message) return { quote_id: null, success: false, message };
+
+      const quote = insertQuote({ text, author, category: fields.category, tags: fields.tags, status }, 'import');
+      if (fields.import_key) quote.import_key = fields.import_key;
+      return { quote_id: quote.id, success: true, message: 'Imported' };
+    });
+  });
+}
+
+// ===== TAG VOCABULARY =====
+
+// Save the vocabulary, then re-save the quotes whose tags `shouldUpdate` picks,
+// with the audit entries the trigger would write. Returns the number of quotes changed.
+function saveVocabulary(vocabulary, shouldUpdate, mapTag = tag => tag) {
+  localDb.tagVocabulary = [...vocabulary.values()];
+
+  let updated = 0;
+  localDb.quotes.filter(quote => (quote.tags || []).some(shouldUpdate)).forEach(quote => {
+    const oldTags = quote.tags;
+    const newTags = normalizeQuoteTags(oldTags.map(mapTag));
+    if (newTags.join(',') === oldTags.join(',')) return;
+
+    recordAuditEntry({
+      quoteId: quote.id,
+      quoteText: quote.text,
+      action: 'tags',
+      oldValues: { tags: oldTags },
+      newValues: { tags: newTags }
+    });
+    quote.tags = newTags;
+    quote.last_modified = new Date().toISOString();
+    updated++;
+  });
+  return updated;
+}
+
+export async function fetchTagVocabulary() {
+  await loadLocalDb();
+  return [...getVocabulary().values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Like get_tag_usage: quote_count covers quotes of any status
+export async function fetchTagUsage() {
+  await loadLocalDb();
+  requireLocalAdminRole('editor');
+  const counts = new Map();
+  localDb.quotes.forEach(quote => {
+    (quote.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+  const vocabulary = getVocabulary();
+  const names = new Set([...counts.keys(), ...vocabulary.keys()]);
+
+  return [...names]
+    .map(tag => {
+      const entry = vocabulary.get(tag);
+      return {
+        tag,
+        quote_count: counts.get(tag) || 0,
+        themes: entry ? [...entry.themes] : [],
+        ai_candidate: entry?.ai_candidate || false,
+        alias_of: entry?.alias_of || null,
+        is_blocked: entry?.is_blocked || false
+      };
+    })
+    .sort((a, b) => b.quote_count - a.quote_count || a.tag.localeCompare(b.tag));
+}
+
+// Like merge_tags
+export async function mergeTags(tags, into, keepAliases) {
+  return updateLocalDb(() => {
+    requireLocalAdminRole('editor');
+    const vocabulary = getVocabulary();
+    Object.assign(getVocabularyEntry(vocabulary, into), { alias_of: null, is_blocked: false });
+    vocabulary.forEach(entry => {
+      if (tags.includes(entry.alias_of)) entry.alias_of = into;
+    });
+    tags.forEach(tag => {
+      if (keepAliases) {
+        Object.assign(getVocabularyEntry(vocabulary, tag), { alias_of: into, is_blocked: false, ai_candidate: false, themes: [] });
+      } else {
+        vocabulary.delete(tag);
+      }
+    });
+
+    return saveVocabulary(vocabulary, tag => tags.includes(tag), tag => (tags.includes(tag) ? into : tag));
+  });
+}
+
+// Like save_tag
+export async function saveTag(name, { aliasOf, isBlocked, aiCandidate }) {
+  return updateLocalDb(() => {
+    requireLocalAdminRole('editor');
+    const vocabulary = getVocabulary();
+    if (aliasOf) {
+      if (aliasOf === name) throw new Error('A tag cannot be an alias of itself.');
+      if (isBlocked) throw new Error('A blocked tag cannot also be an alias.');
+      const targetEntry = vocabulary.get(aliasOf);
+      if (targetEntry && (targetEntry.alias_of || targetEntry.is_blocked)) {
+        throw new Error(`"${aliasOf}" is an alias or blocked; choose a regular tag.`);
+      }
+      if ([...vocabulary.values()].some(entry => entry.alias_of === name)) {
+        throw new Error(`"${name}" has aliases of its own; merge it into "${aliasOf}" instead.`);
+      }
+      getVocabularyEntry(vocabulary, aliasOf);
+    }
+
+    const entry = getVocabularyEntry(vocabulary, name);
+    const plain = !aliasOf && !isBlocked;
+    Object.assign(entry, {
+      alias_of: aliasOf,
+      is_blocked: isBlocked,
+      ai_candidate: plain && (aiCandidate ?? entry.ai_candidate),
+      themes: plain ? entry.themes : []
+    });
+
+    return saveVocabulary(vocabulary, quoteTag => !plain && quoteTag === name);
+  });
+}
+
+// ===== BACKUP =====
+
+function byId(a, b) {
+  return a.id - b.id;
+}
+
+// Like export_backup
+export async function exportBackup() {
+  await loadLocalDb();
+  requireLocalAdminRole('owner');
+  const favoriteCounts = new Map();
+  localDb.favorites.forEach(f => favoriteCounts.set(f.quote_id, (favoriteCounts.get(f.quote_id) || 0) + 1));
+
+  // A copy, so changing the bundle can't change the in-memory tables
+  return structuredClone({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exported_at: new Date().toISOString(),
+    categories: [...localDb.categories].sort(byId),
+    tag_vocabulary: [...getVocabulary().values()].sort((a, b) => a.name.localeCompare(b.name)),
+    quotes: [...localDb.quotes].sort(byId).map(({ import_key, ...quote }) => quote),
+    collections: [...localDb.collections].sort(byId).map(collection => ({
+      ...collection,
+      quote_ids: localDb.collectionQuotes
+        .filter(entry => entry.collection_id === collection.id)
+        .sort((a, b) => (a.added_at || '').localeCompare(b.added_at || '') || a.id - b.id)
+        .map(entry => entry.quote_id)
+    })),
+    favorite_counts: [...favoriteCounts]
+      .sort(([a], [b]) => a - b)
+      .map(([quoteId, count]) => ({ quote_id: quoteId, count }))
+  });
+}
+
+// Insert or replace rows by key; returns restore_backup's counts for the table
+function upsertRows(table, key, rows, toRow) {
+  let inserted = 0;
+  let updated = 0;
+  rows.forEach(row => {
+    const index = localDb[table].findIndex(existing => existing[key] === row[key]);
+    if (index === -1) {
+      localDb[table].push(toRow(row, null));
+      inserted++;
+    } else {
+      localDb[table][index] = toRow(row, localDb[table][index]);
+      updated++;
+    }
+  });
+  return { inserted, updated };
+}
+
+// Upsert a bundle's rows in reference order, like restore_backup; nothing is deleted
+function applyBackup(bundle) {
+  const now = new Date().toISOString();
+  const list = key => (Array.isArray(bundle[key]) ? bundle[key] : []);
+
+  const categories = upsertRows('categories', 'id', list('categories'), (row, existing) => {
+    // Quotes follow a renamed category (ON UPDATE CASCADE)
+    if (existing && existing.name !== row.name) {
+      localDb.quotes.filter(q => q.category === existing.name).forEach(q => { q.category = row.name; });
+    }
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description ?? null,
+      color: row.color ?? null,
+      icon: row.icon ?? null,
+      sort_order: row.sort_order ?? 0,
+      created_at: existing?.created_at || row.created_at || now
+    };
+  });
+
+  const tagVocabulary = upsertRows('tagVocabulary', 'name', list('tag_vocabulary'), row => ({
+    name: row.name,
+    themes: row.themes || [],
+    ai_candidate: row.ai_candidate || false,
+    alias_of: row.alias_of || null,
+    is_blocked: row.is_blocked || false
+  }));
+
+  // Restored quotes keep their timestamps and show up in the audit log as imports
+  const quotes = upsertRows('quotes', 'id', list('quotes'), (row, existing) => {
+    if (!localDb.categories.some(c => c.name === row.category)) {
+      throw new Error(`Quote #${row.id} has an unknown category "${row.category}"`);
+    }
+    const quote = {
+      id: row.id,
+      text: row.text,
+      author: row.author,
+      category: row.category,
+      tags: normalizeQuoteTags(row.tags),
+      status: row.status || 'pending',
+      created_at: existing?.created_at || row.created_at || now,
+      last_modified: row.last_modified || now,
+      reviewed_at: row.reviewed_at || null,
+      rejection_reason: row.rejection_reason || null,
+      views: row.views || 0,
+      likes: row.likes || 0
+    };
+    recordQuoteChanges(existing, quote, 'import');
+    return quote;
+  });
+
+  const collections = upsertRows('collections', 'id', list('collections'), (row, existing) => ({
+    id: row.id,
+    user_id: row.user_id,
+    name: row.name,
+    description: row.description ?? null,
+    color: row.color || '#667eea',
+    icon: row.icon || '📁',
+    is_default: row.is_default || false,
+    created_at: existing?.created_at || row.created_at || now,
+    updated_at: row.updated_at || now
+  }));
+
+  // Quotes already in a collection stay; missing ones are added back
+  let collectionQuotes = 0;
+  list('collections').forEach(collection => {
+    (collection.quote_ids || []).map(Number).forEach(quoteId => {
+      const exists = localDb.collectionQuotes.some(entry => entry.collection_id === collection.id && entry.quote_id === quoteId);
+      if (exists || !findQuote(quoteId)) return;
+      localDb.collectionQuotes.push({ id: nextLocalId(localDb.collectionQuotes), collection_id: collection.id, quote_id: quoteId, added_at: now });
+      collectionQuotes++;
+    });
+  });
+
+  return [
+    { entity: 'categories', ...categories },
+    { entity: 'tag_vocabulary', ...tagVocabulary },
+    { entity: 'quotes', ...quotes },
+    { entity: 'collections', ...collections },
+    { entity: 'collection_quotes', inserted: collectionQuotes, updated: 0 }
+  ];
+}
+
+// Thrown to roll back a dry run, like the DRYRN exception in restore_backup
+class DryRunRollback extends Error {
+  constructor(results) {
+    super('dry run');
+    this.results = results;
+  }
+}
+
+// Like restore_backup: a dry run makes every change and then rolls it back
+export async function restoreBackup(bundle, dryRun) {
+  try {
+    return await updateLocalDb(() => {
+      requireLocalAdminRole('owner');
+      if (bundle?.format !== BACKUP_FORMAT) throw new Error('This file is not an InspireMe backup');
+      if (bundle.version !== BACKUP_VERSION) throw new Error(`Unsupported backup version: ${bundle.version}`);
+
+      const results = applyBackup(bundle);
+      if (dryRun) throw new DryRunRollback(results);
+      return results;
+    });
+  } catch (error) {
+    if (error instanceof DryRunRollback) return error.results;
+    throw error;
+  }
+}
+
+// ===== ADMIN SIGN-IN =====
+// Any password works; the email decides the role (see SAMPLE_ADMIN_USERS)
+
+export async function getSession() {
+  const email = getLocalSessionEmail();
+  return email ? { email } : null;
+}
+
+export async function signIn(email, password) {
+  if (!email || !password) throw new Error('Please enter your email and password.');
+  setLocalSessionEmail(email.toLowerCase());
+}
+
+export async function signOut() {
+  setLocalSessionEmail(null);
+}
+
+// Like get_my_admin_role
+export async function fetchAdminRole() {
+  await loadLocalDb();
+  return getLocalAdminRole();
+}
@@ -0,0 +1,332 @@
+/**
+ * Local Store
+ * The tables behind the in-browser backend (mock mode), kept in IndexedDB so
+ * submissions, reviews, favorites and collections survive a reload. Each object
+ * store stands in for a table in database/migrations: quotes, categories,
+ * dailyQuotes (daily_quotes), favorites (user_favorites, by user and quote), collections,
+ * collectionQuotes (collection_quotes), tagVocabulary (tag_vocabulary),
+ * auditLog (quote_audit_log), quoteLikes (quote_likes), quoteViews (quote_views,
+ * by user and quote) and adminUsers (admin_users, by email).
+ *
+ * loadLocalDb() reads every table into `localDb` for a query. updateLocalDb()
+ * runs a change on freshly read rows inside one readwrite transaction and writes
+ * back only the rows it touched, so pages open in other tabs don't overwrite each
+ * other's changes. The database is seeded from sample-data.js when it's first
+ * created. Without IndexedDB (e.g. a private window that blocks it) the sample
+ * data is used in memory instead.
+ *
+ * Mock sign-in is kept in localStorage. requireLocalAdminRole() is the local
+ * require_admin_role(): admin-only operations call it with the role they need.
+ */
+
+import { SAMPLE_ADMIN_USERS, SAMPLE_CATEGORIES, SAMPLE_QUOTES } from "./sample-data.js";
+import { getUserId } from "./user-utils.js";
+
+const DB_NAME = 'inspireme_mock';
+const DB_VERSION = 3;
+
+// Store name -> key path (an array for a key made of several columns)
+const TABLES = {
+  quotes: 'id',
+  categories: 'id',
+  dailyQuotes: 'day',
+  favorites: ['user_id', 'quote_id'],
+  collections: 'id',
+  collectionQuotes: 'id',
+  tagVocabulary: 'name',
+  auditLog: 'id',
+  quoteLikes: 'id',
+  quoteViews: ['user_id', 'quote_id'],
+  adminUsers: 'email'
+};
+
+// Where mock favorites and collections were kept before they moved to IndexedDB
+const LEGACY_FAVORITES_KEY = 'mock_favorites';
+const LEGACY_COLLECTIONS_KEY = 'mock_collections';
+// Where mock view and like counts were kept before the quoteLikes store
+const LEGACY_ENGAGEMENT_KEY = 'mock_quote_engagement';
+
+const SESSION_KEY = 'mock_admin_session';
+
+// Lowest to highest, like has_admin_role()
+const ADMIN_ROLES = ['moderator', 'editor', 'owner'];
+
+export const localDb = Object.fromEntries(Object.keys(TABLES).map(table => [table, []]));
+
+let opening = null;
+
+/**
+ * The next ID for a table, like a BIGSERIAL column
+ * @param {Array<{id: number}>} rows - The table's rows
+ * @returns {number}
+ */
+export function nextLocalId(rows) {
+  return rows.reduce((max, row) => Math.max(max, row.id), 0) + 1;
+}
+
+function getRowKey(row, keyPath) {
+  return Array.isArray(keyPath) ? keyPath.map(column => row[column]) : row[keyPath];
+}
+
+// Counts and likes saved by older versions: { counts: Map(quote ID -> {views, likes}), likes: quoteLikes rows }
+function getLegacyEngagement() {
+  const stored = JSON.parse(localStorage.getItem(LEGACY_ENGAGEMENT_KEY) || '{}');
+  const counts = new Map();
+  Object.entries(stored.views || {}).forEach(([quoteId, views]) => {
+    counts.set(Number(quoteId), { views, likes: 0 });
+  });
+  Object.entries(stored.likes || {}).forEach(([quoteId, likes]) => {
+    counts.set(Number(quoteId), { views: 0, ...counts.get(Number(quoteId)), likes });
+  });
+
+  const likes = [];
+  Object.entries(stored.likedBy || {}).forEach(([userId, quoteIds]) => {
+    quoteIds.forEach(quoteId => {
+      const createdAt = stored.likedAt?.[`${userId}:${quoteId}`] || new Date().toISOString();
+      likes.push({ id: likes.length + 1, user_id: userId, quote_id: quoteId, created_at: createdAt });
+    });
+  });
+
+  return { counts, likes };
+}
+
+function withLegacyCounts(quote, counts) {
+  return counts.has(quote.id) ? { ...quote, ...counts.get(quote.id) } : quote;
+}
+
+// The first rows of every table: sample data, plus favorites and collections saved by older versions
+function getSeedRows() {
+  const now = new Date().toISOString();
+  const userId = getUserId();
+  const legacyEngagement = getLegacyEngagement();
+  const legacyFavorites = JSON.parse(localStorage.getItem(LEGACY_FAVORITES_KEY) || '[]');
+  const legacyCollections = JSON.parse(localStorage.getItem(LEGACY_COLLECTIONS_KEY) || '[]');
+
+  const collectionQuotes = [];
+  legacyCollections.forEach(({ id, quotes = [] }) => {
+    quotes.forEach(entry => {
+      collectionQuotes.push({ id: collectionQuotes.length + 1, collection_id: id, quote_id: entry.id, added_at: entry.added_at });
+    });
+  });
+
+  return {
+    quotes: SAMPLE_QUOTES.map(quote => withLegacyCounts({ ...quote, tags: [...quote.tags] }, legacyEngagement.counts)),
+    categories: SAMPLE_CATEGORIES.map(category => ({ ...category, created_at: now })),
+    favorites: legacyFavorites.map(quoteId => ({ user_id: userId, quote_id: quoteId, created_at: now })),
+    collections: legacyCollections.map(({ quotes, ...collection }) => ({ is_default: false, ...collection, user_id: userId })),
+    collectionQuotes,
+    quoteLikes: legacyEngagement.likes,
+    adminUsers: SAMPLE_ADMIN_USERS.map(user => ({ ...user, created_at: now }))
+  };
+}
+
+function seedInMemory() {
+  Object.entries(getSeedRows()).forEach(([table, rows]) => { localDb[table] = rows; });
+}
+
+// Version 2 kept one set of favorites and collections for everyone: they become
+// the current user's. favorites gets a new key, so its store is made again.
+function assignToCurrentUser(db, transaction) {
+  const userId = getUserId();
+  transaction.objectStore('favorites').getAll().onsuccess = ({ target }) => {
+    db.deleteObjectStore('favorites');
+    const favorites = db.createObjectStore('favorites', { keyPath: TABLES.favorites });
+    target.result.forEach(favorite => favorites.put({ ...favorite, user_id: userId }));
+  };
+  transaction.objectStore('collections').openCursor().onsuccess = ({ target }) => {
+    const cursor = target.result;
+    if (!cursor) return;
+    cursor.update({ ...cursor.value, user_id: userId });
+    cursor.continue();
+  };
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = event => {
+      const db = request.result;
+      Object.entries(TABLES).forEach(([table, keyPath]) => {
+        if (!db.objectStoreNames.contains(table)) db.createObjectStore(table, { keyPath });
+      });
+
+      if (event.oldVersion === 0) {
+        // A new database: runs in the same transaction, so it's seeded exactly once
+        Object.entries(getSeedRows()).forEach(([table, rows]) => {
+          const store = request.transaction.objectStore(table);
+          rows.forEach(row => store.put(row));
+        });
+        localStorage.removeItem(LEGACY_FAVORITES_KEY);
+        localStorage.removeItem(LEGACY_COLLECTIONS_KEY);
+      } else {
+        if (event.oldVersion < 2) {
+          // Version 1 kept view and like counts in localStorage
+          const { counts, likes } = getLegacyEngagement();
+          const quotes = request.transaction.objectStore('quotes');
+          quotes.openCursor().onsuccess = ({ target }) => {
+            const cursor = target.result;
+            if (!cursor) return;
+            if (counts.has(cursor.value.id)) cursor.update(withLegacyCounts(cursor.value, counts));
+            cursor.continue();
+          };
+          const quoteLikes = request.transaction.objectStore('quoteLikes');
+          likes.forEach(like => quoteLikes.put(like));
+        }
+        if (event.oldVersion < 3) assignToCurrentUser(db, request.transaction);
+      }
+      localStorage.removeItem(LEGACY_ENGAGEMENT_KEY);
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let a newer version of the page, open in another tab, upgrade the database
+      db.onversionchange = () => {
+        db.close();
+        opening = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// The open database, or null when the in-memory sample data is used instead
+function getDatabase() {
+  if (!opening) {
+    opening = openDatabase().catch(error => {
+      console.warn('Mock data could not be stored in IndexedDB; changes will be lost on reload:', error);
+      seedInMemory();
+      return null;
+    });
+  }
+  return opening;
+}
+
+// Read every table in a transaction; calls onRead with the rows by table once all are read
+function readTables(transaction, onRead) {
+  const rows = {};
+  Object.keys(TABLES).forEach(table => {
+    const request = transaction.objectStore(table).getAll();
+    request.onsuccess = () => {
+      rows[table] = request.result;
+      if (Object.keys(rows).length === Object.keys(TABLES).length) onRead(rows);
+    };
+  });
+}
+
+/**
+ * Read every table into `localDb`
+ * @returns {Promise<void>}
+ */
+export async function loadLocalDb() {
+  const db = await getDatabase();
+  if (!db) return;
+
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction(Object.keys(TABLES), 'readonly');
+    readTables(transaction, rows => Object.assign(localDb, rows));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Change the tables in one transaction, like an RPC
+ * `change` runs on rows read inside the transaction, so it sees changes made in
+ * other tabs, and no other tab can write until it's saved. Rows it added,
+ * changed or removed in `localDb` are written back; if it throws, nothing is.
+ * @template T
+ * @param {() => T} change - Synchronous; reads and changes `localDb`
+ * @returns {Promise<T>} What `change` returned
+ */
+export async function updateLocalDb(change) {
+  const db = await getDatabase();
+  if (!db) {
+    // Put the rows back if the change fails, as an aborted transaction would
+    const copy = structuredClone(localDb);
+    try {
+      return change();
+    } catch (error) {
+      Object.assign(localDb, copy);
+      throw error;
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(Object.keys(TABLES), 'readwrite');
+    let result;
+    let failure = null;
+
+    readTables(transaction, rows => {
+      // Rows by key; compound keys are arrays, so they're compared as JSON
+      const before = Object.fromEntries(Object.entries(rows).map(([table, tableRows]) => [
+        table,
+        new Map(tableRows.map(row => [JSON.stringify(getRowKey(row, TABLES[table])), JSON.stringify(row)]))
+      ]));
+      Object.assign(localDb, rows);
+
+      try {
+        result = change();
+      } catch (error) {
+        failure = error;
+        transaction.abort();
+        return;
+      }
+
+      Object.entries(TABLES).forEach(([table, keyPath]) => {
+        const store = transaction.objectStore(table);
+        const after = new Map(localDb[table].map(row => [JSON.stringify(getRowKey(row, keyPath)), row]));
+        before[table].forEach((json, key) => {
+          if (!after.has(key)) store.delete(JSON.parse(key));
+        });
+        after.forEach((row, key) => {
+          if (before[table].get(key) !== JSON.stringify(row)) store.put(row);
+        });
+      });
+    });
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onabort = () => reject(failure || transaction.error);
+  });
+}
+
+// ===== MOCK SIGN-IN =====
+
+/**
+ * The signed-in email in mock mode
+ * @returns {string|null}
+ */
+export function getLocalSessionEmail() {
+  return localStorage.getItem(SESSION_KEY);
+}
+
+export function setLocalSessionEmail(email) {
+  if (email) {
+    localStorage.setItem(SESSION_KEY, email);
+  } else {
+    localStorage.removeItem(SESSION_KEY);
+  }
+}
+
+/**
+ * The signed-in user's role from adminUsers, like get_my_admin_role()
+ * Needs loadLocalDb() first.
+ * @returns {string|null}
+ */
+export function getLocalAdminRole() {
+  const email = getLocalSessionEmail();
+  return localDb.adminUsers.find(user => user.email === email)?.role || null;
+}
+
+/**
+ * Throw unless the signed-in user has at least this role, like require_admin_role()
+ * Needs loadLocalDb() first.
+ * @param {string} minRole - moderator, editor or owner
+ */
+export function requireLocalAdminRole(minRole) {
+  const role = getLocalAdminRole();
+  if (role === null || ADMIN_ROLES.indexOf(role) < ADMIN_ROLES.indexOf(minRole)) {
+    throw new Error(`Unauthorized: ${minRole} access required`);
+  }
+}
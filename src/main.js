@@ -1,10 +1,32 @@
-import supabase from "./supabase-client.js";
-import { getUserId } from "./user-utils.js";
+import repository, { useLocalBackend, isLocalBackend } from "./data-repository.js";
+import { getDayKey, shiftDayKey, pickDailyQuote } from "./daily-quote.js";
 import { 
   generateTagSuggestions, 
+  normalizeTag,
   renderTagSuggestions as renderTagSuggestionsHelper,
   renderSelectedTags as renderSelectedTagsHelper 
 } from "./tag-suggestions.js";
+import { loadTagVocabulary } from "./tag-vocabulary.js";
+import {
+  fetchCollections,
+  createCollection,
+  addQuoteToCollection,
+  removeQuoteFromCollection,
+  fetchQuoteCollectionIds
+} from "./collections.js";
+import { getSearchTerms, rankQuotes, highlightTerms } from "./quote-search.js";
+import {
+  recordQuoteView,
+  fetchQuoteEngagement,
+  setQuoteLiked,
+  formatEngagementCount,
+  fetchQuoteFeed,
+  FEED_MODES
+} from "./quote-engagement.js";
+import { isFallbackMode, initFavoritesSync, onFavoritesSynced } from "./favorites-sync.js";
+import { initAccount, initAccountMenu, onAccountChanged } from "./user-account.js";
+import { findSimilarQuotes, renderDuplicateWarning } from "./duplicate-detection.js";
+import { fetchCategories as fetchCategoryList, appendCategoryOptions } from "./categories.js";
 
 const categoryFilter = document.getElementById("categoryFilter");
 const newQuote = document.querySelector("#newQuote");
@@ -18,340 +40,45 @@ let categories = [];
 
 let lastDisplayedQuoteId = null; // Track last displayed quote's ID instead of index
 let currentQuoteId = null; // Track currently displayed quote ID for favorites
+let currentQuote = null; // The quote object on the card (may not be in `quotes`, e.g. a permalink)
 
-/**
- * Determine if Supabase is configured, otherwise use mock data. This is set at startup and doesn't change. Read env vars once. The reason is that if Supabase is misconfigured, we want to stay in mock mode rather than toggling back and forth on connection issues.
- */
-const hasSupabaseConfig = import.meta.env.VITE_SUPABASE_URL && import.meta.env.VITE_SUPABASE_ANON_KEY;
-let useMockData = !hasSupabaseConfig; 
-
-/**
- * Connection state management. This tracks if we're in fallback mode due to connection issues. The state can change dynamically. The reason is that if the connection drops, we want to enter fallback mode, and if it restores, we want to exit it.
- */
-let isInFallbackMode = false;
-let pendingSyncActions = [];
-let syncInProgress = false;
-
-if (useMockData) {
-  console.log("🎭 Running in MOCK MODE - No Supabase configuration found");
-  console.log("To use real database, add VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY to .env file");
-}
-
-// ===== LOCALSTORAGE HELPER FUNCTIONS =====
-/**
- * Get favorites from localStorage for a given user
- * @param {string} userId - The user ID
- * @returns {number[]} Array of favorite quote IDs
- */
-function getLocalFavorites(userId) {
-  const key = useMockData ? 'mock_favorites' : `favorites_${userId}`;
-  return JSON.parse(localStorage.getItem(key) || '[]');
-}
-
-/**
- * Set favorites in localStorage for a given user
- * @param {string} userId - The user ID (ignored in mock mode)
- * @param {number[]} favorites - Array of favorite quote IDs
- */
-function setLocalFavorites(userId, favorites) {
-  const key = useMockData ? 'mock_favorites' : `favorites_${userId}`;
-  localStorage.setItem(key, JSON.stringify(favorites));
-}
+// ===== FAVORITES MANAGEMENT =====
+// Connection issues switch favorites to fallback mode (see favorites-sync.js),
+// which persists across reloads and syncs back automatically.
+initFavoritesSync();
+onFavoritesSynced(() => {
+  if (currentQuoteId) updateFavoriteButton(currentQuoteId);
+});
 
-/**
- * Add a quote to localStorage favorites
- * @param {string} userId - The user ID
- * @param {number} quoteId - The quote ID to add
- * @returns {boolean} True if added, false if already existed
- */
-function addLocalFavorite(userId, quoteId) {
-  const favorites = getLocalFavorites(userId);
-  if (!favorites.includes(quoteId)) {
-    favorites.push(quoteId);
-    setLocalFavorites(userId, favorites);
-    return true;
+// ===== ACCOUNTS =====
+// Signing in or out changes getUserId() (see user-account.js), so the
+// favorite and like state of the quote on the card has to be reloaded
+initAccountMenu(document.getElementById('accountBtn'));
+onAccountChanged((account, merged) => {
+  if (currentQuoteId) {
+    updateFavoriteButton(currentQuoteId);
+    updateEngagement(currentQuoteId);
   }
-  return false;
-}
 
-/**
- * Remove a quote from localStorage favorites
- * @param {string} userId - The user ID
- * @param {number} quoteId - The quote ID to remove
- * @returns {boolean} True if removed, false if didn't exist
- */
-function removeLocalFavorite(userId, quoteId) {
-  const favorites = getLocalFavorites(userId);
-  const index = favorites.indexOf(quoteId);
-  if (index > -1) {
-    favorites.splice(index, 1);
-    setLocalFavorites(userId, favorites);
-    return true;
+  if (!account) {
+    showShareSuccess('Signed out');
+  } else if (merged?.favorites_moved) {
+    showShareSuccess(`Signed in! Added ${merged.favorites_moved} favorite${merged.favorites_moved !== 1 ? 's' : ''} from this browser to your account.`);
+  } else {
+    showShareSuccess('Signed in!');
   }
-  return false;
-}
+});
+initAccount();
 
 /**
- * Check if a quote is in localStorage favorites
- * @param {string} userId - The user ID
- * @param {number} quoteId - The quote ID to check
- * @returns {boolean} True if favorited
+ * Toggle favorite status
+ * Connection problems are handled by the repository (fallback mode).
+ * @param {Object} quote - The quote on the card
+ * @param {boolean} isFavorited - Whether the card currently shows it as a favorite
+ * @returns {Promise<boolean>} True if the quote is now a favorite
  */
-function isLocalFavorite(userId, quoteId) {
-  const favorites = getLocalFavorites(userId);
-  return favorites.includes(quoteId);
-}
-
-// ===== FALLBACK MODE MANAGEMENT =====
-// Show warning banner when in fallback mode
-function showFallbackWarning() {
-  let warningBanner = document.getElementById('fallbackWarning');
-  
-  if (!warningBanner) {
-    warningBanner = document.createElement('div');
-    warningBanner.id = 'fallbackWarning';
-    warningBanner.className = 'fallback-warning';
-    warningBanner.innerHTML = `
-      <span>⚠️ Connection issue detected. Favorites are temporarily saved locally and will sync when connection is restored.</span>
-      <button id="retryConnection" aria-label="Retry connection">Retry</button>
-    `;
-    document.body.insertBefore(warningBanner, document.body.firstChild);
-    
-    // Add retry button handler
-    document.getElementById('retryConnection').addEventListener('click', attemptReconnect);
-  }
-  
-  warningBanner.style.display = 'flex';
-}
-
-// Hide warning banner
-function hideFallbackWarning() {
-  const warningBanner = document.getElementById('fallbackWarning');
-  if (warningBanner) {
-    warningBanner.style.display = 'none';
-  }
-}
-
-// Attempt to reconnect and sync pending actions
-async function attemptReconnect() {
-  if (useMockData || syncInProgress) return;
-  
-  syncInProgress = true;
-  const retryBtn = document.getElementById('retryConnection');
-  if (retryBtn) {
-    retryBtn.textContent = 'Syncing...';
-    retryBtn.disabled = true;
-  }
-  
-  try {
-    // Test connection with a simple query
-    const { error } = await supabase.from('quotes').select('id').limit(1);
-    
-    if (!error) {
-      console.log('✅ Connection restored, syncing pending actions...');
-      await syncPendingActions();
-      isInFallbackMode = false;
-      hideFallbackWarning();
-    } else {
-      throw error;
-    }
-  } catch (error) {
-    console.error('Reconnection failed:', error);
-    alert('Still unable to connect. Please check your internet connection.');
-  } finally {
-    syncInProgress = false;
-    if (retryBtn) {
-      retryBtn.textContent = 'Retry';
-      retryBtn.disabled = false;
-    }
-  }
-}
-
-// Sync pending actions from localStorage to database
-async function syncPendingActions() {
-  if (useMockData || pendingSyncActions.length === 0) return;
-  
-  const userId = getUserId();
-  const localFavs = getLocalFavorites(userId);
-  
-  try {
-    // Get current favorites from database
-    const { data: dbFavorites, error } = await supabase
-      .from('favorites')
-      .select('quote_id')
-      .eq('user_id', userId);
-    
-    if (error) throw error;
-    
-    const dbFavIds = new Set(dbFavorites?.map(f => f.quote_id) || []);
-    
-    // Sync additions
-    for (const quoteId of localFavs) {
-      if (!dbFavIds.has(quoteId)) {
-        await supabase.rpc('add_favorite', {
-          p_user_id: userId,
-          p_quote_id: quoteId
-        });
-        console.log(`Synced addition: quote ${quoteId}`);
-      }
-    }
-    
-    // Sync removals
-    for (const quoteId of dbFavIds) {
-      if (!localFavs.includes(quoteId)) {
-        await supabase.rpc('remove_favorite', {
-          p_user_id: userId,
-          p_quote_id: quoteId
-        });
-        console.log(`Synced removal: quote ${quoteId}`);
-      }
-    }
-    
-    pendingSyncActions = [];
-    console.log('✅ All pending actions synced successfully');
-  } catch (error) {
-    console.error('Sync failed:', error);
-    throw error;
-  }
-}
-
-// ===== FAVORITES MANAGEMENT =====
-// Check if a quote is favorited
-async function checkIfFavorited(quoteId) {
-  if (useMockData || !supabase) {
-    // In mock mode, use localStorage
-    return isLocalFavorite(null, quoteId);
-  }
-
-  const userId = getUserId();
-  
-  // If in fallback mode, use localStorage immediately
-  if (isInFallbackMode) {
-    return isLocalFavorite(userId, quoteId);
-  }
-
-  try {
-    // Try RPC function first (cast to correct types)
-    const { data, error } = await supabase
-      .rpc('is_quote_favorited', { 
-        p_user_id: userId,
-        p_quote_id: quoteId
-      });
-
-    if (error) {
-      console.error('RPC error checking favorite, entering fallback mode:', error);
-      // Enter fallback mode
-      isInFallbackMode = true;
-      showFallbackWarning();
-      
-      // Use localStorage as fallback
-      return isLocalFavorite(userId, quoteId);
-    }
-    return data === true;
-  } catch (error) {
-    console.error('Error checking favorite status, entering fallback mode:', error);
-    isInFallbackMode = true;
-    showFallbackWarning();
-    
-    return isLocalFavorite(userId, quoteId);
-  }
-}
-
-// Toggle favorite status
-async function toggleFavorite(quoteId) {
-  if (useMockData || !supabase) {
-    // Mock mode: use localStorage
-    const userId = null; // Not used in mock mode
-    const wasRemoved = removeLocalFavorite(userId, quoteId);
-    
-    if (wasRemoved) {
-      console.log('Removed from favorites (mock)');
-      return false;
-    } else {
-      addLocalFavorite(userId, quoteId);
-      console.log('Added to favorites (mock)');
-      return true;
-    }
-  }
-
-  const userId = getUserId();
-
-  // If in fallback mode, use localStorage and track for sync
-  if (isInFallbackMode) {
-    const wasRemoved = removeLocalFavorite(userId, quoteId);
-    const wasAdded = !wasRemoved;
-    
-    if (wasAdded) {
-      addLocalFavorite(userId, quoteId);
-      console.log('Added to favorites (fallback mode - will sync later)');
-    } else {
-      console.log('Removed from favorites (fallback mode - will sync later)');
-    }
-    
-    pendingSyncActions.push({ quoteId, action: wasAdded ? 'add' : 'remove' });
-    return wasAdded;
-  }
-
-  try {
-    // Try to add favorite first
-    const { error: addError } = await supabase.rpc('add_favorite', {
-      p_user_id: userId,
-      p_quote_id: quoteId
-    });
-
-    if (!addError) {
-      console.log('Added to favorites');
-      // Update localStorage to stay in sync
-      addLocalFavorite(userId, quoteId);
-      return true; // Now favorited
-    }
-
-    // If add failed (e.g., already favorited), try to remove
-    const { error: removeError } = await supabase.rpc('remove_favorite', {
-      p_user_id: userId,
-      p_quote_id: quoteId
-    });
-
-    if (!removeError) {
-      console.log('Removed from favorites');
-      // Update localStorage to stay in sync
-      removeLocalFavorite(userId, quoteId);
-      return false; // Now not favorited
-    }
-
-    // If both failed, enter fallback mode
-    console.warn('Both RPC add/remove failed, entering fallback mode:', addError, removeError);
-    isInFallbackMode = true;
-    showFallbackWarning();
-    
-    const wasRemoved = removeLocalFavorite(userId, quoteId);
-    const wasAdded = !wasRemoved;
-    
-    if (wasAdded) {
-      addLocalFavorite(userId, quoteId);
-      console.log('Added to favorites (fallback mode)');
-    } else {
-      console.log('Removed from favorites (fallback mode)');
-    }
-    
-    pendingSyncActions.push({ quoteId, action: wasAdded ? 'add' : 'remove' });
-    return wasAdded;
-  } catch (error) {
-    console.error('Error toggling favorite, entering fallback mode:', error);
-    isInFallbackMode = true;
-    showFallbackWarning();
-    
-    // Use localStorage fallback
-    const wasRemoved = removeLocalFavorite(userId, quoteId);
-    const wasAdded = !wasRemoved;
-    
-    if (wasAdded) {
-      addLocalFavorite(userId, quoteId);
-    }
-    
-    pendingSyncActions.push({ quoteId, action: wasAdded ? 'add' : 'remove' });
-    return wasAdded;
-  }
+async function toggleFavorite(quote, isFavorited) {
+  return repository.setFavorite(quote, !isFavorited);
 }
 
 // Update favorite button UI
@@ -359,7 +86,7 @@ async function updateFavoriteButton(quoteId) {
   const favoriteBtn = document.getElementById('favoriteBtn');
   if (!favoriteBtn || !quoteId) return;
 
-  const isFavorited = await checkIfFavorited(quoteId);
+  const isFavorited = await repository.isFavorite(quoteId);
   
   if (isFavorited) {
     favoriteBtn.classList.add('favorited');
@@ -372,73 +99,41 @@ async function updateFavoriteButton(quoteId) {
   }
 }
 
-// Mock data for testing without Supabase
-const MOCK_QUOTES = [
-  { id: 1, text: "The only way to do great work is to love what you do.", author: "Steve Jobs", category: "Motivation" },
-  { id: 2, text: "Innovation distinguishes between a leader and a follower.", author: "Steve Jobs", category: "Innovation" },
-  { id: 3, text: "Life is what happens to you while you're busy making other plans.", author: "John Lennon", category: "Life" },
-  { id: 4, text: "The future belongs to those who believe in the beauty of their dreams.", author: "Eleanor Roosevelt", category: "Inspiration" },
-  { id: 5, text: "Success is not final, failure is not fatal: it is the courage to continue that counts.", author: "Winston Churchill", category: "Success" },
-  { id: 6, text: "The only impossible journey is the one you never begin.", author: "Tony Robbins", category: "Motivation" },
-  { id: 7, text: "Happiness is not something ready made. It comes from your own actions.", author: "Dalai Lama", category: "Happiness" },
-  { id: 8, text: "Love all, trust a few, do wrong to none.", author: "William Shakespeare", category: "Wisdom" },
-  { id: 9, text: "The best and most beautiful things in the world cannot be seen or even touched - they must be felt with the heart.", author: "Audrey Hepburn", category: "Love" },
-];
-
-// Fetch quotes from Supabase (with fallback to mock data)
+// Fetch approved quotes (switching to the in-browser data if the database can't be reached)
 async function fetchQuotes() {
-  // If using mock data or supabase not configured, return immediately
-  if (useMockData || !supabase) {
-    console.log("Using mock data for testing");
-    return [...MOCK_QUOTES];
-  }
-
   try {
-    const { data, error } = await supabase
-      .from("quotes")
-      .select("id, text, author, category")
-      .eq("status", "approved"); // Only show approved quotes
-
-    if (error) throw error;
-
-    // Return the data directly since category is now stored as text
-    return data.map((q) => ({
-      id: q.id,
-      text: q.text,
-      author: q.author,
-      category: q.category || "Uncategorized",
-    }));
+    return await repository.fetchApprovedQuotes();
   } catch (error) {
     console.error("Error fetching quotes:", error);
     console.log("Falling back to mock data");
-    useMockData = true; // Switch to mock data on error
-    return [...MOCK_QUOTES];
+    // For the rest of the visit rather than toggling back and forth on connection issues
+    useLocalBackend();
+    return repository.fetchApprovedQuotes();
   }
 }
 
-// fetch categories from Supabase (with fallback to mock data)
-async function fetchCategories() {
-  // If using mock data or supabase not configured, return categories from mock quotes
-  if (useMockData || !supabase) {
-    const uniqueCategories = [...new Set(MOCK_QUOTES.map(q => q.category))];
-    return uniqueCategories.filter(cat => cat && cat.trim() !== "");
-  }
+// Fetch a single approved quote by ID (used for permalinks)
+async function fetchQuoteById(quoteId) {
   try {
-    const { data, error } = await supabase
-      .from("quotes")
-      .select("category")
-      .eq("status", "approved") // Only get categories from approved quotes
-      .neq("category", null);
+    return await repository.fetchApprovedQuote(quoteId);
+  } catch (error) {
+    console.error("Error fetching quote:", error);
+    return null;
+  }
+}
 
-    if (error) throw error;
+// Look up a quote in the loaded list first, then fall back to the database
+async function findQuoteById(quoteId) {
+  return quotes.find(q => q.id === quoteId) || await fetchQuoteById(quoteId);
+}
 
-    // Get unique categories
-    const uniqueCategories = [...new Set(data.map(q => q.category))];
-    return uniqueCategories.filter(cat => cat && cat.trim() !== "");
+// Categories from the categories table, in the order editors set in the admin panel
+async function fetchCategories() {
+  try {
+    return await fetchCategoryList();
   } catch (error) {
     console.error("Error fetching categories:", error);
-    const uniqueCategories = [...new Set(MOCK_QUOTES.map(q => q.category))];
-    return uniqueCategories.filter(cat => cat && cat.trim() !== "");
+    return [];
   }
 }
 
@@ -447,38 +142,111 @@ async function fetchCategories() {
 function populateDropdown(categories) {
   // Clear existing options except "All"
   categoryFilter.innerHTML = '<option value="all">All Categories</option>';
-  
-  // Sort categories alphabetically
-  const sortedCategories = [...categories].sort((a, b) => a.localeCompare(b));
-  
-  sortedCategories.forEach((category) => {
-    let option = document.createElement("option");
-    option.value = category;
-    option.textContent = category;
-    categoryFilter.appendChild(option);
-  });
+  appendCategoryOptions(categoryFilter, categories);
 }
 
+// ===== QUOTE PERMALINKS =====
+/**
+ * Read the quote ID from the current URL
+ * Supports both /?quote=42 and /quote/42
+ * @returns {number|null} The quote ID, or null if the URL has none
+ */
+function getQuoteIdFromUrl() {
+  const queryId = new URLSearchParams(window.location.search).get("quote");
+  const pathMatch = window.location.pathname.match(/^\/quote\/(\d+)\/?$/);
+  const quoteId = parseInt(queryId ?? pathMatch?.[1], 10);
+  return Number.isInteger(quoteId) && quoteId > 0 ? quoteId : null;
+}
+
+/**
+ * Build the shareable permalink for a quote
+ * @param {number} quoteId - The quote ID
+ * @returns {string} Absolute URL that loads this exact quote
+ */
+function getQuotePermalink(quoteId) {
+  const url = new URL("/", window.location.origin);
+  url.searchParams.set("quote", quoteId);
+  return url.toString();
+}
+
+/**
+ * Keep the current quote in the address bar so back/forward step through history
+ * @param {number} quoteId - The quote ID
+ * @param {boolean} replace - Replace the current entry instead of pushing a new one
+ */
+function updateQuoteUrl(quoteId, replace = false) {
+  const url = new URL(window.location.href);
+  url.pathname = "/";
+  url.searchParams.set("quote", quoteId);
+  applyFilterParams(url);
+
+  if (replace) {
+    history.replaceState({ quoteId }, "", url);
+  } else if (history.state?.quoteId !== quoteId) {
+    history.pushState({ quoteId }, "", url);
+  }
+}
+
+// Show a specific quote on the card
+function renderQuote(quote) {
+  lastDisplayedQuoteId = quote.id;
+  currentQuoteId = quote.id;
+  currentQuote = quote;
+  text.innerText = `${quote.text}`;
+  author.innerText = `${quote.author}`;
+  updateFavoriteButton(currentQuoteId);
+  updateEngagement(currentQuoteId);
+  scheduleViewRecording(currentQuoteId);
+  highlightCurrentFeedItem();
+}
+
+// Back/forward: restore the filters and show the quote recorded in that history entry
+window.addEventListener("popstate", async function (e) {
+  readFiltersFromUrl();
+  if (feedModeSelect.value !== currentFeedMode) {
+    await loadFeed();
+  } else {
+    renderFeedList();
+  }
+
+  const quoteId = e.state?.quoteId ?? getQuoteIdFromUrl();
+  if (!quoteId || quoteId === currentQuoteId) return;
+
+  const quote = await findQuoteById(quoteId);
+  if (quote) {
+    renderQuote(quote);
+  }
+});
+
 // Display quotes based on selected category
-function displayQuotes(filteredQuotes) {
+function displayQuotes(filteredQuotes, replaceHistory = false) {
   if (filteredQuotes.length === 0) {
-    text.innerText = "No quotes found for this category.";
+    text.innerText = currentFeedMode === "random"
+      ? "No quotes match these filters."
+      : "No quotes in this feed match these filters yet.";
     author.innerText = "";
     lastDisplayedQuoteId = null;
     currentQuoteId = null;
+    updateEngagement(null);
     return; // Stop execution here
   }
 
   // If only one quote exists, just display it
   if (filteredQuotes.length === 1) {
-    lastDisplayedQuoteId = filteredQuotes[0].id;
-    currentQuoteId = filteredQuotes[0].id;
-    text.innerText = `${filteredQuotes[0].text}`;
-    author.innerText = `${filteredQuotes[0].author}`;
-    updateFavoriteButton(currentQuoteId);
+    renderQuote(filteredQuotes[0]);
+    updateQuoteUrl(filteredQuotes[0].id, replaceHistory);
     return; // Stop execution here
   }
 
+  // Feeds are ranked, so step through them in order instead of picking at random
+  if (currentFeedMode !== "random") {
+    const index = filteredQuotes.findIndex(q => q.id === lastDisplayedQuoteId);
+    const nextQuote = filteredQuotes[(index + 1) % filteredQuotes.length];
+    renderQuote(nextQuote);
+    updateQuoteUrl(nextQuote.id, replaceHistory);
+    return;
+  }
+
   let randomQuote;
   let attempts = 0;
   const maxAttempts = 50; // Prevent infinite loop
@@ -490,25 +258,351 @@ function displayQuotes(filteredQuotes) {
     attempts++;
   } while (randomQuote.id === lastDisplayedQuoteId && filteredQuotes.length > 1 && attempts < maxAttempts);
 
-  lastDisplayedQuoteId = randomQuote.id;
-  currentQuoteId = randomQuote.id;
-  text.innerText = `${randomQuote.text}`;
-  author.innerText = `${randomQuote.author}`;
-  updateFavoriteButton(currentQuoteId);
+  renderQuote(randomQuote);
+  updateQuoteUrl(randomQuote.id, replaceHistory);
+}
+
+// ===== QUOTE FILTERS =====
+const authorFilter = document.getElementById("authorFilter");
+const filterMatchMode = document.getElementById("filterMatchMode");
+const tagCloud = document.getElementById("tagCloud");
+const activeFilters = document.getElementById("activeFilters");
+const activeFiltersSummary = document.getElementById("activeFiltersSummary");
+const clearFiltersBtn = document.getElementById("clearFiltersBtn");
+const feedModeSelect = document.getElementById("feedMode");
+const feedSection = document.getElementById("feedSection");
+const feedTitle = document.getElementById("feedTitle");
+const feedEmpty = document.getElementById("feedEmpty");
+const feedList = document.getElementById("feedList");
+
+let selectedFilterTags = [];
+let currentFeedMode = "random";
+let feedQuotes = [];
+let latestFeedRequest = 0;
+
+/**
+ * Read the filter state from the controls
+ * @returns {{category: string, author: string, tags: string[], match: string}}
+ */
+function getFilterState() {
+  return {
+    category: categoryFilter.value,
+    author: authorFilter.value,
+    tags: selectedFilterTags,
+    match: filterMatchMode.value,
+  };
 }
 
-//function to get quotes based on selected category
+function hasActiveFilters(state = getFilterState()) {
+  return state.category !== "all" || state.author !== "all" || state.tags.length > 0;
+}
+
+/**
+ * Check a quote against the filter state
+ * "all" requires every active filter (and every selected tag) to match,
+ * "any" accepts a quote that matches at least one of them.
+ */
+function matchesFilters(quote, state) {
+  const checks = [];
+  if (state.category !== "all") checks.push(quote.category === state.category);
+  if (state.author !== "all") checks.push(quote.author === state.author);
+
+  const quoteTags = quote.tags || [];
+  state.tags.forEach(tag => checks.push(quoteTags.includes(tag)));
+
+  if (checks.length === 0) return true;
+  return state.match === "any" ? checks.some(Boolean) : checks.every(Boolean);
+}
+
+// Get quotes from the current feed matching the selected category, author and tags
 function getFilteredQuotes() {
-  const selectedCategory = categoryFilter.value;
-  return selectedCategory === "all"
-    ? quotes
-    : quotes.filter((q) => q.category === selectedCategory);
+  const state = getFilterState();
+  const pool = currentFeedMode === "random" ? quotes : feedQuotes;
+  return hasActiveFilters(state) ? pool.filter(q => matchesFilters(q, state)) : pool;
+}
+
+/**
+ * Write the filter state into a URL's query string (empty filters are omitted)
+ * @param {URL} url - The URL to update
+ */
+function applyFilterParams(url) {
+  const state = getFilterState();
+  const params = {
+    category: state.category !== "all" ? state.category : null,
+    author: state.author !== "all" ? state.author : null,
+    tags: state.tags.length > 0 ? state.tags.join(",") : null,
+    match: state.match === "any" && hasActiveFilters(state) ? "any" : null,
+    feed: currentFeedMode !== "random" ? currentFeedMode : null,
+  };
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value) {
+      url.searchParams.set(key, value);
+    } else {
+      url.searchParams.delete(key);
+    }
+  });
+}
+
+/**
+ * Restore the filter controls from the current URL
+ * Unknown categories and authors fall back to "all".
+ */
+function readFiltersFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+
+  const category = params.get("category");
+  categoryFilter.value = category && categories.some(c => c.name === category) ? category : "all";
+
+  const quoteAuthor = params.get("author");
+  authorFilter.value = quoteAuthor && quotes.some(q => q.author === quoteAuthor) ? quoteAuthor : "all";
+
+  filterMatchMode.value = params.get("match") === "any" ? "any" : "all";
+
+  // The feed itself is loaded by loadFeed()
+  const feed = params.get("feed");
+  feedModeSelect.value = FEED_MODES[feed] ? feed : "random";
+
+  selectedFilterTags = [...new Set(
+    (params.get("tags") || "").split(",").map(tag => tag.trim().toLowerCase()).filter(Boolean)
+  )];
+
+  renderTagCloud();
+  renderActiveFilters();
+}
+
+// Keep the filter state in the address bar when no quote matches
+function updateFilterUrl() {
+  const url = new URL(window.location.href);
+  url.pathname = "/";
+  url.searchParams.delete("quote");
+  applyFilterParams(url);
+  history.replaceState(null, "", url);
+}
+
+function populateAuthorFilter() {
+  const authors = [...new Set(quotes.map(q => q.author))].sort((a, b) => a.localeCompare(b));
+
+  authorFilter.innerHTML = '<option value="all">All Authors</option>';
+  authors.forEach(quoteAuthor => {
+    const option = document.createElement("option");
+    option.value = quoteAuthor;
+    option.textContent = quoteAuthor;
+    authorFilter.appendChild(option);
+  });
+}
+
+/**
+ * Count how many loaded quotes carry each tag
+ * @returns {Array<{tag: string, count: number}>} Most used first
+ */
+function getTagCounts() {
+  const counts = new Map();
+  quotes.forEach(q => {
+    (q.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+function renderTagCloud() {
+  const tagCounts = getTagCounts();
+  tagCloud.innerHTML = "";
+
+  if (tagCounts.length === 0) {
+    tagCloud.classList.add("hidden");
+    return;
+  }
+  tagCloud.classList.remove("hidden");
+
+  // Scale tags into five size steps between the least and most used
+  const maxCount = tagCounts[0].count;
+  const minCount = tagCounts[tagCounts.length - 1].count;
+  const range = Math.max(maxCount - minCount, 1);
+
+  [...tagCounts].sort((a, b) => a.tag.localeCompare(b.tag)).forEach(({ tag, count }) => {
+    const isSelected = selectedFilterTags.includes(tag);
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = `tag-cloud-tag size-${Math.round(((count - minCount) / range) * 4) + 1}`;
+    button.classList.toggle("selected", isSelected);
+    button.dataset.tag = tag;
+    button.setAttribute("aria-pressed", isSelected);
+    button.title = `${count} quote${count !== 1 ? "s" : ""}`;
+
+    button.textContent = `#${tag} `;
+    const countBadge = document.createElement("span");
+    countBadge.className = "tag-cloud-count";
+    countBadge.textContent = count;
+    button.appendChild(countBadge);
+
+    tagCloud.appendChild(button);
+  });
+}
+
+function renderActiveFilters() {
+  const state = getFilterState();
+
+  if (!hasActiveFilters(state)) {
+    activeFilters.classList.add("hidden");
+    return;
+  }
+
+  const count = getFilteredQuotes().length;
+  activeFiltersSummary.textContent = `${count} quote${count !== 1 ? "s" : ""} match ${state.match === "any" ? "any" : "all"} of your filters`;
+  activeFilters.classList.remove("hidden");
+}
+
+// ===== TRENDING / MOST LOVED FEEDS =====
+/**
+ * Load the feed selected in feedModeSelect
+ * @returns {Promise<boolean>} False if a newer feed request replaced this one
+ */
+async function loadFeed() {
+  const mode = feedModeSelect.value;
+  const requestId = ++latestFeedRequest;
+
+  if (mode === "random") {
+    feedModeSelect.disabled = false;
+    currentFeedMode = mode;
+    feedQuotes = [];
+    renderActiveFilters();
+    renderFeedList();
+    return true;
+  }
+
+  feedModeSelect.disabled = true;
+  const feed = await fetchQuoteFeed(mode);
+  if (requestId !== latestFeedRequest) return false;
+
+  feedModeSelect.disabled = false;
+  currentFeedMode = mode;
+  feedQuotes = feed;
+  renderActiveFilters();
+  renderFeedList();
+  return true;
+}
+
+function formatFeedScore(quote) {
+  const parts = [];
+  if (quote.favorites > 0) parts.push(`${formatEngagementCount(quote.favorites)} favorite${quote.favorites !== 1 ? "s" : ""}`);
+  if (quote.likes > 0) parts.push(`${formatEngagementCount(quote.likes)} like${quote.likes !== 1 ? "s" : ""}`);
+  return parts.join(" · ");
+}
+
+// Show the ranked feed (with the current filters applied) below the quote card
+function renderFeedList() {
+  const feed = FEED_MODES[currentFeedMode];
+  if (!feed) {
+    feedSection.classList.add("hidden");
+    return;
+  }
+
+  const feedItems = getFilteredQuotes();
+  feedTitle.textContent = feed.label;
+  feedList.innerHTML = "";
+
+  feedEmpty.textContent = feedQuotes.length === 0
+    ? "Nothing here yet. Favorite or like a few quotes to get things started!"
+    : "No quotes in this feed match your filters.";
+  feedEmpty.classList.toggle("hidden", feedItems.length > 0);
+
+  feedItems.forEach(quote => {
+    const item = document.createElement("li");
+
+    const button = document.createElement("button");
+    button.className = "feed-item";
+    button.classList.toggle("current", quote.id === currentQuoteId);
+    button.dataset.quoteId = quote.id;
+
+    const rank = document.createElement("span");
+    rank.className = "feed-rank";
+    rank.textContent = feedQuotes.indexOf(quote) + 1;
+
+    const body = document.createElement("span");
+    body.className = "feed-item-body";
+
+    const quoteText = document.createElement("span");
+    quoteText.className = "feed-item-text";
+    quoteText.textContent = quote.text;
+
+    const meta = document.createElement("span");
+    meta.className = "feed-item-meta";
+    meta.textContent = `— ${quote.author} · ${formatFeedScore(quote)}`;
+
+    body.append(quoteText, meta);
+    button.append(rank, body);
+    item.appendChild(button);
+    feedList.appendChild(item);
+  });
+
+  feedSection.classList.remove("hidden");
+}
+
+function highlightCurrentFeedItem() {
+  feedList.querySelectorAll(".feed-item").forEach(item => {
+    item.classList.toggle("current", parseInt(item.dataset.quoteId, 10) === currentQuoteId);
+  });
 }
 
-// Event listener for category selection
-categoryFilter.addEventListener("change", function () {
+feedModeSelect.addEventListener("change", async function () {
+  if (!(await loadFeed())) return;
+
+  // Start each feed from its top quote
+  lastDisplayedQuoteId = null;
+  onFiltersChanged();
+});
+
+feedList.addEventListener("click", function (e) {
+  const item = e.target.closest(".feed-item");
+  if (!item) return;
+
+  const quote = feedQuotes.find(q => q.id === parseInt(item.dataset.quoteId, 10));
+  if (!quote) return;
+
+  renderQuote(quote);
+  updateQuoteUrl(quote.id);
+  document.querySelector(".quote-section")?.scrollIntoView({ behavior: "smooth", block: "center" });
+});
+
+// Re-filter and show a new quote after any filter change
+function onFiltersChanged() {
+  renderActiveFilters();
+  renderFeedList();
+
   const filteredQuotes = getFilteredQuotes();
   displayQuotes(filteredQuotes);
+  if (filteredQuotes.length === 0) {
+    updateFilterUrl();
+  }
+}
+
+categoryFilter.addEventListener("change", onFiltersChanged);
+authorFilter.addEventListener("change", onFiltersChanged);
+filterMatchMode.addEventListener("change", onFiltersChanged);
+
+tagCloud.addEventListener("click", function (e) {
+  const button = e.target.closest(".tag-cloud-tag");
+  if (!button) return;
+
+  const tag = button.dataset.tag;
+  selectedFilterTags = selectedFilterTags.includes(tag)
+    ? selectedFilterTags.filter(t => t !== tag)
+    : [...selectedFilterTags, tag];
+
+  renderTagCloud();
+  onFiltersChanged();
+});
+
+clearFiltersBtn.addEventListener("click", function () {
+  categoryFilter.value = "all";
+  authorFilter.value = "all";
+  filterMatchMode.value = "all";
+  selectedFilterTags = [];
+  renderTagCloud();
+  onFiltersChanged();
 });
 
 newQuote.addEventListener("click", function () {
@@ -520,42 +614,110 @@ newQuote.addEventListener("click", function () {
 const favoriteBtn = document.getElementById('favoriteBtn');
 if (favoriteBtn) {
   favoriteBtn.addEventListener('click', async function() {
-    if (!currentQuoteId) return;
+    const quote = getCurrentQuote();
+    if (!quote) return;
     
     try {
       // Add loading state
       favoriteBtn.disabled = true;
       
-      await toggleFavorite(currentQuoteId);
-      await updateFavoriteButton(currentQuoteId); // Reuse existing function
+      await toggleFavorite(quote, favoriteBtn.classList.contains('favorited'));
+      await updateFavoriteButton(quote.id); // Reuse existing function
       
       // Show success message if in fallback mode
-      if (isInFallbackMode && !useMockData) {
+      if (isFallbackMode()) {
         // The warning banner is already visible, no need for additional alert
         console.log('Favorite updated locally, will sync when connection restored');
       }
     } catch (error) {
       console.error('Failed to toggle favorite:', error);
-      if (isInFallbackMode) {
-        // If we're in fallback mode, the action was still saved locally
-        console.log('Saved locally despite error');
-      } else {
-        alert('Failed to update favorite. Please try again.');
-      }
+      alert('Failed to update favorite. Please try again.');
     } finally {
       favoriteBtn.disabled = false;
     }
   });
 }
 
+// ===== VIEWS AND LIKES =====
+// A quote has to stay on screen this long to count as viewed, so re-rolling
+// quickly through quotes doesn't inflate their view counts
+const VIEW_RECORD_DELAY_MS = 2000;
+
+const quoteEngagement = document.getElementById('quoteEngagement');
+const likeBtn = document.getElementById('likeBtn');
+const likeCount = document.getElementById('likeCount');
+const viewCount = document.getElementById('viewCount');
+
+let viewTimeout = null;
+let engagementQuoteId = null;
+let currentEngagement = { views: 0, likes: 0, liked: false };
+
+function renderEngagement(engagement) {
+  currentEngagement = engagement;
+  const { views, likes, liked } = engagement;
+  viewCount.textContent = formatEngagementCount(views);
+  likeCount.textContent = formatEngagementCount(likes);
+  likeBtn.classList.toggle('liked', liked);
+  likeBtn.setAttribute('aria-pressed', liked);
+  likeBtn.setAttribute('aria-label', liked ? 'Unlike this quote' : 'Like this quote');
+  likeBtn.title = liked ? 'Unlike this quote' : 'Like this quote';
+}
+
+// Show the view/like counts for the quote on the card
+async function updateEngagement(quoteId) {
+  engagementQuoteId = quoteId;
+  quoteEngagement.classList.toggle('hidden', !quoteId);
+  if (!quoteId) {
+    clearTimeout(viewTimeout);
+    return;
+  }
+
+  const engagement = await fetchQuoteEngagement(quoteId);
+
+  // Another quote was shown while this one was loading
+  if (engagementQuoteId !== quoteId) return;
+  renderEngagement(engagement);
+}
+
+function scheduleViewRecording(quoteId) {
+  clearTimeout(viewTimeout);
+  viewTimeout = setTimeout(async () => {
+    const views = await recordQuoteView(quoteId);
+    if (views !== null && engagementQuoteId === quoteId) {
+      renderEngagement({ ...currentEngagement, views });
+    }
+  }, VIEW_RECORD_DELAY_MS);
+}
+
+if (likeBtn) {
+  likeBtn.addEventListener('click', async function () {
+    if (!currentQuoteId) return;
+
+    const quoteId = currentQuoteId;
+    const like = !likeBtn.classList.contains('liked');
+
+    try {
+      likeBtn.disabled = true;
+      const likes = await setQuoteLiked(quoteId, like);
+      if (engagementQuoteId === quoteId) {
+        renderEngagement({ ...currentEngagement, likes, liked: like });
+      }
+    } catch (error) {
+      console.error('Failed to update like:', error);
+      showShareSuccess('Could not update your like. Please try again.');
+    } finally {
+      likeBtn.disabled = false;
+    }
+  });
+}
+
 // ===== SHARE FUNCTIONALITY =====
 const shareBtn = document.getElementById('shareBtn');
 const shareMenu = document.getElementById('shareMenu');
 
 // Format quote text for sharing
-function formatQuoteForShare(quoteText, quoteAuthor) {
-  const appUrl = window.location.origin;
-  return `"${quoteText}"\n\n— ${quoteAuthor}\n\nShared from InspireMe: ${appUrl}`;
+function formatQuoteForShare(quoteText, quoteAuthor, quoteUrl) {
+  return `"${quoteText}"\n\n— ${quoteAuthor}\n\nShared from InspireMe: ${quoteUrl}`;
 }
 
 // Get short quote text for sharing (without app link)
@@ -609,14 +771,14 @@ async function handleShare(platform) {
   const quoteText = text.innerText.replace(/^"|"$/g, ''); // Remove quotes if present
   const quoteAuthor = author.innerText.replace(/^—\s*/, ''); // Remove dash if present
   
-  if (!quoteText || !quoteAuthor) {
+  if (!quoteText || !quoteAuthor || !currentQuoteId) {
     showShareSuccess('No quote to share!');
     return;
   }
   
-  const appUrl = window.location.origin;
+  const appUrl = getQuotePermalink(currentQuoteId);
   const shareText = getShareText(quoteText, quoteAuthor);
-  const fullShareText = formatQuoteForShare(quoteText, quoteAuthor);
+  const fullShareText = formatQuoteForShare(quoteText, quoteAuthor, appUrl);
   
   // Close menu
   shareMenu.setAttribute('aria-hidden', 'true');
@@ -717,6 +879,470 @@ document.addEventListener('keydown', (e) => {
   }
 });
 
+// ===== COLLECTIONS =====
+const collectionBtn = document.getElementById('collectionBtn');
+const collectionMenu = document.getElementById('collectionMenu');
+const collectionOptions = document.getElementById('collectionOptions');
+const newCollectionForm = document.getElementById('newCollectionForm');
+const newCollectionName = document.getElementById('newCollectionName');
+
+function openCollectionMenu() {
+  collectionMenu.setAttribute('aria-hidden', 'false');
+  collectionBtn.setAttribute('aria-expanded', 'true');
+  renderCollectionOptions();
+}
+
+function closeCollectionMenu() {
+  collectionMenu.setAttribute('aria-hidden', 'true');
+  collectionBtn.setAttribute('aria-expanded', 'false');
+}
+
+// Render the user's collections as checkboxes, checked when they contain the current quote
+async function renderCollectionOptions() {
+  if (!currentQuoteId) return;
+
+  const quoteId = currentQuoteId;
+  const [userCollections, memberIds] = await Promise.all([
+    fetchCollections(),
+    fetchQuoteCollectionIds(quoteId)
+  ]);
+
+  // Quote changed while loading
+  if (quoteId !== currentQuoteId) return;
+
+  collectionOptions.innerHTML = '';
+
+  if (userCollections.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'collection-empty';
+    empty.textContent = 'No collections yet. Create one below.';
+    collectionOptions.appendChild(empty);
+    return;
+  }
+
+  userCollections.forEach(collection => {
+    const label = document.createElement('label');
+    label.className = 'collection-option';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.collectionId = collection.id;
+    checkbox.dataset.collectionName = collection.name;
+    checkbox.checked = memberIds.includes(collection.id);
+    checkbox.setAttribute('role', 'menuitemcheckbox');
+    label.appendChild(checkbox);
+
+    const swatch = document.createElement('span');
+    swatch.className = 'collection-swatch';
+    swatch.style.background = collection.color;
+    label.appendChild(swatch);
+
+    const name = document.createElement('span');
+    name.className = 'collection-name';
+    name.textContent = collection.name;
+    label.appendChild(name);
+
+    collectionOptions.appendChild(label);
+  });
+}
+
+// Get the full quote object for the currently displayed quote
+function getCurrentQuote() {
+  if (currentQuote?.id === currentQuoteId) return currentQuote;
+  return quotes.find(q => q.id === currentQuoteId) || null;
+}
+
+if (collectionBtn) {
+  collectionBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const isExpanded = collectionBtn.getAttribute('aria-expanded') === 'true';
+
+    if (isExpanded) {
+      closeCollectionMenu();
+    } else {
+      if (!currentQuoteId) {
+        showShareSuccess('No quote to save!');
+        return;
+      }
+      openCollectionMenu();
+    }
+  });
+}
+
+if (collectionOptions) {
+  collectionOptions.addEventListener('change', async (e) => {
+    const checkbox = e.target.closest('input[type="checkbox"]');
+    const quote = getCurrentQuote();
+    if (!checkbox || !quote) return;
+
+    const collectionId = parseInt(checkbox.dataset.collectionId, 10);
+    const collectionName = checkbox.dataset.collectionName;
+    checkbox.disabled = true;
+
+    try {
+      if (checkbox.checked) {
+        await addQuoteToCollection(collectionId, quote);
+        showShareSuccess(`Saved to ${collectionName}`);
+      } else {
+        await removeQuoteFromCollection(collectionId, quote.id);
+        showShareSuccess(`Removed from ${collectionName}`);
+      }
+    } catch (error) {
+      console.error('Failed to update collection:', error);
+      checkbox.checked = !checkbox.checked;
+      showShareSuccess('Failed to update collection. Please try again.');
+    } finally {
+      checkbox.disabled = false;
+    }
+  });
+}
+
+if (newCollectionForm) {
+  newCollectionForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const quote = getCurrentQuote();
+    const name = newCollectionName.value.trim();
+    if (!quote || !name) return;
+
+    try {
+      const collectionId = await createCollection({ name });
+      await addQuoteToCollection(collectionId, quote);
+      newCollectionName.value = '';
+      showShareSuccess(`Saved to ${name}`);
+      await renderCollectionOptions();
+    } catch (error) {
+      console.error('Failed to create collection:', error);
+      showShareSuccess(error.message || 'Failed to create collection.');
+    }
+  });
+}
+
+// Close collection menu when clicking outside
+document.addEventListener('click', (e) => {
+  const container = collectionBtn?.parentElement;
+  if (container && !container.contains(e.target)) {
+    closeCollectionMenu();
+  }
+});
+
+// Close collection menu with Escape key
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && collectionMenu?.getAttribute('aria-hidden') === 'false') {
+    closeCollectionMenu();
+    collectionBtn.focus();
+  }
+});
+
+// ===== QUOTE SEARCH =====
+const SEARCH_MIN_LENGTH = 2;
+const SEARCH_RESULT_LIMIT = 20;
+
+const searchInput = document.getElementById('quoteSearch');
+const searchResults = document.getElementById('searchResults');
+const searchSummary = document.getElementById('searchSummary');
+const searchResultsList = document.getElementById('searchResultsList');
+
+let searchResultQuotes = [];
+let latestSearchId = 0;
+
+/**
+ * Search approved quotes, best match first
+ * Ranks the loaded quotes client-side if the search fails
+ * @param {string} query - The search query
+ * @returns {Promise<Array>} Matching quotes
+ */
+async function fetchSearchResults(query) {
+  try {
+    return await repository.searchQuotes(query, SEARCH_RESULT_LIMIT);
+  } catch (error) {
+    console.error('Error searching quotes, ranking locally:', error);
+    return rankQuotes(quotes, query).slice(0, SEARCH_RESULT_LIMIT);
+  }
+}
+
+function hideSearchResults() {
+  searchResults.classList.add('hidden');
+}
+
+function renderSearchResults(query) {
+  const terms = getSearchTerms(query);
+  searchResultsList.innerHTML = '';
+
+  if (searchResultQuotes.length === 0) {
+    searchSummary.textContent = `No quotes found for "${query}".`;
+  } else {
+    const count = searchResultQuotes.length;
+    searchSummary.textContent = `${count}${count === SEARCH_RESULT_LIMIT ? '+' : ''} result${count !== 1 ? 's' : ''} for "${query}"`;
+  }
+
+  searchResultQuotes.forEach(quote => {
+    const item = document.createElement('li');
+
+    const button = document.createElement('button');
+    button.className = 'search-result';
+    button.dataset.quoteId = quote.id;
+
+    const quoteText = document.createElement('span');
+    quoteText.className = 'search-result-text';
+    quoteText.appendChild(highlightTerms(quote.text, terms));
+    button.appendChild(quoteText);
+
+    const meta = document.createElement('span');
+    meta.className = 'search-result-meta';
+    meta.appendChild(document.createTextNode('— '));
+    meta.appendChild(highlightTerms(quote.author, terms));
+    if (quote.category) {
+      meta.appendChild(document.createTextNode(' · '));
+      meta.appendChild(highlightTerms(quote.category, terms));
+    }
+    button.appendChild(meta);
+
+    item.appendChild(button);
+    searchResultsList.appendChild(item);
+  });
+
+  searchResults.classList.remove('hidden');
+}
+
+async function runSearch(query) {
+  const searchId = ++latestSearchId;
+
+  if (query.length < SEARCH_MIN_LENGTH || getSearchTerms(query).length === 0) {
+    searchResultQuotes = [];
+    hideSearchResults();
+    return;
+  }
+
+  const results = await fetchSearchResults(query);
+
+  // A newer search started while this one was loading
+  if (searchId !== latestSearchId) return;
+
+  searchResultQuotes = results;
+  renderSearchResults(query);
+}
+
+if (searchInput) {
+  let searchTimeout;
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(() => runSearch(searchInput.value.trim()), 300);
+  });
+
+  // Reopen the last results when returning to the search box
+  searchInput.addEventListener('focus', () => {
+    if (searchInput.value.trim().length >= SEARCH_MIN_LENGTH && searchSummary.textContent) {
+      searchResults.classList.remove('hidden');
+    }
+  });
+
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      searchInput.value = '';
+      runSearch('');
+    } else if (e.key === 'ArrowDown') {
+      const firstResult = searchResultsList.querySelector('.search-result');
+      if (firstResult) {
+        e.preventDefault();
+        firstResult.focus();
+      }
+    }
+  });
+}
+
+if (searchResultsList) {
+  searchResultsList.addEventListener('click', (e) => {
+    const result = e.target.closest('.search-result');
+    if (!result) return;
+
+    const quote = searchResultQuotes.find(q => q.id === parseInt(result.dataset.quoteId, 10));
+    if (!quote) return;
+
+    renderQuote(quote);
+    updateQuoteUrl(quote.id);
+    hideSearchResults();
+    document.querySelector('.quote-section')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  });
+
+  // Arrow keys move between results
+  searchResultsList.addEventListener('keydown', (e) => {
+    if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+    e.preventDefault();
+
+    const results = Array.from(searchResultsList.querySelectorAll('.search-result'));
+    const index = results.indexOf(document.activeElement);
+
+    if (e.key === 'ArrowDown' && index < results.length - 1) {
+      results[index + 1].focus();
+    } else if (e.key === 'ArrowUp') {
+      (index > 0 ? results[index - 1] : searchInput).focus();
+    }
+  });
+}
+
+// Close search results when clicking outside the search section
+document.addEventListener('click', (e) => {
+  if (searchResults && !e.target.closest('.search-section')) {
+    hideSearchResults();
+  }
+});
+
+// ===== QUOTE OF THE DAY =====
+// Days are keyed by UTC date so every visitor sees the same quote on the same day
+const DAILY_ARCHIVE_PAGE_SIZE = 7;
+const DAILY_ARCHIVE_MAX_DAYS = 60; // Matches the cap in get_quote_of_the_day_archive
+
+const dailyQuoteBtn = document.getElementById('dailyQuote');
+const dailyQuoteText = document.getElementById('dailyQuoteText');
+const dailyQuoteAuthor = document.getElementById('dailyQuoteAuthor');
+const dailyQuoteDate = document.getElementById('dailyQuoteDate');
+const dailyArchiveToggle = document.getElementById('dailyArchiveToggle');
+const dailyArchive = document.getElementById('dailyArchive');
+const dailyArchiveList = document.getElementById('dailyArchiveList');
+const dailyArchiveMore = document.getElementById('dailyArchiveMore');
+
+let dailyQuote = null;
+let dailyArchiveQuotes = [];
+
+// Format a day key for display, e.g. "Mon, Oct 19"
+function formatDayKey(dayKey) {
+  return new Date(`${dayKey}T00:00:00Z`).toLocaleDateString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+// Fetch today's quote (scheduled override or deterministic pick)
+async function fetchQuoteOfTheDay() {
+  const today = getDayKey();
+
+  try {
+    return await repository.fetchQuoteOfTheDay(today);
+  } catch (error) {
+    console.error('Error fetching quote of the day:', error);
+    return pickDailyQuote(quotes, today);
+  }
+}
+
+// Fetch previous days' quotes, most recent first
+async function fetchQuoteOfTheDayArchive(days) {
+  try {
+    return await repository.fetchQuoteOfTheDayArchive(days);
+  } catch (error) {
+    console.error('Error fetching quote of the day archive:', error);
+    const today = getDayKey();
+    return Array.from({ length: days }, (_, i) => pickDailyQuote(quotes, shiftDayKey(today, -(i + 1))))
+      .filter(Boolean);
+  }
+}
+
+// Show a daily quote on the main card
+function showDailyQuoteOnCard(quote) {
+  renderQuote(quote);
+  updateQuoteUrl(quote.id);
+  document.querySelector('.quote-section')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+function renderDailyQuote() {
+  if (!dailyQuote) {
+    dailyQuoteText.textContent = 'No quote of the day yet. Check back soon!';
+    dailyQuoteAuthor.textContent = '';
+    dailyQuoteDate.textContent = '';
+    dailyQuoteBtn.disabled = true;
+    return;
+  }
+
+  dailyQuoteText.textContent = `"${dailyQuote.text}"`;
+  dailyQuoteAuthor.textContent = `— ${dailyQuote.author}`;
+  dailyQuoteDate.textContent = formatDayKey(dailyQuote.quote_day);
+  dailyQuoteBtn.disabled = false;
+}
+
+function renderDailyArchive() {
+  dailyArchiveList.innerHTML = '';
+
+  if (dailyArchiveQuotes.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'daily-archive-empty';
+    empty.textContent = 'No past quotes yet.';
+    dailyArchiveList.appendChild(empty);
+  }
+
+  dailyArchiveQuotes.forEach(quote => {
+    const item = document.createElement('li');
+
+    const button = document.createElement('button');
+    button.className = 'daily-archive-item';
+    button.dataset.quoteId = quote.id;
+    button.title = 'Show on the quote card';
+
+    const date = document.createElement('span');
+    date.className = 'daily-archive-date';
+    date.textContent = formatDayKey(quote.quote_day);
+    button.appendChild(date);
+
+    const quoteText = document.createElement('span');
+    quoteText.className = 'daily-archive-text';
+    quoteText.textContent = `"${quote.text}" — ${quote.author}`;
+    button.appendChild(quoteText);
+
+    item.appendChild(button);
+    dailyArchiveList.appendChild(item);
+  });
+
+  dailyArchiveMore.hidden = dailyArchiveQuotes.length < DAILY_ARCHIVE_PAGE_SIZE
+    || dailyArchiveQuotes.length >= DAILY_ARCHIVE_MAX_DAYS;
+}
+
+async function loadDailyArchive(days) {
+  dailyArchiveMore.disabled = true;
+  dailyArchiveQuotes = await fetchQuoteOfTheDayArchive(Math.min(days, DAILY_ARCHIVE_MAX_DAYS));
+  renderDailyArchive();
+  dailyArchiveMore.disabled = false;
+}
+
+async function initQuoteOfTheDay() {
+  dailyQuote = await fetchQuoteOfTheDay();
+  renderDailyQuote();
+}
+
+if (dailyQuoteBtn) {
+  dailyQuoteBtn.addEventListener('click', () => {
+    if (dailyQuote) showDailyQuoteOnCard(dailyQuote);
+  });
+}
+
+if (dailyArchiveToggle) {
+  dailyArchiveToggle.addEventListener('click', async () => {
+    const isExpanded = dailyArchiveToggle.getAttribute('aria-expanded') === 'true';
+    dailyArchiveToggle.setAttribute('aria-expanded', String(!isExpanded));
+    dailyArchiveToggle.textContent = isExpanded ? 'See past days' : 'Hide past days';
+    dailyArchive.classList.toggle('hidden', isExpanded);
+
+    if (!isExpanded && dailyArchiveQuotes.length === 0) {
+      await loadDailyArchive(DAILY_ARCHIVE_PAGE_SIZE);
+    }
+  });
+}
+
+if (dailyArchiveMore) {
+  dailyArchiveMore.addEventListener('click', () => {
+    loadDailyArchive(dailyArchiveQuotes.length + DAILY_ARCHIVE_PAGE_SIZE);
+  });
+}
+
+if (dailyArchiveList) {
+  dailyArchiveList.addEventListener('click', (e) => {
+    const item = e.target.closest('.daily-archive-item');
+    if (!item) return;
+
+    const quote = dailyArchiveQuotes.find(q => q.id === parseInt(item.dataset.quoteId, 10));
+    if (quote) showDailyQuoteOnCard(quote);
+  });
+}
+
 // ===== Quote Submission Feature =====
 
 // Modal elements
@@ -728,6 +1354,7 @@ const quoteForm = document.getElementById("quoteForm");
 const submitFeedback = document.getElementById("submitFeedback");
 const quoteTextInput = document.getElementById("quoteTextInput");
 const charCount = document.querySelector(".char-count");
+const duplicateWarning = document.getElementById("duplicateWarning");
 
 // Open modal
 submitQuoteBtn.addEventListener("click", function () {
@@ -743,6 +1370,7 @@ function closeModal() {
   quoteForm.reset();
   submitFeedback.classList.add("hidden");
   charCount.textContent = "0/500";
+  renderDuplicateWarning(duplicateWarning, []);
   // Clear selected tags
   selectedTags = [];
   renderSelectedTags();
@@ -806,9 +1434,14 @@ function updateTagSuggestions() {
 
 // Add a tag to selected tags
 function addTag(tag) {
-  const normalizedTag = tag.toLowerCase().trim();
+  const normalizedTag = normalizeTag(tag);
   
-  if (!normalizedTag || selectedTags.includes(normalizedTag)) {
+  if (!normalizedTag) {
+    if (tag.trim()) showShareSuccess(`"${tag.trim()}" can't be used as a tag`);
+    tagsInput.value = '';
+    return;
+  }
+  if (selectedTags.includes(normalizedTag)) {
     return;
   }
   
@@ -856,12 +1489,30 @@ if (tagsInput) {
   });
 }
 
+// Warn before submitting a quote that's already in the collection
+let duplicateCheckId = 0;
+async function updateDuplicateWarning() {
+  const checkId = ++duplicateCheckId;
+  try {
+    const matches = await findSimilarQuotes(quoteTextInput.value);
+    // Ignore answers to text that has changed since
+    if (checkId === duplicateCheckId) {
+      renderDuplicateWarning(duplicateWarning, matches);
+    }
+  } catch (error) {
+    console.error('Duplicate check failed:', error);
+  }
+}
+
 // Event listeners for quote text and category changes
 if (quoteTextInput) {
   let quoteTimeout;
   quoteTextInput.addEventListener('input', () => {
     clearTimeout(quoteTimeout);
-    quoteTimeout = setTimeout(updateTagSuggestions, 500);
+    quoteTimeout = setTimeout(() => {
+      updateTagSuggestions();
+      updateDuplicateWarning();
+    }, 500);
   });
 }
 
@@ -925,47 +1576,19 @@ quoteForm.addEventListener("submit", async function (e) {
   submitBtn.textContent = "Submitting...";
 
   try {
-    // If using mock data, simulate submission
-    if (useMockData) {
-      // Simulate API delay
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // Add quote to mock data
-      const newQuote = {
-        id: MOCK_QUOTES.length + 1,
-        ...formData
-      };
-      MOCK_QUOTES.push(newQuote);
-      
-      showFeedback("Quote submitted successfully! (Mock mode - not saved to database)", "success");
-      
-      // Refresh quotes list
-      quotes = await fetchQuotes();
-      categories = await fetchCategories();
-      populateDropdown(categories);
-      
-      // Reset form after short delay
-      setTimeout(() => {
-        closeModal();
-      }, 2000);
-    } else {
-      // Real Supabase submission
-      const { error } = await supabase.from("quotes").insert([formData]);
+    await repository.addQuote(formData);
 
-      if (error) throw error;
+    showFeedback(isLocalBackend()
+      ? "Quote submitted for review! (Mock mode - saved in this browser)"
+      : "Quote submitted successfully! Thank you for your contribution.", "success");
 
-      showFeedback("Quote submitted successfully! Thank you for your contribution.", "success");
-      
-      // Refresh quotes list
-      quotes = await fetchQuotes();
-      categories = await fetchCategories();
-      populateDropdown(categories);
+    // Refresh quotes list
+    quotes = await fetchQuotes();
 
-      // Reset form after short delay
-      setTimeout(() => {
-        closeModal();
-      }, 2000);
-    }
+    // Reset form after short delay
+    setTimeout(() => {
+      closeModal();
+    }, 2000);
   } catch (error) {
     console.error("Error submitting quote:", error);
     showFeedback("Failed to submit quote. Please try again.", "error");
@@ -988,23 +1611,39 @@ function showFeedback(message, type) {
 async function init() {
   quotes = await fetchQuotes();
   categories = await fetchCategories();
+  await loadTagVocabulary();
 
-  // Populate main page category filter
+  // Populate main page filters and restore any filters from the URL
   populateDropdown(categories);
+  populateAuthorFilter();
+  readFiltersFromUrl();
+  await loadFeed();
   
   // Populate submit form category dropdown
   const categoryInput = document.getElementById('categoryInput');
   if (categoryInput) {
-    const sortedCategories = [...categories].sort((a, b) => a.localeCompare(b));
-    sortedCategories.forEach((category) => {
-      const option = document.createElement('option');
-      option.value = category;
-      option.textContent = category;
-      categoryInput.appendChild(option);
-    });
+    appendCategoryOptions(categoryInput, categories);
   }
   
-  displayQuotes(quotes);
+  initQuoteOfTheDay();
+
+  // Show the linked quote if the URL has one, otherwise a random quote
+  const linkedQuoteId = getQuoteIdFromUrl();
+  const linkedQuote = linkedQuoteId ? await findQuoteById(linkedQuoteId) : null;
+
+  if (linkedQuote) {
+    renderQuote(linkedQuote);
+    updateQuoteUrl(linkedQuote.id, true);
+  } else {
+    if (linkedQuoteId) {
+      showShareSuccess("That quote couldn't be found. Here's another one!");
+    }
+    const filteredQuotes = getFilteredQuotes();
+    displayQuotes(filteredQuotes, true);
+    if (filteredQuotes.length === 0) {
+      updateFilterUrl();
+    }
+  }
   
   // Set copyright year
   const yearElement = document.getElementById('year');
@@ -0,0 +1,121 @@
+/**
+ * Quote Engagement
+ * Public view and like counters for quotes. Likes are separate from (private) favorites:
+ * each user can like a quote once, and everyone sees the total.
+ * Also ranks quotes into the Trending and Most loved feeds.
+ * The counts are read and written through the data repository.
+ */
+
+import repository from "./data-repository.js";
+
+const RECENT_VIEWS_KEY = 'recentQuoteViews';
+
+const FEED_LIMIT = 20;
+
+// Selectable feeds: trending looks at recent favorites/likes, most loved at all of them
+export const FEED_MODES = {
+  'trending-7': { label: 'Trending this week', days: 7 },
+  'trending-30': { label: 'Trending this month', days: 30 },
+  'loved': { label: 'Most loved', days: null }
+};
+
+// A repeat view of the same quote within this window is not counted
+// (matches the window in record_quote_view)
+export const VIEW_DEDUPE_WINDOW_MS = 30 * 60 * 1000;
+
+// ===== VIEW DEDUPE =====
+
+/**
+ * Check and remember when this browser last recorded a view for a quote
+ * Saves a round trip for quotes the server would ignore anyway.
+ * @param {number} quoteId - The quote ID
+ * @returns {boolean} True if the view should be recorded
+ */
+function claimRecentView(quoteId) {
+  const now = Date.now();
+  const recentViews = JSON.parse(sessionStorage.getItem(RECENT_VIEWS_KEY) || '{}');
+
+  // Drop expired entries so the map doesn't grow for the whole session
+  Object.keys(recentViews).forEach(id => {
+    if (now - recentViews[id] >= VIEW_DEDUPE_WINDOW_MS) delete recentViews[id];
+  });
+
+  if (recentViews[quoteId]) {
+    sessionStorage.setItem(RECENT_VIEWS_KEY, JSON.stringify(recentViews));
+    return false;
+  }
+
+  recentViews[quoteId] = now;
+  sessionStorage.setItem(RECENT_VIEWS_KEY, JSON.stringify(recentViews));
+  return true;
+}
+
+// ===== ENGAGEMENT API =====
+
+/**
+ * Record that the current user viewed a quote
+ * Repeat views inside VIEW_DEDUPE_WINDOW_MS are ignored.
+ * @param {number} quoteId - The quote ID
+ * @returns {Promise<number|null>} The updated view count, or null if the view was not recorded
+ */
+export async function recordQuoteView(quoteId) {
+  if (!claimRecentView(quoteId)) return null;
+
+  try {
+    return await repository.recordQuoteView(quoteId);
+  } catch (error) {
+    console.error('Error recording quote view:', error);
+    return null;
+  }
+}
+
+/**
+ * Get a quote's view and like counts, and whether the current user liked it
+ * @param {number} quoteId - The quote ID
+ * @returns {Promise<{views: number, likes: number, liked: boolean}>}
+ */
+export async function fetchQuoteEngagement(quoteId) {
+  try {
+    return await repository.fetchQuoteEngagement(quoteId);
+  } catch (error) {
+    console.error('Error fetching quote engagement:', error);
+    return { views: 0, likes: 0, liked: false };
+  }
+}
+
+/**
+ * Like or unlike a quote for the current user
+ * Liking twice (e.g. from two tabs) only counts once.
+ * @param {number} quoteId - The quote ID
+ * @param {boolean} like - True to like, false to remove the like
+ * @returns {Promise<number>} The updated like count
+ */
+export async function setQuoteLiked(quoteId, like) {
+  return repository.setQuoteLiked(quoteId, like);
+}
+
+/**
+ * Fetch a ranked feed of quotes
+ * @param {string} mode - A key of FEED_MODES
+ * @returns {Promise<Array<{id: number, text: string, author: string, category: string, tags: string[], favorites: number, likes: number, score: number}>>}
+ */
+export async function fetchQuoteFeed(mode) {
+  const feed = FEED_MODES[mode];
+  if (!feed) return [];
+
+  try {
+    return await repository.fetchQuoteFeed(feed.days, FEED_LIMIT);
+  } catch (error) {
+    console.error('Error fetching quote feed:', error);
+    return [];
+  }
+}
+
+/**
+ * Format a count compactly for display (e.g. 1.2k)
+ * @param {number} count - The count
+ * @returns {string} Formatted count
+ */
+export function formatEngagementCount(count) {
+  return new Intl.NumberFormat(undefined, { notation: 'compact', maximumFractionDigits: 1 }).format(count || 0);
+}
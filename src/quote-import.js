@@ -0,0 +1,300 @@
+/**
+ * Quote Import
+ * Bulk-adds quotes to the catalogue from a CSV or JSON file in the admin panel:
+ * map the file's columns to quote fields, check every row (required fields,
+ * known category, status, tags), look for duplicates among existing quotes and
+ * earlier rows, then insert the rows in batches, optionally AI-tagging the ones
+ * without tags. The job is saved in localStorage after every batch, so an import
+ * stopped by an error or a reload can be resumed where it left off; each row is
+ * sent with a key of its own, so a batch the server saved before the connection
+ * dropped isn't added again.
+ * Imported quotes are recorded in the audit log with the source 'import'.
+ */
+
+import repository from "./data-repository.js";
+import { parseCsv } from "./favorites-transfer.js";
+import { normalizeTags } from "./tag-suggestions.js";
+import { generateAITagsWithRetry } from "./ai-tagging.js";
+import { findSimilarQuotes, getQuoteFingerprint } from "./duplicate-detection.js";
+
+export const MAX_QUOTE_IMPORT_FILE_SIZE = 2 * 1024 * 1024; // 2 MB
+export const MAX_IMPORT_ROWS = 1000;
+const IMPORT_BATCH_SIZE = 20;
+const IMPORT_JOB_KEY = 'inspireme_quote_import';
+
+// Same limits as the add quote form
+const MAX_TEXT_LENGTH = 500;
+const MAX_AUTHOR_LENGTH = 100;
+const MAX_TAGS = 10;
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+// Quote fields a file column can be mapped to, with the column names recognised for each
+export const IMPORT_FIELDS = {
+  text: { label: 'Quote text', required: true, columns: ['text', 'quote', 'content', 'body'] },
+  author: { label: 'Author', required: true, columns: ['author', 'by', 'source'] },
+  category: { label: 'Category', required: false, columns: ['category', 'theme', 'topic'] },
+  tags: { label: 'Tags', required: false, columns: ['tags', 'tag', 'keywords'] },
+  status: { label: 'Status', required: false, columns: ['status', 'state'] }
+};
+
+// ===== FILE PARSING =====
+
+/**
+ * Read the records of an import file
+ * JSON files hold an array of objects, or an object with a `quotes` array;
+ * CSV files need a header row.
+ * @param {string} contents - File contents
+ * @param {string} fileName - File name, used to pick the format
+ * @returns {{columns: string[], records: Object[]}} Column names and one object per row
+ */
+export function readImportFile(contents, fileName = '') {
+  const text = contents.replace(/^\uFEFF/, '');
+  const isJson = fileName.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text);
+
+  let records;
+  if (isJson) {
+    const data = JSON.parse(text);
+    records = Array.isArray(data) ? data : data.quotes;
+    if (!Array.isArray(records)) {
+      throw new Error('This JSON file has no list of quotes.');
+    }
+    records = records.filter(record => record && typeof record === 'object' && !Array.isArray(record));
+  } else {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+      throw new Error('This CSV file is empty.');
+    }
+    const columns = header.map(column => column.trim());
+    records = rows.map(row => Object.fromEntries(columns.map((column, index) => [column, row[index] ?? ''])));
+  }
+
+  if (records.length === 0) {
+    throw new Error('No quotes found in this file.');
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Files can have at most ${MAX_IMPORT_ROWS} quotes; split this one into smaller files.`);
+  }
+
+  const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+  return { columns, records };
+}
+
+/**
+ * Pick a file column for each quote field by its name
+ * @param {string[]} columns - Column names from readImportFile()
+ * @returns {Object<string, string>} Column name by field; '' where none matches
+ */
+export function guessColumnMapping(columns) {
+  return Object.fromEntries(Object.entries(IMPORT_FIELDS).map(([field, { columns: names }]) => [
+    field,
+    columns.find(column => names.includes(column.trim().toLowerCase())) || ''
+  ]));
+}
+
+// ===== VALIDATION =====
+
+function cellToString(value) {
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+// Tags come as an array (JSON) or a list separated by commas, semicolons or pipes (CSV)
+function parseTagsCell(value) {
+  const tags = Array.isArray(value) ? value.map(cellToString) : cellToString(value).split(/[,;|]/);
+  return normalizeTags(tags);
+}
+
+/**
+ * Turn file records into quotes to import, with the problems found in each
+ * @param {Object[]} records - From readImportFile()
+ * @param {Object<string, string>} mapping - Column name by field
+ * @param {{defaultStatus?: string, defaultCategory?: string, categories?: string[]}} options -
+ *   Used for rows without a status or category; `categories` are the existing category names
+ * @returns {Array<{row: number, text: string, author: string, category: string, tags: string[], status: string, errors: string[]}>}
+ *   `row` counts from 1, not including a CSV header
+ */
+export function prepareImportRows(records, mapping, { defaultStatus = 'pending', defaultCategory = '', categories = [] } = {}) {
+  const categoriesByName = new Map(categories.map(name => [name.toLowerCase(), name]));
+  const read = (record, field) => (mapping[field] ? record[mapping[field]] : undefined);
+
+  return records.map((record, index) => {
+    const errors = [];
+    const text = cellToString(read(record, 'text')).replace(/\s+/g, ' ');
+    const author = cellToString(read(record, 'author'));
+    const categoryCell = cellToString(read(record, 'category'));
+    const statusCell = cellToString(read(record, 'status')).toLowerCase();
+    const tags = parseTagsCell(read(record, 'tags'));
+
+    if (!text) errors.push('Quote text is missing');
+    else if (text.length > MAX_TEXT_LENGTH) errors.push(`Quote text is longer than ${MAX_TEXT_LENGTH} characters`);
+    if (!author) errors.push('Author is missing');
+    else if (author.length > MAX_AUTHOR_LENGTH) errors.push(`Author is longer than ${MAX_AUTHOR_LENGTH} characters`);
+
+    // Categories must exist (quotes.category references categories.name)
+    const category = categoryCell ? categoriesByName.get(categoryCell.toLowerCase()) : defaultCategory;
+    if (categoryCell && !category) errors.push(`Unknown category "${categoryCell}"`);
+    else if (!category) errors.push('Category is missing');
+
+    const status = statusCell || defaultStatus;
+    if (!STATUSES.includes(status)) errors.push(`Unknown status "${statusCell}"`);
+
+    if (tags.length > MAX_TAGS) errors.push(`More than ${MAX_TAGS} tags`);
+
+    return { row: index + 1, text, author, category: category || categoryCell, tags, status, errors };
+  });
+}
+
+/**
+ * Look for rows that repeat an existing quote or an earlier row of the file
+ * Sets `duplicate` on those rows: { id, text, author, similarity, exact } for an
+ * existing quote, or { row } for an earlier row.
+ * @param {Array} rows - From prepareImportRows(); rows with errors are skipped
+ * @param {{onProgress?: Function}} options - onProgress is called with (done, total)
+ */
+export async function checkImportDuplicates(rows, { onProgress = () => {} } = {}) {
+  const seen = new Map();
+  const candidates = rows.filter(row => row.errors.length === 0);
+
+  for (const [index, row] of candidates.entries()) {
+    row.duplicate = null;
+    const fingerprint = getQuoteFingerprint(row.text);
+
+    if (seen.has(fingerprint)) {
+      row.duplicate = { row: seen.get(fingerprint) };
+    } else {
+      seen.set(fingerprint, row.row);
+      const [match] = await findSimilarQuotes(row.text);
+      if (match) row.duplicate = match;
+    }
+
+    onProgress(index + 1, candidates.length);
+  }
+}
+
+// ===== IMPORT JOB =====
+
+/**
+ * Start an import job for the checked rows and save it
+ * Rows with errors, and duplicates when skipDuplicates is set, are reported as skipped.
+ * @param {Array} rows - From prepareImportRows() and checkImportDuplicates()
+ * @param {{fileName?: string, aiTag?: boolean, skipDuplicates?: boolean}} options -
+ *   aiTag adds AI tags to rows that have none
+ * @returns {Object} The job, for runImportJob()
+ */
+export function createImportJob(rows, { fileName = '', aiTag = false, skipDuplicates = true } = {}) {
+  const job = {
+    id: `import_${Date.now()}_${Math.random().toString(36).substring(2, 15)}`,
+    fileName,
+    aiTag,
+    createdAt: new Date().toISOString(),
+    rows: rows.map(({ row, text, author, category, tags, status, errors, duplicate }) => {
+      let result = null;
+      if (errors.length > 0) {
+        result = { success: false, skipped: true, message: errors.join('; ') };
+      } else if (duplicate && skipDuplicates) {
+        result = {
+          success: false,
+          skipped: true,
+          message: duplicate.id ? `Duplicate of #${duplicate.id}` : `Duplicate of row ${duplicate.row}`
+        };
+      }
+      return { row, text, author, category, tags, status, result };
+    })
+  };
+
+  saveImportJob(job);
+  return job;
+}
+
+function saveImportJob(job) {
+  try {
+    localStorage.setItem(IMPORT_JOB_KEY, JSON.stringify(job));
+  } catch (error) {
+    console.warn('localStorage unavailable, import progress not saved:', error);
+  }
+}
+
+/**
+ * The import job saved in this browser, if one hasn't finished
+ * @returns {Object|null} Job, for runImportJob()
+ */
+export function loadUnfinishedImportJob() {
+  try {
+    const job = JSON.parse(localStorage.getItem(IMPORT_JOB_KEY) || 'null');
+    return job && summarizeImportJob(job).remaining > 0 ? job : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Forget the saved import job
+ */
+export function clearImportJob() {
+  try {
+    localStorage.removeItem(IMPORT_JOB_KEY);
+  } catch {
+    // Nothing saved
+  }
+}
+
+/**
+ * Count a job's rows by outcome
+ * @param {Object} job - Import job
+ * @returns {{imported: number, skipped: number, failed: number, remaining: number}}
+ */
+export function summarizeImportJob(job) {
+  const summary = { imported: 0, skipped: 0, failed: 0, remaining: 0 };
+  job.rows.forEach(({ result }) => {
+    if (!result) summary.remaining++;
+    else if (result.success) summary.imported++;
+    else if (result.skipped) summary.skipped++;
+    else summary.failed++;
+  });
+  return summary;
+}
+
+/**
+ * Import a job's remaining rows, one batch at a time
+ * Progress is saved after each batch. If a batch fails (e.g. the connection
+ * drops) the error is thrown and the job can be resumed by running it again;
+ * rows the server already saved are matched by their import key, not added twice.
+ * @param {Object} job - From createImportJob() or loadUnfinishedImportJob()
+ * @param {{onProgress?: Function}} options - onProgress is called with the job's
+ *   summary after each batch
+ * @returns {Promise<Object>} The finished job
+ */
+export async function runImportJob(job, { onProgress = () => {} } = {}) {
+  const pending = () => job.rows.filter(row => !row.result);
+
+  while (pending().length > 0) {
+    const batch = pending().slice(0, IMPORT_BATCH_SIZE);
+
+    if (job.aiTag) {
+      for (const row of batch.filter(row => row.tags.length === 0 && !row.aiNote)) {
+        const result = await generateAITagsWithRetry(row.text);
+        row.tags = normalizeTags(result.tags || []).slice(0, MAX_TAGS);
+        row.aiNote = result.error
+          ? `AI tagging failed: ${result.error}`
+          : row.tags.length ? `AI tags: ${row.tags.join(', ')}` : 'No AI tags found';
+      }
+    }
+
+    const results = await repository.importQuotes(
+      batch.map(({ row, text, author, category, tags, status }) => ({
+        text, author, category, tags, status,
+        // Jobs saved before import keys existed have no id, and are sent without
+        import_key: job.id ? `${job.id}:${row}` : undefined
+      }))
+    );
+    batch.forEach((row, index) => {
+      const { quote_id, success, message } = results[index];
+      row.result = { quoteId: quote_id, success, message: success && row.aiNote ? `${message} · ${row.aiNote}` : message };
+    });
+
+    saveImportJob(job);
+    onProgress(summarizeImportJob(job));
+  }
+
+  clearImportJob();
+  return job;
+}
@@ -0,0 +1,135 @@
+/**
+ * Quote Search
+ * Shared helpers for ranking quotes against a search query and highlighting matches.
+ * The ranking mirrors search_quotes() closely enough for mock mode and offline fallback.
+ */
+
+// Words too common to be worth matching on their own
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'that', 'the', 'to', 'was', 'with'
+]);
+
+// Relative weight of a term match in each field
+const FIELD_WEIGHTS = {
+  text: 1,
+  author: 2,
+  category: 1.5,
+  tags: 2
+};
+
+// Bonus when the whole query appears verbatim (like the ILIKE clauses in search_quotes)
+const PHRASE_BONUS = 3;
+
+/**
+ * Split a search query into normalized, de-duplicated terms
+ * @param {string} query - The raw search query
+ * @returns {string[]} Lowercase terms without stop words
+ */
+export function getSearchTerms(query) {
+  const words = (query || '').toLowerCase().match(/[\p{L}\p{N}'-]+/gu) || [];
+  const terms = words
+    .map(word => word.replace(/^['-]+|['-]+$/g, ''))
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+  return [...new Set(terms)];
+}
+
+/**
+ * Count how often a term starts a word in a string (so "dream" matches "dreams")
+ * @param {string} value - The string to search
+ * @param {string} term - The lowercase term
+ * @returns {number} Number of matches
+ */
+function countTermMatches(value, term) {
+  if (!value) return 0;
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}`, 'gu');
+  return (value.toLowerCase().match(pattern) || []).length;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Score a single quote against a set of search terms
+ * @param {{text: string, author: string, category?: string, tags?: string[]}} quote - The quote
+ * @param {string[]} terms - Terms from getSearchTerms()
+ * @param {string} phrase - The full lowercase query
+ * @returns {number} Relevance score (0 = no match)
+ */
+export function scoreQuote(quote, terms, phrase = '') {
+  let score = 0;
+  const tags = (quote.tags || []).map(tag => tag.toLowerCase());
+
+  terms.forEach(term => {
+    score += countTermMatches(quote.text, term) * FIELD_WEIGHTS.text;
+    score += countTermMatches(quote.author, term) * FIELD_WEIGHTS.author;
+    score += countTermMatches(quote.category, term) * FIELD_WEIGHTS.category;
+    score += tags.filter(tag => tag.startsWith(term)).length * FIELD_WEIGHTS.tags;
+  });
+
+  if (phrase && score > 0) {
+    const haystack = `${quote.text} ${quote.author} ${quote.category || ''}`.toLowerCase();
+    if (haystack.includes(phrase)) score += PHRASE_BONUS;
+  }
+
+  // Normalize by length so short, focused quotes outrank long ones with one passing match
+  return score / Math.log2(quote.text.length + 2);
+}
+
+/**
+ * Rank quotes by relevance to a query, dropping non-matches
+ * @param {Array} quotes - Quotes to search
+ * @param {string} query - The raw search query
+ * @returns {Array} Matching quotes with a `rank` property, best match first
+ */
+export function rankQuotes(quotes, query) {
+  const terms = getSearchTerms(query);
+  if (terms.length === 0) return [];
+
+  const phrase = query.trim().toLowerCase();
+
+  return quotes
+    .map(quote => ({ ...quote, rank: scoreQuote(quote, terms, phrase) }))
+    .filter(quote => quote.rank > 0)
+    .sort((a, b) => b.rank - a.rank || b.id - a.id);
+}
+
+/**
+ * Build a fragment with each matched term wrapped in <mark>
+ * Built with DOM nodes (not innerHTML) so quote text is never parsed as HTML.
+ * @param {string} value - The text to highlight
+ * @param {string[]} terms - Terms from getSearchTerms()
+ * @returns {DocumentFragment} Highlighted text
+ */
+export function highlightTerms(value, terms) {
+  const fragment = document.createDocumentFragment();
+  const text = value || '';
+
+  if (terms.length === 0) {
+    fragment.appendChild(document.createTextNode(text));
+    return fragment;
+  }
+
+  // Longest terms first so "dreams" wins over "dream" when both are present
+  const alternatives = [...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+  const pattern = new RegExp(`(${alternatives})`, 'giu');
+
+  let lastIndex = 0;
+  text.replace(pattern, (match, _group, offset) => {
+    if (offset > lastIndex) {
+      fragment.appendChild(document.createTextNode(text.slice(lastIndex, offset)));
+    }
+    const mark = document.createElement('mark');
+    mark.textContent = match;
+    fragment.appendChild(mark);
+    lastIndex = offset + match.length;
+    return match;
+  });
+
+  if (lastIndex < text.length) {
+    fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+  }
+
+  return fragment;
+}
@@ -0,0 +1,69 @@
+/**
+ * Sample Data
+ * The dataset mock mode starts from the first time it runs in a browser: the
+ * categories and approved quotes from database/seed.sql, a few pending and
+ * rejected submissions so the moderation queue has something in it, and one
+ * admin account per role.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function hoursAgo(hours) {
+  return new Date(Date.now() - hours * HOUR_MS).toISOString();
+}
+
+export const SAMPLE_CATEGORIES = [
+  { id: 1, name: 'Motivation', description: 'Get going and keep going', color: '#f97316', icon: '🔥', sort_order: 1 },
+  { id: 2, name: 'Success', description: 'Winning, failing and trying again', color: '#eab308', icon: '🏆', sort_order: 2 },
+  { id: 3, name: 'Inspiration', description: 'Dreams and possibilities', color: '#8b5cf6', icon: '✨', sort_order: 3 },
+  { id: 4, name: 'Life', description: 'Living well', color: '#10b981', icon: '🌱', sort_order: 4 },
+  { id: 5, name: 'Wisdom', description: 'Lessons worth keeping', color: '#6366f1', icon: '🦉', sort_order: 5 },
+  { id: 6, name: 'Happiness', description: 'Joy and contentment', color: '#f59e0b', icon: '☀️', sort_order: 6 },
+  { id: 7, name: 'Love', description: 'Love and relationships', color: '#ec4899', icon: '❤️', sort_order: 7 },
+  { id: 8, name: 'Innovation', description: 'Ideas and leadership', color: '#0ea5e9', icon: '💡', sort_order: 8 },
+  { id: 9, name: 'Humor', description: 'Quotes that make you smile', color: '#14b8a6', icon: '😄', sort_order: 9 }
+];
+
+// Mock sign-in accepts any password for these; other emails sign in without admin access
+export const SAMPLE_ADMIN_USERS = [
+  { email: 'owner@example.com', role: 'owner' },
+  { email: 'editor@example.com', role: 'editor' },
+  { email: 'moderator@example.com', role: 'moderator' }
+];
+
+function approved(id, text, author, category, tags, ageHours) {
+  return { id, text, author, category, tags, status: 'approved', created_at: hoursAgo(ageHours), reviewed_at: hoursAgo(ageHours - 12), rejection_reason: null };
+}
+
+function pending(id, text, author, category, tags, ageHours) {
+  return { id, text, author, category, tags, status: 'pending', created_at: hoursAgo(ageHours), reviewed_at: null, rejection_reason: null };
+}
+
+function rejected(id, text, author, category, reason, ageHours) {
+  return { id, text, author, category, tags: [], status: 'rejected', created_at: hoursAgo(ageHours), reviewed_at: hoursAgo(ageHours - 12), rejection_reason: reason };
+}
+
+// IDs of the approved quotes are the ones mock favorites and collections were saved under
+export const SAMPLE_QUOTES = [
+  approved(1, "The only way to do great work is to love what you do.", "Steve Jobs", "Motivation", ["work", "passion", "motivation"], 24),
+  approved(2, "Innovation distinguishes between a leader and a follower.", "Steve Jobs", "Innovation", ["innovation", "leadership"], 48),
+  approved(3, "Life is what happens to you while you're busy making other plans.", "John Lennon", "Life", ["life", "planning"], 72),
+  approved(4, "The future belongs to those who believe in the beauty of their dreams.", "Eleanor Roosevelt", "Inspiration", ["dreams", "future", "hope"], 96),
+  approved(5, "Success is not final, failure is not fatal: it is the courage to continue that counts.", "Winston Churchill", "Success", ["success", "failure", "courage", "perseverance"], 120),
+  approved(6, "The only impossible journey is the one you never begin.", "Tony Robbins", "Motivation", ["journey", "motivation", "courage"], 144),
+  approved(7, "Happiness is not something ready made. It comes from your own actions.", "Dalai Lama", "Happiness", ["happiness", "action"], 168),
+  approved(8, "Love all, trust a few, do wrong to none.", "William Shakespeare", "Wisdom", ["love", "trust", "wisdom"], 192),
+  approved(9, "The best and most beautiful things in the world cannot be seen or even touched - they must be felt with the heart.", "Audrey Hepburn", "Love", ["love", "beauty", "heart"], 216),
+  approved(10, "It's not whether you get knocked down, it's whether you get up.", "Vince Lombardi", "Motivation", ["resilience", "perseverance"], 240),
+  approved(11, "Don't watch the clock; do what it does. Keep going.", "Sam Levenson", "Success", ["perseverance", "time"], 264),
+
+  pending(101, "Be yourself; everyone else is already taken.", "Oscar Wilde", "Wisdom", [], 0),
+  pending(102, "Two things are infinite: the universe and human stupidity.", "Albert Einstein", "Humor", [], 1),
+  pending(103, "The journey of a thousand miles begins with one step.", "Lao Tzu", "Motivation", [], 2),
+  pending(104, "Life is really simple, but we insist on making it complicated.", "Confucius", "Life", [], 3),
+  pending(108, "The only impossible journey is the one you never even begin.", "Tony Robbins", "Motivation", ["journey", "courage"], 4),
+
+  rejected(105, "This is a test quote.", "Test Author", "Inspiration", "Not inspirational enough", 168),
+  rejected(106, "Spam content here.", "Spammer", "Life", "Inappropriate content", 192),
+  rejected(107, "Buy now for 50% off!", "Marketing Bot", "Success", "Commercial spam", 216)
+];
@@ -0,0 +1,712 @@
+/**
+ * Supabase Backend
+ * The database implementation of the data repository: tables and RPCs in
+ * Supabase. Errors are thrown for the caller to handle, except for favorites,
+ * which switch to the offline fallback in favorites-sync.js instead.
+ */
+
+import supabase from "./supabase-client.js";
+import { getUserId } from "./user-utils.js";
+import {
+  addLocalFavorite,
+  removeLocalFavorite,
+  isLocalFavorite,
+  queueFavoriteAction,
+  cacheFavorites,
+  getOfflineFavorites,
+  isFallbackMode,
+  enterFallbackMode
+} from "./favorites-sync.js";
+
+function toPublicQuote(quote) {
+  return { ...quote, category: quote.category || 'Uncategorized', tags: quote.tags || [] };
+}
+
+// ===== QUOTES =====
+
+export async function fetchApprovedQuotes() {
+  const { data, error } = await supabase
+    .from('quotes')
+    .select('id, text, author, category, tags')
+    .eq('status', 'approved');
+
+  if (error) throw error;
+  return (data || []).map(toPublicQuote);
+}
+
+export async function fetchApprovedQuote(quoteId) {
+  const { data, error } = await supabase
+    .from('quotes')
+    .select('id, text, author, category, tags')
+    .eq('id', quoteId)
+    .eq('status', 'approved')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? toPublicQuote(data) : null;
+}
+
+export async function searchQuotes(query, limit) {
+  const { data, error } = await supabase
+    .rpc('search_quotes', { search_term: query })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Not selected back: submitters can't read their own pending quote
+export async function addQuote(fields) {
+  const { error } = await supabase.from('quotes').insert([fields]);
+  if (error) throw error;
+}
+
+export async function fetchQuoteOfTheDay(day) {
+  const { data, error } = await supabase.rpc('get_quote_of_the_day', { p_day: day });
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+export async function fetchQuoteOfTheDayArchive(days) {
+  const { data, error } = await supabase.rpc('get_quote_of_the_day_archive', { p_days: days });
+  if (error) throw error;
+  return data || [];
+}
+
+// ===== FAVORITES =====
+
+export async function isFavorite(quoteId) {
+  const userId = getUserId();
+
+  // If in fallback mode, use localStorage immediately
+  if (isFallbackMode()) {
+    return isLocalFavorite(userId, quoteId);
+  }
+
+  try {
+    const { data, error } = await supabase.rpc('is_quote_favorited', {
+      p_user_id: userId,
+      p_quote_id: quoteId
+    });
+
+    if (error) throw error;
+
+    // Keep the local copy current so fallback mode starts from the right state
+    if (data === true) {
+      addLocalFavorite(userId, quoteId);
+    } else {
+      removeLocalFavorite(userId, quoteId);
+    }
+    return data === true;
+  } catch (error) {
+    console.error('Error checking favorite status, entering fallback mode:', error);
+    enterFallbackMode();
+    return isLocalFavorite(userId, quoteId);
+  }
+}
+
+export async function setFavorite(quote, favorite) {
+  // If in fallback mode, save locally and queue for sync
+  if (isFallbackMode()) {
+    queueFavoriteAction(quote.id, favorite, quote);
+    return favorite;
+  }
+
+  const userId = getUserId();
+
+  try {
+    // add_favorite/remove_favorite are idempotent, so replaying a change is safe
+    const { error } = await supabase.rpc(favorite ? 'add_favorite' : 'remove_favorite', {
+      p_user_id: userId,
+      p_quote_id: quote.id
+    });
+
+    if (error) throw error;
+
+    // Update localStorage to stay in sync
+    if (favorite) {
+      addLocalFavorite(userId, quote.id);
+    } else {
+      removeLocalFavorite(userId, quote.id);
+    }
+    return favorite;
+  } catch (error) {
+    console.error('Error saving favorite, entering fallback mode:', error);
+    enterFallbackMode();
+    queueFavoriteAction(quote.id, favorite, quote);
+    return favorite;
+  }
+}
+
+export async function addFavorites(quoteIds) {
+  const userId = getUserId();
+  for (const quoteId of quoteIds) {
+    const { error } = await supabase.rpc('add_favorite', {
+      p_user_id: userId,
+      p_quote_id: quoteId
+    });
+    if (error) throw error;
+  }
+}
+
+export async function removeFavorites(quoteIds) {
+  const userId = getUserId();
+  for (const quoteId of quoteIds) {
+    const { error } = await supabase.rpc('remove_favorite', {
+      p_user_id: userId,
+      p_quote_id: quoteId
+    });
+    if (error) throw error;
+  }
+}
+
+// What the database has, even in fallback mode (used to sync the outbox)
+export async function fetchStoredFavorites() {
+  const { data, error } = await supabase.rpc('get_user_favorites', {
+    p_user_id: getUserId()
+  });
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function fetchFavorites() {
+  // Offline: show the last fetched list with pending changes applied
+  if (isFallbackMode()) {
+    return getOfflineFavorites();
+  }
+
+  try {
+    const favorites = await fetchStoredFavorites();
+    cacheFavorites(favorites);
+    return favorites;
+  } catch (error) {
+    console.error('Error fetching favorites, entering fallback mode:', error);
+    enterFallbackMode();
+    return getOfflineFavorites();
+  }
+}
+
+// ===== ENGAGEMENT =====
+
+export async function recordQuoteView(quoteId) {
+  const { data, error } = await supabase.rpc('record_quote_view', {
+    p_user_id: getUserId(),
+    p_quote_id: quoteId
+  });
+
+  if (error) throw error;
+  return data;
+}
+
+export async function fetchQuoteEngagement(quoteId) {
+  const { data, error } = await supabase.rpc('get_quote_engagement', {
+    p_user_id: getUserId(),
+    p_quote_id: quoteId
+  });
+
+  if (error) throw error;
+
+  const row = data?.[0];
+  return {
+    views: row?.views || 0,
+    likes: row?.likes || 0,
+    liked: row?.liked || false
+  };
+}
+
+export async function setQuoteLiked(quoteId, like) {
+  const { data, error } = await supabase.rpc(like ? 'like_quote' : 'unlike_quote', {
+    p_user_id: getUserId(),
+    p_quote_id: quoteId
+  });
+
+  if (error) throw error;
+  return data;
+}
+
+// Trending over the last `days`, or most loved of all time when days is null
+export async function fetchQuoteFeed(days, limit) {
+  const { data, error } = days
+    ? await supabase.rpc('get_trending_quotes', { p_days: days, p_limit: limit })
+    : await supabase.rpc('get_most_loved_quotes', { p_limit: limit });
+
+  if (error) throw error;
+
+  // Counts are BIGINTs and may come back as strings
+  return (data || []).map(q => ({
+    ...q,
+    tags: q.tags || [],
+    favorites: Number(q.favorites),
+    likes: Number(q.likes),
+    score: Number(q.score)
+  }));
+}
+
+// ===== TRANSFER CODES =====
+
+export async function createTransferCode() {
+  const { data, error } = await supabase.rpc('create_transfer_code', {
+    p_user_id: getUserId()
+  });
+
+  if (error) throw error;
+  return data?.[0];
+}
+
+export async function redeemTransferCode(code) {
+  const { data, error } = await supabase.rpc('redeem_transfer_code', {
+    p_code: code,
+    p_user_id: getUserId()
+  });
+
+  if (error) throw error;
+  return data?.[0] || { favorites_moved: 0, collections_moved: 0 };
+}
+
+// ===== COLLECTIONS =====
+
+export async function fetchCollections() {
+  const { data, error } = await supabase.rpc('get_user_collections', {
+    p_user_id: getUserId()
+  });
+
+  if (error) throw error;
+
+  // quote_count is a BIGINT and may come back as a string
+  return (data || []).map(c => ({ ...c, quote_count: Number(c.quote_count) }));
+}
+
+export async function createCollection({ name, description, color, icon }) {
+  const { data, error } = await supabase.rpc('create_collection', {
+    p_user_id: getUserId(),
+    p_name: name,
+    p_description: description,
+    p_color: color,
+    p_icon: icon
+  });
+
+  if (error) throw error;
+  return data;
+}
+
+// NULL parameters leave the existing value untouched
+export async function updateCollection(collectionId, { name, description, color, icon }) {
+  const { error } = await supabase.rpc('update_collection', {
+    p_user_id: getUserId(),
+    p_collection_id: collectionId,
+    p_name: name ?? null,
+    p_description: description ?? null,
+    p_color: color ?? null,
+    p_icon: icon ?? null
+  });
+
+  if (error) throw error;
+}
+
+export async function deleteCollection(collectionId) {
+  const { error } = await supabase.rpc('delete_collection', {
+    p_user_id: getUserId(),
+    p_collection_id: collectionId
+  });
+
+  if (error) throw error;
+}
+
+export async function addQuoteToCollection(collectionId, quoteId) {
+  const { error } = await supabase.rpc('add_quote_to_collection', {
+    p_user_id: getUserId(),
+    p_collection_id: collectionId,
+    p_quote_id: quoteId
+  });
+
+  if (error) throw error;
+}
+
+export async function removeQuoteFromCollection(collectionId, quoteId) {
+  const { error } = await supabase.rpc('remove_quote_from_collection', {
+    p_user_id: getUserId(),
+    p_collection_id: collectionId,
+    p_quote_id: quoteId
+  });
+
+  if (error) throw error;
+}
+
+export async function fetchCollectionQuotes(collectionId) {
+  const { data, error } = await supabase.rpc('get_collection_quotes', {
+    p_user_id: getUserId(),
+    p_collection_id: collectionId
+  });
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function fetchQuoteCollectionIds(quoteId) {
+  const { data, error } = await supabase.rpc('get_quote_collection_ids', {
+    p_user_id: getUserId(),
+    p_quote_id: quoteId
+  });
+
+  if (error) throw error;
+  return (data || []).map(Number);
+}
+
+// ===== CATEGORIES =====
+
+// Unique violations come from the name column or the lower(name) index
+function toCategoryError(error) {
+  return error?.code === '23505' ? new Error('A category with this name already exists.') : error;
+}
+
+export async function fetchCategories() {
+  const { data, error } = await supabase.rpc('get_all_categories');
+  if (error) throw error;
+  return data || [];
+}
+
+export async function createCategory(fields) {
+  const { data: last } = await supabase
+    .from('categories')
+    .select('sort_order')
+    .order('sort_order', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  const { data, error } = await supabase
+    .from('categories')
+    .insert([{ ...fields, sort_order: (last?.sort_order || 0) + 1 }])
+    .select()
+    .single();
+
+  if (error) throw toCategoryError(error);
+  return { ...data, quote_count: 0 };
+}
+
+// quotes.category follows a new name through ON UPDATE CASCADE
+export async function updateCategory(categoryId, fields) {
+  const { error } = await supabase
+    .from('categories')
+    .update(fields)
+    .eq('id', categoryId);
+
+  if (error) throw toCategoryError(error);
+}
+
+export async function deleteCategory(categoryId, reassignToId) {
+  const { data, error } = await supabase.rpc('delete_category', {
+    p_category_id: categoryId,
+    p_reassign_to: reassignToId
+  });
+
+  if (error) throw error;
+  return data || 0;
+}
+
+export async function reorderCategories(categoryIds) {
+  const { error } = await supabase.rpc('reorder_categories', { p_category_ids: categoryIds });
+  if (error) throw error;
+}
+
+// ===== MODERATION =====
+
+// Filter arguments shared by get_admin_quotes and get_moderation_stats
+function toFilterParams({ search = '', category = '', tag = '', from = '', to = '', untagged = false }) {
+  return {
+    p_search: search.trim() || null,
+    p_category: category || null,
+    p_tag: tag.trim().toLowerCase() || null,
+    p_from: from || null,
+    p_to: to || null,
+    p_untagged: untagged
+  };
+}
+
+export async function fetchModerationStats(filters) {
+  const { data, error } = await supabase.rpc('get_moderation_stats', toFilterParams(filters));
+  if (error) throw error;
+  return data;
+}
+
+export async function fetchAdminQuotes(status, filters, { sort, limit, offset }) {
+  const { data, error } = await supabase.rpc('get_admin_quotes', {
+    p_status: status === 'all' ? null : status,
+    ...toFilterParams(filters),
+    p_sort: sort,
+    p_limit: limit,
+    p_offset: offset
+  });
+
+  if (error) throw error;
+  return { quotes: data?.quotes || [], total: data?.total ?? 0 };
+}
+
+export async function setQuoteStatus(quoteId, status, reason = null) {
+  let result;
+  if (status === 'approved') {
+    result = await supabase.rpc('approve_quote', { quote_id: quoteId });
+  } else if (status === 'rejected') {
+    result = await supabase.rpc('reject_quote', { quote_id: quoteId, reason });
+  } else {
+    result = await supabase.rpc('return_quote_to_pending', { p_quote_id: quoteId });
+  }
+
+  if (result.error) throw result.error;
+}
+
+export async function approveQuotes(quoteIds) {
+  const { data, error } = await supabase.rpc('approve_quotes', { p_quote_ids: quoteIds });
+  if (error) throw error;
+  return data || [];
+}
+
+export async function rejectQuotes(quoteIds, reason) {
+  const { data, error } = await supabase.rpc('reject_quotes', {
+    p_quote_ids: quoteIds,
+    p_reason: reason
+  });
+  if (error) throw error;
+  return data || [];
+}
+
+export async function fetchQuote(quoteId) {
+  const { data, error } = await supabase
+    .from('quotes')
+    .select('id, text, author, category, tags, status, last_modified')
+    .eq('id', quoteId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function fetchQuotes(quoteIds) {
+  const { data, error } = await supabase
+    .from('quotes')
+    .select('id, text, tags')
+    .in('id', quoteIds);
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function updateQuoteTags(quoteId, tags, source) {
+  const { error } = await supabase.rpc('update_quote_tags', {
+    p_quote_id: quoteId,
+    p_tags: tags,
+    p_source: source
+  });
+
+  if (error) throw error;
+}
+
+export async function updateQuotesTags(updates, source) {
+  const { data, error } = await supabase.rpc('update_quotes_tags', {
+    p_updates: updates,
+    p_source: source
+  });
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function editQuote(quoteId, expectedLastModified, changes) {
+  const { data, error } = await supabase.rpc('edit_quote', {
+    p_quote_id: quoteId,
+    p_expected_last_modified: expectedLastModified,
+    p_text: changes.text ?? null,
+    p_author: changes.author ?? null,
+    p_category: changes.category ?? null,
+    p_tags: changes.tags ?? null,
+    p_status: changes.status ?? null
+  });
+
+  if (error) throw error;
+
+  const result = data?.[0];
+  if (!result || !result.last_modified) {
+    throw new Error(result?.message || 'Quote not found');
+  }
+  return { saved: result.success, lastModified: result.last_modified };
+}
+
+export async function mergeDuplicateQuote(duplicateId, originalId) {
+  const { error } = await supabase.rpc('merge_duplicate_quote', {
+    p_duplicate_id: duplicateId,
+    p_original_id: originalId
+  });
+  if (error) throw error;
+}
+
+export async function countPendingQuotes() {
+  const { count, error } = await supabase
+    .from('quotes')
+    .select('id', { count: 'exact', head: true })
+    .eq('status', 'pending');
+
+  if (error) throw error;
+  return count || 0;
+}
+
+export async function fetchPendingQuotes(after, limit) {
+  let query = supabase
+    .from('quotes')
+    .select('id, text, author, category, tags, created_at, status')
+    .eq('status', 'pending')
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true })
+    .limit(limit);
+
+  if (after) {
+    query = query.or(`created_at.gt."${after.created_at}",and(created_at.eq."${after.created_at}",id.gt.${after.id})`);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+export async function fetchScheduledDailyQuotes() {
+  const { data, error } = await supabase.rpc('get_scheduled_quotes_of_the_day');
+  if (error) throw error;
+  return data || [];
+}
+
+export async function scheduleDailyQuote(quoteId, day) {
+  const { error } = await supabase.rpc('schedule_quote_of_the_day', {
+    p_day: day,
+    p_quote_id: quoteId
+  });
+  if (error) throw error;
+}
+
+export async function unscheduleDailyQuote(day) {
+  const { error } = await supabase.rpc('unschedule_quote_of_the_day', { p_day: day });
+  if (error) throw error;
+}
+
+// ===== QUOTE HISTORY =====
+
+export async function fetchQuoteHistory(quoteId) {
+  const { data, error } = await supabase.rpc('get_quote_history', { p_quote_id: quoteId });
+  if (error) throw error;
+  return data || [];
+}
+
+export async function fetchActivityLog({ action, source, actor }, { limit, offset }) {
+  const { data, error } = await supabase.rpc('get_audit_log', {
+    p_action: action || null,
+    p_source: source || null,
+    p_actor: actor || null,
+    p_limit: limit,
+    p_offset: offset
+  });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// ===== DUPLICATES AND IMPORT =====
+
+export async function findSimilarQuotes(text, excludeId) {
+  const { data, error } = await supabase.rpc('find_similar_quotes', {
+    p_text: text,
+    p_exclude_id: excludeId
+  });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// One result per quote, in order
+export async function importQuotes(quotes) {
+  const { data, error } = await supabase.rpc('import_quotes', { p_quotes: quotes });
+  if (error) throw error;
+
+  const results = new Map((data || []).map(result => [result.row_index, result]));
+  return quotes.map((quote, index) => results.get(index) || { quote_id: null, success: false, message: 'No result returned' });
+}
+
+// ===== TAG VOCABULARY =====
+
+export async function fetchTagVocabulary() {
+  const { data, error } = await supabase
+    .from('tag_vocabulary')
+    .select('name, themes, ai_candidate, alias_of, is_blocked')
+    .order('name');
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function fetchTagUsage() {
+  const { data, error } = await supabase.rpc('get_tag_usage');
+  if (error) throw error;
+  return data || [];
+}
+
+export async function mergeTags(tags, into, keepAliases) {
+  const { data, error } = await supabase.rpc('merge_tags', {
+    p_tags: tags,
+    p_into: into,
+    p_keep_aliases: keepAliases
+  });
+
+  if (error) throw error;
+  return data || 0;
+}
+
+export async function saveTag(tag, { aliasOf, isBlocked, aiCandidate }) {
+  const { data, error } = await supabase.rpc('save_tag', {
+    p_tag: tag,
+    p_alias_of: aliasOf,
+    p_is_blocked: isBlocked,
+    p_ai_candidate: aiCandidate
+  });
+
+  if (error) throw error;
+  return data || 0;
+}
+
+// ===== BACKUP =====
+
+export async function exportBackup() {
+  const { data, error } = await supabase.rpc('export_backup');
+  if (error) throw error;
+  return data;
+}
+
+export async function restoreBackup(bundle, dryRun) {
+  const { data, error } = await supabase.rpc('restore_backup', {
+    p_bundle: bundle,
+    p_dry_run: dryRun
+  });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// ===== ADMIN SIGN-IN =====
+
+export async function getSession() {
+  const { data: { session }, error } = await supabase.auth.getSession();
+  if (error) throw error;
+  return session ? { email: session.user?.email || null } : null;
+}
+
+export async function signIn(email, password) {
+  const { error } = await supabase.auth.signInWithPassword({ email, password });
+  if (error) throw error;
+}
+
+export async function signOut() {
+  const { error } = await supabase.auth.signOut();
+  if (error) throw error;
+}
+
+export async function fetchAdminRole() {
+  const { data, error } = await supabase.rpc('get_my_admin_role');
+  if (error) throw error;
+  return data || null;
+}
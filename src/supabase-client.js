@@ -8,4 +8,7 @@ const supabase = supabaseUrl && supabaseKey
   ? createClient(supabaseUrl, supabaseKey)
   : null;
 
+// Without credentials the app runs in mock mode, on the in-browser backend (see data-repository.js)
+export const useMockData = !supabase
+
 export default supabase
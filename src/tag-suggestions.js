@@ -2,12 +2,14 @@
 // Shared module for tag suggestion functionality
 
 // Comprehensive tag database organized by themes
+// The built-in vocabulary; loadTagVocabulary() in tag-vocabulary.js replaces it
+// with the managed one from the tag_vocabulary table
 export const TAG_DATABASE = {
   // Emotion-based tags
   emotions: ['happiness', 'joy', 'sadness', 'anger', 'fear', 'love', 'hope', 'peace', 'gratitude', 'compassion'],
   
   // Action-based tags
-  actions: ['change', 'growth', 'learning', 'achievement', 'persistence', 'courage', 'action', 'effort', 'practice'],
+  actions: ['change', 'growth', 'learning', 'achievement', 'perseverance', 'courage', 'action', 'effort', 'practice'],
   
   // Motivation & Success
   motivation: ['motivation', 'inspiration', 'success', 'goals', 'determination', 'ambition', 'drive', 'excellence', 'achievement', 'winning'],
@@ -74,6 +76,34 @@ const FAMOUS_AUTHORS = {
   'confucius': ['wisdom', 'philosophy', 'ancient']
 };
 
+// Managed by the admin tag manager and filled in by loadTagVocabulary()
+// Alias -> the tag it stands for, e.g. 'dream' -> 'dreams'
+export const TAG_ALIASES = new Map();
+// Tags that are dropped from quotes and never suggested
+export const BLOCKED_TAGS = new Set();
+
+/**
+ * Lowercase and trim a tag and replace it if it's an alias
+ * (normalize_tags() in the database does the same when a quote is saved)
+ * @param {string} tag - Tag as typed
+ * @returns {string|null} The tag to use, or null if it's empty or blocked
+ */
+export function normalizeTag(tag) {
+  const cleaned = String(tag || '').trim().toLowerCase();
+  if (!cleaned) return null;
+  const normalized = TAG_ALIASES.get(cleaned) || cleaned;
+  return BLOCKED_TAGS.has(cleaned) || BLOCKED_TAGS.has(normalized) ? null : normalized;
+}
+
+/**
+ * Normalize a list of tags, dropping blocked tags and duplicates
+ * @param {string[]} tags - Tags
+ * @returns {string[]} Normalized tags, in their original order
+ */
+export function normalizeTags(tags) {
+  return [...new Set((tags || []).map(normalizeTag).filter(Boolean))];
+}
+
 /**
  * Analyze quote text and generate intelligent tag suggestions
  * @param {string} quoteText - The quote text to analyze
@@ -136,7 +166,7 @@ export function generateTagSuggestions(quoteText, author, category, selectedTags
   });
   
   // Return top 8 suggestions, excluding already selected tags
-  return Array.from(suggestions)
+  return normalizeTags(Array.from(suggestions))
     .filter(tag => !selectedTags.includes(tag))
     .slice(0, 8);
 }
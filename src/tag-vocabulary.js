@@ -0,0 +1,110 @@
+/**
+ * Tag Vocabulary
+ * Reads and manages the tag_vocabulary table: which tags keyword suggestions and
+ * the AI tagger offer, aliases that are replaced by their tag when a quote is
+ * saved, and blocked tags that are dropped. loadTagVocabulary() applies it to
+ * TAG_DATABASE, AI_TAG_CANDIDATES, TAG_ALIASES and BLOCKED_TAGS in place, so the
+ * suggestion code keeps working with the built-in lists until it has loaded.
+ * The table is read and changed through the data repository.
+ */
+
+import repository from "./data-repository.js";
+import { TAG_DATABASE, TAG_ALIASES, BLOCKED_TAGS } from "./tag-suggestions.js";
+import { AI_TAG_CANDIDATES } from "./ai-tagging.js";
+
+function cleanTag(tag) {
+  return String(tag || '').trim().toLowerCase();
+}
+
+/**
+ * Replace the suggestion lists, aliases and blocklist with vocabulary rows
+ * @param {Array<{name: string, themes: string[], ai_candidate: boolean, alias_of: string|null, is_blocked: boolean}>} rows
+ */
+function applyVocabulary(rows) {
+  const themes = {};
+  const aiCandidates = [];
+  TAG_ALIASES.clear();
+  BLOCKED_TAGS.clear();
+
+  rows.forEach(row => {
+    if (row.is_blocked) {
+      BLOCKED_TAGS.add(row.name);
+    } else if (row.alias_of) {
+      TAG_ALIASES.set(row.name, row.alias_of);
+    } else {
+      (row.themes || []).forEach(theme => {
+        if (!themes[theme]) themes[theme] = [];
+        themes[theme].push(row.name);
+      });
+      if (row.ai_candidate) aiCandidates.push(row.name);
+    }
+  });
+
+  Object.keys(TAG_DATABASE).forEach(theme => delete TAG_DATABASE[theme]);
+  Object.assign(TAG_DATABASE, themes);
+  AI_TAG_CANDIDATES.splice(0, AI_TAG_CANDIDATES.length, ...aiCandidates);
+}
+
+/**
+ * Load the managed vocabulary into the tag suggestion lists
+ * Keeps the built-in lists if the table is empty or can't be read.
+ */
+export async function loadTagVocabulary() {
+  try {
+    const rows = await repository.fetchTagVocabulary();
+    if (rows.length) applyVocabulary(rows);
+  } catch (error) {
+    console.warn('Could not load the tag vocabulary, using the built-in tags:', error);
+  }
+}
+
+// ===== MANAGEMENT (editors) =====
+
+/**
+ * Fetch every tag that quotes use or the vocabulary lists
+ * @returns {Promise<Array<{tag: string, quote_count: number, themes: string[], ai_candidate: boolean, alias_of: string|null, is_blocked: boolean}>>}
+ *   Most used first; quote_count covers quotes of any status
+ */
+export async function fetchTagUsage() {
+  return repository.fetchTagUsage();
+}
+
+/**
+ * Merge tags into one across all quotes; renaming a tag is merging it into the new name
+ * @param {string[]} tags - Tags to merge
+ * @param {string} into - The tag they become
+ * @param {{keepAliases?: boolean}} options - keepAliases (default)
+ *   makes the old names aliases of `into`, so they're replaced on later saves too
+ * @returns {Promise<number>} Number of quotes changed
+ */
+export async function mergeTags(tags, into, { keepAliases = true } = {}) {
+  const target = cleanTag(into);
+  if (!target) {
+    throw new Error('Please enter the tag to merge into.');
+  }
+  const from = [...new Set(tags.map(cleanTag))].filter(tag => tag && tag !== target);
+  if (from.length === 0) return 0;
+
+  const updated = await repository.mergeTags(from, target, keepAliases);
+  await loadTagVocabulary();
+  return updated;
+}
+
+/**
+ * Make a tag an alias, block or unblock it, or offer it to the AI tagger
+ * Quotes using a tag that becomes an alias or blocked are updated as well.
+ * @param {string} tag - The tag
+ * @param {{aliasOf?: string|null, isBlocked?: boolean, aiCandidate?: boolean|null}} settings -
+ *   aliasOf null for a regular tag; aiCandidate null leaves it unchanged
+ * @returns {Promise<number>} Number of quotes changed
+ */
+export async function saveTag(tag, { aliasOf = null, isBlocked = false, aiCandidate = null } = {}) {
+  const name = cleanTag(tag);
+  if (!name) {
+    throw new Error('Please enter a tag.');
+  }
+
+  const updated = await repository.saveTag(name, { aliasOf: cleanTag(aliasOf) || null, isBlocked, aiCandidate });
+  await loadTagVocabulary();
+  return updated;
+}
@@ -0,0 +1,393 @@
+/**
+ * User Accounts
+ * Optional sign-in for regular users, with email + password or a magic link.
+ * While signed in, getUserId() returns the account's ID instead of the anonymous
+ * one, so favorites and collections follow the user across devices. Signing in
+ * merges this browser's anonymous favorites and collections into the account;
+ * signing out goes back to the anonymous ID.
+ * Accounts need Supabase Auth, so the account button stays hidden in mock mode.
+ */
+
+import supabase, { useMockData } from "./supabase-client.js";
+import { getAnonymousUserId, getAccountId, setAccountId } from "./user-utils.js";
+import { syncPendingActions } from "./favorites-sync.js";
+import { escapeHtml } from "./html-utils.js";
+
+const MIN_PASSWORD_LENGTH = 6; // Supabase Auth's default minimum
+
+let currentUser = null;
+let accountButton = null;
+let sessionQueue = Promise.resolve();
+const accountListeners = [];
+
+export function isAccountsAvailable() {
+  return !useMockData;
+}
+
+/**
+ * The signed-in account
+ * @returns {{id: string, email: string}|null} Account, or null when anonymous
+ */
+export function getCurrentAccount() {
+  return currentUser ? { id: currentUser.id, email: currentUser.email } : null;
+}
+
+/**
+ * Register a callback for sign-in and sign-out
+ * @param {Function} callback - Called with (account, merged); `merged` holds the
+ *   favorites_moved/collections_moved counts after a sign-in, otherwise null
+ */
+export function onAccountChanged(callback) {
+  accountListeners.push(callback);
+}
+
+// Listeners only hear about changes of user ID, not a session restored on page load
+function notifyAccountChanged(merged = null) {
+  updateAccountButton();
+  const account = getCurrentAccount();
+  accountListeners.forEach(callback => {
+    try {
+      callback(account, merged);
+    } catch (error) {
+      console.error('Error in account listener:', error);
+    }
+  });
+}
+
+// ===== SESSION HANDLING =====
+
+/**
+ * Move this browser's anonymous favorites and collections into the signed-in account
+ * @returns {Promise<{favorites_moved: number, collections_moved: number}>}
+ */
+async function mergeAnonymousData() {
+  // Replay favorites changed offline first, while getUserId() is still anonymous
+  try {
+    await syncPendingActions();
+  } catch (error) {
+    console.warn('Could not sync offline favorites before merging:', error);
+  }
+
+  const { data, error } = await supabase.rpc('merge_anonymous_data', {
+    p_anonymous_id: getAnonymousUserId()
+  });
+
+  if (error) throw error;
+  return data?.[0] || { favorites_moved: 0, collections_moved: 0 };
+}
+
+/**
+ * Bring getUserId() in line with the auth session
+ * The merge only runs when switching from anonymous to an account. If it fails the
+ * user is signed out again, so favorites never end up split across two IDs.
+ * @param {Object|null} session - Supabase Auth session
+ */
+async function applySession(session) {
+  const user = session?.user || null;
+  const previousAccountId = getAccountId();
+
+  if (!user) {
+    currentUser = null;
+    if (previousAccountId) {
+      setAccountId(null);
+      notifyAccountChanged();
+    }
+    return;
+  }
+
+  if (previousAccountId === user.id) {
+    currentUser = user;
+    updateAccountButton();
+    return;
+  }
+
+  // Another account was signed in here before (e.g. its session expired while offline)
+  if (previousAccountId) setAccountId(null);
+
+  let merged;
+  try {
+    merged = await mergeAnonymousData();
+  } catch (error) {
+    console.error('Error merging anonymous favorites into account:', error);
+    currentUser = null;
+    await supabase.auth.signOut();
+    throw new Error("Couldn't move your favorites into your account. Please try signing in again.");
+  }
+
+  currentUser = user;
+  setAccountId(user.id);
+  notifyAccountChanged(merged);
+}
+
+// Sessions are applied one at a time so a sign-in can't be merged twice
+function queueSession(session) {
+  const result = sessionQueue.then(() => applySession(session));
+  sessionQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Restore the signed-in account and follow sign-ins/sign-outs from other tabs
+ * and magic links. Call once per page.
+ * @returns {Promise<{id: string, email: string}|null>} The signed-in account
+ */
+export async function initAccount() {
+  if (!isAccountsAvailable()) return null;
+
+  try {
+    const { data: { session }, error } = await supabase.auth.getSession();
+    if (error) throw error;
+    await queueSession(session);
+  } catch (error) {
+    console.error('Error restoring account session:', error);
+  }
+
+  supabase.auth.onAuthStateChange((event, session) => {
+    if (event === 'INITIAL_SESSION') return;
+    // Supabase calls from inside the callback can deadlock, so defer
+    setTimeout(() => {
+      queueSession(session).catch(error => console.error('Error applying account session:', error));
+    }, 0);
+  });
+
+  return getCurrentAccount();
+}
+
+// ===== SIGN IN / SIGN UP / SIGN OUT =====
+
+function validateCredentials(email, password) {
+  if (!email || !email.includes('@')) {
+    throw new Error('Please enter a valid email address.');
+  }
+  if (password !== undefined && password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+}
+
+// Magic links and confirmation emails come back to the page they were sent from
+function getRedirectUrl() {
+  return `${window.location.origin}${window.location.pathname}`;
+}
+
+/**
+ * Create an account
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @returns {Promise<{needsConfirmation: boolean}>} True if the user has to confirm
+ *   their email before they're signed in
+ */
+export async function signUp(email, password) {
+  validateCredentials(email, password);
+
+  const { data, error } = await supabase.auth.signUp({
+    email,
+    password,
+    options: { emailRedirectTo: getRedirectUrl() }
+  });
+
+  if (error) throw error;
+
+  if (data.session) {
+    await queueSession(data.session);
+  }
+  return { needsConfirmation: !data.session };
+}
+
+/**
+ * Sign in with email and password
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ */
+export async function signInWithPassword(email, password) {
+  validateCredentials(email, password);
+
+  const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+  if (error) throw error;
+
+  await queueSession(data.session);
+}
+
+/**
+ * Email a one-time sign-in link (also creates the account if it doesn't exist)
+ * @param {string} email - Email address
+ */
+export async function sendMagicLink(email) {
+  validateCredentials(email);
+
+  const { error } = await supabase.auth.signInWithOtp({
+    email,
+    options: { emailRedirectTo: getRedirectUrl() }
+  });
+
+  if (error) throw error;
+}
+
+/**
+ * Sign out and go back to this browser's anonymous favorites
+ */
+export async function signOut() {
+  const { error } = await supabase.auth.signOut();
+  if (error) throw error;
+
+  await queueSession(null);
+}
+
+// ===== ACCOUNT DIALOG =====
+
+function updateAccountButton() {
+  if (!accountButton) return;
+  const account = getCurrentAccount();
+  accountButton.classList.toggle('signed-in', !!account);
+  const label = account ? `Account (${account.email})` : 'Sign in';
+  accountButton.setAttribute('aria-label', label);
+  accountButton.title = label;
+}
+
+function renderSignedOut(content) {
+  content.innerHTML = `
+    <p class="account-intro">
+      Accounts are optional. Sign in to keep your favorites and collections on every device.
+      Anything saved in this browser is added to your account.
+    </p>
+    <form class="account-form" novalidate>
+      <div class="form-group">
+        <label for="accountEmail">Email</label>
+        <input type="email" id="accountEmail" autocomplete="email" required />
+      </div>
+      <div class="form-group">
+        <label for="accountPassword">Password</label>
+        <input type="password" id="accountPassword" autocomplete="current-password" minlength="${MIN_PASSWORD_LENGTH}" />
+      </div>
+      <div class="form-actions">
+        <button type="button" class="btn btn-cancel" data-action="sign-up">Create account</button>
+        <button type="submit" class="btn btn-submit">Sign in</button>
+      </div>
+      <button type="button" class="account-magic-link" data-action="magic-link">Email me a sign-in link instead</button>
+    </form>
+  `;
+}
+
+function renderSignedIn(content) {
+  content.innerHTML = `
+    <p class="account-intro">
+      Signed in as <strong>${escapeHtml(getCurrentAccount().email)}</strong>.
+      Your favorites and collections are saved to your account.
+    </p>
+    <p class="account-intro">
+      Signing out keeps them in your account. This browser goes back to its own anonymous favorites.
+    </p>
+    <div class="form-actions">
+      <button type="button" class="btn btn-submit" data-action="sign-out">Sign out</button>
+    </div>
+  `;
+}
+
+/**
+ * Wire up the header button that opens the sign-in / account dialog
+ * @param {HTMLElement} button - The account button
+ */
+export function initAccountMenu(button) {
+  if (!button) return;
+  if (!isAccountsAvailable()) {
+    button.classList.add('hidden');
+    return;
+  }
+
+  const modal = document.createElement('div');
+  modal.className = 'modal account-modal';
+  modal.setAttribute('aria-hidden', 'true');
+  modal.innerHTML = `
+    <div class="modal-content" role="dialog" aria-modal="true" aria-labelledby="accountModalTitle">
+      <div class="modal-header">
+        <h2 id="accountModalTitle">Your Account</h2>
+        <button type="button" class="close-btn" aria-label="Close account dialog">&times;</button>
+      </div>
+      <div class="account-body"></div>
+      <div class="feedback hidden" aria-live="polite"></div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+
+  const content = modal.querySelector('.account-body');
+  const feedback = modal.querySelector('.feedback');
+
+  const showFeedback = (message, type) => {
+    feedback.textContent = message;
+    feedback.className = `feedback ${type}`;
+  };
+
+  const render = () => {
+    feedback.className = 'feedback hidden';
+    if (getCurrentAccount()) {
+      renderSignedIn(content);
+    } else {
+      renderSignedOut(content);
+    }
+  };
+
+  const open = () => {
+    render();
+    modal.classList.add('show');
+    modal.setAttribute('aria-hidden', 'false');
+    content.querySelector('input, button')?.focus();
+  };
+
+  const close = () => {
+    modal.classList.remove('show');
+    modal.setAttribute('aria-hidden', 'true');
+    button.focus();
+  };
+
+  const runAction = async (action, trigger) => {
+    const email = content.querySelector('#accountEmail')?.value.trim();
+    const password = content.querySelector('#accountPassword')?.value;
+    trigger.disabled = true;
+
+    try {
+      if (action === 'sign-in') {
+        await signInWithPassword(email, password);
+        close();
+      } else if (action === 'sign-up') {
+        const { needsConfirmation } = await signUp(email, password);
+        if (needsConfirmation) {
+          showFeedback('Check your email to confirm your account, then come back here.', 'success');
+        } else {
+          close();
+        }
+      } else if (action === 'magic-link') {
+        await sendMagicLink(email);
+        showFeedback(`We sent a sign-in link to ${email}. Open it in this browser.`, 'success');
+      } else if (action === 'sign-out') {
+        await signOut();
+        close();
+      }
+    } catch (error) {
+      console.error(`Account ${action} failed:`, error);
+      showFeedback(error.message || 'Something went wrong. Please try again.', 'error');
+    } finally {
+      trigger.disabled = false;
+    }
+  };
+
+  content.addEventListener('submit', (e) => {
+    e.preventDefault();
+    runAction('sign-in', e.target.querySelector('button[type="submit"]'));
+  });
+
+  content.addEventListener('click', (e) => {
+    const trigger = e.target.closest('[data-action]');
+    if (trigger) runAction(trigger.dataset.action, trigger);
+  });
+
+  modal.querySelector('.close-btn').addEventListener('click', close);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) close();
+  });
+  modal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') close();
+  });
+
+  accountButton = button;
+  button.addEventListener('click', open);
+  updateAccountButton();
+}
@@ -3,29 +3,40 @@
  * Shared utilities for anonymous user management across the application
  */
 
+const ANONYMOUS_ID_KEY = 'inspireme_user_id';
+// Set by user-account.js while someone is signed in
+const ACCOUNT_ID_KEY = 'inspireme_account_id';
+
+/**
+ * Get the ID that favorites and collections are stored under
+ * This is the signed-in account's ID if there is one, otherwise the anonymous ID.
+ * @returns {string} User ID
+ */
+export function getUserId() {
+  return getAccountId() || getAnonymousUserId();
+}
+
 /**
  * Generate or retrieve anonymous user ID
  * Creates a persistent user ID in localStorage if one doesn't exist
  * @returns {string} User ID in format: user_[timestamp]_[random]
  */
-export function getUserId() {
-  const storageKey = 'inspireme_user_id';
-  
+export function getAnonymousUserId() {
   try {
-    let userId = localStorage.getItem(storageKey);
-    
+    let userId = localStorage.getItem(ANONYMOUS_ID_KEY);
+
     if (!userId) {
       // Generate new user ID: user_[timestamp]_[random]
       const timestamp = Date.now();
       const random = Math.random().toString(36).substring(2, 15);
       userId = `user_${timestamp}_${random}`;
-      localStorage.setItem(storageKey, userId);
+      localStorage.setItem(ANONYMOUS_ID_KEY, userId);
       // Only log in development to protect user privacy
       if (import.meta.env && import.meta.env.DEV) {
         console.log('Created new user ID:', userId);
       }
     }
-    
+
     return userId;
   } catch (error) {
     console.warn('localStorage unavailable, generating temporary user ID:', error);
@@ -33,3 +44,31 @@ export function getUserId() {
     return `user_${Date.now()}_${Math.random().toString(36).substring(2, 15)}`;
   }
 }
+
+/**
+ * Get the signed-in account's user ID
+ * @returns {string|null} Account ID, or null when browsing anonymously
+ */
+export function getAccountId() {
+  try {
+    return localStorage.getItem(ACCOUNT_ID_KEY);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Switch getUserId() to an account, or back to the anonymous ID
+ * @param {string|null} accountId - Account ID, or null on sign-out
+ */
+export function setAccountId(accountId) {
+  try {
+    if (accountId) {
+      localStorage.setItem(ACCOUNT_ID_KEY, accountId);
+    } else {
+      localStorage.removeItem(ACCOUNT_ID_KEY);
+    }
+  } catch (error) {
+    console.warn('localStorage unavailable, account ID not saved:', error);
+  }
+}